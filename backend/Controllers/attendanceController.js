@@ -0,0 +1,207 @@
+/**
+ * Attendance Controller
+ *
+ * Handles whether clients turned up to their sessions:
+ * - Trainers get a QR code to display at the gym, and can regenerate it
+ *   if a photo of it gets passed around
+ * - Clients check in by scanning the code, which opens a signed link to
+ *   the check-in page
+ * - Trainers mark sessions that have started as completed or no-show,
+ *   which applies their no-show policy
+ *
+ * The signing, no-show policy and attendance stats live in
+ * utils/attendance.js.
+ */
+
+import Booking from '../models/BookingSchema.js';
+import Trainer from '../models/TrainerSchema.js';
+import QRCode from 'qrcode';
+import { getSessionStart } from '../utils/bookingSlots.js';
+import {
+  buildCheckInUrl,
+  isValidCheckInSignature,
+  findCheckInBooking,
+  markCompleted,
+  markNoShow,
+  CHECK_IN_OPENS_MINUTES
+} from '../utils/attendance.js';
+
+// Attendance a trainer can record for a session
+const ATTENDANCE_STATUSES = ['completed', 'no_show'];
+
+/**
+ * Build Check-In Code
+ *
+ * @param {Object} trainer - Trainer with _id and checkInVersion
+ * @returns {Promise<Object>} - { url, svg } of the trainer's current check-in QR code
+ */
+const buildCheckInCode = async (trainer) => {
+  const url = buildCheckInUrl(trainer);
+  const svg = await QRCode.toString(url, { type: 'svg', errorCorrectionLevel: 'M', margin: 4 });
+  return { url, svg };
+};
+
+/**
+ * Get Check-In Code
+ *
+ * @param {Object} req - Express request object (trainer ID from auth)
+ * @param {Object} res - Express response object
+ */
+export const getCheckInCode = async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.userId).select('checkInVersion');
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Check-in code found", data: await buildCheckInCode(trainer) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error creating check-in code: ${err.message}` });
+  }
+};
+
+/**
+ * Regenerate Check-In Code
+ *
+ * Replaces the trainer's QR code. The old code stops checking clients in,
+ * so the new one has to be printed.
+ *
+ * @param {Object} req - Express request object (trainer ID from auth)
+ * @param {Object} res - Express response object
+ */
+export const regenerateCheckInCode = async (req, res) => {
+  try {
+    const trainer = await Trainer.findByIdAndUpdate(
+      req.userId,
+      { $inc: { checkInVersion: 1 } },
+      { new: true }
+    ).select('checkInVersion');
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Check-in code regenerated. Print the new code - the old one no longer works.",
+      data: await buildCheckInCode(trainer)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error regenerating check-in code: ${err.message}` });
+  }
+};
+
+/**
+ * Check In
+ *
+ * Checks the client in to their session with the trainer whose code they
+ * scanned. Check-in opens CHECK_IN_OPENS_MINUTES before the session and
+ * closes when it ends.
+ *
+ * @param {Object} req - Express request object (trainerId and sig from the check-in link in body)
+ * @param {Object} res - Express response object
+ */
+export const checkIn = async (req, res) => {
+  const { trainerId, sig } = req.body;
+
+  try {
+    const trainer = /^[a-f0-9]{24}$/.test(trainerId || '')
+      ? await Trainer.findById(trainerId).select('name checkInVersion')
+      : null;
+
+    if (!trainer || !isValidCheckInSignature(trainer, sig)) {
+      return res.status(400).json({
+        success: false,
+        message: "This check-in code isn't valid. Ask your trainer for their current code."
+      });
+    }
+
+    const booking = await findCheckInBooking(req.userId, trainer._id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: `You don't have a confirmed session with ${trainer.name} to check in to right now. Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before your session.`
+      });
+    }
+
+    if (booking.checkedInAt) {
+      return res.status(200).json({ success: true, message: "You're already checked in", data: booking });
+    }
+
+    booking.checkedInAt = new Date();
+    await booking.save();
+
+    res.status(200).json({ success: true, message: `Checked in for your session with ${trainer.name}`, data: booking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error checking in: ${err.message}` });
+  }
+};
+
+/**
+ * Mark Attendance
+ *
+ * Records a session that has started as completed or a no-show. A no-show
+ * refunds the client according to the trainer's no-show policy; clients
+ * who checked in can't be marked as no-shows.
+ *
+ * @param {Object} req - Express request object (booking ID in params, attendance in body)
+ * @param {Object} res - Express response object
+ */
+export const markAttendance = async (req, res) => {
+  const { attendance } = req.body;
+
+  if (!ATTENDANCE_STATUSES.includes(attendance)) {
+    return res.status(400).json({ success: false, message: "Attendance must be completed or no_show" });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    if (booking.trainer?._id.toString() !== req.userId) {
+      return res.status(403).json({ success: false, message: "You can't mark attendance for this booking" });
+    }
+
+    if (booking.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: ['completed', 'no_show'].includes(booking.status)
+          ? "Attendance has already been recorded for this session"
+          : "Only confirmed sessions can be marked as attended"
+      });
+    }
+
+    if (getSessionStart(booking) > new Date()) {
+      return res.status(400).json({ success: false, message: "Attendance can be recorded once the session has started" });
+    }
+
+    if (attendance === 'completed') {
+      await markCompleted(booking);
+      return res.status(200).json({ success: true, message: "Session marked as completed", data: booking });
+    }
+
+    if (booking.checkedInAt) {
+      return res.status(400).json({ success: false, message: "The client checked in to this session, so it can't be marked as a no-show" });
+    }
+
+    const trainer = await Trainer.findById(req.userId).select('noShowRefundPercent');
+    const { refundCents } = await markNoShow(booking, trainer);
+
+    res.status(200).json({
+      success: true,
+      message: refundCents > 0
+        ? `Session marked as a no-show. $${(refundCents / 100).toFixed(2)} will be refunded to the client.`
+        : booking.creditReturned
+          ? "Session marked as a no-show. The session credit has been returned."
+          : "Session marked as a no-show",
+      data: booking
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error marking attendance: ${err.message}` });
+  }
+};
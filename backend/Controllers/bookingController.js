@@ -2,25 +2,89 @@
  * Booking Controller
  * 
  * Handles all booking-related backend operations including:
- * - Creating Stripe checkout sessions for payments
- * - Processing webhook events from Stripe
+ * - Creating checkout sessions for payments through the payment provider
+ *   (Stripe, or a fake gateway for running offline - see utils/paymentProvider.js)
+ * - Processing webhook events from Stripe, logging each one so it is only processed once
+ * - Following payments after checkout: delayed payments, refunds and disputes
+ * - Listing and replaying failed Stripe events for admins
  * - Managing booking data in the database
+ * - Cancelling bookings (single sessions or whole weekly series) and refunding clients through Stripe
+ * - Rescheduling bookings to another available slot
+ * - Approving or declining bookings for trainers in manual approval mode
+ * - Selling prepaid session packs and booking with their credits
+ * - Booking to pay at the session, and trainers marking those bookings paid
+ * - Taking promo code discounts off sessions paid with money
  * 
  * This controller ensures secure payment processing and proper booking creation
- * only after successful payment confirmation from Stripe.
+ * only after successful payment confirmation from Stripe. A trainer's time slot
+ * can only hold one active booking per date; this is checked before checkout
+ * and enforced again when the webhook saves the booking. While a client is in
+ * checkout the slot is held for them so nobody else can start paying for it.
  */
 
 import User from '../models/UserSchema.js'
 import Trainer from '../models/TrainerSchema.js'
 import Booking from '../models/BookingSchema.js'
-import Stripe from 'stripe'
+import SessionPack from '../models/SessionPackSchema.js'
+import CreditTransaction from '../models/CreditTransactionSchema.js'
+import StripeEvent from '../models/StripeEventSchema.js'
+import mongoose from 'mongoose'
+import {
+  buildSlotKey,
+  getBaseSlotKey,
+  isSlotTaken,
+  isSlotFull,
+  saveBookingInSlot,
+  isDuplicateKeyError,
+  getSessionStart,
+  getSessionTimes,
+  findTrainerSlot,
+  getSlotPrice,
+  getSlotCapacity,
+  placeSlotHold,
+  placeSlotHolds,
+  attachHoldsToSession,
+  releaseSlotHold,
+  getSeriesDates,
+  SLOT_HOLD_MINUTES,
+  MAX_SERIES_WEEKS
+} from '../utils/bookingSlots.js'
+import { cancelBookingWithRefund, getRefundCents } from '../utils/bookingRefunds.js'
+import {
+  getCreditBalance,
+  getCreditValue,
+  redeemCredit,
+  returnCredit,
+  writeOffPackCredits
+} from '../utils/sessionCredits.js'
+import { markWaitlistBooked, offerFreedSlot } from '../utils/waitlist.js'
+import { findBusyDates } from '../utils/busyTimes.js'
+import { sendBookingConfirmation } from '../utils/bookingEmails.js'
+import { failCheckoutPayment, applyChargeRefund, recordChargeDispute } from '../utils/paymentLifecycle.js'
+import { IN_PERSON_PAYMENT_METHODS } from '../utils/outstandingBalances.js'
+import { getPaymentProvider } from '../utils/paymentProvider.js'
+import { validatePromoCode, recordPromoCodeUse } from '../utils/promoCodes.js'
+import { syncBookingEarnings, syncPackEarnings } from '../utils/earnings.js'
 
 /**
  * Create Stripe Checkout Session
  * 
  * This function creates a Stripe checkout session for booking payments.
  * It does NOT create the booking in the database - that happens in the webhook
- * after payment is confirmed.
+ * after payment is confirmed. Instead it places a temporary hold on the slot
+ * that lasts as long as the checkout session.
+ * 
+ * Clients can book the same slot weekly for several weeks (recurrence.weeks)
+ * in one checkout. Every occurrence is checked and held, and the series is
+ * charged as a single payment.
+ * 
+ * Clients holding enough prepaid session credits with the trainer are booked
+ * straight away with their credits and skip Stripe (unless useCredits is false).
+ * Clients of trainers who allow it can choose to pay at the session
+ * (payAtSession), which books them straight away as pending and unpaid.
+ * 
+ * A promo code (promoCode) takes its discount off every session paid for
+ * online or at the session. Credit bookings don't use it.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -38,7 +102,7 @@ export const getCheckoutSession = async (req, res) => {
     }
 
     // Extract booking details from request body
-    const { timeSlot, bookingDate } = req.body;
+    const { timeSlot, bookingDate, recurrence } = req.body;
 
     // Validate that required booking information is provided
     if (!timeSlot || !bookingDate) {
@@ -48,58 +112,166 @@ export const getCheckoutSession = async (req, res) => {
       });
     }
 
-    // Initialize Stripe with secret key
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    // Only slots from the trainer's own schedule can be booked, on their weekday
+    const slot = findTrainerSlot(trainer, bookingDate, timeSlot);
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: "The trainer is not available at this time on the selected date"
+      });
+    }
+
+    // Times are in the trainer's time zone, so "today" depends on where they are
+    if (getSessionStart({ bookingDate, timeSlot: slot }, trainer.timeZone) <= new Date()) {
+      return res.status(400).json({ success: false, message: "Please choose a time in the future" });
+    }
+
+    // Weekly recurring bookings repeat the same slot for several weeks
+    const weeks = Math.min(Math.max(parseInt(recurrence?.weeks) || 1, 1), MAX_SERIES_WEEKS);
+    const sessionDates = getSeriesDates(bookingDate, weeks);
+
+    // Later weeks may fall on a blackout date or a busy time from the trainer's
+    // imported calendar, or the slot may be a one-off extra
+    const busyDates = await findBusyDates(trainer, sessionDates, slot);
+    const unavailableDates = sessionDates.filter(date => !findTrainerSlot(trainer, date, slot) || busyDates.includes(date));
+    if (unavailableDates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The trainer is not available at this time on ${unavailableDates.join(', ')}. Please choose fewer weeks.`,
+        unavailableDates
+      });
+    }
+
+    // Reject the request early if someone has already booked any of the sessions
+    const takenDates = [];
+    for (const date of sessionDates) {
+      if (await isSlotTaken(trainer._id, date, slot)) takenDates.push(date);
+    }
+
+    if (takenDates.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: weeks > 1
+          ? `This time slot is already booked on ${takenDates.join(', ')}. Please choose another time or fewer weeks.`
+          : "This time slot has already been booked. Please choose another one.",
+        takenDates
+      });
+    }
+
+    const priceCents = Math.round(getSlotPrice(trainer, slot) * 100); // Convert to cents
+
+    // Promo codes take their discount off each session
+    let promo = null;
+    if (req.body.promoCode) {
+      promo = await validatePromoCode({
+        code: req.body.promoCode,
+        trainerId: trainer._id,
+        userId: user._id,
+        priceCents
+      });
+
+      if (promo.error) {
+        return res.status(400).json({ success: false, message: promo.error });
+      }
+    }
+
+    // Trainers who take payment in person let clients book without paying online
+    if (req.body.payAtSession) {
+      if (!trainer.allowPayAtSession) {
+        return res.status(400).json({ success: false, message: "This trainer only takes payment online" });
+      }
+      return bookToPayAtSession(res, { trainer, user, slot, sessionDates, promo });
+    }
+
+    // Prepaid session credits pay for the booking without going through Stripe
+    if (req.body.useCredits !== false &&
+        await getCreditBalance(user._id, trainer._id) >= sessionDates.length) {
+      return bookWithCredits(res, { trainer, user, slot, sessionDates });
+    }
+
+    // Reserve the slot on every date while the client pays - fails if another
+    // client is already in checkout for any of them
+    const holds = await placeSlotHolds({
+      trainerId: trainer._id,
+      userId: user._id,
+      bookingDates: sessionDates,
+      timeSlot: slot
+    });
+
+    if (!holds) {
+      return res.status(409).json({
+        success: false,
+        message: "Another client is currently booking this time slot. Please choose another one or try again later."
+      });
+    }
+
+    const payments = getPaymentProvider();
 
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'], // Accept card payments
-      mode: 'payment', // One-time payment (not subscription)
+    // Create the checkout session with the payment provider
+    let session;
+    try {
+      session = await payments.createCheckout({
+        // Session expires together with the slot holds. Stripe requires at least
+        // 30 minutes from creation, so allow an extra minute for request latency -
+        // a payment landing after the holds lapse is still re-checked by the webhook
+        expiresAt: new Date(holds[0].expiresAt.getTime() + 60 * 1000),
       
-      // URLs for redirect after payment
-      success_url: `${process.env.CLIENT_SUCCESS_URL}/checkout-success`, // Success page
-      cancel_url: `${process.env.CLIENT_SUCCESS_URL}/trainers/${trainer._id}`, // Back to trainer page
+        // URLs for redirect after payment
+        successUrl: `${process.env.CLIENT_SUCCESS_URL}/checkout-success`, // Success page
+        cancelUrl: `${process.env.CLIENT_SUCCESS_URL}/trainers/${trainer._id}`, // Back to trainer page
       
-      // Customer information
-      customer_email: user.email,
-      client_reference_id: req.params.trainerId, // Reference for tracking
+        // Customer information
+        customerEmail: user.email,
+        clientReferenceId: req.params.trainerId, // Reference for tracking
       
-      // Metadata to be sent to webhook after payment
-      // This data will be used to create the booking
-      metadata: {
-        trainerId: trainer._id.toString(),
-        userId: user._id.toString(),
-        bookingDate: bookingDate,
-        timeSlotDay: timeSlot.day,
-        timeSlotStart: timeSlot.startingTime,
-        timeSlotEnd: timeSlot.endingTime
-      },
+        // Metadata to be sent to webhook after payment
+        // This data will be used to create the booking(s)
+        metadata: {
+          trainerId: trainer._id.toString(),
+          userId: user._id.toString(),
+          bookingDate: bookingDate, // First session of a series
+          seriesWeeks: weeks.toString(),
+          timeSlotDay: slot.day,
+          timeSlotStart: slot.startingTime,
+          timeSlotEnd: slot.endingTime,
+          timeSlotCapacity: getSlotCapacity(slot).toString(),
+          ...(promo && {
+            promoCodeId: promo.promoCode._id.toString(),
+            promoCode: promo.promoCode.code,
+            discountCents: promo.discountCents.toString() // Per session
+          })
+        },
       
-      // Payment line items
-      line_items: [
-        {
-          price_data: {
-            currency: 'aud', // Australian Dollar
-            unit_amount: Math.round(trainer.ticketPrice * 100), // Convert to cents
-            product_data: {
-              name: `Training Session with ${trainer.name}`,
-              description: `${timeSlot.day} ${timeSlot.startingTime}-${timeSlot.endingTime} on ${bookingDate}`,
-              images: trainer.photo ? [trainer.photo] : [], // Trainer photo if available
-            }
-          },
-          quantity: 1 // Single session
+        // What is being paid for
+        currency: 'aud', // Australian Dollar
+        item: {
+          name: `Training Session with ${trainer.name}`,
+          description: weeks > 1
+            ? `Every ${slot.day} ${slot.startingTime}-${slot.endingTime} for ${weeks} weeks from ${bookingDate}`
+            : `${slot.day} ${slot.startingTime}-${slot.endingTime} on ${bookingDate}`,
+          images: trainer.photo ? [trainer.photo] : [], // Trainer photo if available
+          unitAmount: priceCents - (promo?.discountCents || 0),
+          quantity: weeks // One per weekly session
         }
-      ]
-    });
+      });
+    } catch (err) {
+      // Free the slots again if the checkout could not be created
+      await Promise.all(holds.map(hold => hold.deleteOne()));
+      throw err;
+    }
+
+    // Link the holds to the session so the webhook can release them
+    await attachHoldsToSession(holds, session.id);
 
-    // Return session URL for frontend to redirect to Stripe checkout
+    // Return session URL for frontend to redirect to the checkout page
     res.status(200).json({ 
       success: true, 
       message: 'Checkout session created successfully', 
       session: {
         id: session.id,
         url: session.url // Frontend will redirect here
-      }
+      },
+      holdMinutes: SLOT_HOLD_MINUTES
     });
 
   } catch (err) {
@@ -114,68 +286,1398 @@ export const getCheckoutSession = async (req, res) => {
 /**
  * Handle Stripe Webhook
  * 
- * This function processes webhook events from Stripe.
+ * This function processes webhook events from the payment provider (Stripe,
+ * or the fake provider when running offline).
  * It creates the actual booking in the database ONLY after
  * payment has been successfully completed and verified by Stripe.
  * 
  * This ensures bookings are only created for paid sessions.
  * 
+ * Every event is logged as a StripeEvent before it is processed. Stripe
+ * can deliver the same event more than once, so events that were already
+ * processed (or are being processed) are acknowledged without doing
+ * anything. Failed events answer with a 500 so Stripe retries them.
+ * 
  * @param {Object} req - Express request object (contains raw webhook data)
  * @param {Object} res - Express response object
  */
 export const handleStripeWebhook = async (req, res) => {
   try {
-    // Get Stripe signature from headers for webhook verification
-    const sig = req.headers['stripe-signature'];
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    const payments = getPaymentProvider();
     
     let event;
     try {
-      // Verify that the webhook came from Stripe (security measure)
+      // Verify the signature in the headers, so the webhook only accepts events
+      // from the payment provider (security measure)
       // This prevents malicious actors from creating fake payment confirmations
-      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+      event = payments.verifyWebhook(req.body, req.headers);
     } catch (err) {
       // Webhook verification failed - reject the request
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Process successful payment events
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object; // Payment session data
-      
-      // Validate that all required booking data is present
-      if (!session.metadata.bookingDate || !session.metadata.timeSlotDay) {
-        return res.status(400).json({ error: 'Missing booking data' });
+    const record = await claimStripeEvent(event);
+
+    // Already handled by an earlier delivery of the same event
+    if (!record) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+      await runStripeEvent(payments, record);
+    } catch (err) {
+      // The event is logged as failed; Stripe will deliver it again
+      return res.status(500).json({ error: err.message });
+    }
+
+    // Acknowledge receipt of the webhook
+    res.json({ received: true });
+  } catch (err) {
+    // Handle any errors during webhook processing
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Get Stripe Events (Admin)
+ * 
+ * Lists logged Stripe webhook events, newest first, so admins can find
+ * ones that failed. Filter with ?status=failed (or processing/processed)
+ * and ?type=checkout.session.completed. Payloads are left out of the list.
+ * 
+ * @param {Object} req - Express request object (status, type and limit in query)
+ * @param {Object} res - Express response object
+ */
+export const getStripeEvents = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const events = await StripeEvent.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({ success: true, message: "Stripe events found", data: events });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to get Stripe events" });
+  }
+};
+
+/**
+ * Replay Stripe Event (Admin)
+ * 
+ * Processes a failed event again from its logged payload, e.g. after the
+ * bug or outage that made it fail is fixed. Events abandoned mid-way count
+ * as failed. Processed events can't be replayed, so a payment is never
+ * booked twice.
+ * 
+ * @param {Object} req - Express request object (Stripe event ID in params)
+ * @param {Object} res - Express response object
+ */
+export const replayStripeEvent = async (req, res) => {
+  try {
+    const record = await StripeEvent.findOneAndUpdate(
+      { eventId: req.params.eventId, ...retryableEventFilter() },
+      { status: 'processing', $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!record) {
+      const exists = await StripeEvent.exists({ eventId: req.params.eventId });
+      return exists
+        ? res.status(400).json({ success: false, message: "Only failed events can be replayed" })
+        : res.status(404).json({ success: false, message: "Stripe event not found" });
+    }
+
+    try {
+      const result = await runStripeEvent(getPaymentProvider(), record);
+      res.status(200).json({ success: true, message: "Event processed", data: { ...record.toObject(), payload: undefined, result } });
+    } catch (err) {
+      res.status(400).json({ success: false, message: `Event failed again: ${err.message}` });
+    }
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to replay Stripe event" });
+  }
+};
+
+/**
+ * Cancel Booking
+ *
+ * Lets the client or the trainer of a booking cancel it. Refunds are issued
+ * through Stripe according to the trainer's cancellation policy:
+ * - Trainer cancels: full refund
+ * - Client cancels at least freeCancellationHours before the session: full refund
+ * - Client cancels later: lateCancellationRefundPercent of the price
+ * Sessions that have already started cannot be cancelled.
+ *
+ * @param {Object} req - Express request object (booking ID in params, optional reason in body)
+ * @param {Object} res - Express response object
+ */
+export const cancelBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    // Only the client who booked or the trainer being booked may cancel
+    const isClient = booking.user?._id.toString() === req.userId;
+    const isTrainer = booking.trainer?._id.toString() === req.userId;
+
+    if (!isClient && !isTrainer) {
+      return res.status(403).json({ success: false, message: "You can't cancel this booking" });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: "Booking is already cancelled" });
+    }
+
+    const sessionStart = getSessionStart(booking);
+    if (sessionStart <= new Date()) {
+      return res.status(400).json({ success: false, message: "Sessions that have already started can't be cancelled" });
+    }
+
+    // Work out how much of the price goes back to the client
+    const trainer = await Trainer.findById(booking.trainer._id);
+    const refundPercent = booking.isPaid
+      ? getRefundPercent(trainer, sessionStart, isTrainer ? 'trainer' : 'client')
+      : 0;
+    const refundCents = getRefundCents(booking, refundPercent);
+
+    if (refundCents > 0 && !booking.paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: "No payment record found for this booking. Please contact support to cancel it."
+      });
+    }
+
+    await cancelBookingWithRefund(booking, {
+      refundPercent,
+      cancelledBy: isTrainer ? 'trainer' : 'client',
+      reason: req.body?.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: refundCents > 0
+        ? `Booking cancelled. $${(refundCents / 100).toFixed(2)} will be refunded to the client.`
+        : booking.creditReturned
+          ? "Booking cancelled. The session credit has been returned."
+          : "Booking cancelled",
+      data: booking
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error cancelling booking: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Cancel Booking Series
+ *
+ * Cancels every upcoming session of a weekly recurring booking at once.
+ * Each session is refunded by the same rules as a single cancellation, so a
+ * client cancelling late only gets the late refund on the sessions inside the
+ * trainer's cancellation window. Sessions that already happened are kept.
+ *
+ * @param {Object} req - Express request object (series ID in params, optional reason in body)
+ * @param {Object} res - Express response object
+ */
+export const cancelBookingSeries = async (req, res) => {
+  try {
+    const bookings = await Booking.find({
+      seriesId: req.params.seriesId,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (bookings.length === 0) {
+      return res.status(404).json({ success: false, message: "No active bookings found in this series" });
+    }
+
+    // All sessions of a series share the same client and trainer
+    const isClient = bookings[0].user?._id.toString() === req.userId;
+    const isTrainer = bookings[0].trainer?._id.toString() === req.userId;
+
+    if (!isClient && !isTrainer) {
+      return res.status(403).json({ success: false, message: "You can't cancel this booking series" });
+    }
+
+    const trainer = await Trainer.findById(bookings[0].trainer._id);
+    const upcoming = bookings.filter(booking => getSessionStart(booking) > new Date());
+    let refundedCents = 0;
+
+    for (const booking of upcoming) {
+      const refundPercent = booking.isPaid
+        ? getRefundPercent(trainer, getSessionStart(booking), isTrainer ? 'trainer' : 'client')
+        : 0;
+
+      await cancelBookingWithRefund(booking, {
+        refundPercent,
+        cancelledBy: isTrainer ? 'trainer' : 'client',
+        reason: req.body?.reason
+      });
+      refundedCents += Math.round(booking.refundAmount * 100);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: refundedCents > 0
+        ? `${upcoming.length} sessions cancelled. $${(refundedCents / 100).toFixed(2)} will be refunded to the client.`
+        : `${upcoming.length} sessions cancelled`,
+      data: upcoming
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error cancelling booking series: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Approve Booking
+ *
+ * Used by trainers in manual approval mode to confirm a pending booking.
+ *
+ * @param {Object} req - Express request object (booking ID in params)
+ * @param {Object} res - Express response object
+ */
+export const approveBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking || booking.trainer?._id.toString() !== req.userId) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Booking is already ${booking.status}` });
+    }
+
+    booking.status = 'approved';
+    booking.approvedAt = new Date();
+    booking.approvalDeadline = undefined;
+    await booking.save();
+
+    res.status(200).json({ success: true, message: "Booking approved", data: booking });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error approving booking: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Decline Booking
+ *
+ * Used by trainers in manual approval mode to turn down a pending booking.
+ * The client is refunded in full and the slot is freed.
+ *
+ * @param {Object} req - Express request object (booking ID in params, optional reason in body)
+ * @param {Object} res - Express response object
+ */
+export const declineBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking || booking.trainer?._id.toString() !== req.userId) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Booking is already ${booking.status}` });
+    }
+
+    await cancelBookingWithRefund(booking, {
+      refundPercent: 100,
+      cancelledBy: 'trainer',
+      reason: req.body?.reason || 'Declined by trainer'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Booking declined and the client has been refunded",
+      data: booking
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error declining booking: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Mark Booking Paid
+ * 
+ * Lets the trainer record that a pay-at-session booking was paid in
+ * person, and how. Marking a pending booking paid also approves it.
+ * 
+ * @param {Object} req - Express request object (booking ID in params, paymentMethod and optional note in body)
+ * @param {Object} res - Express response object
+ */
+export const markBookingPaid = async (req, res) => {
+  try {
+    const { paymentMethod, note } = req.body;
+
+    if (!IN_PERSON_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ success: false, message: "Please choose how the client paid" });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking || booking.trainer?._id.toString() !== req.userId) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    if (booking.paymentStatus !== 'unpaid') {
+      return res.status(400).json({ success: false, message: "This booking isn't waiting on an in-person payment" });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: "Booking is already cancelled" });
+    }
+
+    booking.isPaid = true;
+    booking.paymentStatus = 'paid';
+    booking.paymentMethod = paymentMethod;
+    booking.paymentNote = note || undefined;
+    booking.paidAt = new Date();
+
+    if (booking.status === 'pending') {
+      booking.status = 'approved';
+      booking.approvedAt = new Date();
+      booking.approvalDeadline = undefined;
+    }
+
+    await booking.save();
+    await syncBookingEarnings(booking);
+
+    res.status(200).json({ success: true, message: "Booking marked as paid", data: booking });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error marking booking as paid: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Reschedule Booking
+ *
+ * Moves an upcoming booking to another date and time slot. The new slot
+ * must be on the trainer's schedule and free (not booked or held by another
+ * client). The previous time is kept in the booking's rescheduleHistory.
+ *
+ * If a client moves to a slot that costs more, a Stripe checkout session
+ * for the difference is returned instead and the booking is only moved
+ * once the webhook confirms that payment. Moving to a cheaper slot, or a
+ * trainer moving the session, keeps the price already paid.
+ *
+ * @param {Object} req - Express request object (booking ID in params, bookingDate and timeSlot in body)
+ * @param {Object} res - Express response object
+ */
+export const rescheduleBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    // Only the client who booked or the trainer being booked may reschedule
+    const isClient = booking.user?._id.toString() === req.userId;
+    const isTrainer = booking.trainer?._id.toString() === req.userId;
+
+    if (!isClient && !isTrainer) {
+      return res.status(403).json({ success: false, message: "You can't reschedule this booking" });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: "Cancelled bookings can't be rescheduled" });
+    }
+
+    if (getSessionStart(booking) <= new Date()) {
+      return res.status(400).json({ success: false, message: "Sessions that have already started can't be rescheduled" });
+    }
+
+    const { bookingDate, timeSlot } = req.body;
+
+    if (!timeSlot || !bookingDate) {
+      return res.status(400).json({ success: false, message: "Time slot and booking date are required" });
+    }
+
+    const trainer = await Trainer.findById(booking.trainer._id);
+    const slot = trainer && findTrainerSlot(trainer, bookingDate, timeSlot);
+
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: "The trainer is not available at this time on the selected date"
+      });
+    }
+
+    if ((await findBusyDates(trainer, [bookingDate], slot)).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The trainer is not available at this time on the selected date"
+      });
+    }
+
+    if (buildSlotKey(trainer._id, bookingDate, slot) === getBaseSlotKey(booking.slotKey)) {
+      return res.status(400).json({ success: false, message: "The booking is already at this time" });
+    }
+
+    if (getSessionStart({ bookingDate, timeSlot: slot }, trainer.timeZone) <= new Date()) {
+      return res.status(400).json({ success: false, message: "Please choose a time in the future" });
+    }
+
+    if (await isSlotFull(trainer._id, bookingDate, slot, booking.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "This time slot is no longer available. Please choose another one."
+      });
+    }
+
+    // Clients moving to a more expensive slot pay the difference first.
+    // A session credit covers any slot, so credit bookings move for free.
+    // Prices are compared before any promo discount, which the booking keeps.
+    const discount = booking.discount?.amount || 0;
+    const difference = getSlotPrice(trainer, slot) - (Number(booking.ticketPrice) + discount);
+
+    if (isClient && booking.isPaid && !booking.sessionPack && difference > 0) {
+      const hold = await placeSlotHold({
+        trainerId: trainer._id,
+        userId: booking.user._id,
+        bookingDate,
+        timeSlot: slot
+      });
+
+      if (!hold) {
+        return res.status(409).json({
+          success: false,
+          message: "Another client is currently booking this time slot. Please choose another one or try again later."
+        });
+      }
+
+      let session;
+      try {
+        session = await getPaymentProvider().createCheckout({
+          expiresAt: new Date(hold.expiresAt.getTime() + 60 * 1000),
+          successUrl: `${process.env.CLIENT_SUCCESS_URL}/checkout-success`,
+          cancelUrl: `${process.env.CLIENT_SUCCESS_URL}/users/profile/me`,
+          customerEmail: booking.user.email,
+          clientReferenceId: trainer._id.toString(),
+          // Read by the webhook to move the booking once paid
+          metadata: {
+            purpose: 'reschedule',
+            bookingId: booking._id.toString(),
+            trainerId: trainer._id.toString(),
+            userId: booking.user._id.toString(),
+            bookingDate: bookingDate,
+            timeSlotDay: slot.day,
+            timeSlotStart: slot.startingTime,
+            timeSlotEnd: slot.endingTime,
+            timeSlotCapacity: getSlotCapacity(slot).toString()
+          },
+          currency: 'aud',
+          item: {
+            name: `Reschedule fee - session with ${trainer.name}`,
+            description: `Price difference for ${slot.day} ${slot.startingTime}-${slot.endingTime} on ${bookingDate}`,
+            unitAmount: Math.round(difference * 100),
+            quantity: 1
+          }
+        });
+      } catch (err) {
+        await hold.deleteOne();
+        throw err;
+      }
+
+      hold.stripeSessionId = session.id;
+      await hold.save();
+
+      return res.status(200).json({
+        success: true,
+        message: `The new time costs $${difference.toFixed(2)} more. Please complete payment to confirm.`,
+        session: {
+          id: session.id,
+          url: session.url
+        }
+      });
+    }
+
+    const previousSlotKey = booking.slotKey;
+    applyReschedule(booking, bookingDate, slot, isTrainer ? 'trainer' : 'client');
+
+    // Nothing has been paid yet, so the client owes the new slot's price
+    if (booking.paymentStatus === 'unpaid') {
+      booking.ticketPrice = (Math.max(Math.round((getSlotPrice(trainer, slot) - discount) * 100), 0) / 100).toString();
+    }
+
+    // Someone else may have taken the last place since the check above
+    if (!await saveBookingInSlot(booking, slot)) {
+      return res.status(409).json({
+        success: false,
+        message: "This time slot is no longer available. Please choose another one."
+      });
+    }
+
+    await markWaitlistBooked(booking.user._id, booking.slotKey);
+    await offerFreedSlot(previousSlotKey);
+
+    res.status(200).json({
+      success: true,
+      message: "Booking rescheduled",
+      data: booking
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error rescheduling booking: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Create Package Checkout Session
+ *
+ * Starts a Stripe checkout for one of the trainer's prepaid session packages.
+ * The pack and its credits are created by the webhook once payment succeeds.
+ *
+ * @param {Object} req - Express request object (trainer ID in params, packageId in body)
+ * @param {Object} res - Express response object
+ */
+export const getPackageCheckoutSession = async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.params.trainerId);
+    const user = await User.findById(req.userId);
+
+    if (!trainer || !user) {
+      return res.status(404).json({ success: false, message: "Trainer or user not found" });
+    }
+
+    const sessionPackage = trainer.sessionPackages.id(req.body.packageId);
+
+    if (!sessionPackage) {
+      return res.status(404).json({ success: false, message: "Session package not found" });
+    }
+
+    const session = await getPaymentProvider().createCheckout({
+      successUrl: `${process.env.CLIENT_SUCCESS_URL}/checkout-success`,
+      cancelUrl: `${process.env.CLIENT_SUCCESS_URL}/trainers/${trainer._id}`,
+      customerEmail: user.email,
+      clientReferenceId: trainer._id.toString(),
+      // Read by the webhook to create the pack once paid
+      metadata: {
+        purpose: 'package',
+        trainerId: trainer._id.toString(),
+        userId: user._id.toString(),
+        packageId: sessionPackage._id.toString()
+      },
+      currency: 'aud',
+      item: {
+        name: `${sessionPackage.name} with ${trainer.name}`,
+        description: `${sessionPackage.sessions} sessions, valid for ${sessionPackage.validityDays} days`,
+        images: trainer.photo ? [trainer.photo] : [],
+        unitAmount: Math.round(sessionPackage.price * 100),
+        quantity: 1
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully created package checkout session',
+      session: {
+        id: session.id,
+        url: session.url
       }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error creating package checkout session: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Refund Session Pack
+ *
+ * Lets a trainer refund the unused credits of a pack a client bought from
+ * them. The client gets back the value of the remaining credits and the
+ * pack is closed so they can no longer be used.
+ *
+ * @param {Object} req - Express request object (pack ID in params)
+ * @param {Object} res - Express response object
+ */
+export const refundSessionPack = async (req, res) => {
+  try {
+    const pack = await SessionPack.findById(req.params.packId);
+
+    if (!pack) {
+      return res.status(404).json({ success: false, message: "Session pack not found" });
+    }
+
+    if (pack.trainer.toString() !== req.userId) {
+      return res.status(403).json({ success: false, message: "You can't refund this session pack" });
+    }
 
-      // Create the booking in the database
-      // This only happens AFTER successful payment
+    if (pack.status !== 'active') {
+      return res.status(400).json({ success: false, message: `This session pack has already ${pack.status === 'expired' ? 'expired' : 'been refunded'}` });
+    }
+
+    if (pack.creditsRemaining === 0) {
+      return res.status(400).json({ success: false, message: "This session pack has no unused credits" });
+    }
+
+    if (!pack.paymentIntentId) {
+      return res.status(400).json({ success: false, message: "No payment record found for this session pack" });
+    }
+
+    // Close the pack first so its credits can't be redeemed during the refund
+    const credits = await writeOffPackCredits(pack, 'refunded', 'Unused credits refunded by trainer');
+    const refundCents = Math.round((pack.price * credits / pack.sessionsTotal) * 100);
+
+    if (refundCents > 0) {
+      try {
+        await getPaymentProvider().refund({ paymentIntentId: pack.paymentIntentId, amount: refundCents });
+      } catch (err) {
+        // Give the client their credits back if the money couldn't be returned
+        await SessionPack.updateOne({ _id: pack._id }, { status: 'active', creditsRemaining: credits });
+        await CreditTransaction.deleteOne({ sessionPack: pack._id, type: 'refund' });
+        throw err;
+      }
+    }
+
+    pack.set({
+      status: 'refunded',
+      creditsRemaining: 0,
+      refundAmount: refundCents / 100,
+      refundedAt: new Date()
+    });
+    await pack.save();
+    await syncPackEarnings(pack);
+
+    res.status(200).json({
+      success: true,
+      message: `${credits} unused credits refunded. $${(refundCents / 100).toFixed(2)} will be returned to the client.`,
+      data: pack
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error refunding session pack: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Apply Reschedule
+ *
+ * Records the booking's current time in its history and moves it to the
+ * new date and slot. The caller then claims a place in the new slot with
+ * saveBookingInSlot.
+ *
+ * @param {Document} booking - Booking being moved
+ * @param {Date|string} bookingDate - New session date
+ * @param {Object} slot - New time slot from the trainer's schedule
+ * @param {string} rescheduledBy - 'client' or 'trainer'
+ */
+const applyReschedule = (booking, bookingDate, slot, rescheduledBy) => {
+  booking.rescheduleHistory.push({
+    bookingDate: booking.bookingDate,
+    timeSlot: {
+      day: booking.timeSlot.day,
+      startingTime: booking.timeSlot.startingTime,
+      endingTime: booking.timeSlot.endingTime
+    },
+    startsAt: booking.startsAt,
+    rescheduledBy
+  });
+
+  booking.bookingDate = new Date(bookingDate);
+  booking.timeSlot = {
+    day: slot.day,
+    startingTime: slot.startingTime,
+    endingTime: slot.endingTime
+  };
+  Object.assign(booking, getSessionTimes(bookingDate, slot, booking.trainer?.timeZone));
+};
+
+/**
+ * Complete Paid Reschedule
+ *
+ * Called by the webhook once a client has paid the price difference for a
+ * reschedule. Moves the booking and records the extra charge. If the booking
+ * was cancelled or the slot was taken in the meantime, the payment is refunded.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Completed Stripe checkout session
+ */
+const completePaidReschedule = async (payments, session) => {
+  const { bookingId, bookingDate, timeSlotDay, timeSlotStart, timeSlotEnd, timeSlotCapacity } = session.metadata;
+  const slot = {
+    day: timeSlotDay,
+    startingTime: timeSlotStart,
+    endingTime: timeSlotEnd,
+    capacity: Number(timeSlotCapacity) || 1
+  };
+  const booking = await Booking.findById(bookingId);
+  const amount = session.amount_total / 100;
+
+  const refundPayment = async () => {
+    if (session.payment_intent) {
+      await payments.refund({ paymentIntentId: session.payment_intent });
+    }
+  };
+
+  if (!booking || booking.status === 'cancelled' || await isSlotTaken(booking.trainer._id, bookingDate, slot)) {
+    return refundPayment();
+  }
+
+  booking.extraCharges.push({
+    paymentIntentId: session.payment_intent,
+    amount,
+    reason: 'reschedule'
+  });
+  booking.ticketPrice = (Number(booking.ticketPrice) + amount).toString();
+  const previousSlotKey = booking.slotKey;
+  applyReschedule(booking, bookingDate, slot, 'client');
+
+  if (!await saveBookingInSlot(booking, slot)) {
+    return refundPayment();
+  }
+
+  await syncBookingEarnings(booking);
+  await markWaitlistBooked(booking.user._id, booking.slotKey);
+  await offerFreedSlot(previousSlotKey);
+};
+
+/**
+ * Get Refund Percent
+ *
+ * Applies the trainer's cancellation policy to decide how much of the
+ * session price is refunded.
+ *
+ * @param {Object} trainer - Trainer document with cancellation policy fields
+ * @param {Date} sessionStart - When the session begins
+ * @param {string} cancelledBy - 'client' or 'trainer'
+ * @returns {number} - Percentage of the price to refund (0-100)
+ */
+const getRefundPercent = (trainer, sessionStart, cancelledBy) => {
+  if (cancelledBy === 'trainer') return 100;
+
+  const freeHours = trainer?.freeCancellationHours ?? 24;
+  const hoursUntilSession = (sessionStart - new Date()) / (1000 * 60 * 60);
+
+  if (hoursUntilSession >= freeHours) return 100;
+  return trainer?.lateCancellationRefundPercent ?? 50;
+};
+
+// An event still "processing" after this long was abandoned mid-way (e.g.
+// the function timed out) and may be processed again
+const STALE_EVENT_MINUTES = 10;
+
+/**
+ * Retryable Event Filter
+ *
+ * @returns {Object} - Query matching events that failed or were abandoned
+ */
+const retryableEventFilter = () => ({
+  $or: [
+    { status: 'failed' },
+    { status: 'processing', updatedAt: { $lte: new Date(Date.now() - STALE_EVENT_MINUTES * 60 * 1000) } }
+  ]
+});
+
+/**
+ * Claim Stripe Event
+ *
+ * Logs a newly received event, or takes back a previously failed (or
+ * abandoned) one for another attempt. Events that were processed, or are
+ * being processed by a concurrent delivery, can't be claimed.
+ *
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Document|null>} - Event record to process, or null to skip it
+ */
+const claimStripeEvent = async (event) => {
+  try {
+    return await StripeEvent.create({ eventId: event.id, type: event.type, payload: event, attempts: 1 });
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+  }
+
+  return StripeEvent.findOneAndUpdate(
+    { eventId: event.id, ...retryableEventFilter() },
+    { status: 'processing', $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Run Stripe Event
+ *
+ * Processes a claimed event and records the outcome on its log entry.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Document} record - Claimed StripeEvent
+ * @returns {Promise<Object>} - What processing did
+ */
+const runStripeEvent = async (payments, record) => {
+  try {
+    const result = await processStripeEvent(payments, record.payload);
+
+    record.status = 'processed';
+    record.result = result;
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    return result;
+  } catch (err) {
+    record.status = 'failed';
+    record.error = err.message;
+    await record.save();
+    throw err;
+  }
+};
+
+/**
+ * Process Stripe Event
+ *
+ * Acts on a webhook event:
+ * - Completed checkouts create bookings (or finish a paid reschedule or
+ *   pack purchase). Delayed payment methods complete the checkout before
+ *   the money arrives; their bookings hold the slot as "processing" until
+ *   Stripe reports the payment succeeded or failed.
+ * - Expired checkouts free their holds
+ * - Refunds and disputes raised in Stripe are recorded on the bookings
+ * Other event types are ignored.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} - What processing did, stored on the event log
+ */
+const processStripeEvent = async (payments, event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return completeCheckout(payments, object);
+    case 'checkout.session.async_payment_succeeded':
+      return completeAsyncPayment(payments, object);
+    case 'checkout.session.async_payment_failed':
+      // The bookings were holding the slots, so those free up too
+      await releaseSlotHold(object.id);
+      return failCheckoutPayment(object, 'Payment failed');
+    case 'checkout.session.expired':
+      // Client abandoned checkout - free the slot for others (or for the
+      // rest of the client's waitlist offer)
+      await releaseSlotHold(object.id, { restoreOffers: true });
+      return { releasedHolds: true, ...await failCheckoutPayment(object, 'Checkout expired before payment') };
+    case 'charge.refunded':
+      return applyChargeRefund(object);
+    case 'charge.dispute.created':
+      return recordChargeDispute(object);
+    default:
+      return { ignored: true };
+  }
+};
+
+/**
+ * Complete Async Payment
+ *
+ * Called once a delayed payment clears. Marks the checkout's bookings as
+ * paid, or runs the whole checkout if the completed event never created
+ * them (reschedules and pack purchases always wait for the money).
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Stripe checkout session, now paid
+ * @returns {Promise<Object>} - What processing did
+ */
+const completeAsyncPayment = async (payments, session) => {
+  const bookings = await Booking.find({ stripeSessionId: session.id });
+  if (bookings.length === 0) return completeCheckout(payments, session);
+
+  const waiting = bookings.filter(booking => booking.paymentStatus === 'processing');
+  const paid = [];
+  for (const booking of waiting) {
+    // Lost its slot to another client while the payment was clearing
+    if (booking.status === 'cancelled') {
+      await refundClashingBooking(payments, session, booking);
+      continue;
+    }
+
+    booking.isPaid = true;
+    booking.paymentStatus = 'paid';
+    booking.paymentIntentId = session.payment_intent;
+    await booking.save();
+    paid.push(booking._id);
+  }
+
+  for (const booking of waiting) {
+    await syncBookingEarnings(booking);
+  }
+
+  // Confirmations wait until the payment has cleared
+  await sendBookingConfirmation(bookings).catch(err => console.error('Booking confirmation email failed:', err.message));
+
+  return { paid };
+};
+
+/**
+ * Complete Checkout
+ *
+ * Creates the bookings paid for in a checkout session, or finishes a paid
+ * reschedule or pack purchase. Safe to run more than once per session.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Completed Stripe checkout session
+ * @returns {Promise<Object>} - What processing did
+ */
+const completeCheckout = async (payments, session) => {
+  // Delayed payment methods complete the checkout before the money arrives
+  const awaitingPayment = session.payment_status === 'unpaid';
+
+  // Reschedules and packs are only applied once paid - the async payment
+  // events finish them
+  if (awaitingPayment && ['reschedule', 'package'].includes(session.metadata.purpose)) {
+    return { awaitingPayment: true };
+  }
+
+  // Payment for moving an existing booking to a more expensive slot
+  if (session.metadata.purpose === 'reschedule') {
+    await completePaidReschedule(payments, session);
+    await releaseSlotHold(session.id);
+    return { rescheduled: session.metadata.bookingId };
+  }
+
+  // Purchase of a prepaid session pack - no booking is created yet
+  if (session.metadata.purpose === 'package') {
+    return { package: true, ...await completePackagePurchase(payments, session) };
+  }
+
+  // Validate that all required booking data is present
+  if (!session.metadata.bookingDate || !session.metadata.timeSlotDay) {
+    throw new Error('Missing booking data');
+  }
+
+  const timeSlot = {
+    day: session.metadata.timeSlotDay,
+    startingTime: session.metadata.timeSlotStart,
+    endingTime: session.metadata.timeSlotEnd
+  };
+
+  // Trainers in manual approval mode vet new bookings before they're confirmed
+  const trainer = await Trainer.findById(session.metadata.trainerId);
+  const needsApproval = Boolean(trainer?.requiresBookingApproval);
+
+  // Group classes take several clients, each with their own booking
+  const slot = { ...timeSlot, capacity: Number(session.metadata.timeSlotCapacity) || 1 };
+
+  // A weekly series is paid in one checkout and split evenly across its sessions,
+  // in whole cents so they add up to the charge - the first session takes any
+  // leftover cents
+  const weeks = Number(session.metadata.seriesWeeks) || 1;
+  const sessionDates = getSeriesDates(session.metadata.bookingDate, weeks);
+  const centsPerSession = Math.floor(session.amount_total / weeks);
+  const leftoverCents = session.amount_total - centsPerSession * weeks;
+  const discount = session.metadata.promoCodeId
+    ? {
+        promoCode: session.metadata.promoCodeId,
+        code: session.metadata.promoCode,
+        amount: Number(session.metadata.discountCents) / 100
+      }
+    : undefined;
+
+  // Sessions of this checkout booked by an earlier delivery are left alone
+  const alreadyBooked = await Booking.find({ stripeSessionId: session.id });
+  const bookings = [...alreadyBooked];
+  let rejected = 0;
+
+  for (const [index, sessionDate] of sessionDates.entries()) {
+    const seriesIndex = weeks > 1 ? index + 1 : undefined;
+    if (alreadyBooked.some(booking => booking.seriesIndex === seriesIndex)) continue;
+
+    // Create the booking in the database
+    // This only happens AFTER successful payment
+    const booking = new Booking({
+      trainer: session.metadata.trainerId, // Trainer being booked
+      user: session.metadata.userId, // User who made the booking
+      ticketPrice: ((centsPerSession + (index === 0 ? leftoverCents : 0)) / 100).toString(), // Convert from cents to dollars
+      discount, // Promo code taken off each session, if any
+      bookingDate: new Date(sessionDate), // When the session is scheduled
+      timeSlot, // Time slot information
+      ...getSessionTimes(sessionDate, timeSlot, trainer?.timeZone), // Absolute start/end instants
+      // Paid bookings are approved straight away unless the trainer vets them
+      status: needsApproval ? 'pending' : 'approved',
+      approvalDeadline: needsApproval
+        ? new Date(Date.now() + trainer.approvalExpiryHours * 60 * 60 * 1000)
+        : undefined,
+      // Delayed payments hold the slot while the money clears
+      isPaid: !awaitingPayment,
+      paymentStatus: awaitingPayment ? 'processing' : 'paid',
+      stripeSessionId: session.id, // One booking per session (and week) of a checkout
+      paymentIntentId: session.payment_intent, // Needed to refund the client later
+      // Sessions of a weekly series are linked so they can be cancelled together
+      seriesId: weeks > 1 ? session.id : undefined,
+      seriesIndex,
+      seriesTotal: weeks > 1 ? weeks : undefined
+    });
+
+    // Claims a place in the slot - the unique seat keys stop other clients
+    // who paid while this checkout was open from overfilling it
+    let saved;
+    try {
+      saved = await saveBookingInSlot(booking, slot);
+    } catch (err) {
+      // A concurrent delivery of the same checkout saved this session first
+      if (isDuplicateKeyError(err) && err.keyPattern?.stripeSessionId) continue;
+      throw err;
+    }
+
+    if (saved) {
+      // A client booking a slot they were waitlisted for leaves the waitlist
+      await markWaitlistBooked(booking.user, booking.slotKey);
+    } else {
+      await rejectClashingBooking(payments, session, booking);
+      rejected++;
+    }
+    bookings.push(booking);
+  }
+
+  // The bookings now occupy the slots, so the holds are no longer needed
+  await releaseSlotHold(session.id);
+
+  // A checkout counts as one use of its promo code, however many sessions it booked
+  if (discount && alreadyBooked.length === 0 && bookings.length > 0) {
+    await recordPromoCodeUse(discount.promoCode);
+  }
+
+  // Also catches up bookings whose earlier delivery failed before this point
+  for (const booking of bookings) {
+    await syncBookingEarnings(booking);
+  }
+
+  // A failed email mustn't fail the webhook - the scheduled job retries it
+  await sendBookingConfirmation(bookings).catch(err => console.error('Booking confirmation email failed:', err.message));
+
+  return { bookings: bookings.map(booking => booking._id), rejected };
+};
+
+/**
+ * Reject Clashing Booking
+ *
+ * Called when a payment completes for a slot that is already booked.
+ * Refunds the client's payment for this session through Stripe (the whole
+ * payment for a single booking, or this session's share of a weekly series)
+ * and stores the booking as cancelled (without a slot key) so the clash is
+ * visible to the trainer instead of silently creating an overlapping session.
+ * A delayed payment that hasn't cleared yet is refunded once it does.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Completed Stripe checkout session
+ * @param {Document} booking - Unsaved booking for the losing payment
+ */
+const rejectClashingBooking = async (payments, session, booking) => {
+  booking.slotKey = undefined;
+  booking.status = 'cancelled';
+
+  if (booking.paymentStatus === 'processing') {
+    booking.cancellationReason = 'Time slot was already booked - payment will be refunded';
+    await booking.save();
+    return;
+  }
+
+  await refundClashingBooking(payments, session, booking);
+};
+
+/**
+ * Refund Clashing Booking
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Paid Stripe checkout session
+ * @param {Document} booking - Booking that lost its slot
+ */
+const refundClashingBooking = async (payments, session, booking) => {
+  if (session.payment_intent) {
+    await payments.refund({
+      paymentIntentId: session.payment_intent,
+      amount: Math.round(Number(booking.ticketPrice) * 100)
+    });
+  }
+
+  booking.refundAmount = Number(booking.ticketPrice);
+  booking.isPaid = false;
+  booking.paymentStatus = 'refunded';
+  booking.cancellationReason = 'Time slot was already booked - payment refunded';
+
+  await booking.save();
+};
+
+/**
+ * Book With Credits
+ *
+ * Books every session date using one prepaid credit each, skipping Stripe.
+ * All-or-nothing: if any session can't be booked, the bookings already
+ * made are removed and their credits returned.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} params - Booking details
+ * @param {Document} params.trainer - Trainer being booked
+ * @param {Document} params.user - Client booking the sessions
+ * @param {Object} params.slot - Time slot from the trainer's schedule
+ * @param {Array<string>} params.sessionDates - Dates to book (YYYY-MM-DD)
+ */
+const bookWithCredits = async (res, { trainer, user, slot, sessionDates }) => {
+  for (const date of sessionDates) {
+    if (await isSlotFull(trainer._id, date, slot, user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "Another client is currently booking this time slot. Please choose another one or try again later."
+      });
+    }
+  }
+
+  const needsApproval = Boolean(trainer.requiresBookingApproval);
+  const weeks = sessionDates.length;
+  // Credit series have no checkout session, so they get their own ID
+  const seriesId = weeks > 1 ? new mongoose.Types.ObjectId().toString() : undefined;
+  const redeemed = [];
+
+  // Remove anything booked so far and give the credits back
+  const undo = async () => {
+    for (const booking of redeemed) {
+      if (!booking.isNew) await booking.deleteOne();
+      await returnCredit(booking, 'Booking could not be completed');
+    }
+  };
+
+  try {
+    for (const [index, sessionDate] of sessionDates.entries()) {
       const booking = new Booking({
-        trainer: session.metadata.trainerId, // Trainer being booked
-        user: session.metadata.userId, // User who made the booking
-        ticketPrice: (session.amount_total / 100).toString(), // Convert from cents to dollars
-        bookingDate: new Date(session.metadata.bookingDate), // When the session is scheduled
-        
-        // Time slot information
+        trainer: trainer._id,
+        user: user._id,
+        bookingDate: new Date(sessionDate),
         timeSlot: {
-          day: session.metadata.timeSlotDay,
-          startingTime: session.metadata.timeSlotStart,
-          endingTime: session.metadata.timeSlotEnd
+          day: slot.day,
+          startingTime: slot.startingTime,
+          endingTime: slot.endingTime
         },
-        
-        status: 'approved', // Automatically approve paid bookings
-        isPaid: true, // Mark as paid since payment was successful
-        sessionId: session.id // Store Stripe session ID for reference
+        ...getSessionTimes(sessionDate, slot, trainer.timeZone),
+        status: needsApproval ? 'pending' : 'approved',
+        approvalDeadline: needsApproval
+          ? new Date(Date.now() + trainer.approvalExpiryHours * 60 * 60 * 1000)
+          : undefined,
+        isPaid: true,
+        seriesId,
+        seriesIndex: seriesId ? index + 1 : undefined,
+        seriesTotal: seriesId ? weeks : undefined
       });
 
-      // Save the booking to the database
-      await booking.save();
+      const pack = await redeemCredit({ userId: user._id, trainerId: trainer._id, bookingId: booking._id });
+
+      // Another booking spent the last credit in the meantime
+      if (!pack) {
+        await undo();
+        return res.status(409).json({ success: false, message: "You don't have enough session credits left" });
+      }
+
+      booking.sessionPack = pack._id;
+      booking.ticketPrice = getCreditValue(pack).toString();
+      redeemed.push(booking);
+
+      // Another client took the last place since the check above
+      if (!await saveBookingInSlot(booking, slot)) {
+        await undo();
+        return res.status(409).json({
+          success: false,
+          message: "This time slot has already been booked. Please choose another one."
+        });
+      }
+
+      await markWaitlistBooked(user._id, booking.slotKey);
     }
+  } catch (err) {
+    await undo();
+    throw err;
+  }
 
-    // Acknowledge receipt of the webhook
-    res.json({ received: true });
+  await sendBookingConfirmation(redeemed).catch(err => console.error('Booking confirmation email failed:', err.message));
+
+  res.status(200).json({
+    success: true,
+    message: weeks > 1
+      ? `${weeks} sessions booked with your session credits`
+      : "Session booked with a session credit",
+    data: redeemed
+  });
+};
+
+/**
+ * Book To Pay At Session
+ *
+ * Books every session date without taking payment. The bookings are
+ * pending until the trainer approves them (or marks them paid) and are
+ * expired like any other pending booking if the trainer never responds.
+ * All-or-nothing: if any session can't be booked, the ones already made
+ * are removed.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} params - Booking details
+ * @param {Document} params.trainer - Trainer being booked
+ * @param {Document} params.user - Client booking the sessions
+ * @param {Object} params.slot - Time slot from the trainer's schedule
+ * @param {Array<string>} params.sessionDates - Dates to book (YYYY-MM-DD)
+ * @param {Object} [params.promo] - Validated promo code ({ promoCode, discountCents })
+ */
+const bookToPayAtSession = async (res, { trainer, user, slot, sessionDates, promo }) => {
+  for (const date of sessionDates) {
+    if (await isSlotFull(trainer._id, date, slot, user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "Another client is currently booking this time slot. Please choose another one or try again later."
+      });
+    }
+  }
+
+  const weeks = sessionDates.length;
+  // No checkout session to share, so a series gets its own ID
+  const seriesId = weeks > 1 ? new mongoose.Types.ObjectId().toString() : undefined;
+  const booked = [];
+  const discountCents = promo?.discountCents || 0;
+  const ticketPrice = ((Math.round(getSlotPrice(trainer, slot) * 100) - discountCents) / 100).toString();
+  const discount = promo
+    ? { promoCode: promo.promoCode._id, code: promo.promoCode.code, amount: discountCents / 100 }
+    : undefined;
+
+  const undo = () => Promise.all(booked.map(booking => booking.deleteOne()));
+
+  try {
+    for (const [index, sessionDate] of sessionDates.entries()) {
+      const booking = new Booking({
+        trainer: trainer._id,
+        user: user._id,
+        ticketPrice,
+        discount,
+        bookingDate: new Date(sessionDate),
+        timeSlot: {
+          day: slot.day,
+          startingTime: slot.startingTime,
+          endingTime: slot.endingTime
+        },
+        ...getSessionTimes(sessionDate, slot, trainer.timeZone),
+        status: 'pending',
+        approvalDeadline: new Date(Date.now() + trainer.approvalExpiryHours * 60 * 60 * 1000),
+        isPaid: false,
+        paymentStatus: 'unpaid',
+        seriesId,
+        seriesIndex: seriesId ? index + 1 : undefined,
+        seriesTotal: seriesId ? weeks : undefined
+      });
+
+      // Another client took the last place since the check above
+      if (!await saveBookingInSlot(booking, slot)) {
+        await undo();
+        return res.status(409).json({
+          success: false,
+          message: "This time slot has already been booked. Please choose another one."
+        });
+      }
+
+      booked.push(booking);
+      await markWaitlistBooked(user._id, booking.slotKey);
+    }
   } catch (err) {
-    // Handle any errors during webhook processing
-    res.status(500).json({ error: err.message });
+    await undo();
+    throw err;
+  }
+
+  if (discount) await recordPromoCodeUse(discount.promoCode);
+
+  await sendBookingConfirmation(booked).catch(err => console.error('Booking confirmation email failed:', err.message));
+
+  res.status(200).json({
+    success: true,
+    message: weeks > 1
+      ? `${weeks} sessions requested - pay ${trainer.name} at each session`
+      : `Session requested - pay ${trainer.name} at the session`,
+    data: booked
+  });
+};
+
+/**
+ * Complete Package Purchase
+ *
+ * Creates the client's session pack once Stripe confirms payment and
+ * records the purchased credits in the ledger. Webhook retries for the
+ * same checkout session finish whatever an earlier delivery left undone
+ * without creating anything twice. If the trainer removed the package
+ * while the client was paying, the payment is refunded instead.
+ *
+ * @param {Object} payments - Payment provider
+ * @param {Object} session - Completed Stripe checkout session with purpose 'package'
+ * @returns {Promise<Object>} - { refunded: true } if the package no longer exists
+ */
+const completePackagePurchase = async (payments, session) => {
+  let pack = await SessionPack.findOne({ stripeSessionId: session.id });
+
+  if (!pack) {
+    const trainer = await Trainer.findById(session.metadata.trainerId);
+    const sessionPackage = trainer?.sessionPackages.id(session.metadata.packageId);
+
+    if (!sessionPackage) {
+      if (session.payment_intent) {
+        await payments.refund({ paymentIntentId: session.payment_intent });
+      }
+      return { refunded: true };
+    }
+
+    try {
+      pack = await SessionPack.create({
+        user: session.metadata.userId,
+        trainer: trainer._id,
+        name: sessionPackage.name,
+        sessionsTotal: sessionPackage.sessions,
+        creditsRemaining: sessionPackage.sessions,
+        price: session.amount_total / 100, // Convert from cents to dollars
+        expiresAt: new Date(Date.now() + sessionPackage.validityDays * 24 * 60 * 60 * 1000),
+        stripeSessionId: session.id,
+        paymentIntentId: session.payment_intent
+      });
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+      // A concurrent retry of the same webhook created the pack first
+      pack = await SessionPack.findOne({ stripeSessionId: session.id });
+    }
   }
+
+  // Packs bought before the ledger entry was keyed on the checkout session
+  // are matched by their pack
+  if (!await CreditTransaction.exists({ sessionPack: pack._id, type: 'purchase' })) {
+    try {
+      await CreditTransaction.create({
+        user: pack.user,
+        trainer: pack.trainer,
+        sessionPack: pack._id,
+        type: 'purchase',
+        credits: pack.sessionsTotal,
+        note: pack.name,
+        stripeSessionId: session.id
+      });
+    } catch (err) {
+      // A concurrent retry recorded the purchase first
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+  }
+
+  await syncPackEarnings(pack);
+  return {};
 };
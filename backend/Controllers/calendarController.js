@@ -0,0 +1,201 @@
+/**
+ * Calendar Controller
+ *
+ * Handles the private iCalendar (.ics) feeds that let trainers and clients
+ * see their sessions in their phone or desktop calendar apps:
+ * - Serving a feed by its secret token (no login - calendar apps can't sign in)
+ * - Getting the logged-in user's feed URL, creating the token on first use
+ * - Regenerating the token, which stops the old URL from working
+ *
+ * Trainers get every client session (the bookings on their dashboard), clients
+ * get their own sessions with the trainer's name (the bookings on My Bookings).
+ * Cancelled sessions stay in the feed with a cancelled status so calendar
+ * apps remove or strike them through instead of leaving a stale event.
+ */
+
+import Trainer from '../models/TrainerSchema.js';
+import User from '../models/UserSchema.js';
+import BookingSchema from '../models/BookingSchema.js';
+import { buildBookingsCalendar, generateCalendarToken } from '../utils/icalendar.js';
+
+/**
+ * Find Account by ID
+ *
+ * @param {string} userId - Logged-in user's ID
+ * @returns {Promise<Document|null>} - Trainer or client with the calendar token selected
+ */
+const findAccount = async (userId) => {
+  const trainer = await Trainer.findById(userId).select('+calendarToken');
+  return trainer || User.findById(userId).select('+calendarToken');
+};
+
+/**
+ * Build Feed URL
+ *
+ * @param {Object} req - Express request object
+ * @param {string} token - Calendar token
+ * @returns {string} - Absolute URL calendar apps can subscribe to
+ */
+const buildFeedUrl = (req, token) => {
+  // Behind the hosting proxy the original protocol is only in the forwarded header
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  return `${protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+};
+
+/**
+ * Describe a Trainer's Session
+ *
+ * @param {Object} booking - Booking with the client populated
+ * @returns {{summary: string, description: string}}
+ */
+const describeForTrainer = (booking) => {
+  const clientName = booking.user?.name || 'Client';
+  const details = [`Client: ${clientName}`];
+  if (booking.user?.email) details.push(`Email: ${booking.user.email}`);
+  if (booking.seriesTotal > 1) details.push(`Week ${booking.seriesIndex} of ${booking.seriesTotal}`);
+  if (booking.status === 'cancelled' && booking.cancellationReason) details.push(`Cancelled: ${booking.cancellationReason}`);
+
+  return { summary: `Session with ${clientName}`, description: details.join('\n') };
+};
+
+/**
+ * Describe a Client's Session
+ *
+ * @param {Object} booking - Booking with the trainer populated
+ * @returns {{summary: string, description: string}}
+ */
+const describeForClient = (booking) => {
+  const trainerName = booking.trainer?.name || 'your trainer';
+  const details = [`Trainer: ${trainerName}`];
+  if (booking.trainer?.specialization) details.push(`Specialization: ${booking.trainer.specialization}`);
+  if (booking.seriesTotal > 1) details.push(`Week ${booking.seriesIndex} of ${booking.seriesTotal}`);
+  if (booking.status === 'pending') details.push('Waiting for the trainer to confirm');
+  if (booking.status === 'cancelled' && booking.cancellationReason) details.push(`Cancelled: ${booking.cancellationReason}`);
+
+  return { summary: `Training with ${trainerName}`, description: details.join('\n') };
+};
+
+/**
+ * Get Calendar Feed
+ *
+ * Serves the .ics feed for the account owning the token. The token is the
+ * only credential, so unknown tokens get a plain 404.
+ *
+ * @param {Object} req - Express request object (calendar token in params)
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeed = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    // Tokens are fixed-length hex, anything else can't match an account
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).json({ success: false, message: "Calendar not found" });
+    }
+
+    const trainer = await Trainer.findOne({ calendarToken: token });
+    const client = trainer ? null : await User.findOne({ calendarToken: token });
+
+    if (!trainer && !client) {
+      return res.status(404).json({ success: false, message: "Calendar not found" });
+    }
+
+    let calendar;
+
+    if (trainer) {
+      // Same bookings as the trainer dashboard (getTrainerProfile)
+      const bookings = await BookingSchema.find({ trainer: trainer._id })
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 });
+
+      calendar = buildBookingsCalendar({
+        name: `${trainer.name} - Client sessions`,
+        bookings,
+        describe: describeForTrainer
+      });
+    } else {
+      // Same bookings as My Bookings (getMyBookings)
+      const bookings = await BookingSchema.find({ user: client._id }).sort({ bookingDate: -1 });
+
+      calendar = buildBookingsCalendar({
+        name: 'My training sessions',
+        bookings,
+        describe: describeForClient
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="sessions.ics"');
+    // Feeds are private to the token holder, so shared caches must not keep them
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(calendar);
+
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to build calendar" });
+  }
+};
+
+/**
+ * Get My Calendar Feed URL
+ *
+ * Returns the logged-in user's feed URL, creating their token the first
+ * time it is asked for.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyCalendarFeed = async (req, res) => {
+  try {
+    const account = await findAccount(req.userId);
+
+    if (!account) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (!account.calendarToken) {
+      account.calendarToken = generateCalendarToken();
+      await account.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar feed found",
+      data: { url: buildFeedUrl(req, account.calendarToken) }
+    });
+
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to get calendar feed" });
+  }
+};
+
+/**
+ * Regenerate Calendar Token
+ *
+ * Replaces the logged-in user's token, e.g. after the feed URL was shared
+ * by mistake. Calendars subscribed to the old URL stop updating.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const regenerateCalendarToken = async (req, res) => {
+  try {
+    const account = await findAccount(req.userId);
+
+    if (!account) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const token = generateCalendarToken();
+    account.calendarToken = token;
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar link regenerated",
+      data: { url: buildFeedUrl(req, token) }
+    });
+
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to regenerate calendar link" });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Cron Controller
+ * 
+ * Handles requests from the scheduler (Vercel Cron in production) that
+ * trigger the background jobs in the jobs/ folder.
+ * 
+ * Requests must carry the CRON_SECRET as a bearer token, which Vercel adds
+ * automatically when the CRON_SECRET environment variable is set.
+ */
+
+import { runScheduledJobs } from '../jobs/index.js'
+
+/**
+ * Run Scheduled Jobs
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const runJobs = async (req, res) => {
+  // Reject anyone but the scheduler
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, message: "Not authorized" });
+  }
+
+  try {
+    const results = await runScheduledJobs();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled jobs completed",
+      data: results
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error running scheduled jobs: ${err.message}`
+    });
+  }
+};
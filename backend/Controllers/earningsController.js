@@ -0,0 +1,113 @@
+/**
+ * Earnings Controller
+ *
+ * Shows trainers what they've earned:
+ * - Monthly payout periods with their sales, refunds, the platform's
+ *   commission and the trainer's net earnings
+ * - A PDF statement of each period's ledger entries
+ *
+ * Admins set the commission of individual trainers; everyone else pays the
+ * platform-wide rate. The ledger itself is kept up to date as payments
+ * happen - see utils/earnings.js.
+ */
+
+import EarningTransaction from '../models/EarningTransactionSchema.js';
+import Trainer from '../models/TrainerSchema.js';
+import {
+  getEarningsSummary,
+  getCommissionPercent,
+  getPlatformCommissionPercent,
+  buildEarningsStatementPdf
+} from '../utils/earnings.js';
+
+/**
+ * Get My Earnings
+ *
+ * @param {Object} req - Express request object (trainer ID from auth)
+ * @param {Object} res - Express response object
+ */
+export const getMyEarnings = async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.userId).select('commissionPercent');
+
+    res.status(200).json({
+      success: true,
+      message: "Earnings retrieved successfully",
+      data: {
+        commissionPercent: getCommissionPercent(trainer),
+        periods: await getEarningsSummary(req.userId)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error fetching earnings: ${err.message}` });
+  }
+};
+
+/**
+ * Download Earnings Statement
+ *
+ * @param {Object} req - Express request object (payout period, e.g. "2025-03", in params)
+ * @param {Object} res - Express response object
+ */
+export const downloadEarningsStatement = async (req, res) => {
+  const { period } = req.params;
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+    return res.status(400).json({ success: false, message: "Statements are per month, e.g. 2025-03" });
+  }
+
+  try {
+    const trainer = await Trainer.findById(req.userId).select('name email timeZone');
+    const entries = await EarningTransaction.find({ trainer: req.userId, payoutPeriod: period }).sort({ occurredAt: 1 });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="earnings-${period}.pdf"`
+    });
+    res.send(buildEarningsStatementPdf(trainer, period, entries));
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error creating statement: ${err.message}` });
+  }
+};
+
+/**
+ * Set Trainer Commission
+ *
+ * Gives a trainer their own commission rate, or puts them back on the
+ * platform-wide rate when commissionPercent is empty. Only future sales
+ * use the new rate.
+ *
+ * @param {Object} req - Express request object (trainer ID in params, commissionPercent in body)
+ * @param {Object} res - Express response object
+ */
+export const setTrainerCommission = async (req, res) => {
+  const { commissionPercent } = req.body;
+  const isReset = commissionPercent === null || commissionPercent === undefined || commissionPercent === '';
+  const percent = Number(commissionPercent);
+
+  if (!isReset && !(percent >= 0 && percent <= 100)) {
+    return res.status(400).json({ success: false, message: "Commission must be between 0 and 100 percent" });
+  }
+
+  try {
+    const trainer = await Trainer.findByIdAndUpdate(
+      req.params.trainerId,
+      isReset ? { $unset: { commissionPercent: 1 } } : { $set: { commissionPercent: percent } },
+      { new: true }
+    ).select('name commissionPercent');
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isReset
+        ? `${trainer.name} now pays the platform commission of ${getPlatformCommissionPercent()}%`
+        : `${trainer.name}'s commission set to ${percent}%`,
+      data: { trainer: trainer._id, commissionPercent: getCommissionPercent(trainer) }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error setting commission: ${err.message}` });
+  }
+};
@@ -0,0 +1,138 @@
+/**
+ * Fake Payment Controller
+ *
+ * Serves the hosted pay page of the fake payment provider, which stands in
+ * for Stripe Checkout when running offline. The page shows what is being
+ * paid for and lets the tester pay by card, by a bank debit that clears
+ * later, or by a bank debit that bounces - or cancel and go back.
+ *
+ * Both endpoints answer 404 unless the fake provider is the one in use.
+ */
+
+import { getPaymentProvider } from '../utils/paymentProvider.js';
+import { findFakeCheckout, payFakeCheckout, BANK_DEBIT_CLEAR_SECONDS } from '../utils/fakePaymentProvider.js';
+
+/**
+ * Escape HTML
+ *
+ * @param {*} value - Text to show on the page
+ * @returns {string} - Text safe to put in HTML
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+/**
+ * Render Page
+ *
+ * @param {string} title - Page heading
+ * @param {string} content - HTML below the heading
+ * @returns {string} - Complete HTML page
+ */
+const renderPage = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Fake Payments</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f3f4f6; color: #111827; margin: 0; padding: 40px 16px; }
+    main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 24px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+    .badge { display: inline-block; font-size: 12px; background: #fef3c7; color: #92400e; padding: 2px 8px; border-radius: 4px; }
+    .amount { font-size: 32px; font-weight: 700; margin: 8px 0; }
+    .muted { color: #6b7280; font-size: 14px; }
+    button { display: block; width: 100%; padding: 10px; margin-top: 10px; border: 0; border-radius: 6px; font-size: 15px; cursor: pointer; color: #fff; background: #0067ff; }
+    button.secondary { background: #6b7280; }
+    button.danger { background: #dc2626; }
+    a { color: #0067ff; }
+  </style>
+</head>
+<body>
+  <main>
+    <span class="badge">Test mode - no real money moves</span>
+    <h1>${escapeHtml(title)}</h1>
+    ${content}
+  </main>
+</body>
+</html>`;
+
+/**
+ * Ensure Fake Provider
+ *
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if the fake provider is in use; otherwise a 404 was sent
+ */
+const ensureFakeProvider = (res) => {
+  if (getPaymentProvider().name === 'fake') return true;
+
+  res.status(404).json({ success: false, message: "Fake payments are not enabled" });
+  return false;
+};
+
+/**
+ * Show Fake Checkout
+ *
+ * The hosted pay page a checkout's URL points at.
+ *
+ * @param {Object} req - Express request object (sessionId in params)
+ * @param {Object} res - Express response object
+ */
+export const showFakeCheckout = async (req, res) => {
+  if (!ensureFakeProvider(res)) return;
+
+  try {
+    const payment = await findFakeCheckout(req.params.sessionId);
+
+    if (!payment) {
+      return res.status(404).send(renderPage('Checkout not found', '<p class="muted">This payment link is not valid.</p>'));
+    }
+
+    if (payment.status !== 'open' || payment.expiresAt <= new Date()) {
+      return res.status(410).send(renderPage(
+        'Checkout closed',
+        `<p class="muted">This checkout has ${payment.status === 'open' ? 'expired' : 'already been paid'}.</p>
+        <p><a href="${escapeHtml(payment.cancelUrl)}">Go back</a></p>`
+      ));
+    }
+
+    const amount = (payment.amountTotal / 100).toFixed(2);
+
+    res.send(renderPage(payment.name || 'Payment', `
+      <p class="muted">${escapeHtml(payment.description)}</p>
+      <p class="amount">$${amount} <span class="muted">${escapeHtml(payment.currency.toUpperCase())}</span></p>
+      <p class="muted">Paying as ${escapeHtml(payment.customerEmail)}. Expires ${escapeHtml(payment.expiresAt.toISOString())}.</p>
+      <form method="post">
+        <button name="method" value="card">Pay by card</button>
+        <button name="method" value="bank_debit" class="secondary">Bank debit (clears in ${BANK_DEBIT_CLEAR_SECONDS}s)</button>
+        <button name="method" value="bank_debit_fails" class="danger">Bank debit (bounces in ${BANK_DEBIT_CLEAR_SECONDS}s)</button>
+      </form>
+      <p><a href="${escapeHtml(payment.cancelUrl)}">Cancel and go back</a></p>
+    `));
+  } catch (err) {
+    res.status(500).send(renderPage('Something went wrong', `<p class="muted">${escapeHtml(err.message)}</p>`));
+  }
+};
+
+/**
+ * Pay Fake Checkout
+ *
+ * Handles the pay page's form: settles the checkout as chosen, which sends
+ * the signed webhook events, then redirects to the checkout's success URL.
+ *
+ * @param {Object} req - Express request object (sessionId in params, method in the form body)
+ * @param {Object} res - Express response object
+ */
+export const submitFakeCheckout = async (req, res) => {
+  if (!ensureFakeProvider(res)) return;
+
+  try {
+    const redirectUrl = await payFakeCheckout(req.params.sessionId, req.body.method);
+    res.redirect(303, redirectUrl);
+  } catch (err) {
+    res.status(400).send(renderPage('Payment not taken', `<p class="muted">${escapeHtml(err.message)}</p>`));
+  }
+};
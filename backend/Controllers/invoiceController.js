@@ -0,0 +1,56 @@
+/**
+ * Invoice Controller
+ *
+ * Serves the PDF invoice of a paid booking to the client who booked, the
+ * trainer being booked or an admin. The booking's invoice (and its number)
+ * is issued the first time it's downloaded - see utils/invoices.js.
+ */
+
+import Booking from '../models/BookingSchema.js';
+import { canInvoice, issueInvoice, buildInvoicePdf, formatInvoiceNumber } from '../utils/invoices.js';
+
+/**
+ * Download Invoice
+ *
+ * @param {Object} req - Express request object (booking ID in params)
+ * @param {Object} res - Express response object
+ */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    const isClient = booking.user?._id.toString() === req.userId;
+    const isTrainer = booking.trainer?._id.toString() === req.userId;
+
+    if (!isClient && !isTrainer && req.role !== 'admin') {
+      return res.status(403).json({ success: false, message: "You can't view this invoice" });
+    }
+
+    if (!canInvoice(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: booking.sessionPack
+          ? "Sessions paid with a credit are covered by the session pack's payment"
+          : "An invoice is available once the booking has been paid"
+      });
+    }
+
+    const { invoice, error } = await issueInvoice(booking);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${formatInvoiceNumber(invoice.number)}.pdf"`
+    });
+    res.send(buildInvoicePdf(invoice, booking));
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error creating invoice: ${err.message}` });
+  }
+};
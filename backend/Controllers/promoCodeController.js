@@ -0,0 +1,212 @@
+/**
+ * Promo Code Controller
+ *
+ * Handles discount codes clients enter at checkout:
+ * - Listing codes (trainers see their own, admins see all)
+ * - Creating codes (trainers for their own sessions, admins for any
+ *   trainer or platform-wide)
+ * - Updating codes, e.g. deactivating them
+ * - Checking a code for a session before checkout, so the client sees the
+ *   discounted price
+ *
+ * The discount itself is applied when the checkout is created - see
+ * getCheckoutSession in bookingController.js and utils/promoCodes.js.
+ */
+
+import PromoCode from '../models/PromoCodeSchema.js';
+import Trainer from '../models/TrainerSchema.js';
+import { findTrainerSlot, getSlotPrice } from '../utils/bookingSlots.js';
+import { validatePromoCode, describeDiscount, normaliseCode } from '../utils/promoCodes.js';
+
+// Fields a trainer or admin may set on a code
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'amount',
+  'expiresAt',
+  'maxUses',
+  'maxUsesPerClient',
+  'firstBookingOnly',
+  'active'
+];
+
+/**
+ * Pick Code Fields
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - Editable fields present in the body (empty values unset limits)
+ */
+const pickCodeFields = (body) => {
+  const fields = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    fields[field] = body[field] === '' ? null : body[field];
+  }
+
+  return fields;
+};
+
+/**
+ * Check Discount
+ *
+ * @param {Object} code - Code being saved
+ * @returns {string|null} - Error message, or null if the discount is sensible
+ */
+const checkDiscount = (code) => {
+  if (code.discountType === 'percent' && code.amount > 100) {
+    return "A percentage discount can't be more than 100%";
+  }
+  return null;
+};
+
+/**
+ * Get Promo Codes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPromoCodes = async (req, res) => {
+  try {
+    const filter = req.role === 'admin' ? {} : { trainer: req.userId };
+    const promoCodes = await PromoCode.find(filter)
+      .populate('trainer', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, message: "Promo codes found", data: promoCodes });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error fetching promo codes: ${err.message}` });
+  }
+};
+
+/**
+ * Create Promo Code
+ *
+ * Trainers' codes are always for their own sessions. Admins may pass a
+ * trainer, or leave it out for a platform-wide code.
+ *
+ * @param {Object} req - Express request object (code details in body)
+ * @param {Object} res - Express response object
+ */
+export const createPromoCode = async (req, res) => {
+  try {
+    const promoCode = new PromoCode({
+      ...pickCodeFields(req.body),
+      code: normaliseCode(req.body.code),
+      trainer: req.role === 'admin' ? req.body.trainer || undefined : req.userId
+    });
+
+    const discountError = checkDiscount(promoCode);
+    if (discountError) {
+      return res.status(400).json({ success: false, message: discountError });
+    }
+
+    if (promoCode.trainer && !await Trainer.exists({ _id: promoCode.trainer })) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    await promoCode.save();
+
+    res.status(201).json({ success: true, message: "Promo code created", data: promoCode });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, message: "This code is already in use" });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Codes are 3-30 letters, numbers, dashes or underscores, with a discount type and amount"
+      });
+    }
+    res.status(500).json({ success: false, message: `Error creating promo code: ${err.message}` });
+  }
+};
+
+/**
+ * Update Promo Code
+ *
+ * The code itself and who it's for can't change once clients may have
+ * used it; create a new code instead.
+ *
+ * @param {Object} req - Express request object (promo code ID in params, fields in body)
+ * @param {Object} res - Express response object
+ */
+export const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({ success: false, message: "Promo code not found" });
+    }
+
+    if (req.role !== 'admin' && promoCode.trainer?.toString() !== req.userId) {
+      return res.status(403).json({ success: false, message: "You can't change this promo code" });
+    }
+
+    promoCode.set(pickCodeFields(req.body));
+
+    const discountError = checkDiscount(promoCode);
+    if (discountError) {
+      return res.status(400).json({ success: false, message: discountError });
+    }
+
+    await promoCode.save();
+
+    res.status(200).json({ success: true, message: "Promo code updated", data: promoCode });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: `Error updating promo code: ${err.message}` });
+  }
+};
+
+/**
+ * Validate Promo Code
+ *
+ * Checks a code for one of a trainer's slots and returns the price the
+ * client would pay per session. The code is checked again at checkout.
+ *
+ * @param {Object} req - Express request object (code, trainerId, bookingDate and timeSlot in body)
+ * @param {Object} res - Express response object
+ */
+export const checkPromoCode = async (req, res) => {
+  try {
+    const { code, trainerId, bookingDate, timeSlot } = req.body;
+
+    if (!code || !trainerId || !bookingDate || !timeSlot) {
+      return res.status(400).json({ success: false, message: "Code, trainer, booking date and time slot are required" });
+    }
+
+    const trainer = await Trainer.findById(trainerId);
+    const slot = trainer && findTrainerSlot(trainer, bookingDate, timeSlot);
+
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: "The trainer is not available at this time on the selected date"
+      });
+    }
+
+    const priceCents = Math.round(getSlotPrice(trainer, slot) * 100);
+    const promo = await validatePromoCode({ code, trainerId: trainer._id, userId: req.userId, priceCents });
+
+    if (promo.error) {
+      return res.status(400).json({ success: false, message: promo.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${promo.promoCode.code} applied - ${describeDiscount(promo.promoCode)}`,
+      data: {
+        code: promo.promoCode.code,
+        description: describeDiscount(promo.promoCode),
+        // Dollars, per session
+        discount: promo.discountCents / 100,
+        price: (priceCents - promo.discountCents) / 100
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error checking promo code: ${err.message}` });
+  }
+};
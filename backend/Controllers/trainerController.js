@@ -5,6 +5,9 @@
  * - CRUD operations for trainer profiles
  * - Fetching trainer data with associated bookings
  * - Managing trainer search and filtering
+ * - Importing busy times from the trainer's external calendar
+ * - Reporting what clients still owe for sessions paid in person
+ * - Checking the ABN trainers print on their clients' invoices
  * 
  * This controller manages both public trainer data (for clients browsing)
  * and private trainer data (for trainer dashboard).
@@ -12,12 +15,83 @@
 
 import BookingSchema from "../models/BookingSchema.js";
 import Trainer from "../models/TrainerSchema.js";
+import SessionPack from "../models/SessionPackSchema.js";
+import BusyBlock from "../models/BusyBlockSchema.js";
+import { isValidTimeZone } from "../utils/timeZones.js";
+import {
+  buildSlotKey,
+  countTakenSeats,
+  getSlotStatus,
+  getSessionTimes,
+  getSlotCapacity,
+  getSlotsForDate,
+  MAX_AVAILABILITY_DAYS,
+  toDateKey,
+} from "../utils/bookingSlots.js";
+import {
+  BUSY_IMPORT_DAYS,
+  fetchCalendar,
+  findBusyBlocks,
+  importBusyBlocks,
+  overlapsBusyBlock,
+  syncCalendarImport,
+} from "../utils/busyTimes.js";
+import { getOutstandingBalances } from "../utils/outstandingBalances.js";
+import { getAttendanceStats } from "../utils/attendance.js";
+import { isValidAbn, normaliseAbn } from "../utils/invoices.js";
+
+// Profile fields a trainer can change themselves. Everything else (password,
+// role, commission, ratings, calendar feed and check-in secrets...) is set
+// through its own endpoint or by the system.
+const UPDATABLE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "photo",
+  "ticketPrice",
+  "specialization",
+  "qualifications",
+  "experiences",
+  "bio",
+  "about",
+  "timeSlots",
+  "availabilityWindows",
+  "timeZone",
+  "availabilityExceptions",
+  "freeCancellationHours",
+  "lateCancellationRefundPercent",
+  "noShowRefundPercent",
+  "requiresBookingApproval",
+  "approvalExpiryHours",
+  "allowPayAtSession",
+  "abn",
+  "gstRegistered",
+  "sessionPackages",
+];
+
+/**
+ * Check Number Field
+ *
+ * @param {*} value - Value from the request body, undefined if not sent
+ * @param {number} min - Lowest allowed value
+ * @param {number} [max] - Highest allowed value
+ * @returns {boolean} - True if the field was left out or is a number in range
+ */
+const isNumberInRange = (value, min, max = Infinity) => {
+  if (value === undefined) return true;
+  const number = Number(value);
+  return value !== null && value !== "" && number >= min && number <= max;
+};
 
 /**
  * Update Trainer Profile
  * 
  * Allows trainers to update their profile information including
  * qualifications, experiences, time slots, and personal details.
+ * The time zone the slots are written in must be a known IANA zone.
+ * Only the fields in UPDATABLE_FIELDS are saved, and the schema's
+ * validators (e.g. refund percentages between 0 and 100) are applied.
+ * Trainers can only update their own profile.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -25,13 +99,51 @@ import Trainer from "../models/TrainerSchema.js";
 export const updateTrainer = async (req, res) => {
   const id = req.params.id; // Trainer ID from URL parameter
 
+  if (id !== req.userId) {
+    return res.status(403).json({ success: false, message: "You can only update your own profile" });
+  }
+
+  if (req.body.timeZone !== undefined && !isValidTimeZone(req.body.timeZone)) {
+    return res.status(400).json({ success: false, message: "Please choose a valid time zone" });
+  }
+
+  if (req.body.abn) {
+    if (!isValidAbn(req.body.abn)) {
+      return res.status(400).json({ success: false, message: "Please enter a valid 11-digit ABN" });
+    }
+    req.body.abn = normaliseAbn(req.body.abn);
+  }
+
+  if (!isNumberInRange(req.body.freeCancellationHours, 0)) {
+    return res.status(400).json({ success: false, message: "Free cancellation hours can't be negative" });
+  }
+
+  if (!isNumberInRange(req.body.lateCancellationRefundPercent, 0, 100)) {
+    return res.status(400).json({ success: false, message: "Late cancellation refund must be between 0 and 100%" });
+  }
+
+  if (!isNumberInRange(req.body.noShowRefundPercent, 0, 100)) {
+    return res.status(400).json({ success: false, message: "No-show refund must be between 0 and 100%" });
+  }
+
+  // Below an hour every new booking would expire (and be refunded) straight away
+  if (!isNumberInRange(req.body.approvalExpiryHours, 1)) {
+    return res.status(400).json({ success: false, message: "Bookings must wait at least 1 hour for approval" });
+  }
+
+  // Only fields a trainer may edit are copied across
+  const update = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) update[field] = req.body[field];
+  }
+
   try {
-    // Update trainer document with new data from request body
+    // Update trainer document with the allowed fields from the request body
     // $set operator ensures only provided fields are updated
     const updatedTrainer = await Trainer.findByIdAndUpdate(
       id,
-      { $set: req.body }, // Update with data from request body
-      { new: true } // Return the updated document instead of the old one
+      { $set: update },
+      { new: true, runValidators: true } // Return the updated document, checked against the schema
     );
 
     // Send success response with updated trainer data
@@ -41,7 +153,12 @@ export const updateTrainer = async (req, res) => {
       data: updatedTrainer,
     });
   } catch (err) {
-    // Handle database or validation errors
+    // Values the schema rejects are the trainer's to fix
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    // Handle database errors
     res.status(500).json({ success: false, message: "Failed to update" });
   }
 };
@@ -87,8 +204,9 @@ export const getSingleTrainer = async (req, res) => {
 
   try {
     // Find trainer and populate their reviews for display
-    // .select("-password") excludes password field from response
-    const trainer = await Trainer.findById(id).populate('reviews').select("-password");
+    // .select() leaves out the password, the trainer's commission deal and
+    // the private calendar import URL
+    const trainer = await Trainer.findById(id).populate('reviews').select("-password -commissionPercent -calendarImport");
 
     if (!trainer) {
       return res.status(404).json({ success: false, message: "Trainer not found" });
@@ -104,6 +222,100 @@ export const getSingleTrainer = async (req, res) => {
   }
 };
 
+/**
+ * Get Trainer Availability (Public)
+ * 
+ * Lists the trainer's bookable slots for each date in a range (from/to, or a
+ * single date), generated from their weekly slots and availability windows
+ * with blackouts and one-off extra slots applied. Slots that have already
+ * started or that clash with the trainer's imported busy times are left
+ * out, and dates without any slots are skipped.
+ * 
+ * Each slot has a status - "open" (can be bought), "held" (the last places
+ * are reserved by clients in checkout) or "booked" (full; clients can still
+ * join its waitlist) - and says how many places are left once existing
+ * bookings and holds are taken off. Slots come with their absolute
+ * startsAt/endsAt so clients in another time zone can see them in their
+ * own local time.
+ * 
+ * @param {Object} req - Express request object (trainer ID in params; from/to or date as YYYY-MM-DD in query)
+ * @param {Object} res - Express response object
+ */
+export const getTrainerAvailability = async (req, res) => {
+  const from = req.query.from || req.query.date;
+  const to = req.query.to || from;
+
+  if (!from || isNaN(new Date(from)) || isNaN(new Date(to))) {
+    return res.status(400).json({ success: false, message: "A valid date range is required" });
+  }
+
+  const days = Math.round((new Date(toDateKey(to)) - new Date(toDateKey(from))) / (24 * 60 * 60 * 1000)) + 1;
+
+  if (days < 1 || days > MAX_AVAILABILITY_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `The date range must cover between 1 and ${MAX_AVAILABILITY_DAYS} days`
+    });
+  }
+
+  try {
+    const trainer = await Trainer.findById(req.params.id)
+      .select("timeSlots availabilityWindows availabilityExceptions timeZone");
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    const { booked, held } = await countTakenSeats(trainer._id, from, to);
+    const now = new Date();
+
+    // Busy times from the trainer's imported calendar, with a day either side
+    // because the range is in calendar dates rather than instants
+    const rangeStart = new Date(toDateKey(from));
+    rangeStart.setUTCDate(rangeStart.getUTCDate() - 1);
+    const rangeEnd = new Date(toDateKey(to));
+    rangeEnd.setUTCDate(rangeEnd.getUTCDate() + 2);
+    const busyBlocks = await findBusyBlocks(trainer._id, rangeStart, rangeEnd);
+
+    // Every date in the range, as YYYY-MM-DD
+    const dates = Array.from({ length: days }, (_, index) => {
+      const date = new Date(toDateKey(from));
+      date.setUTCDate(date.getUTCDate() + index);
+      return toDateKey(date);
+    });
+
+    const availability = dates
+      .map(date => ({
+        date,
+        slots: getSlotsForDate(trainer, date)
+          .map(slot => {
+            const slotKey = buildSlotKey(trainer._id, date, slot);
+            const capacity = getSlotCapacity(slot);
+            const bookedPlaces = booked.get(slotKey) || 0;
+            const heldPlaces = held.get(slotKey) || 0;
+
+            return {
+              ...slot,
+              ...getSessionTimes(date, slot, trainer.timeZone),
+              capacity,
+              status: getSlotStatus(capacity, bookedPlaces, heldPlaces),
+              spotsLeft: Math.max(capacity - bookedPlaces - heldPlaces, 0)
+            };
+          })
+          .filter(slot => slot.startsAt > now && !overlapsBusyBlock(busyBlocks, slot))
+      }))
+      .filter(day => day.slots.length > 0);
+
+    res.status(200).json({
+      success: true,
+      message: "Availability found",
+      data: availability,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching availability" });
+  }
+};
+
 /**
  * Get All Trainers (Public Listing)
  * 
@@ -126,9 +338,9 @@ export const getAllTrainer = async (req, res) => {
           { name: { $regex: query, $options: 'i' } },
           { specialization: { $regex: query, $options: 'i' } }
         ],
-      }).select("-password")
+      }).select("-password -commissionPercent -calendarImport")
     } else {
-      trainers = await Trainer.find({}).select("-password")
+      trainers = await Trainer.find({}).select("-password -commissionPercent -calendarImport")
     }
 
 
@@ -174,6 +386,20 @@ export const getTrainerProfile = async (req, res) => {
       .populate('user', 'name email photo gender') // Include client details
       .sort({ createdAt: -1 }); // Sort by newest bookings first
 
+    // Session packs clients have bought, so the trainer can refund unused credits
+    const sessionPacks = await SessionPack.find({ trainer: trainerId })
+      .populate('user', 'name email photo')
+      .sort({ createdAt: -1 });
+
+    // Upcoming busy times from the trainer's imported calendar, shown as blocked
+    const busyBlocks = await findBusyBlocks(trainerId, new Date(), new Date(Date.now() + BUSY_IMPORT_DAYS * 24 * 60 * 60 * 1000));
+
+    // What each client still owes for sessions they chose to pay in person
+    const outstandingBalances = await getOutstandingBalances(trainerId);
+
+    // How reliably each client turns up
+    const attendanceStats = await getAttendanceStats(trainerId);
+
     // Remove password from trainer data before sending response
     const { password, ...rest } = trainer._doc;
 
@@ -181,7 +407,7 @@ export const getTrainerProfile = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Profile info retrieved',
-      data: { ...rest, bookings } // Merge trainer data with bookings array
+      data: { ...rest, bookings, sessionPacks, busyBlocks, outstandingBalances, attendanceStats } // Merge trainer data with bookings, session packs, busy times, balances and attendance
     });
 
   } catch (err) {
@@ -191,4 +417,109 @@ export const getTrainerProfile = async (req, res) => {
       message: "Something went wrong, cannot get profile"
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Import Calendar
+ * 
+ * Blocks the trainer's availability with the events from a calendar they
+ * keep elsewhere. Accepts either the contents of an uploaded .ics file
+ * (ics, with an optional fileName) or an ICS URL, which is fetched now and
+ * then re-synced on a schedule. Replaces any previous import.
+ * 
+ * @param {Object} req - Express request object (ics and fileName, or url, in body)
+ * @param {Object} res - Express response object
+ */
+export const importCalendar = async (req, res) => {
+  const { ics, fileName, url } = req.body;
+
+  if (!ics && !url) {
+    return res.status(400).json({ success: false, message: "Please upload an .ics file or enter a calendar URL" });
+  }
+
+  try {
+    const trainer = await Trainer.findById(req.userId);
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    let count;
+    try {
+      count = await importBusyBlocks(trainer, url ? await fetchCalendar(url) : ics);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    trainer.calendarImport = url
+      ? { source: 'url', url: url.trim(), lastSyncedAt: new Date() }
+      : { source: 'upload', fileName, lastSyncedAt: new Date() };
+    await trainer.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${count} busy ${count === 1 ? 'time' : 'times'}`,
+      data: trainer.calendarImport,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to import calendar" });
+  }
+};
+
+/**
+ * Sync Imported Calendar
+ * 
+ * Re-fetches the trainer's calendar URL straight away instead of waiting
+ * for the scheduled sync.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const syncImportedCalendar = async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.userId);
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    if (trainer.calendarImport?.source !== 'url') {
+      return res.status(400).json({ success: false, message: "Only calendars imported from a URL can be synced. Upload the file again instead." });
+    }
+
+    let count;
+    try {
+      count = await syncCalendarImport(trainer);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: trainer.calendarImport.lastSyncError || err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Synced ${count} busy ${count === 1 ? 'time' : 'times'}`,
+      data: trainer.calendarImport,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to sync calendar" });
+  }
+};
+
+/**
+ * Remove Calendar Import
+ * 
+ * Stops syncing the trainer's external calendar and frees up every slot
+ * its events were blocking.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeCalendarImport = async (req, res) => {
+  try {
+    await BusyBlock.deleteMany({ trainer: req.userId });
+    await Trainer.findByIdAndUpdate(req.userId, { $unset: { calendarImport: 1 } });
+
+    res.status(200).json({ success: true, message: "Calendar import removed" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to remove calendar import" });
+  }
+};
@@ -12,11 +12,13 @@
  * - getSingleUser: Fetches a single user's details.
  * - getUserProfile: Fetches the logged-in user's profile.
  * - getMyBookings: Fetches the logged-in user's bookings.
+ * - getMyCredits: Fetches the logged-in user's session packs and credit history.
  */
 
 import User from "../models/UserSchema.js";
 import BookingSchema from "../models/BookingSchema.js";
-import TrainerSchema from "../models/TrainerSchema.js";
+import SessionPack from "../models/SessionPackSchema.js";
+import CreditTransaction from "../models/CreditTransactionSchema.js";
 
 // Update a user's details by their ID
 export const updateUser = async (req, res) => {
@@ -120,22 +122,54 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
-// Retrieve all trainers booked by the currently logged-in user
+// Retrieve all bookings made by the currently logged-in user
 export const getMyBookings = async (req, res) => {
   try {
-    // Step 1: Retrieve bookings where user ID matches
-    const bookings = await BookingSchema.find({ user: req.userId });
+    // Bookings come back with trainer name, specialization and photo populated
+    // (see the pre-find hook in BookingSchema), newest sessions first
+    const bookings = await BookingSchema.find({ user: req.userId }).sort({ bookingDate: -1 });
 
-    // Step 2: Extract trainer IDs from each booking
-    const trainerIds = bookings.map(el => el.trainer);
+    res.status(200).json({
+      success: true,
+      message: "Bookings found",
+      data: bookings
+    });
 
-    // Step 3: Fetch trainer details using those IDs
-    const trainers = await TrainerSchema.find({ _id: { $in: trainerIds } }).select("-password");
+  } catch {
+    res.status(500).json({
+      success: false,
+      message: "Something went wrong, cannot get"
+    });
+  }
+};
+
+// Retrieve the logged-in user's prepaid session packs, credit balance per
+// trainer and recent credit history
+export const getMyCredits = async (req, res) => {
+  try {
+    const packs = await SessionPack.find({ user: req.userId })
+      .populate("trainer", "name specialization photo")
+      .sort({ expiresAt: 1 });
+
+    // Only active packs that haven't expired yet count towards the balance
+    const now = new Date();
+    const balances = {};
+    for (const pack of packs) {
+      if (pack.status !== "active" || pack.expiresAt <= now || !pack.trainer) continue;
+      const key = pack.trainer._id.toString();
+      balances[key] = balances[key] || { trainer: pack.trainer, credits: 0, nextExpiry: pack.expiresAt };
+      balances[key].credits += pack.creditsRemaining;
+    }
+
+    const transactions = await CreditTransaction.find({ user: req.userId })
+      .populate("trainer", "name")
+      .sort({ createdAt: -1 })
+      .limit(50);
 
     res.status(200).json({
       success: true,
-      message: "Bookings found",
-      data: trainers
+      message: "Credits found",
+      data: { balances: Object.values(balances), packs, transactions }
     });
 
   } catch {
@@ -144,4 +178,4 @@ export const getMyBookings = async (req, res) => {
       message: "Something went wrong, cannot get"
     });
   }
-};
\ No newline at end of file
+};
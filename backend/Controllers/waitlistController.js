@@ -0,0 +1,203 @@
+/**
+ * Waitlist Controller
+ * 
+ * Handles clients queueing for a trainer's slot that is already booked:
+ * - Joining the waitlist for a trainer/date/slot
+ * - Listing the client's waitlist entries and open offers
+ * - Leaving the waitlist (passing any open offer to the next client)
+ * 
+ * Offers themselves are made in utils/waitlist.js whenever a slot frees up,
+ * and expired offers are moved on by the advanceWaitlists job.
+ */
+
+import Trainer from '../models/TrainerSchema.js'
+import Booking from '../models/BookingSchema.js'
+import SlotHold from '../models/SlotHoldSchema.js'
+import WaitlistEntry from '../models/WaitlistEntrySchema.js'
+import {
+  buildSlotKey,
+  findTrainerSlot,
+  getSessionStart,
+  getSlotCapacity,
+  isSlotFull,
+  slotKeyFilter
+} from '../utils/bookingSlots.js'
+import { offerFreedSlot, WAITLIST_OFFER_HOURS } from '../utils/waitlist.js'
+
+/**
+ * Get Waitlist Position
+ *
+ * @param {Document} entry - Waiting entry
+ * @returns {Promise<number>} - 1-based place in line for the entry's slot
+ */
+const getWaitlistPosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    slotKey: entry.slotKey,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Join Waitlist
+ * 
+ * Adds the client to the waitlist for a slot whose places are all booked or
+ * held by other clients. Slots with room should be booked directly instead.
+ * 
+ * @param {Object} req - Express request object (trainer ID in params, bookingDate and timeSlot in body)
+ * @param {Object} res - Express response object
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.params.trainerId);
+
+    if (!trainer) {
+      return res.status(404).json({ success: false, message: "Trainer not found" });
+    }
+
+    const { bookingDate, timeSlot } = req.body;
+
+    if (!timeSlot || !bookingDate) {
+      return res.status(400).json({ success: false, message: "Time slot and booking date are required" });
+    }
+
+    const slot = findTrainerSlot(trainer, bookingDate, timeSlot);
+
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: "The trainer is not available at this time on the selected date"
+      });
+    }
+
+    if (getSessionStart({ bookingDate, timeSlot: slot }, trainer.timeZone) <= new Date()) {
+      return res.status(400).json({ success: false, message: "This session has already started" });
+    }
+
+    const slotKey = buildSlotKey(trainer._id, bookingDate, slot);
+
+    if (await Booking.exists({ slotKey: slotKeyFilter(slotKey), user: req.userId })) {
+      return res.status(400).json({ success: false, message: "You have already booked this session" });
+    }
+
+    if (!await isSlotFull(trainer._id, bookingDate, slot, req.userId)) {
+      return res.status(400).json({ success: false, message: "This time slot is available - you can book it now" });
+    }
+
+    if (await WaitlistEntry.exists({ slotKey, user: req.userId, status: { $in: ['waiting', 'offered'] } })) {
+      return res.status(400).json({ success: false, message: "You are already on the waitlist for this session" });
+    }
+
+    const entry = await WaitlistEntry.create({
+      trainer: trainer._id,
+      user: req.userId,
+      slotKey,
+      bookingDate: new Date(bookingDate),
+      timeSlot: {
+        day: slot.day,
+        startingTime: slot.startingTime,
+        endingTime: slot.endingTime,
+        capacity: getSlotCapacity(slot)
+      },
+      startsAt: getSessionStart({ bookingDate, timeSlot: slot }, trainer.timeZone)
+    });
+
+    const position = await getWaitlistPosition(entry);
+
+    res.status(200).json({
+      success: true,
+      message: `You're number ${position} on the waitlist. If the slot frees up you'll have ${WAITLIST_OFFER_HOURS} hours to book it.`,
+      data: { ...entry.toObject(), position }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error joining waitlist: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Get My Waitlist
+ * 
+ * Returns the client's active waitlist entries, with their place in line
+ * or the deadline of an open offer.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      user: req.userId,
+      $or: [
+        { status: 'waiting' },
+        { status: 'offered', offerExpiresAt: { $gt: new Date() } }
+      ]
+    })
+      .populate('trainer', 'name specialization photo')
+      .sort({ bookingDate: 1 });
+
+    const data = await Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: entry.status === 'waiting' ? await getWaitlistPosition(entry) : undefined
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: "Waitlist found",
+      data
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error fetching waitlist: ${err.message}`
+    });
+  }
+};
+
+/**
+ * Leave Waitlist
+ * 
+ * Removes the client from a waitlist. If they were holding an offer, the
+ * slot is released and offered to the next client straight away.
+ * 
+ * @param {Object} req - Express request object (waitlist entry ID in params)
+ * @param {Object} res - Express response object
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.user.toString() !== req.userId) {
+      return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ success: false, message: "You are no longer on this waitlist" });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'left';
+    await entry.save();
+
+    if (wasOffered) {
+      // Release the offer hold, but not a hold from a checkout the client started
+      await SlotHold.deleteMany({ slotKey: slotKeyFilter(entry.slotKey), user: entry.user, stripeSessionId: { $exists: false } });
+      await offerFreedSlot(entry.slotKey);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "You have left the waitlist",
+      data: entry
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: `Error leaving waitlist: ${err.message}`
+    });
+  }
+};
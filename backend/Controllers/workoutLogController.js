@@ -0,0 +1,153 @@
+/**
+ * Workout Log Controller
+ *
+ * Handles the logs trainers keep of what they did with a client in each
+ * session - exercises with sets, reps and loads, and notes:
+ * - Trainers write the log of a booking, with notes for the client and
+ *   private notes only they can see
+ * - Trainers look back over a client's previous sessions when preparing
+ *   the next one
+ * - Clients see the logs of their own sessions, without the private notes
+ */
+
+import Booking from '../models/BookingSchema.js';
+import WorkoutLog from '../models/WorkoutLogSchema.js';
+import { getSessionStart } from '../utils/bookingSlots.js';
+import { normaliseExercises, toClientLog } from '../utils/workoutLogs.js';
+
+// Sessions that can have a log - confirmed ones, before or after they happen
+const LOGGABLE_STATUSES = ['approved', 'completed'];
+
+/**
+ * Get Workout Log
+ *
+ * Returns the log of one booking to its trainer (with private notes) or
+ * its client (without). Bookings without a log return null.
+ *
+ * @param {Object} req - Express request object (booking ID in params)
+ * @param {Object} res - Express response object
+ */
+export const getWorkoutLog = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    const isClient = booking.user?._id.toString() === req.userId;
+    const isTrainer = booking.trainer?._id.toString() === req.userId;
+
+    if (!isClient && !isTrainer) {
+      return res.status(403).json({ success: false, message: "You can't view this workout log" });
+    }
+
+    const log = isTrainer
+      ? await WorkoutLog.findOne({ booking: booking._id }).select('+privateNotes')
+      : await WorkoutLog.findOne({ booking: booking._id });
+
+    res.status(200).json({
+      success: true,
+      message: log ? "Workout log found" : "No workout log for this session yet",
+      data: log && (isTrainer ? log : toClientLog(log))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error fetching workout log: ${err.message}` });
+  }
+};
+
+/**
+ * Save Workout Log
+ *
+ * Creates or replaces the log of one of the trainer's sessions.
+ *
+ * @param {Object} req - Express request object (booking ID in params; exercises, notes and privateNotes in body)
+ * @param {Object} res - Express response object
+ */
+export const saveWorkoutLog = async (req, res) => {
+  const { exercises, error } = normaliseExercises(req.body.exercises);
+
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    if (booking.trainer?._id.toString() !== req.userId) {
+      return res.status(403).json({ success: false, message: "You can only log your own sessions" });
+    }
+
+    if (!LOGGABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ success: false, message: "Only confirmed or completed sessions can have a workout log" });
+    }
+
+    const log = await WorkoutLog.findOneAndUpdate(
+      { booking: booking._id },
+      {
+        $set: {
+          exercises,
+          notes: String(req.body.notes || '').trim(),
+          privateNotes: String(req.body.privateNotes || '').trim(),
+          sessionStart: getSessionStart(booking)
+        },
+        $setOnInsert: { trainer: booking.trainer._id, user: booking.user._id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).select('+privateNotes');
+
+    res.status(200).json({ success: true, message: "Workout log saved", data: log });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error saving workout log: ${err.message}` });
+  }
+};
+
+/**
+ * Get My Workout Logs
+ *
+ * The logged-in client's history across all their trainers, latest
+ * session first. Private notes are never included.
+ *
+ * @param {Object} req - Express request object (client ID from auth)
+ * @param {Object} res - Express response object
+ */
+export const getMyWorkoutLogs = async (req, res) => {
+  try {
+    const logs = await WorkoutLog.find({ user: req.userId })
+      .populate('trainer', 'name photo specialization')
+      .sort({ sessionStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Workout history retrieved successfully",
+      data: logs.map(toClientLog)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error fetching workout history: ${err.message}` });
+  }
+};
+
+/**
+ * Get Client Workout Logs
+ *
+ * A client's history with the logged-in trainer, latest session first,
+ * including the trainer's private notes.
+ *
+ * @param {Object} req - Express request object (client ID in params)
+ * @param {Object} res - Express response object
+ */
+export const getClientWorkoutLogs = async (req, res) => {
+  try {
+    const logs = await WorkoutLog.find({ trainer: req.userId, user: req.params.userId })
+      .select('+privateNotes')
+      .sort({ sessionStart: -1 });
+
+    res.status(200).json({ success: true, message: "Client workout history retrieved successfully", data: logs });
+  } catch (err) {
+    res.status(500).json({ success: false, message: `Error fetching client workout history: ${err.message}` });
+  }
+};
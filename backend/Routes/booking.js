@@ -1,11 +1,41 @@
 import express from 'express';
-import { authenticate } from './../auth/verifyToken.js';
-import { getCheckoutSession, handleStripeWebhook } from '../Controllers/bookingController.js';
+import { authenticate, restrict } from './../auth/verifyToken.js';
+import {
+  getCheckoutSession,
+  handleStripeWebhook,
+  cancelBooking,
+  cancelBookingSeries,
+  rescheduleBooking,
+  approveBooking,
+  declineBooking,
+  markBookingPaid,
+  getPackageCheckoutSession,
+  refundSessionPack,
+  getStripeEvents,
+  replayStripeEvent
+} from '../Controllers/bookingController.js';
+import { downloadInvoice } from '../Controllers/invoiceController.js';
+import { getCheckInCode, regenerateCheckInCode, checkIn, markAttendance } from '../Controllers/attendanceController.js';
 
 const router = express.Router();
 
 router.post('/checkout-session/:trainerId', authenticate, getCheckoutSession);
 router.post('/webhook', handleStripeWebhook);
+router.get('/stripe-events', authenticate, restrict(['admin']), getStripeEvents);
+router.post('/stripe-events/:eventId/replay', authenticate, restrict(['admin']), replayStripeEvent);
+router.post('/packages/:trainerId/checkout', authenticate, restrict(['client']), getPackageCheckoutSession);
+router.post('/packages/:packId/refund', authenticate, restrict(['trainer']), refundSessionPack);
+router.get('/check-in/code', authenticate, restrict(['trainer']), getCheckInCode);
+router.post('/check-in/code/regenerate', authenticate, restrict(['trainer']), regenerateCheckInCode);
+router.post('/check-in', authenticate, restrict(['client']), checkIn);
+router.post('/series/:seriesId/cancel', authenticate, restrict(['client', 'trainer']), cancelBookingSeries);
+router.post('/:id/cancel', authenticate, restrict(['client', 'trainer']), cancelBooking);
+router.post('/:id/reschedule', authenticate, restrict(['client', 'trainer']), rescheduleBooking);
+router.post('/:id/approve', authenticate, restrict(['trainer']), approveBooking);
+router.post('/:id/decline', authenticate, restrict(['trainer']), declineBooking);
+router.post('/:id/mark-paid', authenticate, restrict(['trainer']), markBookingPaid);
+router.get('/:id/invoice', authenticate, restrict(['client', 'trainer', 'admin']), downloadInvoice);
+router.post('/:id/attendance', authenticate, restrict(['trainer']), markAttendance);
 
 export default router;
 // This code defines an Express router for handling booking-related routes.
@@ -14,3 +44,13 @@ export default router;
 // The route is protected by the authentication middleware, ensuring that only authenticated users can access it.
 // The `getCheckoutSession` function is imported from the booking controller and is responsible for handling the logic of creating a checkout session with Stripe.
 // Additionally, there is a POST route for handling Stripe webhooks, which is used to receive asynchronous notifications from Stripe about events related to the checkout sessions.
+// The `/:id/cancel` route lets the client or trainer of a booking cancel it and refunds the client according to the trainer's cancellation policy.
+// The `/:id/reschedule` route moves a booking to another free slot on the trainer's schedule, charging the client any price difference through Stripe.
+// The `/:id/approve` and `/:id/decline` routes let trainers in manual approval mode confirm or turn down (and refund) pending bookings.
+// The `/series/:seriesId/cancel` route cancels every upcoming session of a weekly recurring booking, refunding each one under the cancellation policy.
+// Every webhook event is logged; `/stripe-events` lets admins list them (e.g. ?status=failed) and `/stripe-events/:eventId/replay` processes a failed one again.
+// The `/packages/:trainerId/checkout` route starts a Stripe checkout for one of a trainer's prepaid session packages; `/packages/:packId/refund` lets the trainer refund a pack's unused credits.
+// The `/:id/mark-paid` route lets trainers record how a pay-at-session booking was paid (cash, bank transfer, card or other).
+// The `/:id/invoice` route downloads the PDF invoice of a paid booking for its client, its trainer or an admin.
+// The `/check-in/code` routes give trainers the QR code clients scan to check in (and replace it); `/check-in` checks the client in to their current session.
+// The `/:id/attendance` route lets trainers mark a session that has started as completed or a no-show, applying their no-show policy.
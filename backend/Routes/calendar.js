@@ -0,0 +1,20 @@
+/**
+ * Handles private calendar (.ics) feeds for trainers and clients.
+ *
+ * Endpoints:
+ * - GET /feed/:token.ics: Serves the feed for a secret token (no login, for calendar apps).
+ * - GET /me: Fetches the logged-in user's feed URL.
+ * - POST /me/regenerate: Replaces the logged-in user's feed token, disabling the old URL.
+ */
+
+import express from 'express'
+import { authenticate, restrict } from '../auth/verifyToken.js'
+import { getCalendarFeed, getMyCalendarFeed, regenerateCalendarToken } from '../Controllers/calendarController.js'
+
+const router = express.Router()
+
+router.get('/feed/:token.ics', getCalendarFeed)
+router.get('/me', authenticate, restrict(['client', 'trainer']), getMyCalendarFeed)
+router.post('/me/regenerate', authenticate, restrict(['client', 'trainer']), regenerateCalendarToken)
+
+export default router;
@@ -0,0 +1,15 @@
+/**
+ * Handles scheduled background jobs.
+ *
+ * Endpoints:
+ * - GET /run: Runs all scheduled jobs (called by Vercel Cron with the CRON_SECRET).
+ */
+
+import express from 'express'
+import { runJobs } from '../Controllers/cronController.js'
+
+const router = express.Router()
+
+router.get('/run', runJobs)
+
+export default router;
@@ -0,0 +1,20 @@
+/**
+ * Handles trainers' earnings and the platform's commission on them.
+ *
+ * Endpoints:
+ * - GET /me: Fetches the trainer's earnings per monthly payout period.
+ * - GET /me/statements/:period: Downloads the PDF statement of a payout period, e.g. 2025-03.
+ * - PUT /commission/:trainerId: Sets (or with an empty value resets) a trainer's commission percent (admin only).
+ */
+
+import express from 'express'
+import { authenticate, restrict } from '../auth/verifyToken.js'
+import { getMyEarnings, downloadEarningsStatement, setTrainerCommission } from '../Controllers/earningsController.js'
+
+const router = express.Router()
+
+router.get('/me', authenticate, restrict(['trainer']), getMyEarnings)
+router.get('/me/statements/:period', authenticate, restrict(['trainer']), downloadEarningsStatement)
+router.put('/commission/:trainerId', authenticate, restrict(['admin']), setTrainerCommission)
+
+export default router;
@@ -0,0 +1,17 @@
+/**
+ * Handles the fake payment provider's hosted pay page (offline development and QA only).
+ *
+ * Endpoints:
+ * - GET /checkout/:sessionId: Shows the pay page a fake checkout URL points at.
+ * - POST /checkout/:sessionId: Pays (or fails) the checkout as chosen on the page, then redirects.
+ */
+
+import express from 'express'
+import { showFakeCheckout, submitFakeCheckout } from '../Controllers/fakePaymentController.js'
+
+const router = express.Router()
+
+router.get('/checkout/:sessionId', showFakeCheckout)
+router.post('/checkout/:sessionId', express.urlencoded({ extended: false }), submitFakeCheckout)
+
+export default router;
@@ -0,0 +1,22 @@
+/**
+ * Handles promo codes clients enter at checkout.
+ *
+ * Endpoints:
+ * - GET /: Fetches the trainer's own promo codes (all codes for admins).
+ * - POST /: Creates a promo code.
+ * - PUT /:id: Updates a promo code, e.g. to deactivate it.
+ * - POST /validate: Checks a code for a trainer's slot and returns the discounted price.
+ */
+
+import express from 'express'
+import { authenticate, restrict } from '../auth/verifyToken.js'
+import { getPromoCodes, createPromoCode, updatePromoCode, checkPromoCode } from '../Controllers/promoCodeController.js'
+
+const router = express.Router()
+
+router.get('/', authenticate, restrict(['trainer', 'admin']), getPromoCodes)
+router.post('/', authenticate, restrict(['trainer', 'admin']), createPromoCode)
+router.post('/validate', authenticate, restrict(['client']), checkPromoCode)
+router.put('/:id', authenticate, restrict(['trainer', 'admin']), updatePromoCode)
+
+export default router;
@@ -7,6 +7,10 @@
  * - PUT /:id: Updates a trainer's details.
  * - DELETE /:id: Deletes a trainer.
  * - GET /profile/me: Fetches the logged-in trainer's profile.
+ * - PUT /profile/me/calendar-import: Imports busy times from an uploaded .ics file or an ICS URL.
+ * - POST /profile/me/calendar-import/sync: Re-fetches the imported calendar URL now.
+ * - DELETE /profile/me/calendar-import: Removes the imported calendar and its busy times.
+ * - GET /:id/availability: Lists open, held and booked slots for a date range (from, to).
  *
  * Nested Route:
  * - /reviews: Handles reviews related to a specific trainer.
@@ -18,7 +22,11 @@ import {
   deleteTrainer,
   getAllTrainer,
   getSingleTrainer,
-  getTrainerProfile
+  getTrainerProfile,
+  getTrainerAvailability,
+  importCalendar,
+  syncImportedCalendar,
+  removeCalendarImport
 } from "../Controllers/trainerController.js";
 import { authenticate, restrict } from "../auth/verifyToken.js";
 import reviewRouter from "./review.js";
@@ -26,12 +34,16 @@ import reviewRouter from "./review.js";
 const router = express.Router();
 
 router.get("/profile/me", authenticate, restrict(['trainer']), getTrainerProfile);
+router.put("/profile/me/calendar-import", authenticate, restrict(['trainer']), importCalendar);
+router.post("/profile/me/calendar-import/sync", authenticate, restrict(['trainer']), syncImportedCalendar);
+router.delete("/profile/me/calendar-import", authenticate, restrict(['trainer']), removeCalendarImport);
 
 // Nested route for reviews
 router.use("/:trainerId/reviews", reviewRouter);
 
 router.get("/", getAllTrainer); // This handles /api/v1/trainers
 router.get("/:id", getSingleTrainer);
+router.get("/:id/availability", getTrainerAvailability);
 
 // Protected routes
 router.put("/:id", authenticate, restrict(['trainer']), updateTrainer);
@@ -8,6 +8,7 @@
  * - DELETE /:id: Deletes a user.
  * - GET /profile/me: Fetches the logged-in user's profile.
  * - GET /bookings/my-bookings: Fetches the logged-in user's bookings.
+ * - GET /credits/me: Fetches the logged-in user's session packs and credit balance.
  */
 
 import express from "express";
@@ -17,7 +18,8 @@ import {
   getAllUser,
   getSingleUser,
   getUserProfile,
-  getMyBookings
+  getMyBookings,
+  getMyCredits
 } from "../Controllers/userController.js";
 
 import { authenticate, restrict } from "../auth/verifyToken.js";
@@ -30,6 +32,7 @@ router.put("/:id", authenticate, restrict(['client']), updateUser);
 router.delete("/:id", authenticate, restrict(['client']), deleteUser);
 router.get("/profile/me", authenticate, restrict(['client']), getUserProfile);
 router.get("/bookings/my-bookings", authenticate, restrict(['client']), getMyBookings);
+router.get("/credits/me", authenticate, restrict(['client']), getMyCredits);
 
 
 export default router;
@@ -0,0 +1,20 @@
+/**
+ * Handles client waitlists for booked time slots.
+ *
+ * Endpoints:
+ * - POST /:trainerId: Joins the waitlist for one of the trainer's slots on a date.
+ * - GET /me: Fetches the logged-in client's waitlist entries and open offers.
+ * - POST /:id/leave: Leaves a waitlist, passing any open offer to the next client.
+ */
+
+import express from 'express'
+import { authenticate, restrict } from '../auth/verifyToken.js'
+import { joinWaitlist, getMyWaitlist, leaveWaitlist } from '../Controllers/waitlistController.js'
+
+const router = express.Router()
+
+router.get('/me', authenticate, restrict(['client']), getMyWaitlist)
+router.post('/:trainerId', authenticate, restrict(['client']), joinWaitlist)
+router.post('/:id/leave', authenticate, restrict(['client']), leaveWaitlist)
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * Handles the workout logs trainers keep of their sessions.
+ *
+ * Endpoints:
+ * - GET /me: Fetches the client's workout history (without trainer-private notes).
+ * - GET /clients/:userId: Fetches a client's history with the trainer (with private notes).
+ * - GET /bookings/:bookingId: Fetches the log of a booking for its client or trainer.
+ * - PUT /bookings/:bookingId: Creates or replaces the log of one of the trainer's sessions.
+ */
+
+import express from 'express'
+import { authenticate, restrict } from '../auth/verifyToken.js'
+import {
+  getWorkoutLog,
+  saveWorkoutLog,
+  getMyWorkoutLogs,
+  getClientWorkoutLogs
+} from '../Controllers/workoutLogController.js'
+
+const router = express.Router()
+
+router.get('/me', authenticate, restrict(['client']), getMyWorkoutLogs)
+router.get('/clients/:userId', authenticate, restrict(['trainer']), getClientWorkoutLogs)
+router.get('/bookings/:bookingId', authenticate, restrict(['client', 'trainer']), getWorkoutLog)
+router.put('/bookings/:bookingId', authenticate, restrict(['trainer']), saveWorkoutLog)
+
+export default router;
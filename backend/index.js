@@ -9,7 +9,8 @@
  * - CORS configuration for frontend-backend communication
  * - API route registration for all application features
  * - Error handling and logging
- * - Stripe webhook integration for payment processing
+ * - Stripe webhook integration for payment processing (or a fake provider offline)
+ * - Scheduled background jobs (cron endpoint in production, interval locally)
  * 
  * The application is designed to work in both local development and 
  * serverless production environments (Vercel).
@@ -27,6 +28,15 @@ import userRoute from './Routes/user.js'
 import trainerRoute from './Routes/trainer.js'
 import reviewRoute from './Routes/review.js'
 import bookingRoute from './Routes/booking.js'
+import cronRoute from './Routes/cron.js'
+import waitlistRoute from './Routes/waitlist.js'
+import calendarRoute from './Routes/calendar.js'
+import fakePaymentsRoute from './Routes/fakePayments.js'
+import promoCodeRoute from './Routes/promoCode.js'
+import earningsRoute from './Routes/earnings.js'
+import workoutLogRoute from './Routes/workoutLog.js'
+import { runScheduledJobs } from './jobs/index.js'
+import { getPaymentProviderName } from './utils/paymentProvider.js'
 
 // Load environment variables from .env file
 dotenv.config()
@@ -50,6 +60,7 @@ const corsOptions = {
   credentials: true, // Allow cookies and auth headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['Content-Disposition'], // Lets the frontend name downloaded invoices
   optionsSuccessStatus: 200
 }
 
@@ -60,7 +71,7 @@ app.options('*', cors(corsOptions))
  * Stripe Webhook Middleware
  * 
  * CRITICAL: This must be before express.json() middleware because
- * Stripe requires the raw request body to verify webhook signatures.
+ * Stripe (and the fake payment provider) requires the raw request body to verify webhook signatures.
  * If express.json() processes it first, the signature verification will fail.
  */
 app.use('/api/v1/bookings/webhook', express.raw({type: 'application/json'}))
@@ -155,6 +166,16 @@ app.use('/api/v1/users', userRoute)
 app.use('/api/v1/trainers', trainerRoute)
 app.use('/api/v1/reviews', reviewRoute)
 app.use('/api/v1/bookings', bookingRoute)
+app.use('/api/v1/cron', cronRoute)
+app.use('/api/v1/waitlist', waitlistRoute)
+app.use('/api/v1/calendar', calendarRoute)
+// The fake gateway's pay page only exists while it is the payment provider
+if (getPaymentProviderName() === 'fake') {
+  app.use('/api/v1/payments/fake', fakePaymentsRoute)
+}
+app.use('/api/v1/promo-codes', promoCodeRoute)
+app.use('/api/v1/earnings', earningsRoute)
+app.use('/api/v1/workout-logs', workoutLogRoute)
 
 /**
  * Global Error Handler
@@ -193,12 +214,21 @@ app.use('*', (req, res) => {
  * 
  * Only starts a traditional Express server in development.
  * In production (Vercel), the app is exported as a serverless function.
+ * 
+ * Scheduled jobs run on an interval here, since there is no Vercel Cron
+ * to call the /api/v1/cron/run endpoint locally.
  */
 if (process.env.NODE_ENV !== 'production') {
   const port = process.env.PORT || 5000
+  const jobIntervalMinutes = Number(process.env.JOB_INTERVAL_MINUTES) || 5
+
   app.listen(port, async () => {
     await connectDB() // Ensure database connection on startup
     console.log(`🚀 Server running on port ${port}`)
+
+    setInterval(() => {
+      runScheduledJobs().catch(err => console.error('Scheduled jobs failed:', err))
+    }, jobIntervalMinutes * 60 * 1000)
   })
 }
 
@@ -0,0 +1,36 @@
+/**
+ * Advance Waitlists Job
+ *
+ * Expires waitlist offers that weren't taken up in time and offers each
+ * free slot to the next client in line. Also picks up slots that freed up
+ * without an offer being made, e.g. while another client was in checkout.
+ */
+
+import WaitlistEntry from '../models/WaitlistEntrySchema.js'
+import { offerNextInWaitlist } from '../utils/waitlist.js'
+
+/**
+ * Advance Waitlists
+ *
+ * @returns {Promise<Object>} - Number of offers expired and new offers made
+ */
+export const advanceWaitlists = async () => {
+  const { modifiedCount: expired } = await WaitlistEntry.updateMany(
+    { status: 'offered', offerExpiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  )
+
+  const slotKeys = await WaitlistEntry.distinct('slotKey', { status: 'waiting' })
+  let offered = 0
+
+  for (const slotKey of slotKeys) {
+    try {
+      offered += await offerNextInWaitlist(slotKey)
+    } catch (err) {
+      // Leave the slot for the next run rather than stopping the whole job
+      console.error(`Failed to advance waitlist for ${slotKey}:`, err)
+    }
+  }
+
+  return { expired, offered }
+}
@@ -0,0 +1,28 @@
+/**
+ * Complete Attended Sessions Job
+ *
+ * Sessions the client checked in to are marked completed once they end,
+ * so trainers only have to mark attendance for clients who didn't check in.
+ */
+
+import Booking from '../models/BookingSchema.js'
+import { markCompleted } from '../utils/attendance.js'
+
+/**
+ * Complete Attended Sessions
+ *
+ * @returns {Promise<number>} - Number of sessions marked completed
+ */
+export const completeAttendedSessions = async () => {
+  const attended = await Booking.find({
+    status: 'approved',
+    checkedInAt: { $exists: true },
+    endsAt: { $lte: new Date() }
+  })
+
+  for (const booking of attended) {
+    await markCompleted(booking, booking.endsAt)
+  }
+
+  return attended.length
+}
@@ -0,0 +1,41 @@
+/**
+ * Expire Pending Bookings Job
+ *
+ * Trainers in manual approval mode have until a booking's approvalDeadline
+ * to approve it. Bookings still pending after that are cancelled and the
+ * client is refunded in full, so nobody is left waiting on a trainer who
+ * never responds.
+ */
+
+import Booking from '../models/BookingSchema.js'
+import { cancelBookingWithRefund } from '../utils/bookingRefunds.js'
+
+/**
+ * Expire Pending Bookings
+ *
+ * @returns {Promise<number>} - Number of bookings that were expired
+ */
+export const expirePendingBookings = async () => {
+  const overdue = await Booking.find({
+    status: 'pending',
+    approvalDeadline: { $lte: new Date() }
+  })
+
+  let expired = 0
+
+  for (const booking of overdue) {
+    try {
+      await cancelBookingWithRefund(booking, {
+        refundPercent: 100,
+        cancelledBy: 'system',
+        reason: 'The trainer did not approve the booking in time'
+      })
+      expired++
+    } catch (err) {
+      // Leave the booking for the next run rather than stopping the whole job
+      console.error(`Failed to expire booking ${booking._id}:`, err)
+    }
+  }
+
+  return expired
+}
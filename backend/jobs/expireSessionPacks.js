@@ -0,0 +1,36 @@
+/**
+ * Expire Session Packs Job
+ *
+ * Prepaid session packs are only valid until their expiresAt date. Once a
+ * pack has expired its unused credits are written off in the credit ledger
+ * so the client's balance and history stay in step.
+ */
+
+import SessionPack from '../models/SessionPackSchema.js'
+import { writeOffPackCredits } from '../utils/sessionCredits.js'
+
+/**
+ * Expire Session Packs
+ *
+ * @returns {Promise<number>} - Number of packs that were expired
+ */
+export const expireSessionPacks = async () => {
+  const lapsed = await SessionPack.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  })
+
+  let expired = 0
+
+  for (const pack of lapsed) {
+    try {
+      await writeOffPackCredits(pack, 'expired', 'Pack expired')
+      expired++
+    } catch (err) {
+      // Leave the pack for the next run rather than stopping the whole job
+      console.error(`Failed to expire session pack ${pack._id}:`, err)
+    }
+  }
+
+  return expired
+}
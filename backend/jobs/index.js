@@ -0,0 +1,47 @@
+/**
+ * Scheduled Jobs
+ *
+ * Background work that has to happen on a timer rather than in response to
+ * a request. In production the jobs are triggered by a Vercel cron calling
+ * the /api/v1/cron/run endpoint; the local development server runs them on
+ * an interval instead (see index.js).
+ */
+
+import { expirePendingBookings } from './expirePendingBookings.js'
+import { expireSessionPacks } from './expireSessionPacks.js'
+import { advanceWaitlists } from './advanceWaitlists.js'
+import { syncCalendarImports } from './syncCalendarImports.js'
+import { sendBookingEmails } from './sendBookingEmails.js'
+import { completeAttendedSessions } from './completeAttendedSessions.js'
+
+/**
+ * Run Scheduled Jobs
+ *
+ * Runs every job once and reports what each one did. A failing job is
+ * logged and reported without stopping the others.
+ *
+ * @returns {Promise<Object>} - Result of each job keyed by job name
+ */
+export const runScheduledJobs = async () => {
+  const jobs = {
+    expirePendingBookings,
+    expireSessionPacks,
+    advanceWaitlists,
+    syncCalendarImports,
+    sendBookingEmails,
+    completeAttendedSessions
+  }
+
+  const results = {}
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      results[name] = await job()
+    } catch (err) {
+      console.error(`Scheduled job ${name} failed:`, err)
+      results[name] = { error: err.message }
+    }
+  }
+
+  return results
+}
@@ -0,0 +1,70 @@
+/**
+ * Send Booking Emails Job
+ *
+ * Sends the 24-hour and 2-hour reminders for upcoming sessions, and any
+ * booking confirmation the webhook couldn't send straight away (e.g. while
+ * the mail server was down). Each email is only ever sent once, see
+ * utils/bookingEmails.js.
+ */
+
+import Booking from '../models/BookingSchema.js'
+import { SESSION_REMINDERS, sendBookingConfirmation, sendSessionReminder } from '../utils/bookingEmails.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Send Booking Emails
+ *
+ * @returns {Promise<Object>} - Number of confirmation and reminder emails sent
+ */
+export const sendBookingEmails = async () => {
+  const now = new Date()
+  let confirmations = 0
+  let reminders = 0
+
+  // Bookings from the last day, grouped per checkout like the webhook does
+  const recent = await Booking.find({
+    createdAt: { $gte: new Date(now.getTime() - 24 * HOUR_MS) },
+    status: { $ne: 'cancelled' }
+  }).sort({ startsAt: 1 })
+
+  const checkouts = new Map()
+  for (const booking of recent) {
+    const key = booking.seriesId || booking._id.toString()
+    checkouts.set(key, [...(checkouts.get(key) || []), booking])
+  }
+
+  for (const bookings of checkouts.values()) {
+    try {
+      confirmations += await sendBookingConfirmation(bookings)
+    } catch (err) {
+      console.error(`Failed to send confirmation for booking ${bookings[0]._id}:`, err.message)
+    }
+  }
+
+  const longestLead = Math.max(...SESSION_REMINDERS.map(reminder => reminder.hoursBefore))
+  const upcoming = await Booking.find({
+    status: 'approved',
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + longestLead * HOUR_MS) }
+  })
+
+  for (const booking of upcoming) {
+    const hoursLeft = (booking.startsAt - now) / HOUR_MS
+    // The closest reminder that is due - a session 90 minutes away gets
+    // the 2-hour reminder, not a late 24-hour one
+    const reminder = SESSION_REMINDERS.find(candidate => hoursLeft <= candidate.hoursBefore)
+    if (!reminder) continue
+
+    // Sessions confirmed after a reminder would have gone out skip it
+    const confirmedAt = booking.approvedAt || booking.createdAt
+    if (confirmedAt > new Date(booking.startsAt.getTime() - reminder.hoursBefore * HOUR_MS)) continue
+
+    try {
+      reminders += await sendSessionReminder(booking, reminder)
+    } catch (err) {
+      console.error(`Failed to send reminder for booking ${booking._id}:`, err.message)
+    }
+  }
+
+  return { confirmations, reminders }
+}
@@ -0,0 +1,43 @@
+/**
+ * Sync Calendar Imports Job
+ *
+ * Re-fetches the external calendars trainers registered by URL, so events
+ * they add or move elsewhere keep blocking the right slots. Uploaded files
+ * can't be re-fetched and are left as they are.
+ */
+
+import Trainer from '../models/TrainerSchema.js'
+import { CALENDAR_SYNC_MINUTES, syncCalendarImport } from '../utils/busyTimes.js'
+
+/**
+ * Sync Calendar Imports
+ *
+ * @returns {Promise<Object>} - Number of calendars synced and failed
+ */
+export const syncCalendarImports = async () => {
+  const dueBefore = new Date(Date.now() - CALENDAR_SYNC_MINUTES * 60 * 1000)
+
+  const trainers = await Trainer.find({
+    'calendarImport.source': 'url',
+    $or: [
+      { 'calendarImport.lastSyncedAt': { $exists: false } },
+      { 'calendarImport.lastSyncedAt': { $lte: dueBefore } }
+    ]
+  })
+
+  let synced = 0
+  let failed = 0
+
+  for (const trainer of trainers) {
+    try {
+      await syncCalendarImport(trainer)
+      synced++
+    } catch (err) {
+      // The error is saved on the trainer for their dashboard; try again next run
+      console.error(`Failed to sync calendar for trainer ${trainer._id}:`, err.message)
+      failed++
+    }
+  }
+
+  return { synced, failed }
+}
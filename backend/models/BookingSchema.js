@@ -31,23 +31,131 @@ const bookingSchema = new mongoose.Schema(
         required: true,
       }
     },
+    // Absolute start and end of the session. bookingDate and timeSlot are
+    // wall-clock values in the trainer's time zone; these are what clients
+    // in other zones convert to their own local time.
+    startsAt: { type: Date, index: true },
+    endsAt: { type: Date },
+    // Confirmed ("approved") sessions end up "completed" or "no_show" once
+    // they've taken place
     status: {
       type: String,
-      enum: ["pending", "approved", "cancelled"],
+      enum: ["pending", "approved", "cancelled", "completed", "no_show"],
       default: "pending",
     },
     isPaid: {
       type: Boolean,
       default: true,
     },
+    // Where the payment stands. "processing" bookings hold their slot while
+    // a delayed Stripe payment method (e.g. a bank debit) clears; "unpaid"
+    // bookings are paid at the session and marked paid by the trainer.
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "processing", "paid", "failed", "refunded", "partially_refunded", "disputed"],
+      default: "paid",
+    },
+    // How a pay-at-session booking was settled, recorded by the trainer
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "bank_transfer", "card", "other"],
+    },
+    paymentNote: { type: String },
+    paidAt: { type: Date },
+    // Unique per trainer/date/start time (and seat, for group classes) while
+    // the booking is active. Cleared when a booking is cancelled so the place
+    // can be booked again.
+    slotKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    cancellationReason: { type: String },
+    // Weekly recurring bookings paid in one checkout share a seriesId
+    // (the Stripe checkout session ID) and are numbered from 1
+    seriesId: { type: String, index: true },
+    seriesIndex: { type: Number },
+    seriesTotal: { type: Number },
+    // Set for bookings waiting on trainer approval; expired by a scheduled job
+    approvalDeadline: { type: Date },
+    approvedAt: { type: Date },
+    // Attendance - when the client scanned the trainer's check-in code, and
+    // when the session was marked completed or a no-show
+    checkedInAt: { type: Date },
+    completedAt: { type: Date },
+    noShowAt: { type: Date },
+    // Stripe checkout session the booking was paid in. Unique per session
+    // (and per week of a series paid in one checkout, see the index below),
+    // so a webhook delivered twice can't book the same payment twice.
+    stripeSessionId: { type: String },
+    // Stripe payment reference used to issue refunds
+    paymentIntentId: { type: String },
+    // Set when the session was paid with a prepaid session credit instead of
+    // through Stripe. Cancelling with a full refund returns the credit.
+    sessionPack: { type: mongoose.Types.ObjectId, ref: "SessionPack" },
+    creditReturned: { type: Boolean, default: false },
+    cancelledAt: { type: Date },
+    cancelledBy: {
+      type: String,
+      enum: ["client", "trainer", "system"],
+    },
+    // Promo code used at checkout and the dollars it took off this session
+    // (ticketPrice is what was charged after the discount)
+    discount: {
+      promoCode: { type: mongoose.Types.ObjectId, ref: "PromoCode" },
+      code: { type: String },
+      amount: { type: Number },
+    },
+    refundAmount: { type: Number, default: 0 },
+    refundId: { type: String },
+    // Set when a refund issued outside the app (e.g. from the Stripe
+    // dashboard) was recorded on the booking
+    refundedAt: { type: Date },
+    // Chargeback opened by the client's bank against the payment
+    dispute: {
+      disputeId: { type: String },
+      status: { type: String },
+      reason: { type: String },
+      amount: { type: Number },
+      openedAt: { type: Date },
+    },
+    // Extra payments taken after the original checkout, e.g. the price
+    // difference when a session is moved to a more expensive slot
+    extraCharges: [
+      {
+        paymentIntentId: { type: String },
+        amount: { type: Number },
+        reason: { type: String },
+        chargedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Previous times of a rescheduled session, oldest first
+    rescheduleHistory: [
+      {
+        bookingDate: { type: Date },
+        timeSlot: {
+          day: { type: String },
+          startingTime: { type: String },
+          endingTime: { type: String },
+        },
+        startsAt: { type: Date },
+        rescheduledBy: { type: String, enum: ["client", "trainer"] },
+        rescheduledAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }  
 );
 
+bookingSchema.index(
+  { stripeSessionId: 1, seriesIndex: 1 },
+  { unique: true, partialFilterExpression: { stripeSessionId: { $type: "string" } } }
+);
+
 bookingSchema.pre(/^find/, function (next) {
-  this.populate("user").populate({
+  this.populate({ path: "user", select: "-password" }).populate({
     path: "trainer",
-    select: "name specialization photo",
+    select: "name specialization photo timeZone",
   });
   next();
 });
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Time a trainer is busy according to a calendar they imported (a personal
+// or work calendar kept outside the app). Slots overlapping a busy block
+// can't be booked. Replaced in full every time the calendar is re-synced.
+const busyBlockSchema = new mongoose.Schema(
+  {
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    // UID of the imported event; repeating events share it across occurrences
+    uid: { type: String },
+    summary: { type: String },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    allDay: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+busyBlockSchema.index({ trainer: 1, startsAt: 1 });
+
+export default mongoose.model("BusyBlock", busyBlockSchema);
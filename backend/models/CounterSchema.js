@@ -0,0 +1,10 @@
+import mongoose from "mongoose";
+
+// A named number that only ever goes up, e.g. "invoice" for invoice numbers.
+// Incremented atomically, so two requests can never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+});
+
+export default mongoose.model("Counter", counterSchema);
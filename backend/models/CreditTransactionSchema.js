@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Ledger of every change to a client's session credits with a trainer.
+// Purchases and returned credits are positive, redemptions, expiries and
+// refunds negative, so the history always adds up to the current balance.
+const creditTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    sessionPack: {
+      type: mongoose.Types.ObjectId,
+      ref: "SessionPack",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["purchase", "redeem", "return", "expire", "refund"],
+      required: true,
+    },
+    credits: { type: Number, required: true },
+    booking: { type: mongoose.Types.ObjectId, ref: "Booking" },
+    note: { type: String },
+    // Checkout session a purchase was paid in - one purchase entry per
+    // checkout, however often the webhook is delivered
+    stripeSessionId: { type: String, unique: true, sparse: true },
+  },
+  { timestamps: true }
+);
+
+creditTransactionSchema.index({ user: 1, trainer: 1, createdAt: -1 });
+
+export default mongoose.model("CreditTransaction", creditTransactionSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Ledger of the money a trainer earns. A sale is recorded when a booking or
+// session pack is paid for (and again for any extra charge, such as a
+// reschedule fee), and a refund when money goes back to the client. Each
+// entry splits its gross amount into the platform's commission and the
+// trainer's net earnings; refunds are negative and hand back the matching
+// share of the commission.
+const earningTransactionSchema = new mongoose.Schema(
+  {
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    user: { type: mongoose.Types.ObjectId, ref: "User" },
+    booking: { type: mongoose.Types.ObjectId, ref: "Booking" },
+    sessionPack: { type: mongoose.Types.ObjectId, ref: "SessionPack" },
+    // What the money was for, e.g. "booking:<id>" or "pack:<id>"
+    source: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["sale", "refund"],
+      required: true,
+    },
+    // Dollars: gross = commission + net
+    gross: { type: Number, required: true },
+    commission: { type: Number, required: true },
+    net: { type: Number, required: true },
+    commissionPercent: { type: Number, required: true },
+    // Gross of this source's entries of this type so far, including this
+    // one, in cents - unique, so the same money is never recorded twice
+    runningTotal: { type: Number, required: true },
+    // Month the trainer is paid out for, "YYYY-MM" in their time zone
+    payoutPeriod: { type: String, required: true },
+    occurredAt: { type: Date, default: Date.now },
+    description: { type: String },
+  },
+  { timestamps: true }
+);
+
+earningTransactionSchema.index({ source: 1, type: 1, runningTotal: 1 }, { unique: true });
+earningTransactionSchema.index({ trainer: 1, payoutPeriod: 1, occurredAt: 1 });
+
+export default mongoose.model("EarningTransaction", earningTransactionSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A checkout taken through the fake payment provider, used to run the
+// booking flow offline. Plays the part of a Stripe checkout session and
+// its payment intent, so refunds can be checked against what was paid.
+const fakePaymentSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, unique: true },
+    paymentIntentId: { type: String, required: true, unique: true },
+    chargeId: { type: String, required: true },
+    name: { type: String },
+    description: { type: String },
+    currency: { type: String, default: "aud" },
+    // Total in cents
+    amountTotal: { type: Number, required: true },
+    customerEmail: { type: String },
+    clientReferenceId: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    successUrl: { type: String },
+    cancelUrl: { type: String },
+    expiresAt: { type: Date },
+    status: {
+      type: String,
+      enum: ["open", "processing", "paid", "failed"],
+      default: "open",
+    },
+    paidAt: { type: Date },
+    amountRefunded: { type: Number, default: 0 },
+    refunds: [
+      {
+        refundId: { type: String },
+        amount: { type: Number },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("FakePayment", fakePaymentSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// The invoice issued for a paid booking. Numbers come from the "invoice"
+// counter, so they run in order and are never handed out twice. The
+// trainer's and client's details and the amounts are copied in when the
+// invoice is issued, so a later profile change doesn't alter it.
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true, unique: true },
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true,
+    },
+    trainer: { type: mongoose.Types.ObjectId, ref: "Trainer", index: true },
+    user: { type: mongoose.Types.ObjectId, ref: "User", index: true },
+    issuedAt: { type: Date, default: Date.now },
+    paidAt: { type: Date },
+    paymentMethod: { type: String },
+    seller: {
+      name: { type: String },
+      email: { type: String },
+      abn: { type: String },
+      gstRegistered: { type: Boolean },
+    },
+    buyer: {
+      name: { type: String },
+      email: { type: String },
+    },
+    description: { type: String },
+    sessionStart: { type: Date },
+    sessionEnd: { type: Date },
+    timeZone: { type: String },
+    // Dollars; amount is what was charged, including GST
+    amount: { type: Number, required: true },
+    gst: { type: Number, default: 0 },
+    discount: {
+      code: { type: String },
+      amount: { type: Number },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A discount code clients enter at checkout, e.g. "FIRST50" for 50% off a
+// client's first session. Trainers create codes for their own sessions;
+// admins can also create platform-wide codes (no trainer) that work with
+// every trainer. The discount applies to each session in the checkout.
+const promoCodeSchema = new mongoose.Schema(
+  {
+    // Stored upper case; codes are matched case-insensitively
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z0-9_-]{3,30}$/,
+    },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    // Percentage off (1-100) or dollars off each session
+    amount: { type: Number, required: true, min: 0.01 },
+    // Trainer whose sessions the code is for; unset for platform-wide codes
+    trainer: { type: mongoose.Types.ObjectId, ref: "Trainer", index: true },
+    expiresAt: { type: Date },
+    // Checkouts the code can be used for in total, and per client
+    maxUses: { type: Number, min: 1 },
+    maxUsesPerClient: { type: Number, min: 1 },
+    usedCount: { type: Number, default: 0 },
+    // Only for clients who haven't booked before (with the trainer, for
+    // trainer codes; with anyone, for platform-wide codes)
+    firstBookingOnly: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Record of a booking email that was sent (or is being sent). The unique
+// key stops the webhook, the scheduled job and retries from emailing the
+// same confirmation or reminder twice.
+const sentEmailSchema = new mongoose.Schema(
+  {
+    // e.g. "reminder-24h:<bookingId>:<startsAt>:client"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["confirmation", "reminder-24h", "reminder-2h"],
+      required: true,
+    },
+    recipient: {
+      type: String,
+      enum: ["client", "trainer"],
+      required: true,
+    },
+    to: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["sending", "sent"],
+      default: "sending",
+    },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SentEmail", sentEmailSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A bundle of prepaid sessions a client bought from a trainer. Credits are
+// taken from creditsRemaining as the client books, and whatever is left is
+// written off when the pack expires or is refunded.
+const sessionPackSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    // Copied from the trainer's package so later edits don't change past purchases
+    name: { type: String, required: true },
+    sessionsTotal: { type: Number, required: true, min: 1 },
+    creditsRemaining: { type: Number, required: true, min: 0 },
+    price: { type: Number, required: true },
+    expiresAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["active", "expired", "refunded"],
+      default: "active",
+    },
+    // Stripe references - the session ID stops a webhook retry creating the pack twice
+    stripeSessionId: { type: String, unique: true, sparse: true },
+    paymentIntentId: { type: String },
+    refundAmount: { type: Number, default: 0 },
+    refundedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+sessionPackSchema.index({ user: 1, trainer: 1, status: 1, expiresAt: 1 });
+
+export default mongoose.model("SessionPack", sessionPackSchema);
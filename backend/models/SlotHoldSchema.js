@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Temporary reservation of a trainer's time slot while a client is in
+// Stripe checkout. Converted into a Booking by the webhook, or released
+// when the checkout session expires.
+const slotHoldSchema = new mongoose.Schema(
+  {
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Same key format as Booking.slotKey - only one hold per place in a slot
+    slotKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    bookingDate: {
+      type: Date,
+      required: true,
+    },
+    timeSlot: {
+      day: { type: String, required: true },
+      startingTime: { type: String, required: true },
+      endingTime: { type: String, required: true },
+    },
+    stripeSessionId: { type: String, index: true },
+    // When a client checks out with the place their waitlist offer held,
+    // the offer's end - the place returns to the offer if checkout lapses
+    offerExpiresAt: { type: Date },
+    // MongoDB removes the hold automatically once this time has passed
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SlotHold", slotHoldSchema);
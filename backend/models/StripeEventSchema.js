@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Every event Stripe sends to the webhook, with how processing went.
+// Stripe retries deliveries it doesn't get a 2xx for and may deliver an
+// event more than once, so events already processed are skipped, and
+// failed ones can be replayed by an admin once the cause is fixed.
+const stripeEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: { type: String, required: true, index: true },
+    // The full event as Stripe sent it, replayed as-is
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+      index: true,
+    },
+    // What processing did (e.g. bookings created), or why it failed
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("StripeEvent", stripeEventSchema);
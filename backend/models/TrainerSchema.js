@@ -24,6 +24,90 @@ const TrainerSchema = new mongoose.Schema({
   bio: { type: String, maxLength: 50 },
   about: { type: String },
   timeSlots: { type: Array },
+  // Weekly windows the bookable slots are generated from, e.g. Mondays
+  // 06:00-12:00 split into 45-minute sessions with a 15-minute buffer.
+  // Used alongside any individually entered timeSlots.
+  availabilityWindows: [
+    {
+      day: { type: String, required: true },
+      startTime: { type: String, required: true },
+      endTime: { type: String, required: true },
+      sessionMinutes: { type: Number, default: 60, min: 5 },
+      bufferMinutes: { type: Number, default: 0, min: 0 },
+    },
+  ],
+  // IANA time zone the timeSlots are written in, e.g. "Australia/Perth"
+  timeZone: { type: String, default: "Australia/Sydney" },
+
+  // Date-specific changes to the weekly timeSlots pattern. A "blackout"
+  // blocks a whole date (holiday, sick day) or, with a startingTime, just one
+  // slot on it. An "extra" adds a one-off slot on that date only.
+  availabilityExceptions: [
+    {
+      date: { type: String, required: true }, // YYYY-MM-DD
+      type: { type: String, enum: ["blackout", "extra"], required: true },
+      startingTime: { type: String },
+      endingTime: { type: String },
+      reason: { type: String },
+    },
+  ],
+
+  // External calendar whose events block availability (see BusyBlockSchema).
+  // Either a subscription URL re-synced on a schedule, or a one-off upload.
+  calendarImport: {
+    source: { type: String, enum: ["url", "upload"] },
+    url: { type: String },
+    fileName: { type: String },
+    lastSyncedAt: { type: Date },
+    lastSyncError: { type: String },
+  },
+
+  // Cancellation policy - clients cancelling at least freeCancellationHours
+  // before a session get a full refund, later cancellations get
+  // lateCancellationRefundPercent of the price back
+  freeCancellationHours: { type: Number, default: 24, min: 0 },
+  lateCancellationRefundPercent: { type: Number, default: 50, min: 0, max: 100 },
+
+  // No-show policy - clients who miss a session get noShowRefundPercent of
+  // the price back; by default the whole payment is forfeited
+  noShowRefundPercent: { type: Number, default: 0, min: 0, max: 100 },
+
+  // Bumped when the trainer regenerates their check-in QR code, which
+  // changes the code's signature so old printouts stop working
+  checkInVersion: { type: Number, default: 0 },
+
+  // Manual approval mode - new paid bookings stay pending until the trainer
+  // approves them, and are declined (and refunded) automatically after
+  // approvalExpiryHours without a response
+  requiresBookingApproval: { type: Boolean, default: false },
+  approvalExpiryHours: { type: Number, default: 48, min: 1 },
+
+  // Pay at session - clients may book without paying online and settle up
+  // with the trainer in person (cash, bank transfer...). These bookings are
+  // created pending and unpaid; the trainer approves them and marks them
+  // paid once the money is in.
+  allowPayAtSession: { type: Boolean, default: false },
+
+  // Business details printed on clients' invoices. An ABN (11 digits) is
+  // needed before invoices can be issued; GST-registered trainers issue tax
+  // invoices with GST included in their prices.
+  abn: { type: String },
+  gstRegistered: { type: Boolean, default: false },
+
+  // Commission the platform takes from this trainer's sales, in percent.
+  // Set by an admin; unset trainers pay PLATFORM_COMMISSION_PERCENT.
+  commissionPercent: { type: Number, min: 0, max: 100 },
+
+  // Prepaid bundles clients can buy, e.g. 10 sessions for the price of 9.
+  // Each purchase becomes a SessionPack whose credits are redeemed per booking.
+  sessionPackages: [
+    {
+      name: { type: String, required: true },
+      sessions: { type: Number, required: true, min: 1 },
+      price: { type: Number, required: true, min: 0 },
+      validityDays: { type: Number, default: 180, min: 1 },
+    },
+  ],
   reviews: [{ type: mongoose.Types.ObjectId, ref: "Review" }],
   averageRating: {
     type: Number,
@@ -41,6 +125,9 @@ const TrainerSchema = new mongoose.Schema({
     default: "approved",
   },
   bookings: [{ type: mongoose.Types.ObjectId, ref: "Booking" }],
+  // Secret part of the private calendar feed URL. Never returned unless
+  // explicitly selected, so it can't leak through profile or booking data.
+  calendarToken: { type: String, index: true, select: false },
 });
 
 export default mongoose.model("Trainer", TrainerSchema);
@@ -13,6 +13,9 @@ const UserSchema = new mongoose.Schema({
   },
   gender: { type: String, enum: ["male", "female", "other"] },
   bookings: [{ type: mongoose.Types.ObjectId, ref: "Booking" }],
+  // Secret part of the private calendar feed URL. Never returned unless
+  // explicitly selected, so it can't leak through profile or booking data.
+  calendarToken: { type: String, index: true, select: false },
 });
 
 export default mongoose.model("User", UserSchema);
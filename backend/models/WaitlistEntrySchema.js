@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// A client waiting for a trainer's slot on a date that is already booked.
+// When the slot frees up, the longest-waiting client is offered it for a
+// limited time before the offer passes to the next person in line.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Same key format as Booking.slotKey
+    slotKey: { type: String, required: true, index: true },
+    bookingDate: { type: Date, required: true },
+    timeSlot: {
+      day: { type: String, required: true },
+      startingTime: { type: String, required: true },
+      endingTime: { type: String, required: true },
+      // Places in the slot, so offers can fill every spot of a group class
+      capacity: { type: Number, default: 1 },
+    },
+    // When the session begins, worked out in the trainer's time zone
+    startsAt: { type: Date },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "left"],
+      default: "waiting",
+    },
+    offeredAt: { type: Date },
+    offerExpiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+export default mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// What a trainer did with a client in a session: the exercises with each
+// set's reps and load, and notes. A booking has at most one log. Notes are
+// shared with the client; privateNotes are for the trainer only and are
+// never selected unless asked for (select("+privateNotes")), so a client's
+// query can't return them by mistake.
+const setSchema = new mongoose.Schema(
+  {
+    reps: { type: Number, min: 0 },
+    // Weight lifted in kg - left out for bodyweight exercises
+    load: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+const exerciseSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    sets: [setSchema],
+    notes: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const workoutLogSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true,
+    },
+    trainer: {
+      type: mongoose.Types.ObjectId,
+      ref: "Trainer",
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // When the session started, so a client's history sorts by session
+    sessionStart: { type: Date },
+    exercises: [exerciseSchema],
+    notes: { type: String, trim: true },
+    privateNotes: { type: String, trim: true, select: false },
+  },
+  { timestamps: true }
+);
+
+workoutLogSchema.index({ user: 1, sessionStart: -1 });
+workoutLogSchema.index({ trainer: 1, user: 1, sessionStart: -1 });
+
+export default mongoose.model("WorkoutLog", workoutLogSchema);
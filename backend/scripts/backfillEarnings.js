@@ -0,0 +1,73 @@
+/**
+ * Backfill - Earnings Ledger
+ *
+ * Bookings and session packs paid for before the earnings ledger existed
+ * have no ledger entries. This records their sales and refunds, dated when
+ * the money moved (as far as the documents tell), so they show up in the
+ * right payout period. Commission is charged at each trainer's current rate.
+ *
+ * Safe to run more than once - money already in the ledger isn't recorded
+ * again.
+ *
+ * USAGE:
+ *   npm run backfill:earnings
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Booking from '../models/BookingSchema.js'
+import SessionPack from '../models/SessionPackSchema.js'
+import { hasReceivedPayment, syncBookingEarnings, syncPackEarnings } from '../utils/earnings.js'
+
+dotenv.config()
+
+const backfillBookings = async () => {
+  let recorded = 0
+
+  const bookings = await Booking.find({ sessionPack: { $exists: false } })
+
+  for (const booking of bookings) {
+    if (!hasReceivedPayment(booking)) continue
+
+    const entries = await syncBookingEarnings(booking, {
+      paidAt: booking.paidAt || booking.createdAt,
+      refundedAt: booking.refundedAt || booking.cancelledAt || booking.updatedAt
+    })
+    recorded += entries.length
+  }
+
+  return recorded
+}
+
+const backfillPacks = async () => {
+  let recorded = 0
+
+  const packs = await SessionPack.find({})
+
+  for (const pack of packs) {
+    const entries = await syncPackEarnings(pack, {
+      paidAt: pack.createdAt,
+      refundedAt: pack.refundedAt || pack.updatedAt
+    })
+    recorded += entries.length
+  }
+
+  return recorded
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL)
+
+  try {
+    const bookings = await backfillBookings()
+    const packs = await backfillPacks()
+    console.log(`Earnings backfilled: ${bookings} booking entries, ${packs} session pack entries`)
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch(err => {
+  console.error('Earnings backfill failed:', err)
+  process.exit(1)
+})
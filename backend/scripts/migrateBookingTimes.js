@@ -0,0 +1,81 @@
+/**
+ * Migration - Booking Start/End Instants
+ *
+ * Bookings made before startsAt/endsAt existed only have a bookingDate and
+ * wall-clock timeSlot strings. This fills in the absolute instants for them
+ * (and for rescheduled history entries and waitlist entries), reading the
+ * times in each trainer's time zone.
+ *
+ * Safe to run more than once - only documents still missing startsAt are
+ * touched.
+ *
+ * USAGE:
+ *   npm run migrate:booking-times
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Booking from '../models/BookingSchema.js'
+import WaitlistEntry from '../models/WaitlistEntrySchema.js'
+import { getSessionTimes } from '../utils/bookingSlots.js'
+
+dotenv.config()
+
+const migrateBookings = async () => {
+  let updated = 0
+
+  // The booking find hook populates the trainer, including their time zone
+  const bookings = await Booking.find({ startsAt: { $exists: false } })
+
+  for (const booking of bookings) {
+    if (!booking.bookingDate || !booking.timeSlot?.startingTime) continue
+
+    const timeZone = booking.trainer?.timeZone
+    const update = getSessionTimes(booking.bookingDate, booking.timeSlot, timeZone)
+
+    booking.rescheduleHistory.forEach((entry, index) => {
+      if (!entry.startsAt && entry.bookingDate && entry.timeSlot?.startingTime) {
+        update[`rescheduleHistory.${index}.startsAt`] =
+          getSessionTimes(entry.bookingDate, entry.timeSlot, timeZone).startsAt
+      }
+    })
+
+    // updateOne skips validation and the find hooks, so older documents
+    // with since-added required fields still migrate
+    await Booking.updateOne({ _id: booking._id }, { $set: update })
+    updated++
+  }
+
+  return updated
+}
+
+const migrateWaitlistEntries = async () => {
+  let updated = 0
+
+  const entries = await WaitlistEntry.find({ startsAt: { $exists: false } }).populate('trainer', 'timeZone')
+
+  for (const entry of entries) {
+    const { startsAt } = getSessionTimes(entry.bookingDate, entry.timeSlot, entry.trainer?.timeZone)
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { startsAt } })
+    updated++
+  }
+
+  return updated
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL)
+
+  try {
+    const bookings = await migrateBookings()
+    const waitlistEntries = await migrateWaitlistEntries()
+    console.log(`Booking times migrated: ${bookings} bookings, ${waitlistEntries} waitlist entries`)
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch(err => {
+  console.error('Booking time migration failed:', err)
+  process.exit(1)
+})
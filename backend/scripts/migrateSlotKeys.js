@@ -0,0 +1,101 @@
+/**
+ * Migration - Booking Slot Keys
+ *
+ * Overbooking is checked (and enforced by a unique index) on each active
+ * booking's slotKey. Bookings made before slotKey existed don't have one,
+ * so their places look free and can be booked a second time. This gives
+ * every active booking without a key the first free seat key of its slot.
+ *
+ * A booking that finds every seat of its slot taken was double-booked
+ * before the check existed; it is listed so the trainer can sort it out,
+ * and left without a key.
+ *
+ * Safe to run more than once - only active bookings still missing slotKey
+ * are touched. Runs on every deploy (see the vercel-build script).
+ *
+ * USAGE:
+ *   npm run migrate:slot-keys
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Booking from '../models/BookingSchema.js'
+import Trainer from '../models/TrainerSchema.js'
+import {
+  buildSlotKey,
+  buildSeatKey,
+  findTrainerSlot,
+  getSlotCapacity,
+  isDuplicateKeyError
+} from '../utils/bookingSlots.js'
+
+dotenv.config()
+
+const migrateSlotKeys = async () => {
+  let updated = 0
+  const overbooked = []
+  const trainers = new Map()
+
+  // Oldest first, so the client who booked first keeps their seat
+  const bookings = await Booking.find({
+    slotKey: { $exists: false },
+    status: { $ne: 'cancelled' }
+  }).sort({ createdAt: 1 })
+
+  for (const booking of bookings) {
+    const trainerId = booking.trainer?._id || booking.trainer
+    if (!trainerId || !booking.bookingDate || !booking.timeSlot?.startingTime) continue
+
+    if (!trainers.has(trainerId.toString())) {
+      trainers.set(
+        trainerId.toString(),
+        await Trainer.findById(trainerId).select('timeSlots availabilityWindows availabilityExceptions')
+      )
+    }
+
+    // The trainer's current slot knows the capacity of a group class
+    const trainer = trainers.get(trainerId.toString())
+    const slot = (trainer && findTrainerSlot(trainer, booking.bookingDate, booking.timeSlot)) || booking.timeSlot
+    const slotKey = buildSlotKey(trainerId, booking.bookingDate, booking.timeSlot)
+
+    let saved = false
+    for (let seat = 1; seat <= getSlotCapacity(slot) && !saved; seat++) {
+      try {
+        // updateOne skips validation and the find hooks, so older documents
+        // with since-added required fields still migrate
+        await Booking.updateOne({ _id: booking._id }, { $set: { slotKey: buildSeatKey(slotKey, seat) } })
+        saved = true
+      } catch (err) {
+        if (!isDuplicateKeyError(err)) throw err
+      }
+    }
+
+    if (saved) updated++
+    else overbooked.push(booking._id.toString())
+  }
+
+  return { updated, overbooked }
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL)
+
+  try {
+    // Build the unique index first, or clashing keys wouldn't be rejected
+    await Booking.init()
+
+    const { updated, overbooked } = await migrateSlotKeys()
+    console.log(`Slot keys migrated: ${updated} bookings`)
+
+    if (overbooked.length > 0) {
+      console.warn(`Already double-booked, left without a slot key: ${overbooked.join(', ')}`)
+    }
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch(err => {
+  console.error('Slot key migration failed:', err)
+  process.exit(1)
+})
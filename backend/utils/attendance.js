@@ -0,0 +1,212 @@
+/**
+ * Attendance Utilities
+ *
+ * Tracks whether clients turned up to their sessions:
+ * - Clients check in by scanning the trainer's QR code at the gym, which
+ *   opens a signed check-in link. The signature proves the link came from
+ *   the trainer's code; regenerating the code changes it, so old printouts
+ *   stop working.
+ * - Trainers mark sessions completed or no-show once they've started.
+ *   Sessions the client checked in to are completed automatically when
+ *   they end (see jobs/completeAttendedSessions.js).
+ * - A no-show is charged by the trainer's no-show policy: the client gets
+ *   noShowRefundPercent of the price back (nothing by default), a session
+ *   credit only comes back on a full refund, and clients paying at the
+ *   session owe the rest.
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import Booking from '../models/BookingSchema.js'
+import { returnCredit } from './sessionCredits.js'
+import { getRefundCents, refundBookingPayments } from './bookingRefunds.js'
+import { getRefundedPaymentStatus } from './paymentLifecycle.js'
+import { getPaymentProvider } from './paymentProvider.js'
+import { syncBookingEarnings } from './earnings.js'
+
+// Clients can check in from this long before their session until it ends
+export const CHECK_IN_OPENS_MINUTES = 30
+
+/**
+ * Get Check-In Secret
+ *
+ * @returns {string} - Key check-in links are signed with
+ */
+const getCheckInSecret = () => process.env.CHECK_IN_SECRET || process.env.JWT_SECRET_KEY
+
+/**
+ * Sign Check-In
+ *
+ * @param {Object} trainer - Trainer with _id and checkInVersion
+ * @returns {string} - Signature of the trainer's current check-in link
+ */
+export const signCheckIn = (trainer) => {
+  return crypto
+    .createHmac('sha256', getCheckInSecret())
+    .update(`check-in:${trainer._id}:${trainer.checkInVersion || 0}`)
+    .digest('hex')
+    .slice(0, 32)
+}
+
+/**
+ * Is Valid Check-In Signature
+ *
+ * @param {Object} trainer - Trainer whose link was scanned
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} - True if the link is the trainer's current one
+ */
+export const isValidCheckInSignature = (trainer, signature) => {
+  const expected = Buffer.from(signCheckIn(trainer))
+  const received = Buffer.from(String(signature || ''))
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+}
+
+/**
+ * Build Check-In URL
+ *
+ * @param {Object} trainer - Trainer with _id and checkInVersion
+ * @returns {string} - Link on the trainer's QR code, opening the check-in page
+ */
+export const buildCheckInUrl = (trainer) => {
+  return `${process.env.CLIENT_SUCCESS_URL}/check-in/${trainer._id}?sig=${signCheckIn(trainer)}`
+}
+
+/**
+ * Find Check-In Booking
+ *
+ * @param {string} userId - Client checking in
+ * @param {string} trainerId - Trainer whose code was scanned
+ * @param {Date} [now] - Time of the check-in
+ * @returns {Promise<Document|null>} - The client's confirmed session with the trainer open for check-in
+ */
+export const findCheckInBooking = (userId, trainerId, now = new Date()) => {
+  return Booking.findOne({
+    user: userId,
+    trainer: trainerId,
+    status: 'approved',
+    startsAt: { $lte: new Date(now.getTime() + CHECK_IN_OPENS_MINUTES * 60 * 1000) },
+    endsAt: { $gt: now }
+  }).sort({ startsAt: 1 })
+}
+
+/**
+ * Mark Completed
+ *
+ * @param {Document} booking - Confirmed session that has started
+ * @param {Date} [completedAt] - When it was completed
+ * @returns {Promise<Document>} - The saved booking
+ */
+export const markCompleted = async (booking, completedAt = new Date()) => {
+  booking.status = 'completed'
+  booking.completedAt = completedAt
+  await booking.save()
+
+  return booking
+}
+
+/**
+ * Mark No-Show
+ *
+ * Applies the trainer's no-show policy and marks the booking as a no-show.
+ * The slot stays booked - the session took place without the client.
+ *
+ * @param {Document} booking - Confirmed session that has started
+ * @param {Object} trainer - Trainer with noShowRefundPercent
+ * @returns {Promise<Object>} - { booking, refundCents }
+ */
+export const markNoShow = async (booking, trainer) => {
+  const refundPercent = trainer?.noShowRefundPercent ?? 0
+
+  if (booking.sessionPack && booking.isPaid && refundPercent === 100) {
+    booking.creditReturned = await returnCredit(booking, 'Session missed - credit returned by no-show policy')
+  }
+
+  // Clients paying at the session owe the no-show fee instead of the price
+  if (booking.paymentStatus === 'unpaid') {
+    const feeCents = Math.round(Number(booking.ticketPrice) * (100 - refundPercent))
+    booking.ticketPrice = (feeCents / 100).toString()
+  }
+
+  // Money refunded outside this app (e.g. from the Stripe dashboard) isn't refunded again
+  const priceCents = Math.round(Number(booking.ticketPrice) * 100)
+  const refundedCents = Math.round((booking.refundAmount || 0) * 100)
+  const refundCents = Math.min(getRefundCents(booking, refundPercent), priceCents - refundedCents)
+
+  if (refundCents > 0) {
+    if (!booking.paymentIntentId) {
+      throw new Error('No payment record found for this booking')
+    }
+
+    const refunds = await refundBookingPayments(getPaymentProvider(), booking, refundCents)
+    booking.refundId = refunds.map(refund => refund.id).join(',')
+    booking.refundAmount = (refundedCents + refundCents) / 100
+    booking.refundedAt = new Date()
+    booking.paymentStatus = getRefundedPaymentStatus(booking)
+    if (booking.paymentStatus === 'refunded') booking.isPaid = false
+  }
+  if (booking.creditReturned) booking.isPaid = false
+
+  booking.status = 'no_show'
+  booking.noShowAt = new Date()
+  await booking.save()
+  await syncBookingEarnings(booking)
+
+  return { booking, refundCents: Math.max(refundCents, 0) }
+}
+
+/**
+ * Get Attendance Stats
+ *
+ * @param {string} trainerId - Trainer to report on
+ * @returns {Promise<Array>} - One entry per client with a session that has taken place, most sessions first:
+ *   { user: {_id, name, email, photo}, completed, noShows, checkedIn, unmarked, attendanceRate, lastSession }
+ */
+export const getAttendanceStats = async (trainerId) => {
+  const now = new Date()
+
+  // Aggregation skips the find hooks, so the client is looked up here
+  const stats = await Booking.aggregate([
+    {
+      $match: {
+        trainer: new mongoose.Types.ObjectId(trainerId),
+        status: { $in: ['approved', 'completed', 'no_show'] },
+        startsAt: { $lte: now }
+      }
+    },
+    {
+      $group: {
+        _id: '$user',
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } },
+        checkedIn: { $sum: { $cond: [{ $gt: ['$checkedInAt', null] }, 1, 0] } },
+        // Sessions that took place but haven't been marked yet
+        unmarked: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        lastSession: { $max: '$startsAt' }
+      }
+    },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        'user._id': 1,
+        'user.name': 1,
+        'user.email': 1,
+        'user.photo': 1,
+        completed: 1,
+        noShows: 1,
+        checkedIn: 1,
+        unmarked: 1,
+        lastSession: 1
+      }
+    }
+  ])
+
+  return stats
+    .map(entry => {
+      const marked = entry.completed + entry.noShows
+      return { ...entry, attendanceRate: marked > 0 ? Math.round(entry.completed / marked * 100) : null }
+    })
+    .sort((a, b) => (b.completed + b.noShows + b.unmarked) - (a.completed + a.noShows + a.unmarked))
+}
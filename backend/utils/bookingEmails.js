@@ -0,0 +1,235 @@
+/**
+ * Booking Email Utilities
+ *
+ * Emails clients and trainers about their sessions:
+ * - A confirmation as soon as a booking is made (one per checkout, so a
+ *   weekly series gets a single email listing every session)
+ * - Reminders 24 hours and 2 hours before each approved session
+ *
+ * Every send is recorded as a SentEmail under a unique key before it goes
+ * out, so the webhook, the scheduled job and any retries never email the
+ * same thing twice. A failed send removes its record so the
+ * sendBookingEmails job can try again on its next run.
+ */
+
+import SentEmail from '../models/SentEmailSchema.js'
+import Trainer from '../models/TrainerSchema.js'
+import User from '../models/UserSchema.js'
+import { sendMail } from './mailer.js'
+import { isDuplicateKeyError, getSessionStart } from './bookingSlots.js'
+import { DEFAULT_TIME_ZONE } from './timeZones.js'
+
+// Reminders sent before each session, latest first. A session booked
+// closer to its start than a reminder's lead time skips that reminder.
+export const SESSION_REMINDERS = [
+  { type: 'reminder-2h', hoursBefore: 2 },
+  { type: 'reminder-24h', hoursBefore: 24 }
+]
+
+/**
+ * Format Session Time
+ *
+ * @param {Object} booking - Booking with startsAt (or bookingDate and timeSlot)
+ * @param {string} timeZone - Trainer's time zone, which the email shows times in
+ * @returns {string} - e.g. "Monday 3 March 2025, 9:00 am AEDT"
+ */
+const formatSessionTime = (booking, timeZone) => {
+  return getSessionStart(booking, timeZone).toLocaleString('en-AU', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short'
+  })
+}
+
+/**
+ * Load People
+ *
+ * The booking's populated trainer leaves out their email, so both sides are
+ * loaded here.
+ *
+ * @param {Object} booking - Booking with trainer and user (populated or IDs)
+ * @returns {Promise<{client: Document|null, trainer: Document|null}>}
+ */
+const loadPeople = async (booking) => {
+  const [client, trainer] = await Promise.all([
+    User.findById(booking.user?._id || booking.user).select('name email'),
+    Trainer.findById(booking.trainer?._id || booking.trainer).select('name email timeZone')
+  ])
+
+  return { client, trainer }
+}
+
+/**
+ * Send Once
+ *
+ * Records the email under its key and sends it, unless an email with the
+ * same key was already sent.
+ *
+ * @param {Object} email - key, booking, type, recipient, to, subject and text
+ * @returns {Promise<boolean>} - True if the email was sent now
+ */
+const sendOnce = async ({ key, booking, type, recipient, to, subject, text }) => {
+  if (!to) return false
+
+  let record
+  try {
+    record = await SentEmail.create({ key, booking: booking._id, type, recipient, to })
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return false
+    throw err
+  }
+
+  try {
+    await sendMail({ to, subject, text })
+  } catch (err) {
+    // Forget the attempt so the next job run retries it
+    await record.deleteOne()
+    throw err
+  }
+
+  record.status = 'sent'
+  record.sentAt = new Date()
+  await record.save()
+
+  return true
+}
+
+/**
+ * Send Booking Confirmation
+ *
+ * Confirms a new booking to the client and tells the trainer about it.
+ * Pass every booking made in the same checkout; sessions that couldn't be
+ * booked (cancelled straight away) are left out, and so are sessions whose
+ * delayed payment hasn't cleared yet.
+ *
+ * @param {Array<Object>} bookings - Bookings from one checkout, first session first
+ * @returns {Promise<number>} - Number of emails sent
+ */
+export const sendBookingConfirmation = async (bookings) => {
+  const booked = bookings.filter(booking => booking.status !== 'cancelled' && booking.paymentStatus !== 'processing')
+  if (booked.length === 0) return 0
+
+  const first = booked[0]
+  const { client, trainer } = await loadPeople(first)
+  if (!client || !trainer) return 0
+
+  const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE
+  const isPending = first.status === 'pending'
+  const sessionList = booked.map(booking => `- ${formatSessionTime(booking, timeZone)}`).join('\n')
+  const sessionWord = booked.length === 1 ? 'session' : `${booked.length} weekly sessions`
+  // A series is confirmed once, under its series ID
+  const confirmationId = first.seriesId || first._id
+
+  let sent = 0
+
+  const clientSent = await sendOnce({
+    key: `confirmation:${confirmationId}:client`,
+    booking: first,
+    type: 'confirmation',
+    recipient: 'client',
+    to: client.email,
+    subject: isPending
+      ? `Booking request sent to ${trainer.name}`
+      : `Your ${booked.length === 1 ? 'session' : 'sessions'} with ${trainer.name} ${booked.length === 1 ? 'is' : 'are'} booked`,
+    text: [
+      `Hi ${client.name},`,
+      '',
+      isPending
+        ? `Thanks for booking ${sessionWord} with ${trainer.name}. ${trainer.name} needs to approve the booking - we'll remind you before each session once it's confirmed.`
+        : `Thanks for booking ${sessionWord} with ${trainer.name}. We'll remind you 24 hours and 2 hours before each session.`,
+      '',
+      sessionList,
+      '',
+      ...(first.paymentStatus === 'unpaid' ? [`Please pay ${trainer.name} $${first.ticketPrice} at each session.`, ''] : []),
+      'You can view, reschedule or cancel your bookings from your account.'
+    ].join('\n')
+  })
+  if (clientSent) sent++
+
+  const trainerSent = await sendOnce({
+    key: `confirmation:${confirmationId}:trainer`,
+    booking: first,
+    type: 'confirmation',
+    recipient: 'trainer',
+    to: trainer.email,
+    subject: isPending ? `New booking request from ${client.name}` : `New booking from ${client.name}`,
+    text: [
+      `Hi ${trainer.name},`,
+      '',
+      `${client.name} booked ${sessionWord} with you:`,
+      '',
+      sessionList,
+      '',
+      isPending
+        ? 'Please approve or decline the booking from your dashboard before it expires.'
+        : 'You can see all your bookings on your dashboard.'
+    ].join('\n')
+  })
+  if (trainerSent) sent++
+
+  return sent
+}
+
+/**
+ * Send Session Reminder
+ *
+ * Reminds both the client and the trainer of an upcoming session. The key
+ * includes the session's start, so a session that is rescheduled after a
+ * reminder was sent gets reminded again at its new time.
+ *
+ * @param {Object} booking - Approved booking
+ * @param {Object} reminder - One of SESSION_REMINDERS
+ * @returns {Promise<number>} - Number of emails sent
+ */
+export const sendSessionReminder = async (booking, reminder) => {
+  const { client, trainer } = await loadPeople(booking)
+  if (!client || !trainer) return 0
+
+  const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE
+  const when = formatSessionTime(booking, timeZone)
+  const inWords = reminder.hoursBefore === 24 ? 'tomorrow' : 'in 2 hours'
+  const keyPrefix = `${reminder.type}:${booking._id}:${getSessionStart(booking, timeZone).getTime()}`
+
+  let sent = 0
+
+  const clientSent = await sendOnce({
+    key: `${keyPrefix}:client`,
+    booking,
+    type: reminder.type,
+    recipient: 'client',
+    to: client.email,
+    subject: `Reminder: training with ${trainer.name} ${inWords}`,
+    text: [
+      `Hi ${client.name},`,
+      '',
+      `This is a reminder of your session with ${trainer.name} on ${when}.`,
+      '',
+      reminder.hoursBefore === 24
+        ? 'If you can no longer make it, you can reschedule or cancel from your account.'
+        : 'See you soon!'
+    ].join('\n')
+  })
+  if (clientSent) sent++
+
+  const trainerSent = await sendOnce({
+    key: `${keyPrefix}:trainer`,
+    booking,
+    type: reminder.type,
+    recipient: 'trainer',
+    to: trainer.email,
+    subject: `Reminder: session with ${client.name} ${inWords}`,
+    text: [
+      `Hi ${trainer.name},`,
+      '',
+      `This is a reminder of your session with ${client.name} on ${when}.`
+    ].join('\n')
+  })
+  if (trainerSent) sent++
+
+  return sent
+}
@@ -0,0 +1,122 @@
+/**
+ * Booking Refund Utilities
+ *
+ * Shared helpers for cancelling a booking and returning money to the
+ * client through the payment provider. Used by client/trainer cancellations, trainer
+ * declines and the job that expires bookings a trainer never approved.
+ * Bookings paid with a session credit get the credit back instead of money.
+ * The freed slot is offered to the first client on its waitlist.
+ */
+
+import { returnCredit } from './sessionCredits.js'
+import { offerFreedSlot } from './waitlist.js'
+import { getRefundedPaymentStatus } from './paymentLifecycle.js'
+import { getPaymentProvider } from './paymentProvider.js'
+import { syncBookingEarnings } from './earnings.js'
+
+/**
+ * Get Refund Cents
+ *
+ * @param {Document} booking - Booking being refunded
+ * @param {number} refundPercent - Percentage of the price to refund (0-100)
+ * @returns {number} - Refund amount in cents
+ */
+export const getRefundCents = (booking, refundPercent) => {
+  // Credit-paid bookings are refunded in credits, never in money
+  if (!booking.isPaid || booking.sessionPack) return 0
+
+  // Price in dollars multiplied by a percentage gives the refund in cents
+  return Math.round(Number(booking.ticketPrice) * refundPercent)
+}
+
+/**
+ * Refund Booking Payments
+ *
+ * Refunds an amount across every payment made for a booking, starting with
+ * the most recent extra charge and finishing with the original checkout.
+ *
+ * @param {Object} provider - Payment provider
+ * @param {Document} booking - Booking being refunded
+ * @param {number} refundCents - Total amount to refund in cents
+ * @returns {Promise<Array>} - Refunds that were created ({ id })
+ */
+export const refundBookingPayments = async (provider, booking, refundCents) => {
+  const extraCents = booking.extraCharges.reduce((sum, charge) => sum + Math.round(charge.amount * 100), 0)
+  const payments = [
+    ...booking.extraCharges.map(charge => ({
+      paymentIntentId: charge.paymentIntentId,
+      cents: Math.round(charge.amount * 100)
+    })).reverse(),
+    {
+      paymentIntentId: booking.paymentIntentId,
+      cents: Math.round(Number(booking.ticketPrice) * 100) - extraCents
+    }
+  ]
+
+  const refunds = []
+  let remaining = refundCents
+
+  for (const payment of payments) {
+    if (remaining <= 0) break
+    const amount = Math.min(remaining, payment.cents)
+    if (amount <= 0 || !payment.paymentIntentId) continue
+
+    refunds.push(await provider.refund({
+      paymentIntentId: payment.paymentIntentId,
+      amount
+    }))
+    remaining -= amount
+  }
+
+  return refunds
+}
+
+/**
+ * Cancel Booking With Refund
+ *
+ * Refunds the given share of the booking price, marks the booking as
+ * cancelled and frees its slot for other clients. A booking paid with a
+ * session credit only gets its credit back on a full refund - a late
+ * cancellation forfeits the credit.
+ *
+ * @param {Document} booking - Booking to cancel
+ * @param {Object} options - Cancellation details
+ * @param {number} options.refundPercent - Percentage of the price to refund (0-100)
+ * @param {string} options.cancelledBy - 'client', 'trainer' or 'system'
+ * @param {string} [options.reason] - Reason shown to the client and trainer
+ * @returns {Promise<Document>} - The saved booking
+ */
+export const cancelBookingWithRefund = async (booking, { refundPercent, cancelledBy, reason }) => {
+  const refundCents = getRefundCents(booking, refundPercent)
+
+  if (booking.sessionPack && booking.isPaid && refundPercent === 100) {
+    booking.creditReturned = await returnCredit(booking, reason || 'Booking cancelled')
+  }
+
+  if (refundCents > 0) {
+    if (!booking.paymentIntentId) {
+      throw new Error('No payment record found for this booking')
+    }
+
+    const refunds = await refundBookingPayments(getPaymentProvider(), booking, refundCents)
+    booking.refundId = refunds.map(refund => refund.id).join(',')
+  }
+
+  const freedSlotKey = booking.slotKey
+
+  booking.status = 'cancelled'
+  booking.slotKey = undefined // Frees the slot for other clients
+  booking.cancelledAt = new Date()
+  booking.cancelledBy = cancelledBy
+  booking.cancellationReason = reason
+  booking.refundAmount = refundCents / 100
+  if (refundCents > 0) booking.paymentStatus = getRefundedPaymentStatus(booking)
+  // Only a full refund leaves the booking unpaid
+  if ((refundPercent === 100 && refundCents > 0) || booking.creditReturned) booking.isPaid = false
+
+  await booking.save()
+  await syncBookingEarnings(booking)
+  await offerFreedSlot(freedSlotKey)
+
+  return booking
+}
@@ -0,0 +1,626 @@
+/**
+ * Booking Slot Utilities
+ *
+ * Shared helpers for working out whether a trainer's time slot on a given
+ * date still has room. Used by the booking controller both before creating
+ * a Stripe checkout session and again in the webhook before the booking
+ * is saved, so a slot never ends up with more paying clients than places.
+ * One-to-one slots have a single place; group classes set a capacity.
+ *
+ * While a client is in checkout their place is protected by a SlotHold, so
+ * nobody else can start paying for it until the hold is released or expires.
+ */
+
+import Booking from '../models/BookingSchema.js'
+import SlotHold from '../models/SlotHoldSchema.js'
+import { zonedTimeToUtc } from './timeZones.js'
+
+// How long a slot stays reserved while the client completes payment.
+// Stripe will not expire a checkout session sooner than 30 minutes, so
+// the hold lasts exactly as long as the session it protects.
+export const SLOT_HOLD_MINUTES = 30
+
+// Longest weekly series a client can book in one checkout
+export const MAX_SERIES_WEEKS = 12
+
+/**
+ * Normalise Booking Date
+ *
+ * Reduces a booking date (Date object or "YYYY-MM-DD" string) to its
+ * calendar day so the same session always produces the same key.
+ *
+ * @param {Date|string} bookingDate - Date of the session
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const toDateKey = (bookingDate) => {
+  return new Date(bookingDate).toISOString().split('T')[0]
+}
+
+/**
+ * Build Slot Key
+ *
+ * Creates the key identifying a trainer's slot on a date. Active bookings
+ * store it (per seat, see buildSeatKey) under a unique index in
+ * BookingSchema, so the database itself rejects overbooking.
+ *
+ * @param {string} trainerId - Trainer being booked
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with a startingTime field
+ * @returns {string} - Key in the form trainerId:YYYY-MM-DD:HH:MM
+ */
+export const buildSlotKey = (trainerId, bookingDate, timeSlot) => {
+  return `${trainerId.toString()}:${toDateKey(bookingDate)}:${timeSlot.startingTime}`
+}
+
+/**
+ * Get Series Dates
+ *
+ * Lists the dates of a weekly recurring booking, starting with the first
+ * session and adding 7 days for each following week.
+ *
+ * @param {Date|string} bookingDate - Date of the first session
+ * @param {number} weeks - Number of weekly sessions (1 for a single booking)
+ * @returns {Array<string>} - Session dates in YYYY-MM-DD format
+ */
+export const getSeriesDates = (bookingDate, weeks = 1) => {
+  const firstDate = new Date(toDateKey(bookingDate))
+
+  return Array.from({ length: weeks }, (_, week) => {
+    const date = new Date(firstDate)
+    date.setUTCDate(firstDate.getUTCDate() + week * 7)
+    return toDateKey(date)
+  })
+}
+
+/**
+ * Get Day Name
+ *
+ * Returns the weekday of a booking date in the lowercase form used by
+ * trainer time slots (e.g. "monday").
+ *
+ * @param {Date|string} bookingDate - Date of the session
+ * @returns {string} - Lowercase weekday name
+ */
+export const getDayName = (bookingDate) => {
+  return new Date(toDateKey(bookingDate)).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }).toLowerCase()
+}
+
+// Longest date range the public availability endpoint lists at once
+export const MAX_AVAILABILITY_DAYS = 92
+
+/**
+ * Time to Minutes / Minutes to Time
+ *
+ * Convert between "HH:MM" wall-clock times and minutes after midnight.
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = (time || '').split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const minutesToTime = (total) => {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
+
+/**
+ * Generate Window Slots
+ *
+ * Splits an availability window such as "Mon 06:00-12:00, 45-minute
+ * sessions, 15-minute buffer" into back-to-back bookable slots (06:00-06:45,
+ * 07:00-07:45, ...). A session that would run past the end of the window
+ * is left out.
+ *
+ * @param {Object} window - { day, startTime, endTime, sessionMinutes, bufferMinutes }
+ * @returns {Array<Object>} - Slots in the same shape as trainer timeSlots
+ */
+export const generateWindowSlots = (window) => {
+  const start = timeToMinutes(window.startTime)
+  const end = timeToMinutes(window.endTime)
+  const sessionMinutes = Number(window.sessionMinutes)
+  const step = sessionMinutes + Math.max(Number(window.bufferMinutes) || 0, 0)
+
+  if (isNaN(start) || isNaN(end) || !(sessionMinutes > 0)) return []
+
+  const slots = []
+  for (let slotStart = start; slotStart + sessionMinutes <= end; slotStart += step) {
+    slots.push({
+      day: window.day?.toLowerCase(),
+      startingTime: minutesToTime(slotStart),
+      endingTime: minutesToTime(slotStart + sessionMinutes)
+    })
+  }
+
+  return slots
+}
+
+/**
+ * Get Slots for Date
+ *
+ * Works out the trainer's slots on one date: the weekly slots for that
+ * weekday (typed in individually or generated from availability windows),
+ * minus any blacked out, plus one-off extra slots added for the date. Extra
+ * slots are given the weekday as their day so they look and book like
+ * weekly slots. Only one slot is offered per starting time.
+ *
+ * @param {Object} trainer - Trainer document with timeSlots, availabilityWindows and availabilityExceptions
+ * @param {Date|string} bookingDate - Date to list slots for
+ * @returns {Array<Object>} - Slots offered on the date, earliest first
+ */
+export const getSlotsForDate = (trainer, bookingDate) => {
+  const dateKey = toDateKey(bookingDate)
+  const dayName = getDayName(bookingDate)
+  const exceptions = (trainer.availabilityExceptions || []).filter(exception => exception.date === dateKey)
+
+  const isBlackedOut = (slot) => exceptions.some(exception =>
+    exception.type === 'blackout' &&
+    (!exception.startingTime || exception.startingTime === slot.startingTime)
+  )
+
+  const weeklySlots = [
+    ...(trainer.timeSlots || []),
+    ...(trainer.availabilityWindows || []).flatMap(generateWindowSlots)
+  ].filter(slot => slot.day?.toLowerCase() === dayName)
+
+  const extraSlots = exceptions
+    .filter(exception => exception.type === 'extra' && exception.startingTime && exception.endingTime)
+    .map(exception => ({
+      day: dayName,
+      startingTime: exception.startingTime,
+      endingTime: exception.endingTime
+    }))
+
+  // Slots share a key per starting time, so the first one listed wins
+  const startingTimes = new Set()
+
+  return [...weeklySlots, ...extraSlots]
+    .filter(slot => !isBlackedOut(slot))
+    .filter(slot => {
+      if (startingTimes.has(slot.startingTime)) return false
+      startingTimes.add(slot.startingTime)
+      return true
+    })
+    .sort((a, b) => (a.startingTime || '').localeCompare(b.startingTime || ''))
+}
+
+/**
+ * Find Trainer Slot
+ *
+ * Matches a requested time slot against the trainer's slots on the requested
+ * date (weekly slots and windows adjusted by availability exceptions). The trainer's
+ * own slot is returned so prices and times can't be changed by the client.
+ *
+ * @param {Object} trainer - Trainer document with timeSlots
+ * @param {Date|string} bookingDate - Requested session date
+ * @param {Object} timeSlot - Requested time slot
+ * @returns {Object|null} - The trainer's matching slot, or null if unavailable
+ */
+export const findTrainerSlot = (trainer, bookingDate, timeSlot) => {
+  return getSlotsForDate(trainer, bookingDate).find(slot =>
+    slot.day?.toLowerCase() === timeSlot?.day?.toLowerCase() &&
+    slot.startingTime === timeSlot?.startingTime &&
+    slot.endingTime === timeSlot?.endingTime
+  ) || null
+}
+
+/**
+ * Get Slot Price
+ *
+ * Slots may override the trainer's standard ticket price (e.g. peak hours).
+ *
+ * @param {Object} trainer - Trainer document
+ * @param {Object} slot - One of the trainer's time slots
+ * @returns {number} - Price of the slot in dollars
+ */
+export const getSlotPrice = (trainer, slot) => {
+  const slotPrice = Number(slot?.price)
+  return slotPrice > 0 ? slotPrice : Number(trainer.ticketPrice)
+}
+
+/**
+ * Get Session Times
+ *
+ * Turns a session date and slot, which are wall-clock times in the
+ * trainer's time zone, into the absolute instants the session starts and
+ * ends. A slot ending before it starts runs past midnight.
+ *
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with startingTime and endingTime
+ * @param {string} timeZone - Trainer's IANA time zone
+ * @returns {Object} - { startsAt, endsAt }
+ */
+export const getSessionTimes = (bookingDate, timeSlot, timeZone) => {
+  const dateKey = toDateKey(bookingDate)
+  const startsAt = zonedTimeToUtc(dateKey, timeSlot.startingTime, timeZone)
+  let endsAt = zonedTimeToUtc(dateKey, timeSlot.endingTime || timeSlot.startingTime, timeZone)
+
+  if (endsAt < startsAt) {
+    const nextDay = new Date(dateKey)
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1)
+    endsAt = zonedTimeToUtc(toDateKey(nextDay), timeSlot.endingTime, timeZone)
+  }
+
+  return { startsAt, endsAt }
+}
+
+/**
+ * Get Session Start
+ *
+ * The moment a session begins. Bookings store it as startsAt; for anything
+ * else (a requested slot, or a booking from before startsAt existed) it's
+ * worked out from the date and starting time in the trainer's time zone.
+ *
+ * @param {Object} booking - Booking (or slot request) with bookingDate and timeSlot fields
+ * @param {string} timeZone - Trainer's time zone, if the booking has no populated trainer
+ * @returns {Date} - Start of the session
+ */
+export const getSessionStart = (booking, timeZone = booking.trainer?.timeZone) => {
+  if (booking.startsAt) return new Date(booking.startsAt)
+
+  return getSessionTimes(booking.bookingDate, booking.timeSlot, timeZone).startsAt
+}
+
+/**
+ * Get Slot Capacity
+ *
+ * Most slots are one-to-one sessions; group classes set a capacity on the
+ * slot (e.g. a bootcamp for 8).
+ *
+ * @param {Object} timeSlot - Time slot, optionally with a capacity field
+ * @returns {number} - Number of clients the slot takes
+ */
+export const getSlotCapacity = (timeSlot) => {
+  return Math.max(parseInt(timeSlot?.capacity) || 1, 1)
+}
+
+/**
+ * Build Seat Key
+ *
+ * Each place in a slot has its own key so the unique slotKey index still
+ * lets the database enforce the capacity: seat 1 uses the plain slot key
+ * (the only seat of a one-to-one slot), later seats add a "#n" suffix.
+ *
+ * @param {string} slotKey - Key built by buildSlotKey
+ * @param {number} seat - Seat number, starting at 1
+ * @returns {string} - Key for that seat
+ */
+export const buildSeatKey = (slotKey, seat) => {
+  return seat === 1 ? slotKey : `${slotKey}#${seat}`
+}
+
+/**
+ * Get Base Slot Key
+ *
+ * @param {string} seatKey - Key of one seat in a slot
+ * @returns {string} - The slot key without the seat suffix
+ */
+export const getBaseSlotKey = (seatKey) => {
+  return seatKey?.split('#')[0]
+}
+
+/**
+ * Slot Key Filter
+ *
+ * MongoDB filter matching every seat of a slot. The pattern is anchored to
+ * the start of the key so the slotKey index can be used.
+ *
+ * @param {string} slotKey - Key built by buildSlotKey
+ * @returns {Object} - Filter for the slotKey field
+ */
+export const slotKeyFilter = (slotKey) => {
+  return { $regex: `^${slotKey}(#\\d+)?$` }
+}
+
+/**
+ * Count Booked Seats
+ *
+ * @param {string} trainerId - Trainer being booked
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with a startingTime field
+ * @returns {Promise<number>} - Active bookings in the slot on that date
+ */
+export const countBookedSeats = async (trainerId, bookingDate, timeSlot) => {
+  return Booking.countDocuments({
+    slotKey: slotKeyFilter(buildSlotKey(trainerId, bookingDate, timeSlot))
+  })
+}
+
+/**
+ * Check If Slot Is Taken
+ *
+ * Checks whether active (not cancelled) bookings already fill the
+ * trainer's time slot on the given date.
+ *
+ * @param {string} trainerId - Trainer being booked
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with startingTime and optional capacity
+ * @returns {Promise<boolean>} - True if every place in the slot is booked
+ */
+export const isSlotTaken = async (trainerId, bookingDate, timeSlot) => {
+  return await countBookedSeats(trainerId, bookingDate, timeSlot) >= getSlotCapacity(timeSlot)
+}
+
+/**
+ * Count Spots Left
+ *
+ * Places still open to a client: capacity minus active bookings and the
+ * unexpired holds of other clients who are in checkout or hold a waitlist offer.
+ *
+ * @param {string} trainerId - Trainer being booked
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with startingTime and optional capacity
+ * @param {string} [userId] - Client asking; their own holds don't count against them
+ * @returns {Promise<number>} - Number of places left, never below 0
+ */
+export const countSpotsLeft = async (trainerId, bookingDate, timeSlot, userId) => {
+  const slotKey = buildSlotKey(trainerId, bookingDate, timeSlot)
+  const holdFilter = {
+    slotKey: slotKeyFilter(slotKey),
+    expiresAt: { $gt: new Date() }
+  }
+  if (userId) holdFilter.user = { $ne: userId }
+
+  const [booked, held] = await Promise.all([
+    countBookedSeats(trainerId, bookingDate, timeSlot),
+    SlotHold.countDocuments(holdFilter)
+  ])
+
+  return Math.max(getSlotCapacity(timeSlot) - booked - held, 0)
+}
+
+/**
+ * Count Taken Seats
+ *
+ * Counts booked and held places in every slot a trainer has between two
+ * dates in two queries, for listing availability over a date range.
+ *
+ * @param {string} trainerId - Trainer to check
+ * @param {Date|string} from - First date (inclusive)
+ * @param {Date|string} to - Last date (inclusive)
+ * @returns {Promise<Object>} - { booked, held }: Maps of places by base slot key
+ */
+export const countTakenSeats = async (trainerId, from, to) => {
+  const slotKey = { $regex: `^${trainerId.toString()}:` }
+  const bookingDate = { $gte: new Date(toDateKey(from)), $lte: new Date(toDateKey(to)) }
+
+  // aggregate skips the Booking find hook, which would populate every client
+  const [bookings, holds] = await Promise.all([
+    Booking.aggregate([
+      { $match: { slotKey, bookingDate } },
+      { $project: { slotKey: 1 } }
+    ]),
+    SlotHold.find({ slotKey, bookingDate, expiresAt: { $gt: new Date() } }).select('slotKey').lean()
+  ])
+
+  const countByKey = (documents) => {
+    const counts = new Map()
+    for (const { slotKey: key } of documents) {
+      const baseKey = getBaseSlotKey(key)
+      counts.set(baseKey, (counts.get(baseKey) || 0) + 1)
+    }
+    return counts
+  }
+
+  return { booked: countByKey(bookings), held: countByKey(holds) }
+}
+
+/**
+ * Get Slot Status
+ *
+ * Describes a slot for the public availability listing: "open" while a
+ * place can be bought, "held" when the remaining places are reserved by
+ * clients in checkout (they may free up again), "booked" when every place
+ * is paid for.
+ *
+ * @param {number} capacity - Places in the slot
+ * @param {number} booked - Places booked
+ * @param {number} held - Places held in checkout
+ * @returns {string} - 'open', 'held' or 'booked'
+ */
+export const getSlotStatus = (capacity, booked, held) => {
+  if (booked >= capacity) return 'booked'
+  if (booked + held >= capacity) return 'held'
+  return 'open'
+}
+
+/**
+ * Check If Slot Is Full
+ *
+ * @param {string} trainerId - Trainer being booked
+ * @param {Date|string} bookingDate - Date of the session
+ * @param {Object} timeSlot - Time slot with startingTime and optional capacity
+ * @param {string} userId - Client trying to book
+ * @returns {Promise<boolean>} - True if bookings and other clients' holds fill the slot
+ */
+export const isSlotFull = async (trainerId, bookingDate, timeSlot, userId) => {
+  return await countSpotsLeft(trainerId, bookingDate, timeSlot, userId) === 0
+}
+
+/**
+ * Duplicate Key Error Check
+ *
+ * MongoDB reports unique index violations with error code 11000. This
+ * happens when two webhooks race to save a booking for the same slot.
+ *
+ * @param {Error} err - Error thrown by a save operation
+ * @returns {boolean} - True if the error is a duplicate key error
+ */
+export const isDuplicateKeyError = (err) => {
+  return err?.code === 11000
+}
+
+/**
+ * Save Booking In Slot
+ *
+ * Saves a booking into the first free seat of its slot. Each seat key is
+ * unique, so two clients racing for the last place can't both get it.
+ *
+ * @param {Document} booking - Booking to save, with trainer, bookingDate and timeSlot set
+ * @param {Object} timeSlot - The trainer's slot, with optional capacity
+ * @returns {Promise<boolean>} - True if saved, false if every seat is taken
+ */
+export const saveBookingInSlot = async (booking, timeSlot) => {
+  const slotKey = buildSlotKey(booking.trainer._id || booking.trainer, booking.bookingDate, timeSlot)
+
+  for (let seat = 1; seat <= getSlotCapacity(timeSlot); seat++) {
+    booking.slotKey = buildSeatKey(slotKey, seat)
+
+    try {
+      await booking.save()
+      return true
+    } catch (err) {
+      // Only a clash on the seat key means the seat is taken
+      if (!isDuplicateKeyError(err) || !err.keyPattern?.slotKey) throw err
+    }
+  }
+
+  return false
+}
+
+/**
+ * Place Slot Hold
+ *
+ * Reserves a place in a slot for a client while they complete payment.
+ * Expired holds and the client's holds from earlier checkouts are cleared
+ * first; a hold is only placed while the slot has a place left, and the
+ * unique index on the seat key stops two holds taking the same place.
+ *
+ * A client holding a waitlist offer for the slot checks out with the place
+ * the offer holds. The offer's expiry is kept on the hold, so abandoning
+ * the checkout hands the place back to the offer (see releaseSlotHold)
+ * rather than ending it early.
+ *
+ * @param {Object} params - Hold details
+ * @param {string} params.trainerId - Trainer being booked
+ * @param {string} params.userId - Client starting checkout
+ * @param {Date|string} params.bookingDate - Date of the session
+ * @param {Object} params.timeSlot - Selected time slot, with optional capacity
+ * @param {Date} [params.expiresAt] - When the hold lapses, SLOT_HOLD_MINUTES from now by default
+ * @returns {Promise<Document|null>} - The new hold, or null if the slot is full
+ */
+export const placeSlotHold = async ({ trainerId, userId, bookingDate, timeSlot, expiresAt }) => {
+  const slotKey = buildSlotKey(trainerId, bookingDate, timeSlot)
+
+  // MongoDB's TTL monitor only runs once a minute, so remove stale holds here.
+  // Waitlist offers (no stripeSessionId) are left for the client to use.
+  await SlotHold.deleteMany({
+    slotKey: slotKeyFilter(slotKey),
+    $or: [
+      { expiresAt: { $lte: new Date() } },
+      { user: userId, stripeSessionId: { $exists: true }, offerExpiresAt: { $exists: false } }
+    ]
+  })
+
+  // Checkouts (no expiresAt given) take over the client's waitlist offer hold
+  if (!expiresAt) {
+    const offerHold = await SlotHold.findOneAndUpdate(
+      {
+        slotKey: slotKeyFilter(slotKey),
+        user: userId,
+        expiresAt: { $gt: new Date() },
+        $or: [{ stripeSessionId: { $exists: false } }, { offerExpiresAt: { $exists: true } }]
+      },
+      [
+        {
+          $set: {
+            offerExpiresAt: { $ifNull: ['$offerExpiresAt', '$expiresAt'] },
+            expiresAt: new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+          }
+        },
+        { $unset: 'stripeSessionId' }
+      ],
+      { new: true }
+    )
+    if (offerHold) return offerHold
+  }
+
+  if (await isSlotFull(trainerId, bookingDate, timeSlot, userId)) return null
+
+  for (let seat = 1; seat <= getSlotCapacity(timeSlot); seat++) {
+    try {
+      return await SlotHold.create({
+        trainer: trainerId,
+        user: userId,
+        slotKey: buildSeatKey(slotKey, seat),
+        bookingDate: new Date(bookingDate),
+        timeSlot: {
+          day: timeSlot.day,
+          startingTime: timeSlot.startingTime,
+          endingTime: timeSlot.endingTime
+        },
+        expiresAt: expiresAt || new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+      })
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err
+    }
+  }
+
+  return null
+}
+
+/**
+ * Place Slot Holds
+ *
+ * Holds the same slot on several dates, e.g. every session of a weekly
+ * series. Either every date is held or none are: if one date is already
+ * held by another client, the holds placed so far are removed again.
+ *
+ * @param {Object} params - Hold details
+ * @param {string} params.trainerId - Trainer being booked
+ * @param {string} params.userId - Client starting checkout
+ * @param {Array<string>} params.bookingDates - Dates of the sessions
+ * @param {Object} params.timeSlot - Selected time slot
+ * @returns {Promise<Array|null>} - The new holds, or null if any date is held by another client
+ */
+export const placeSlotHolds = async ({ trainerId, userId, bookingDates, timeSlot }) => {
+  const holds = []
+
+  for (const bookingDate of bookingDates) {
+    const hold = await placeSlotHold({ trainerId, userId, bookingDate, timeSlot })
+
+    if (!hold) {
+      await SlotHold.deleteMany({ _id: { $in: holds.map(h => h._id) } })
+      return null
+    }
+
+    holds.push(hold)
+  }
+
+  return holds
+}
+
+/**
+ * Attach Holds To Session
+ *
+ * Links holds to the Stripe checkout session they protect, so the webhook
+ * can release them when the session completes or expires.
+ *
+ * @param {Array} holds - Holds placed for the checkout
+ * @param {string} stripeSessionId - Stripe checkout session ID
+ */
+export const attachHoldsToSession = async (holds, stripeSessionId) => {
+  await SlotHold.updateMany(
+    { _id: { $in: holds.map(h => h._id) } },
+    { $set: { stripeSessionId } }
+  )
+}
+
+/**
+ * Release Slot Hold
+ *
+ * Removes the holds attached to a Stripe checkout session. Called when the
+ * session expires or once its bookings have been created.
+ *
+ * @param {string} stripeSessionId - Stripe checkout session ID
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreOffers] - Give places taken from a waitlist offer back to the offer while it lasts (for abandoned checkouts)
+ */
+export const releaseSlotHold = async (stripeSessionId, { restoreOffers = false } = {}) => {
+  if (restoreOffers) {
+    await SlotHold.updateMany(
+      { stripeSessionId, offerExpiresAt: { $gt: new Date() } },
+      [{ $set: { expiresAt: '$offerExpiresAt' } }, { $unset: ['stripeSessionId', 'offerExpiresAt'] }]
+    )
+  }
+
+  await SlotHold.deleteMany({ stripeSessionId })
+}
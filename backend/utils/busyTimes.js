@@ -0,0 +1,289 @@
+/**
+ * Busy Time Utilities
+ *
+ * Trainers can import a calendar they keep elsewhere - a personal Google
+ * calendar, a gym roster - so their commitments there block the matching
+ * slots here. The calendar is either uploaded as an .ics file or
+ * registered as an ICS URL that the syncCalendarImports job re-fetches on
+ * a schedule. Either way its events are stored as BusyBlocks, and any slot
+ * overlapping a busy block is left out of the trainer's availability and
+ * refused at checkout.
+ */
+
+import http from 'http'
+import https from 'https'
+import dns from 'dns'
+import net from 'net'
+import BusyBlock from '../models/BusyBlockSchema.js'
+import { parseBusyBlocks } from './icalendar.js'
+import { getSessionTimes } from './bookingSlots.js'
+
+// How far ahead imported events are kept. Covers the booking window plus
+// the longest weekly series that can start at the end of it.
+export const BUSY_IMPORT_DAYS = 180
+
+// How often registered calendar URLs are re-fetched
+export const CALENDAR_SYNC_MINUTES = 60
+
+// Larger responses are refused rather than parsed
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024
+
+// Time allowed for downloading a calendar, redirects included
+const CALENDAR_FETCH_TIMEOUT_MS = 15000
+const MAX_CALENDAR_REDIRECTS = 3
+
+// The server fetches URLs trainers type in, so it must only ever reach the
+// public internet - never itself, the cloud metadata service
+// (169.254.169.254) or machines on the private network
+const blockedAddresses = new net.BlockList()
+const blockedSubnets = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, incl. cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 3, 'ipv4'], // multicast, reserved and broadcast
+  ['::', 127, 'ipv6'], // unspecified and loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, reaches IPv4 hosts
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+]
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the
+// IPv4 subnets by BlockList itself
+for (const [address, prefix, type] of blockedSubnets) {
+  blockedAddresses.addSubnet(address, prefix, type)
+}
+
+// The only message trainers see when a download fails, so the response
+// never says how a host answered
+const DOWNLOAD_FAILED = 'The calendar could not be downloaded. Check the URL is a public calendar link'
+
+/**
+ * Is Public Address
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is on the public internet
+ */
+const isPublicAddress = (address) => {
+  const type = net.isIP(address)
+  return type !== 0 && !blockedAddresses.check(address, type === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * Public Lookup
+ *
+ * dns.lookup for http.request that refuses hosts resolving to a
+ * non-public address. It runs for the connection itself, so a host can't
+ * pass a check and then resolve somewhere else when connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err)
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(DOWNLOAD_FAILED))
+    }
+
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * Request Calendar
+ *
+ * Makes one GET request, reading at most MAX_CALENDAR_BYTES of the body.
+ * A larger body aborts the request instead of being read to the end.
+ *
+ * @param {URL} url - URL to fetch, http or https
+ * @param {number} deadline - Time (ms since epoch) by which the download must finish
+ * @returns {Promise<Object>} - { ics } or, for a redirect, { location }
+ */
+const requestCalendar = (url, deadline) => new Promise((resolve, reject) => {
+  // http.request connects to IP literals without a lookup
+  const hostname = url.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    return reject(new Error(DOWNLOAD_FAILED))
+  }
+
+  const client = url.protocol === 'https:' ? https : http
+  const req = client.get(url, { lookup: publicLookup }, (res) => {
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+      res.resume()
+      clearTimeout(timer)
+      return resolve({ location: res.headers.location })
+    }
+
+    if (res.statusCode !== 200) {
+      return fail(new Error(DOWNLOAD_FAILED))
+    }
+
+    const chunks = []
+    let size = 0
+    res.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_CALENDAR_BYTES) return fail(new Error('The calendar is too large to import'))
+      chunks.push(chunk)
+    })
+    res.on('error', () => fail(new Error(DOWNLOAD_FAILED)))
+    res.on('end', () => {
+      clearTimeout(timer)
+      resolve({ ics: Buffer.concat(chunks).toString('utf8') })
+    })
+  })
+
+  // Settles once: rejects, then drops the connection
+  const fail = (err) => {
+    clearTimeout(timer)
+    reject(err)
+    req.destroy()
+  }
+
+  const timer = setTimeout(() => fail(new Error(DOWNLOAD_FAILED)), Math.max(deadline - Date.now(), 0))
+  req.on('error', () => fail(new Error(DOWNLOAD_FAILED)))
+})
+
+/**
+ * Import Busy Blocks
+ *
+ * Replaces the trainer's busy blocks with the events in a calendar, from
+ * the start of today until BUSY_IMPORT_DAYS ahead.
+ *
+ * @param {Document} trainer - Trainer importing the calendar
+ * @param {string} ics - Calendar file contents
+ * @returns {Promise<number>} - Number of busy blocks stored
+ */
+export const importBusyBlocks = async (trainer, ics) => {
+  if (!/BEGIN:VCALENDAR/i.test(ics || '')) {
+    throw new Error('This is not an iCalendar (.ics) file')
+  }
+
+  const from = new Date()
+  from.setUTCHours(0, 0, 0, 0)
+  const to = new Date(from.getTime() + BUSY_IMPORT_DAYS * 24 * 60 * 60 * 1000)
+
+  const blocks = parseBusyBlocks(ics, { from, to, timeZone: trainer.timeZone })
+
+  await BusyBlock.deleteMany({ trainer: trainer._id })
+  if (blocks.length > 0) {
+    await BusyBlock.insertMany(blocks.map(block => ({ ...block, trainer: trainer._id })))
+  }
+
+  return blocks.length
+}
+
+/**
+ * Fetch Calendar
+ *
+ * Downloads a calendar from a subscription URL. webcal:// links (what most
+ * calendar apps hand out) are fetched over https. Only public hosts are
+ * fetched, redirects included, and every failure gives the same message.
+ *
+ * @param {string} url - ICS URL registered by the trainer
+ * @returns {Promise<string>} - Calendar file contents
+ */
+export const fetchCalendar = async (url) => {
+  let parsed
+  try {
+    parsed = new URL(String(url).trim().replace(/^webcals?:\/\//i, 'https://'))
+  } catch (err) {
+    throw new Error('Please enter a valid calendar URL')
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Calendar URLs must start with https://, http:// or webcal://')
+  }
+
+  const deadline = Date.now() + CALENDAR_FETCH_TIMEOUT_MS
+
+  for (let redirects = 0; redirects <= MAX_CALENDAR_REDIRECTS; redirects++) {
+    const { ics, location } = await requestCalendar(parsed, deadline)
+    if (ics !== undefined) return ics
+
+    parsed = new URL(location, parsed)
+    if (!['http:', 'https:'].includes(parsed.protocol)) break
+  }
+
+  throw new Error(DOWNLOAD_FAILED)
+}
+
+/**
+ * Sync Calendar Import
+ *
+ * Re-fetches a trainer's registered calendar URL and replaces their busy
+ * blocks. Failures are recorded on the trainer (the old blocks are kept)
+ * so the dashboard can show what went wrong.
+ *
+ * @param {Document} trainer - Trainer with calendarImport.url set
+ * @returns {Promise<number>} - Number of busy blocks stored
+ */
+export const syncCalendarImport = async (trainer) => {
+  try {
+    const ics = await fetchCalendar(trainer.calendarImport.url)
+    const count = await importBusyBlocks(trainer, ics)
+
+    trainer.calendarImport.lastSyncedAt = new Date()
+    trainer.calendarImport.lastSyncError = undefined
+    await trainer.save()
+
+    return count
+  } catch (err) {
+    trainer.calendarImport.lastSyncedAt = new Date()
+    trainer.calendarImport.lastSyncError = err.message
+    await trainer.save()
+    throw err
+  }
+}
+
+/**
+ * Find Busy Blocks
+ *
+ * @param {string} trainerId - Trainer to look up
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Array>} - Busy blocks overlapping the range, earliest first
+ */
+export const findBusyBlocks = async (trainerId, from, to) => {
+  return BusyBlock.find({
+    trainer: trainerId,
+    startsAt: { $lt: to },
+    endsAt: { $gt: from }
+  }).sort({ startsAt: 1 })
+}
+
+/**
+ * Overlaps Busy Block
+ *
+ * @param {Array} blocks - Busy blocks to check against
+ * @param {Object} session - Anything with startsAt and endsAt
+ * @returns {boolean} - True if the session overlaps any block
+ */
+export const overlapsBusyBlock = (blocks, { startsAt, endsAt }) => {
+  return blocks.some(block => block.startsAt < endsAt && block.endsAt > startsAt)
+}
+
+/**
+ * Find Busy Dates
+ *
+ * Checks a slot on several dates (e.g. every week of a series) against the
+ * trainer's imported busy times.
+ *
+ * @param {Document} trainer - Trainer being booked
+ * @param {Array<string>} dates - Session dates in YYYY-MM-DD format
+ * @param {Object} slot - Time slot with startingTime and endingTime
+ * @returns {Promise<Array<string>>} - Dates on which the slot overlaps a busy block
+ */
+export const findBusyDates = async (trainer, dates, slot) => {
+  const sessions = dates.map(date => ({ date, ...getSessionTimes(date, slot, trainer.timeZone) }))
+  if (sessions.length === 0) return []
+
+  const blocks = await findBusyBlocks(trainer._id, sessions[0].startsAt, sessions[sessions.length - 1].endsAt)
+
+  return sessions
+    .filter(session => overlapsBusyBlock(blocks, session))
+    .map(session => session.date)
+}
@@ -0,0 +1,313 @@
+/**
+ * Earnings Utilities
+ *
+ * Keeps the EarningTransaction ledger in step with the money trainers take.
+ * Instead of recording each payment event separately, a booking (or session
+ * pack) is synced after anything changes its payment: the ledger gets a
+ * sale for money received beyond what it already records, and a refund for
+ * money returned beyond what it records. Syncing again changes nothing, so
+ * it is safe from webhook retries, and the backfill script can sync every
+ * booking made before the ledger existed.
+ *
+ * The platform keeps a commission on every sale - PLATFORM_COMMISSION_PERCENT
+ * (10% if unset), or the trainer's own commissionPercent if an admin set
+ * one. Refunds hand back the commission at the rate the sale was charged.
+ * Money lost to a dispute isn't taken off until it is refunded.
+ *
+ * Earnings are grouped into monthly payout periods in the trainer's time
+ * zone, and each period has a PDF statement.
+ */
+
+import mongoose from 'mongoose'
+import EarningTransaction from '../models/EarningTransactionSchema.js'
+import Trainer from '../models/TrainerSchema.js'
+import { isDuplicateKeyError, toDateKey } from './bookingSlots.js'
+import { DEFAULT_TIME_ZONE } from './timeZones.js'
+import { createPdf, PAGE_WIDTH } from './pdf.js'
+
+export const DEFAULT_COMMISSION_PERCENT = 10
+
+// Payment states in which the client's money was received (some may since have gone back)
+const RECEIVED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed']
+
+// Lowest point of a statement page rows are written to, from the top
+const PAGE_BOTTOM = 790
+
+/**
+ * Has Received Payment
+ *
+ * Sessions paid with a credit were paid for when the pack was bought, so
+ * only bookings paid in money count.
+ *
+ * @param {Object} booking - Booking
+ * @returns {boolean} - True if the client paid money for the booking
+ */
+export const hasReceivedPayment = (booking) => {
+  return !booking.sessionPack && RECEIVED_PAYMENT_STATUSES.includes(booking.paymentStatus || 'paid')
+}
+
+/**
+ * Get Platform Commission Percent
+ *
+ * @returns {number} - Commission taken from trainers without their own rate
+ */
+export const getPlatformCommissionPercent = () => {
+  const percent = Number(process.env.PLATFORM_COMMISSION_PERCENT)
+  const isSet = Boolean(process.env.PLATFORM_COMMISSION_PERCENT) && percent >= 0 && percent <= 100
+
+  return isSet ? percent : DEFAULT_COMMISSION_PERCENT
+}
+
+/**
+ * Get Commission Percent
+ *
+ * @param {Object} trainer - Trainer with commissionPercent
+ * @returns {number} - Commission the platform takes from the trainer's sales
+ */
+export const getCommissionPercent = (trainer) => trainer?.commissionPercent ?? getPlatformCommissionPercent()
+
+/**
+ * Get Payout Period
+ *
+ * @param {Date} date - When the money moved
+ * @param {string} timeZone - Trainer's time zone
+ * @returns {string} - Month in the trainer's time zone, e.g. "2025-03"
+ */
+export const getPayoutPeriod = (date, timeZone) => {
+  return new Date(date).toLocaleDateString('en-CA', { year: 'numeric', month: '2-digit', timeZone })
+}
+
+/**
+ * Format Payout Period
+ *
+ * @param {string} period - e.g. "2025-03"
+ * @returns {string} - e.g. "March 2025"
+ */
+export const formatPayoutPeriod = (period) => {
+  return new Date(`${period}-01T00:00:00Z`).toLocaleDateString('en-AU', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+}
+
+/**
+ * Sync Earnings
+ *
+ * Records the money received for and returned from one source that the
+ * ledger doesn't have yet.
+ *
+ * @param {Object} params
+ * @param {string} params.source - e.g. "booking:<id>"
+ * @param {string} params.trainerId - Trainer who earned the money
+ * @param {number} params.receivedCents - Total the client has paid
+ * @param {number} params.refundedCents - Total returned to the client
+ * @param {Object} params.refs - user, booking and/or sessionPack IDs stored on the entries
+ * @param {string} params.description - Shown on statements
+ * @param {Date} [params.paidAt] - When new money was received (now by default)
+ * @param {Date} [params.refundedAt] - When new money was returned (now by default)
+ * @returns {Promise<Array>} - Entries recorded now
+ */
+const syncEarnings = async ({ source, trainerId, receivedCents, refundedCents, refs, description, paidAt, refundedAt }) => {
+  const entries = await EarningTransaction.find({ source })
+  const recordedCents = (type) => entries
+    .filter(entry => entry.type === type)
+    .reduce((max, entry) => Math.max(max, entry.runningTotal), 0)
+
+  const changes = []
+  if (receivedCents > recordedCents('sale')) {
+    changes.push({ type: 'sale', cents: receivedCents - recordedCents('sale'), runningTotal: receivedCents, occurredAt: paidAt })
+  }
+  if (refundedCents > recordedCents('refund')) {
+    changes.push({ type: 'refund', cents: -(refundedCents - recordedCents('refund')), runningTotal: refundedCents, occurredAt: refundedAt })
+  }
+  if (changes.length === 0) return []
+
+  const trainer = await Trainer.findById(trainerId).select('commissionPercent timeZone')
+  const timeZone = trainer?.timeZone || DEFAULT_TIME_ZONE
+  // Refunds and extra charges use the rate of the original sale
+  const commissionPercent = entries.find(entry => entry.type === 'sale')?.commissionPercent ?? getCommissionPercent(trainer)
+
+  const recorded = []
+  for (const change of changes) {
+    const commissionCents = Math.round(change.cents * commissionPercent / 100)
+    const occurredAt = change.occurredAt || new Date()
+
+    try {
+      recorded.push(await EarningTransaction.create({
+        ...refs,
+        trainer: trainerId,
+        source,
+        type: change.type,
+        gross: change.cents / 100,
+        commission: commissionCents / 100,
+        net: (change.cents - commissionCents) / 100,
+        commissionPercent,
+        runningTotal: change.runningTotal,
+        payoutPeriod: getPayoutPeriod(occurredAt, timeZone),
+        occurredAt,
+        description
+      }))
+    } catch (err) {
+      // A concurrent sync already recorded the same money
+      if (!isDuplicateKeyError(err)) throw err
+    }
+  }
+
+  return recorded
+}
+
+/**
+ * Sync Booking Earnings
+ *
+ * @param {Document} booking - Booking whose payment may have changed
+ * @param {Object} [dates] - paidAt and refundedAt, for bookings synced after the fact
+ * @returns {Promise<Array>} - Entries recorded now
+ */
+export const syncBookingEarnings = (booking, dates = {}) => {
+  const receivedCents = hasReceivedPayment(booking) ? Math.round(Number(booking.ticketPrice) * 100) : 0
+
+  return syncEarnings({
+    source: `booking:${booking._id}`,
+    trainerId: booking.trainer?._id || booking.trainer,
+    receivedCents,
+    refundedCents: Math.min(Math.round((booking.refundAmount || 0) * 100), receivedCents),
+    refs: { user: booking.user?._id || booking.user, booking: booking._id },
+    description: `Session on ${toDateKey(booking.bookingDate)}`,
+    ...dates
+  })
+}
+
+/**
+ * Sync Pack Earnings
+ *
+ * @param {Document} pack - Session pack that was bought or refunded
+ * @param {Object} [dates] - paidAt and refundedAt, for packs synced after the fact
+ * @returns {Promise<Array>} - Entries recorded now
+ */
+export const syncPackEarnings = (pack, dates = {}) => {
+  return syncEarnings({
+    source: `pack:${pack._id}`,
+    trainerId: pack.trainer,
+    receivedCents: Math.round(pack.price * 100),
+    refundedCents: Math.round((pack.refundAmount || 0) * 100),
+    refs: { user: pack.user, sessionPack: pack._id },
+    description: `Session pack: ${pack.name}`,
+    ...dates
+  })
+}
+
+/**
+ * Get Earnings Summary
+ *
+ * @param {string} trainerId - Trainer
+ * @returns {Promise<Array>} - Per payout period, newest first: { period, sales, gross, refunds, commission, net }
+ */
+export const getEarningsSummary = async (trainerId) => {
+  const periods = await EarningTransaction.aggregate([
+    { $match: { trainer: new mongoose.Types.ObjectId(trainerId) } },
+    {
+      $group: {
+        _id: '$payoutPeriod',
+        sales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } },
+        gross: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$gross', 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$gross', -1] }, 0] } },
+        commission: { $sum: '$commission' },
+        net: { $sum: '$net' }
+      }
+    },
+    { $sort: { _id: -1 } }
+  ])
+
+  // Sums of dollar amounts pick up floating point noise
+  const round = (amount) => Math.round(amount * 100) / 100
+
+  return periods.map(({ _id, sales, gross, refunds, commission, net }) => ({
+    period: _id,
+    sales,
+    gross: round(gross),
+    refunds: round(refunds),
+    commission: round(commission),
+    net: round(net)
+  }))
+}
+
+/**
+ * Format Money
+ *
+ * @param {number} amount - Dollars
+ * @returns {string} - e.g. "$1,234.50" or "-$20.00"
+ */
+const formatMoney = (amount) => {
+  const dollars = Math.abs(amount).toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return `${amount < 0 ? '-' : ''}$${dollars}`
+}
+
+/**
+ * Build Earnings Statement PDF
+ *
+ * Lists every ledger entry of a payout period with the period's totals.
+ *
+ * @param {Object} trainer - Trainer (name, email, timeZone)
+ * @param {string} period - Payout period, e.g. "2025-03"
+ * @param {Array} entries - The period's entries, oldest first
+ * @returns {Buffer} - The statement as a PDF file
+ */
+export const buildEarningsStatementPdf = (trainer, period, entries) => {
+  const pdf = createPdf()
+  const left = 50
+  const right = PAGE_WIDTH - 50
+  const columns = { gross: 365, commission: 445, net: right }
+  const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE
+  const sum = (field, type) => entries
+    .filter(entry => !type || entry.type === type)
+    .reduce((total, entry) => total + Math.round(entry[field] * 100), 0) / 100
+
+  pdf.text(left, 70, 'EARNINGS STATEMENT', { size: 20, bold: true })
+  pdf.text(right, 62, formatPayoutPeriod(period), { size: 12, bold: true, align: 'right' })
+  pdf.text(right, 78, `Issued ${new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone })}`, { align: 'right' })
+  pdf.text(left, 110, trainer.name || '')
+  pdf.text(left, 124, trainer.email || '')
+
+  // Totals for the period
+  const totals = [
+    ['Sales', sum('gross', 'sale')],
+    ['Refunds', sum('gross', 'refund')],
+    ['Platform commission', -sum('commission')],
+    ['Net earnings', sum('net')]
+  ]
+  let y = 160
+  for (const [label, amount] of totals) {
+    const isNet = label === 'Net earnings'
+    pdf.text(320, y, label, { bold: isNet })
+    pdf.text(right, y, formatMoney(amount), { bold: isNet, align: 'right' })
+    y += 16
+  }
+
+  const drawHeader = (top) => {
+    pdf.text(left, top, 'Date', { bold: true })
+    pdf.text(120, top, 'Description', { bold: true })
+    pdf.text(columns.gross, top, 'Gross', { bold: true, align: 'right' })
+    pdf.text(columns.commission, top, 'Commission', { bold: true, align: 'right' })
+    pdf.text(columns.net, top, 'Net', { bold: true, align: 'right' })
+    pdf.line(left, top + 6, right, top + 6)
+    return top + 22
+  }
+
+  y = drawHeader(y + 30)
+  for (const entry of entries) {
+    if (y > PAGE_BOTTOM) {
+      pdf.addPage()
+      y = drawHeader(70)
+    }
+
+    pdf.text(left, y, new Date(entry.occurredAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', timeZone }), { size: 9 })
+    pdf.text(120, y, `${entry.type === 'refund' ? 'Refund - ' : ''}${entry.description || ''}`.slice(0, 40), { size: 9 })
+    pdf.text(columns.gross, y, formatMoney(entry.gross), { size: 9, align: 'right' })
+    pdf.text(columns.commission, y, formatMoney(-entry.commission), { size: 9, align: 'right' })
+    pdf.text(columns.net, y, formatMoney(entry.net), { size: 9, align: 'right' })
+    y += 18
+  }
+
+  if (entries.length === 0) {
+    pdf.text(left, y, 'No earnings in this period.', { size: 9 })
+  }
+
+  return pdf.toBuffer()
+}
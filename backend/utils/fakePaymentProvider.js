@@ -0,0 +1,307 @@
+/**
+ * Fake Payment Provider
+ *
+ * A stand-in for Stripe so developers and QA can run the whole booking
+ * flow offline, without live keys. Checkouts open a pay page served by this
+ * backend (see fakePaymentController.js) where the tester picks how the
+ * "payment" goes:
+ * - card: paid straight away
+ * - bank_debit: completes unpaid and clears BANK_DEBIT_CLEAR_SECONDS later
+ * - bank_debit_fails: completes unpaid and bounces later
+ *
+ * The outcome is posted to the booking webhook as Stripe-shaped events,
+ * signed with FAKE_PAYMENTS_SECRET in the fake-payments-signature header,
+ * like Stripe signs its own. The secret must be set, so every instance of
+ * the backend signs and verifies with the same one.
+ * Refunds are checked against what was paid and reported with a
+ * charge.refunded event.
+ *
+ * API_URL is where this backend can be reached, for the pay page link and
+ * the webhook (http://localhost:PORT by default).
+ */
+
+import crypto from 'crypto'
+import FakePayment from '../models/FakePaymentSchema.js'
+
+export const SIGNATURE_HEADER = 'fake-payments-signature'
+
+// Events signed longer ago than this are refused, so old ones can't be replayed
+const SIGNATURE_TOLERANCE_SECONDS = 300
+
+// How long a bank debit takes to clear (or bounce)
+export const BANK_DEBIT_CLEAR_SECONDS = 30
+
+// Refunds are reported shortly after they're made, once the request that
+// made them has recorded them on the booking
+const REFUND_EVENT_DELAY_MS = 2000
+
+// Checkouts without an expiry stay payable this long
+const DEFAULT_CHECKOUT_HOURS = 24
+
+/**
+ * Get Signing Secret
+ *
+ * @returns {string} - Secret the webhook events are signed with
+ */
+const getSigningSecret = () => {
+  if (!process.env.FAKE_PAYMENTS_SECRET) {
+    throw new Error('FAKE_PAYMENTS_SECRET must be set to use the fake payment provider')
+  }
+
+  return process.env.FAKE_PAYMENTS_SECRET
+}
+
+/**
+ * Get API URL
+ *
+ * @returns {string} - Base URL of this backend, without a trailing slash
+ */
+const getApiUrl = () => {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')
+}
+
+/**
+ * Create ID
+ *
+ * @param {string} prefix - Stripe-style object prefix, e.g. 'cs'
+ * @returns {string} - e.g. "cs_fake_3f9a..."
+ */
+const createId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`
+
+/**
+ * Sign Payload
+ *
+ * @param {string} body - Raw event JSON
+ * @param {number} timestamp - Unix seconds the event was signed at
+ * @returns {string} - Hex HMAC-SHA256 of "timestamp.body"
+ */
+const signPayload = (body, timestamp) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Build Session
+ *
+ * @param {Document} payment - Fake payment
+ * @param {string} paymentStatus - 'paid' or 'unpaid', as Stripe reports it
+ * @returns {Object} - The payment as a Stripe checkout session
+ */
+const buildSession = (payment, paymentStatus) => ({
+  id: payment.sessionId,
+  object: 'checkout.session',
+  amount_total: payment.amountTotal,
+  currency: payment.currency,
+  customer_email: payment.customerEmail,
+  client_reference_id: payment.clientReferenceId,
+  metadata: payment.metadata,
+  payment_intent: payment.paymentIntentId,
+  payment_status: paymentStatus,
+  status: 'complete'
+})
+
+/**
+ * Build Charge
+ *
+ * @param {Document} payment - Fake payment
+ * @returns {Object} - The payment as a Stripe charge
+ */
+const buildCharge = (payment) => ({
+  id: payment.chargeId,
+  object: 'charge',
+  amount: payment.amountTotal,
+  amount_refunded: payment.amountRefunded,
+  currency: payment.currency,
+  payment_intent: payment.paymentIntentId,
+  refunded: payment.amountRefunded >= payment.amountTotal
+})
+
+/**
+ * Send Event
+ *
+ * Posts a signed event to the booking webhook.
+ *
+ * @param {string} type - Stripe event type
+ * @param {Object} object - Event's data.object
+ * @returns {Promise<boolean>} - True if the webhook accepted it
+ */
+const sendEvent = async (type, object) => {
+  const timestamp = Math.floor(Date.now() / 1000)
+  const body = JSON.stringify({
+    id: createId('evt'),
+    object: 'event',
+    type,
+    created: timestamp,
+    data: { object }
+  })
+
+  const res = await fetch(`${getApiUrl()}/api/v1/bookings/webhook`, {
+    method: 'post',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(body, timestamp)}`
+    },
+    body,
+    signal: AbortSignal.timeout(30000)
+  })
+
+  if (!res.ok) console.error(`Fake payments: webhook refused ${type} (HTTP ${res.status})`)
+  return res.ok
+}
+
+/**
+ * Send Event Later
+ *
+ * Delivers an event after the current request, the way Stripe's webhooks
+ * arrive some time after the API call that caused them.
+ *
+ * @param {number} delayMs - How long to wait
+ * @param {Function} buildEvent - Returns [type, object] once the delay is up
+ */
+const sendEventLater = (delayMs, buildEvent) => {
+  setTimeout(async () => {
+    try {
+      const [type, object] = await buildEvent()
+      await sendEvent(type, object)
+    } catch (err) {
+      console.error('Fake payments: event delivery failed:', err.message)
+    }
+  }, delayMs)
+}
+
+/**
+ * Find Fake Checkout
+ *
+ * @param {string} sessionId - Checkout session ID from the pay page URL
+ * @returns {Promise<Document|null>} - The fake payment
+ */
+export const findFakeCheckout = (sessionId) => FakePayment.findOne({ sessionId })
+
+/**
+ * Pay Fake Checkout
+ *
+ * Settles a checkout the way the tester chose on the pay page and tells
+ * the webhook. Card payments are confirmed before returning, so the
+ * booking exists by the time the client lands on the success page.
+ *
+ * @param {string} sessionId - Checkout session ID
+ * @param {string} method - 'card', 'bank_debit' or 'bank_debit_fails'
+ * @returns {Promise<string>} - URL to send the client to
+ */
+export const payFakeCheckout = async (sessionId, method) => {
+  if (!['card', 'bank_debit', 'bank_debit_fails'].includes(method)) {
+    throw new Error('Unknown payment method')
+  }
+
+  // Claim the checkout so a double submit can't pay it twice
+  const payment = await FakePayment.findOneAndUpdate(
+    { sessionId, status: 'open', expiresAt: { $gt: new Date() } },
+    { status: method === 'card' ? 'paid' : 'processing', paidAt: method === 'card' ? new Date() : undefined },
+    { new: true }
+  )
+  if (!payment) throw new Error('This checkout has already been paid or has expired')
+
+  if (method === 'card') {
+    await sendEvent('checkout.session.completed', buildSession(payment, 'paid'))
+    return payment.successUrl
+  }
+
+  await sendEvent('checkout.session.completed', buildSession(payment, 'unpaid'))
+
+  sendEventLater(BANK_DEBIT_CLEAR_SECONDS * 1000, async () => {
+    const clears = method === 'bank_debit'
+    const settled = await FakePayment.findOneAndUpdate(
+      { _id: payment._id },
+      { status: clears ? 'paid' : 'failed', paidAt: clears ? new Date() : undefined },
+      { new: true }
+    )
+
+    return clears
+      ? ['checkout.session.async_payment_succeeded', buildSession(settled, 'paid')]
+      : ['checkout.session.async_payment_failed', buildSession(settled, 'unpaid')]
+  })
+
+  return payment.successUrl
+}
+
+/**
+ * Create Fake Provider
+ *
+ * @returns {Object} - Payment provider backed by FakePayment records
+ */
+export const createFakeProvider = () => {
+  // Fail when the provider is picked rather than at the first webhook
+  getSigningSecret()
+
+  return {
+    name: 'fake',
+
+    createCheckout: async ({ item, currency, customerEmail, clientReferenceId, metadata, successUrl, cancelUrl, expiresAt }) => {
+      const payment = await FakePayment.create({
+        sessionId: createId('cs'),
+        paymentIntentId: createId('pi'),
+        chargeId: createId('ch'),
+        name: item.name,
+        description: item.description,
+        currency,
+        amountTotal: item.unitAmount * (item.quantity || 1),
+        customerEmail,
+        clientReferenceId,
+        metadata,
+        successUrl,
+        cancelUrl,
+        expiresAt: expiresAt || new Date(Date.now() + DEFAULT_CHECKOUT_HOURS * 60 * 60 * 1000)
+      })
+
+      return {
+        id: payment.sessionId,
+        url: `${getApiUrl()}/api/v1/payments/fake/checkout/${payment.sessionId}`
+      }
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      const parts = Object.fromEntries(
+        String(headers[SIGNATURE_HEADER] || '').split(',').map(part => part.split('='))
+      )
+      const timestamp = Number(parts.t)
+      const expected = Buffer.from(signPayload(rawBody.toString(), timestamp))
+      const received = Buffer.from(parts.v1 || '')
+
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        throw new Error('Invalid fake payments signature')
+      }
+
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Fake payments signature has expired')
+      }
+
+      return JSON.parse(rawBody.toString())
+    },
+
+    refund: async ({ paymentIntentId, amount }) => {
+      const payment = await FakePayment.findOne({ paymentIntentId })
+      if (!payment || payment.status !== 'paid') {
+        throw new Error(`No successful fake payment ${paymentIntentId}`)
+      }
+
+      const refundable = payment.amountTotal - payment.amountRefunded
+      const refundAmount = amount ?? refundable
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new Error(`Refund of ${refundAmount} cents exceeds the ${refundable} cents left on ${paymentIntentId}`)
+      }
+
+      const refundId = createId('re')
+
+      // Checked and recorded in one update so concurrent refunds can't overdraw the payment
+      const updated = await FakePayment.findOneAndUpdate(
+        { _id: payment._id, amountRefunded: payment.amountRefunded },
+        { $inc: { amountRefunded: refundAmount }, $push: { refunds: { refundId, amount: refundAmount } } },
+        { new: true }
+      )
+      if (!updated) throw new Error('Another refund of this payment is in progress, please try again')
+
+      sendEventLater(REFUND_EVENT_DELAY_MS, () => ['charge.refunded', buildCharge(updated)])
+
+      return { id: refundId }
+    }
+  }
+}
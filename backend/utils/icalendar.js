@@ -0,0 +1,497 @@
+/**
+ * iCalendar Utilities
+ *
+ * Builds the .ics calendar feeds trainers and clients subscribe to from
+ * their phone or desktop calendar apps. Each booking becomes one VEVENT
+ * whose UID never changes, so calendar apps update the same event when a
+ * session is rescheduled and mark it as cancelled instead of dropping it.
+ *
+ * Also parses calendars trainers import from elsewhere (an uploaded file or
+ * a subscription URL) into busy blocks. Parsing works on the file's text
+ * alone, so it never needs the network.
+ *
+ * Format reference: RFC 5545.
+ */
+
+import crypto from 'crypto'
+import { getSessionTimes, toDateKey } from './bookingSlots.js'
+import { isValidTimeZone, zonedTimeToUtc } from './timeZones.js'
+
+// Identifies this app in PRODID and event UIDs
+const CALENDAR_DOMAIN = 'personal-trainer-booking'
+
+/**
+ * Generate Calendar Token
+ *
+ * Creates the secret that makes up a user's feed URL. Anyone with the URL
+ * can read the feed, so it must be long and random.
+ *
+ * @returns {string} - Random 48-character hex token
+ */
+export const generateCalendarToken = () => {
+  return crypto.randomBytes(24).toString('hex')
+}
+
+/**
+ * Escape Text Value
+ *
+ * @param {string} value - Free text such as a name or description
+ * @returns {string} - Text with backslashes, separators and newlines escaped
+ */
+const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Format Instant
+ *
+ * @param {Date} date - Point in time
+ * @returns {string} - UTC date-time such as 20250301T090000Z
+ */
+const formatInstant = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Fold Content Line
+ *
+ * Lines longer than 75 octets are split, each continuation starting with
+ * a space. Splits never fall inside a multi-byte character.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line joined with CRLF
+ */
+const foldLine = (line) => {
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char)
+    // The first line holds 75 octets; continuations lose one to the leading space
+    const limit = parts.length === 0 ? 75 : 74
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+
+    current += char
+    currentBytes += charBytes
+  }
+  parts.push(current)
+
+  return parts.join('\r\n ')
+}
+
+/**
+ * Get Event Status
+ *
+ * @param {Object} booking - Booking document
+ * @returns {string} - CONFIRMED, TENTATIVE (awaiting approval) or CANCELLED
+ */
+const getEventStatus = (booking) => {
+  if (booking.status === 'cancelled') return 'CANCELLED'
+  if (booking.status === 'pending') return 'TENTATIVE'
+  return 'CONFIRMED'
+}
+
+/**
+ * Build Booking Event
+ *
+ * @param {Object} booking - Booking with trainer and user populated
+ * @param {Object} options
+ * @param {string} options.summary - Event title
+ * @param {string} [options.description] - Event notes
+ * @returns {Array<string>} - Unfolded content lines of the VEVENT
+ */
+const buildBookingEvent = (booking, { summary, description }) => {
+  // Bookings made before start and end instants were stored fall back to
+  // their wall-clock time in the trainer's zone
+  const { startsAt, endsAt } = booking.startsAt
+    ? { startsAt: booking.startsAt, endsAt: booking.endsAt || booking.startsAt }
+    : getSessionTimes(booking.bookingDate, booking.timeSlot, booking.trainer?.timeZone)
+
+  // Calendar apps only apply an update when the sequence number goes up
+  const sequence = (booking.rescheduleHistory?.length || 0) + (booking.status === 'cancelled' ? 1 : 0)
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${booking._id}@${CALENDAR_DOMAIN}`,
+    `DTSTAMP:${formatInstant(booking.updatedAt || new Date())}`,
+    `DTSTART:${formatInstant(startsAt)}`,
+    `DTEND:${formatInstant(endsAt)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${getEventStatus(booking)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ]
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+  if (booking.updatedAt) lines.push(`LAST-MODIFIED:${formatInstant(booking.updatedAt)}`)
+  lines.push('END:VEVENT')
+
+  return lines
+}
+
+/**
+ * Build Bookings Calendar
+ *
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown in the subscriber's app
+ * @param {Array<Object>} options.bookings - Bookings with trainer and user populated
+ * @param {Function} options.describe - Returns {summary, description} for a booking
+ * @returns {string} - Complete VCALENDAR document
+ */
+export const buildBookingsCalendar = ({ name, bookings, describe }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${CALENDAR_DOMAIN}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...bookings.flatMap(booking => buildBookingEvent(booking, describe(booking))),
+    'END:VCALENDAR'
+  ]
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+// Stops runaway recurrence rules (e.g. every minute, forever) from hanging a sync
+const MAX_RECURRENCE_STEPS = 50000
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Parse Content Line
+ *
+ * Splits a line such as `DTSTART;TZID=Australia/Perth:20250301T090000`
+ * into its name, parameters and value. Colons inside quoted parameter
+ * values don't end the parameters.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false
+  let valueStart = -1
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes
+    if (line[i] === ':' && !inQuotes) {
+      valueStart = i
+      break
+    }
+  }
+  if (valueStart === -1) return null
+
+  const [name, ...paramParts] = line.slice(0, valueStart).split(';')
+  const params = {}
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=')
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '')
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(valueStart + 1) }
+}
+
+/**
+ * Unescape Text Value
+ *
+ * @param {string} value - Escaped TEXT value
+ * @returns {string} - Plain text
+ */
+const unescapeText = (value) => {
+  return value.replace(/\\([\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char))
+}
+
+/**
+ * Parse Date Value
+ *
+ * Handles the three forms calendars use: all-day dates (20250301), UTC
+ * times (20250301T090000Z) and local times, either with a TZID or
+ * "floating" (meaning whatever zone the reader is in - here the trainer's).
+ *
+ * @param {{params: Object, value: string}} property - DTSTART, DTEND, EXDATE or RECURRENCE-ID
+ * @param {string} defaultTimeZone - Zone for floating times and unknown TZIDs
+ * @returns {{dateKey: string, time: string, seconds: number, timeZone: string, allDay: boolean}|null}
+ */
+const parseDateValue = ({ params, value }, defaultTimeZone) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return null
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  const dateKey = `${year}-${month}-${day}`
+
+  if (!hours || params.VALUE === 'DATE') {
+    return { dateKey, time: '00:00', seconds: 0, timeZone: defaultTimeZone, allDay: true }
+  }
+
+  // Outlook often writes Windows zone names; those fall back to the trainer's zone
+  const timeZone = utc ? 'UTC' : isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone
+  return { dateKey, time: `${hours}:${minutes}`, seconds: Number(seconds), timeZone, allDay: false }
+}
+
+/**
+ * Date Value to Instant
+ *
+ * @param {Object} date - Parsed date value
+ * @param {string} [dateKey] - Another calendar date with the same wall-clock time (for recurrences)
+ * @returns {Date} - The instant the value refers to
+ */
+const toInstant = (date, dateKey = date.dateKey) => {
+  return new Date(zonedTimeToUtc(dateKey, date.time, date.timeZone).getTime() + date.seconds * 1000)
+}
+
+/**
+ * Parse Duration
+ *
+ * @param {string} value - Duration such as PT1H30M or P1D
+ * @returns {number|null} - Length in milliseconds
+ */
+const parseDuration = (value) => {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) return null
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0)
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000
+  return sign === '-' ? -ms : ms
+}
+
+/**
+ * Add Days to a Date Key
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Resulting date in YYYY-MM-DD format
+ */
+const addDays = (dateKey, days) => {
+  return toDateKey(new Date(new Date(dateKey).getTime() + days * DAY_MS))
+}
+
+/**
+ * List Recurrence Dates
+ *
+ * Expands an RRULE into the calendar dates its occurrences fall on, up to
+ * the end of the range. Supports DAILY, WEEKLY (with BYDAY), MONTHLY and
+ * YEARLY rules with INTERVAL, COUNT and UNTIL - what calendar apps write
+ * for ordinary repeating events. Monthly and yearly rules with BY* parts
+ * ("second Tuesday") aren't expanded, so only their first occurrence counts.
+ *
+ * @param {string} rule - RRULE value, e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10
+ * @param {Object} start - Parsed DTSTART
+ * @param {Date} rangeEnd - Stop once occurrences start after this
+ * @returns {Array<string>} - Occurrence dates in YYYY-MM-DD format, starting with DTSTART's
+ */
+const listRecurrenceDates = (rule, start, rangeEnd) => {
+  const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')).map(([key, value]) => [key.toUpperCase(), value]))
+  const interval = Math.max(parseInt(parts.INTERVAL) || 1, 1)
+  const count = parseInt(parts.COUNT) || Infinity
+  const until = parts.UNTIL ? parseDateValue({ params: {}, value: parts.UNTIL }, start.timeZone) : null
+  const untilInstant = until && (until.allDay ? toInstant(until, addDays(until.dateKey, 1)) : toInstant(until))
+  // Cheap date-only bounds; exact instants are only worked out near them
+  const lastDateKey = [addDays(toDateKey(rangeEnd), 1), until && addDays(until.dateKey, 1)].filter(Boolean).sort()[0]
+
+  const hasByRules = Object.keys(parts).some(key => key.startsWith('BY'))
+  const [year, month, day] = start.dateKey.split('-').map(Number)
+
+  // Candidate dates in order, from DTSTART onwards
+  const candidates = function* () {
+    if (parts.FREQ === 'DAILY' && !hasByRules) {
+      for (let step = 0; ; step++) yield addDays(start.dateKey, step * interval)
+    }
+
+    if (parts.FREQ === 'WEEKLY') {
+      const byDay = (parts.BYDAY || '').split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(index => index >= 0)
+      const weekdays = byDay.length > 0 ? byDay : [new Date(start.dateKey).getUTCDay()]
+      // Weeks start on Monday unless the rule says otherwise
+      const weekStartDay = WEEKDAY_CODES.indexOf(parts.WKST || 'MO')
+      const offset = (new Date(start.dateKey).getUTCDay() - weekStartDay + 7) % 7
+      const firstWeekStart = addDays(start.dateKey, -offset)
+
+      for (let week = 0; ; week += interval) {
+        const weekStart = addDays(firstWeekStart, week * 7)
+        const dates = weekdays
+          .map(weekday => addDays(weekStart, (weekday - weekStartDay + 7) % 7))
+          .sort()
+        for (const date of dates) {
+          if (date >= start.dateKey) yield date
+        }
+      }
+    }
+
+    if (parts.FREQ === 'MONTHLY' && !hasByRules) {
+      for (let step = 0; ; step++) {
+        const date = new Date(Date.UTC(year, month - 1 + step * interval, day))
+        // Months without the day (e.g. the 31st) are skipped, as RFC 5545 requires
+        if (date.getUTCDate() === day) yield toDateKey(date)
+        else yield null
+      }
+    }
+
+    if (parts.FREQ === 'YEARLY' && !hasByRules) {
+      for (let step = 0; ; step++) {
+        const date = new Date(Date.UTC(year + step * interval, month - 1, day))
+        if (date.getUTCDate() === day) yield toDateKey(date)
+        else yield null
+      }
+    }
+
+    // Anything else only occurs on DTSTART
+    yield start.dateKey
+  }
+
+  const dates = []
+  let steps = 0
+
+  for (const date of candidates()) {
+    if (++steps > MAX_RECURRENCE_STEPS || dates.length >= count) break
+    if (date === null) continue
+
+    if (date > lastDateKey) break
+    if (date >= addDays(lastDateKey, -2)) {
+      const startsAt = toInstant(start, date)
+      if (startsAt > rangeEnd || (untilInstant && startsAt > untilInstant)) break
+    }
+
+    dates.push(date)
+    if (!parts.FREQ || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) break
+    if (hasByRules && parts.FREQ !== 'WEEKLY') break
+  }
+
+  return dates
+}
+
+/**
+ * Read VEVENTs
+ *
+ * @param {string} ics - Calendar file contents
+ * @returns {Array<Object>} - Each event's properties, keyed by name (EXDATE and RDATE collect every line)
+ */
+const readEvents = (ics) => {
+  // Undo line folding: a line starting with a space or tab continues the previous one
+  const lines = ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const events = []
+  let event = null
+  let nestedDepth = 0
+
+  for (const line of lines) {
+    const property = parseContentLine(line)
+    if (!property) continue
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT') event = { EXDATE: [] }
+      else if (event) nestedDepth++ // e.g. a VALARM inside the event
+      continue
+    }
+
+    if (property.name === 'END') {
+      if (property.value.toUpperCase() === 'VEVENT' && event) {
+        events.push(event)
+        event = null
+        nestedDepth = 0
+      } else if (event && nestedDepth > 0) {
+        nestedDepth--
+      }
+      continue
+    }
+
+    if (!event || nestedDepth > 0) continue
+
+    if (property.name === 'EXDATE') event.EXDATE.push(property)
+    else event[property.name] = property
+  }
+
+  return events
+}
+
+/**
+ * Parse Busy Blocks
+ *
+ * Turns an imported calendar into the times the trainer is busy between
+ * two instants. Repeating events are expanded, with their EXDATEs and
+ * moved occurrences (RECURRENCE-ID) applied. Cancelled events and events
+ * marked as free (TRANSP:TRANSPARENT) don't block anything.
+ *
+ * @param {string} ics - Calendar file contents
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range to import
+ * @param {Date} options.to - End of the range to import
+ * @param {string} options.timeZone - Trainer's time zone, used for all-day and floating times
+ * @returns {Array<Object>} - Busy blocks ({uid, summary, startsAt, endsAt, allDay}), sorted by start
+ */
+export const parseBusyBlocks = (ics, { from, to, timeZone }) => {
+  const blocks = []
+  const events = readEvents(String(ics || ''))
+
+  // Occurrences of a repeating event that were moved or cancelled one by one
+  const overridden = new Set(events
+    .filter(event => event.UID && event['RECURRENCE-ID'])
+    .map(event => {
+      const recurrenceId = parseDateValue(event['RECURRENCE-ID'], timeZone)
+      return recurrenceId && `${event.UID.value}|${toInstant(recurrenceId).getTime()}`
+    }))
+
+  for (const event of events) {
+    if (!event.DTSTART) continue
+    if (event.STATUS?.value.toUpperCase() === 'CANCELLED') continue
+    if (event.TRANSP?.value.toUpperCase() === 'TRANSPARENT') continue
+
+    const start = parseDateValue(event.DTSTART, timeZone)
+    if (!start) continue
+
+    const end = event.DTEND && parseDateValue(event.DTEND, timeZone)
+    const firstStart = toInstant(start)
+    let duration = end ? toInstant(end) - firstStart : parseDuration(event.DURATION?.value || '')
+    // Without an end, all-day events last the day and timed events take no time
+    if (duration === null || duration < 0) duration = start.allDay ? DAY_MS : 0
+    if (duration === 0) continue
+
+    const uid = event.UID?.value || `${start.dateKey}T${start.time}`
+    const isOverride = Boolean(event['RECURRENCE-ID'])
+    const dates = event.RRULE && !isOverride
+      ? listRecurrenceDates(event.RRULE.value, start, to)
+      : [start.dateKey]
+
+    const excluded = new Set(event.EXDATE.flatMap(exdate =>
+      exdate.value.split(',')
+        .map(value => parseDateValue({ params: exdate.params, value }, start.timeZone))
+        .filter(Boolean)
+        .map(date => toInstant(date.allDay ? { ...start, dateKey: date.dateKey } : date).getTime())
+    ))
+
+    // Occurrences ending well before the range are skipped without working out their times
+    const firstDateKey = addDays(toDateKey(from), -Math.ceil(duration / DAY_MS) - 1)
+
+    for (const date of dates) {
+      if (date < firstDateKey) continue
+
+      const startsAt = toInstant(start, date)
+      if (excluded.has(startsAt.getTime())) continue
+      if (!isOverride && overridden.has(`${uid}|${startsAt.getTime()}`)) continue
+
+      // All-day events end at midnight in the trainer's zone, even across DST changes
+      const endsAt = start.allDay
+        ? zonedTimeToUtc(addDays(date, Math.round(duration / DAY_MS)), '00:00', start.timeZone)
+        : new Date(startsAt.getTime() + duration)
+
+      if (endsAt <= from || startsAt >= to) continue
+
+      blocks.push({
+        uid,
+        summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : '',
+        startsAt,
+        endsAt,
+        allDay: start.allDay
+      })
+    }
+  }
+
+  return blocks.sort((a, b) => a.startsAt - b.startsAt)
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for parsing imported calendars into busy blocks, run against the
+ * .ics files in fixtures/.
+ *
+ * USAGE:
+ *   npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { parseBusyBlocks } from './icalendar.js'
+
+// Trainer's zone, used for all-day, floating and unknown-zone times
+const TIME_ZONE = 'Australia/Perth'
+
+const parseFixture = (name) => {
+  const ics = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+  const blocks = parseBusyBlocks(ics, {
+    from: new Date('2025-03-01T00:00:00Z'),
+    to: new Date('2025-06-01T00:00:00Z'),
+    timeZone: TIME_ZONE
+  })
+
+  return blocks.map(({ startsAt, endsAt, allDay }) => ({
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt.toISOString(),
+    allDay
+  }))
+}
+
+test('TZID times are read in their own zone, and unknown zones in the trainer\'s', () => {
+  assert.deepEqual(parseFixture('tzid.ics'), [
+    // New York is already on daylight time (UTC-4) on 10 March
+    { startsAt: '2025-03-10T13:00:00.000Z', endsAt: '2025-03-10T14:00:00.000Z', allDay: false },
+    { startsAt: '2025-03-11T01:00:00.000Z', endsAt: '2025-03-11T02:00:00.000Z', allDay: false }
+  ])
+})
+
+test('RRULE with COUNT stops after that many occurrences', () => {
+  assert.deepEqual(parseFixture('rrule-count.ics').map(block => block.startsAt), [
+    '2025-03-03T07:00:00.000Z',
+    '2025-03-05T07:00:00.000Z',
+    '2025-03-10T07:00:00.000Z',
+    '2025-03-12T07:00:00.000Z',
+    '2025-03-17T07:00:00.000Z'
+  ])
+})
+
+test('EXDATE removes occurrences of a repeating event', () => {
+  assert.deepEqual(parseFixture('exdate.ics').map(block => block.startsAt), [
+    '2025-03-03T07:00:00.000Z',
+    '2025-03-05T07:00:00.000Z',
+    '2025-03-07T07:00:00.000Z'
+  ])
+})
+
+test('all-day events run from midnight to midnight in the trainer\'s zone', () => {
+  assert.deepEqual(parseFixture('all-day.ics'), [
+    { startsAt: '2025-04-04T16:00:00.000Z', endsAt: '2025-04-06T16:00:00.000Z', allDay: true }
+  ])
+})
+
+test('DURATION sets the end of an event without DTEND', () => {
+  assert.deepEqual(parseFixture('duration.ics'), [
+    { startsAt: '2025-03-12T01:00:00.000Z', endsAt: '2025-03-12T02:30:00.000Z', allDay: false }
+  ])
+})
@@ -0,0 +1,291 @@
+/**
+ * Invoice Utilities
+ *
+ * Issues the invoice for a paid booking and renders it as a PDF clients
+ * can keep for their records or claim on their health fund. A booking gets
+ * one invoice, issued the first time anyone downloads it; later downloads
+ * show the same invoice again.
+ *
+ * Invoice numbers come from a counter that only goes up, so they run in
+ * the order invoices were issued and are never reused. Trainers registered
+ * for GST issue tax invoices with the GST included in the price (1/11 of
+ * it); other trainers' invoices state that no GST was charged.
+ */
+
+import Counter from '../models/CounterSchema.js'
+import Invoice from '../models/InvoiceSchema.js'
+import Trainer from '../models/TrainerSchema.js'
+import User from '../models/UserSchema.js'
+import { getSessionTimes, isDuplicateKeyError } from './bookingSlots.js'
+import { DEFAULT_TIME_ZONE } from './timeZones.js'
+import { createPdf, PAGE_WIDTH } from './pdf.js'
+import { hasReceivedPayment } from './earnings.js'
+
+const PAYMENT_METHOD_LABELS = {
+  card: 'card',
+  cash: 'cash',
+  bank_transfer: 'bank transfer',
+  other: 'other'
+}
+
+// Weights of the ABN check digit algorithm published by the ATO
+const ABN_WEIGHTS = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19]
+
+/**
+ * Normalise ABN
+ *
+ * @param {string} abn - ABN as entered, e.g. "51 824 753 556"
+ * @returns {string} - Just the digits
+ */
+export const normaliseAbn = (abn) => String(abn || '').replace(/\s/g, '')
+
+/**
+ * Is Valid ABN
+ *
+ * @param {string} abn - ABN, with or without spaces
+ * @returns {boolean} - True if it has 11 digits and a valid check digit
+ */
+export const isValidAbn = (abn) => {
+  const digits = normaliseAbn(abn)
+  if (!/^\d{11}$/.test(digits)) return false
+
+  // Subtract 1 from the first digit, weight each digit and the sum divides by 89
+  const sum = Array.from(digits).reduce((total, digit, index) => {
+    return total + (Number(digit) - (index === 0 ? 1 : 0)) * ABN_WEIGHTS[index]
+  }, 0)
+
+  return sum % 89 === 0
+}
+
+/**
+ * Format ABN
+ *
+ * @param {string} abn - ABN digits
+ * @returns {string} - e.g. "51 824 753 556"
+ */
+export const formatAbn = (abn) => normaliseAbn(abn).replace(/^(\d{2})(\d{3})(\d{3})(\d{3})$/, '$1 $2 $3 $4')
+
+/**
+ * Format Invoice Number
+ *
+ * @param {number} number - Invoice number
+ * @returns {string} - e.g. "INV-000042"
+ */
+export const formatInvoiceNumber = (number) => `INV-${String(number).padStart(6, '0')}`
+
+/**
+ * Can Invoice
+ *
+ * Sessions paid with a credit are covered by the pack they came from, so
+ * only bookings paid in money get an invoice.
+ *
+ * @param {Object} booking - Booking
+ * @returns {boolean} - True if the client has paid for the booking
+ */
+export const canInvoice = (booking) => hasReceivedPayment(booking)
+
+/**
+ * Next Invoice Number
+ *
+ * @returns {Promise<number>} - A number no other invoice has had
+ */
+const nextInvoiceNumber = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'invoice' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  )
+
+  return counter.seq
+}
+
+/**
+ * Issue Invoice
+ *
+ * Returns the booking's invoice, issuing it first if it doesn't have one.
+ * If two requests issue the same booking's invoice at once, the losing
+ * request's number is left unused rather than given to another invoice.
+ *
+ * @param {Document} booking - Paid booking (see canInvoice)
+ * @returns {Promise<Object>} - { invoice }, or { error } if the trainer hasn't
+ *   added the ABN every invoice needs
+ */
+export const issueInvoice = async (booking) => {
+  const existing = await Invoice.findOne({ booking: booking._id })
+  if (existing) return { invoice: existing }
+
+  const [trainer, client] = await Promise.all([
+    Trainer.findById(booking.trainer?._id || booking.trainer).select('name email abn gstRegistered timeZone'),
+    User.findById(booking.user?._id || booking.user).select('name email')
+  ])
+
+  if (!trainer?.abn) {
+    return { error: "The trainer hasn't added their ABN yet, so an invoice can't be issued" }
+  }
+
+  const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE
+  const { startsAt, endsAt } = booking.startsAt
+    ? booking
+    : getSessionTimes(booking.bookingDate, booking.timeSlot, timeZone)
+  const amountCents = Math.round(Number(booking.ticketPrice) * 100)
+
+  try {
+    const invoice = await Invoice.create({
+      number: await nextInvoiceNumber(),
+      booking: booking._id,
+      trainer: trainer._id,
+      user: client?._id,
+      paidAt: booking.paidAt || booking.createdAt,
+      // Bookings paid online went through the payment provider
+      paymentMethod: booking.paymentMethod || (booking.paymentIntentId ? 'card' : undefined),
+      seller: {
+        name: trainer.name,
+        email: trainer.email,
+        abn: trainer.abn,
+        gstRegistered: Boolean(trainer.gstRegistered)
+      },
+      buyer: { name: client?.name, email: client?.email },
+      description: booking.seriesIndex
+        ? `Personal training session with ${trainer.name} (week ${booking.seriesIndex} of ${booking.seriesTotal})`
+        : `Personal training session with ${trainer.name}`,
+      sessionStart: startsAt,
+      sessionEnd: endsAt,
+      timeZone,
+      amount: amountCents / 100,
+      // Prices include GST, which is 1/11 of a GST-inclusive price
+      gst: trainer.gstRegistered ? Math.round(amountCents / 11) / 100 : 0,
+      discount: booking.discount?.code ? { code: booking.discount.code, amount: booking.discount.amount } : undefined
+    })
+
+    return { invoice }
+  } catch (err) {
+    if (isDuplicateKeyError(err) && err.keyPattern?.booking) {
+      return { invoice: await Invoice.findOne({ booking: booking._id }) }
+    }
+    throw err
+  }
+}
+
+/**
+ * Format Money
+ *
+ * @param {number} amount - Dollars
+ * @returns {string} - e.g. "$1,234.50"
+ */
+const formatMoney = (amount) => {
+  return `$${Number(amount).toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+/**
+ * Format Day
+ *
+ * @param {Date} date - Date to show
+ * @param {string} timeZone - Time zone to show it in
+ * @returns {string} - e.g. "3 March 2025"
+ */
+const formatDay = (date, timeZone) => {
+  return new Date(date).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone })
+}
+
+/**
+ * Format Session
+ *
+ * @param {Document} invoice - Invoice
+ * @returns {string} - e.g. "Monday 3 March 2025, 9:00 am - 10:00 am AEDT"
+ */
+const formatSession = (invoice) => {
+  const { timeZone } = invoice
+  const day = new Date(invoice.sessionStart).toLocaleDateString('en-AU', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone
+  })
+  const time = (date, withZone) => new Date(date).toLocaleTimeString('en-AU', {
+    hour: 'numeric', minute: '2-digit', timeZone, ...(withZone && { timeZoneName: 'short' })
+  })
+
+  return invoice.sessionEnd
+    ? `${day}, ${time(invoice.sessionStart)} - ${time(invoice.sessionEnd, true)}`
+    : `${day}, ${time(invoice.sessionStart, true)}`
+}
+
+/**
+ * Build Invoice PDF
+ *
+ * The invoice's details are as issued; refunds are read from the booking
+ * so a reprinted invoice shows money returned since.
+ *
+ * @param {Document} invoice - Issued invoice
+ * @param {Document} booking - Booking the invoice is for
+ * @returns {Buffer} - The invoice as a PDF file
+ */
+export const buildInvoicePdf = (invoice, booking) => {
+  const pdf = createPdf()
+  const left = 50
+  const right = PAGE_WIDTH - 50
+  const { timeZone, seller, buyer } = invoice
+  let y = 70
+
+  // Heading
+  pdf.text(left, y, seller.gstRegistered ? 'TAX INVOICE' : 'INVOICE', { size: 22, bold: true })
+  pdf.text(right, y - 10, formatInvoiceNumber(invoice.number), { size: 12, bold: true, align: 'right' })
+  pdf.text(right, y + 6, `Issued ${formatDay(invoice.issuedAt, timeZone)}`, { align: 'right' })
+
+  // Who it's from and to
+  y = 130
+  pdf.text(left, y, 'From', { bold: true })
+  pdf.text(320, y, 'Bill to', { bold: true })
+  pdf.text(left, y + 16, seller.name || '')
+  pdf.text(left, y + 30, `ABN ${formatAbn(seller.abn)}`)
+  pdf.text(left, y + 44, seller.email || '')
+  pdf.text(320, y + 16, buyer.name || '')
+  pdf.text(320, y + 30, buyer.email || '')
+
+  // What was paid for
+  y = 230
+  pdf.text(left, y, 'Description', { bold: true })
+  pdf.text(right, y, 'Amount', { bold: true, align: 'right' })
+  pdf.line(left, y + 6, right, y + 6)
+
+  const discount = invoice.discount?.code ? invoice.discount.amount : 0
+  y += 24
+  pdf.text(left, y, invoice.description)
+  pdf.text(right, y, formatMoney(invoice.amount + discount), { align: 'right' })
+  pdf.text(left, y + 14, formatSession(invoice), { size: 9 })
+
+  if (discount) {
+    y += 34
+    pdf.text(left, y, `Promo code ${invoice.discount.code}`)
+    pdf.text(right, y, `-${formatMoney(discount)}`, { align: 'right' })
+  }
+
+  // Totals
+  y += 34
+  pdf.line(320, y - 12, right, y - 12)
+  if (seller.gstRegistered) {
+    pdf.text(320, y, 'Subtotal (excl. GST)')
+    pdf.text(right, y, formatMoney(invoice.amount - invoice.gst), { align: 'right' })
+    pdf.text(320, y + 16, 'GST (10%)')
+    pdf.text(right, y + 16, formatMoney(invoice.gst), { align: 'right' })
+    y += 32
+  }
+  pdf.text(320, y, seller.gstRegistered ? 'Total (incl. GST)' : 'Total', { bold: true })
+  pdf.text(right, y, formatMoney(invoice.amount), { bold: true, align: 'right' })
+
+  if (!seller.gstRegistered) {
+    pdf.text(320, y + 16, 'No GST has been charged.', { size: 9 })
+  }
+
+  // Payment
+  y += 50
+  const method = PAYMENT_METHOD_LABELS[invoice.paymentMethod]
+  pdf.text(left, y, `Paid in full on ${formatDay(invoice.paidAt || invoice.issuedAt, timeZone)}${method ? ` by ${method}` : ''}.`)
+
+  if (booking?.refundAmount > 0) {
+    y += 16
+    const refundedAt = booking.refundedAt || booking.cancelledAt
+    pdf.text(left, y, `${formatMoney(booking.refundAmount)} refunded${refundedAt ? ` on ${formatDay(refundedAt, timeZone)}` : ''}.`)
+  }
+
+  pdf.text(left, 790, 'Keep this invoice for your records or your health fund claim.', { size: 9 })
+
+  return pdf.toBuffer()
+}
@@ -0,0 +1,82 @@
+/**
+ * Mailer
+ *
+ * Sends the app's emails through a transport chosen by environment
+ * variables, so nothing else needs to know where mail goes:
+ * - SMTP_HOST (with SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS): a real SMTP server
+ * - MAIL_TRANSPORT=log: nothing is sent, each email is written to the console
+ * - Otherwise, in development: an SMTP catcher such as Mailpit or MailHog
+ *   on localhost:1025, whose web inbox shows every email sent
+ *
+ * Production needs SMTP_HOST. Without it sending fails, so emails are
+ * retried once it is set instead of being counted as sent, and clients'
+ * addresses and emails never end up in the logs.
+ *
+ * MAIL_FROM sets the sender.
+ */
+
+import nodemailer from 'nodemailer'
+
+const DEFAULT_FROM = 'Personal Training Booking <no-reply@personal-trainer-booking.local>'
+
+let transport = null
+let logsOnly = false
+
+/**
+ * Create Mail Transport
+ *
+ * @returns {Object} - Nodemailer transport for the current environment
+ */
+const createMailTransport = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set - emails cannot be sent')
+  }
+
+  if (process.env.MAIL_TRANSPORT === 'log') {
+    logsOnly = true
+    return nodemailer.createTransport({ jsonTransport: true })
+  }
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  }
+
+  // Local SMTP catcher, no TLS or login needed
+  return nodemailer.createTransport({
+    host: 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: false,
+    ignoreTLS: true
+  })
+}
+
+/**
+ * Send Mail
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<Object>} - Transport's send result
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  if (!transport) transport = createMailTransport()
+
+  const info = await transport.sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  })
+
+  if (logsOnly) console.log(`Email to ${to}: ${subject}\n${text}`)
+
+  return info
+}
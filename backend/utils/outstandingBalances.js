@@ -0,0 +1,66 @@
+/**
+ * Outstanding Balance Utilities
+ *
+ * Trainers who allow pay at session collect the money in person, so the
+ * app keeps track of what each client still owes: every active booking
+ * that hasn't been marked paid yet (for a no-show, the no-show fee).
+ * Sessions that already took place are reported separately as overdue.
+ */
+
+import mongoose from 'mongoose'
+import Booking from '../models/BookingSchema.js'
+
+// Ways a trainer can record having been paid in person
+export const IN_PERSON_PAYMENT_METHODS = ['cash', 'bank_transfer', 'card', 'other']
+
+/**
+ * Get Outstanding Balances
+ *
+ * @param {string} trainerId - Trainer to report on
+ * @returns {Promise<Array>} - One entry per client owing money, largest balance first:
+ *   { user: {_id, name, email, photo}, sessions, amountDue, overdueSessions, overdueAmount, oldestSession }
+ */
+export const getOutstandingBalances = async (trainerId) => {
+  const now = new Date()
+
+  // Aggregation skips the find hooks, so the client is looked up here
+  return Booking.aggregate([
+    {
+      $match: {
+        trainer: new mongoose.Types.ObjectId(trainerId),
+        paymentStatus: 'unpaid',
+        status: { $ne: 'cancelled' }
+      }
+    },
+    { $addFields: { price: { $toDouble: '$ticketPrice' }, isOverdue: { $lte: ['$startsAt', now] } } },
+    // No-shows whose fee the trainer's no-show policy waived owe nothing
+    { $match: { price: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$user',
+        sessions: { $sum: 1 },
+        amountDue: { $sum: '$price' },
+        overdueSessions: { $sum: { $cond: ['$isOverdue', 1, 0] } },
+        overdueAmount: { $sum: { $cond: ['$isOverdue', '$price', 0] } },
+        oldestSession: { $min: '$startsAt' }
+      }
+    },
+    { $sort: { amountDue: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        'user._id': 1,
+        'user.name': 1,
+        'user.email': 1,
+        'user.photo': 1,
+        sessions: 1,
+        amountDue: 1,
+        overdueSessions: 1,
+        overdueAmount: 1,
+        oldestSession: 1
+      }
+    }
+  ])
+}
@@ -0,0 +1,172 @@
+/**
+ * Payment Lifecycle Utilities
+ *
+ * Keeps bookings in step with what happens to their payment in Stripe
+ * after checkout:
+ * - Delayed payment methods (e.g. bank debits) that fail, and checkouts
+ *   that expire, cancel the bookings waiting on them
+ * - Refunds issued from the Stripe dashboard are recorded on the bookings
+ *   they paid for; a fully refunded session is cancelled
+ * - Disputes (chargebacks) are flagged so the trainer can see them
+ *
+ * Refunds made through this app (cancellations, declines) are already
+ * recorded on their bookings when Stripe reports them, so only the amount
+ * Stripe has refunded beyond what the bookings record is applied.
+ */
+
+import Booking from '../models/BookingSchema.js'
+import { offerFreedSlot } from './waitlist.js'
+import { releasePromoCodeUse } from './promoCodes.js'
+import { syncBookingEarnings } from './earnings.js'
+
+/**
+ * Get Refunded Payment Status
+ *
+ * @param {Document} booking - Booking with ticketPrice and refundAmount
+ * @returns {string} - 'refunded' once the whole price is back with the client, else 'partially_refunded'
+ */
+export const getRefundedPaymentStatus = (booking) => {
+  return booking.refundAmount >= Number(booking.ticketPrice) ? 'refunded' : 'partially_refunded'
+}
+
+/**
+ * Find Payment Bookings
+ *
+ * @param {string} paymentIntentId - Stripe payment intent
+ * @returns {Promise<Array>} - Bookings paid (in full or in part) with the payment, latest session first
+ */
+const findPaymentBookings = async (paymentIntentId) => {
+  if (!paymentIntentId) return []
+
+  return Booking.find({
+    $or: [{ paymentIntentId }, { 'extraCharges.paymentIntentId': paymentIntentId }]
+  }).sort({ startsAt: -1 })
+}
+
+/**
+ * Cancel For Payment
+ *
+ * Cancels a booking because its money is gone (the payment failed or was
+ * refunded) and offers the freed slot to the waitlist.
+ *
+ * @param {Document} booking - Active booking
+ * @param {string} reason - Reason shown to the client and trainer
+ */
+const cancelForPayment = async (booking, reason) => {
+  const freedSlotKey = booking.slotKey
+
+  booking.status = 'cancelled'
+  booking.slotKey = undefined // Frees the slot for other clients
+  booking.cancelledAt = new Date()
+  booking.cancelledBy = 'system'
+  booking.cancellationReason = reason
+
+  await booking.save()
+  await offerFreedSlot(freedSlotKey)
+}
+
+/**
+ * Fail Checkout Payment
+ *
+ * Cancels the bookings of a checkout whose payment never arrived. Only
+ * bookings still waiting on the payment are touched.
+ *
+ * @param {Object} session - Stripe checkout session
+ * @param {string} reason - Reason shown to the client and trainer
+ * @returns {Promise<Object>} - Number of bookings cancelled
+ */
+export const failCheckoutPayment = async (session, reason) => {
+  const bookings = await Booking.find({ stripeSessionId: session.id, paymentStatus: 'processing' })
+
+  for (const booking of bookings) {
+    booking.isPaid = false
+    booking.paymentStatus = 'failed'
+
+    if (booking.status === 'cancelled') {
+      await booking.save()
+    } else {
+      await cancelForPayment(booking, reason)
+    }
+  }
+
+  // The checkout never paid, so it doesn't use up its promo code
+  const promoCodeId = bookings.find(booking => booking.discount?.promoCode)?.discount.promoCode
+  if (promoCodeId) await releasePromoCodeUse(promoCodeId)
+
+  return { cancelled: bookings.length }
+}
+
+/**
+ * Apply Charge Refund
+ *
+ * Records a refund reported by Stripe on the bookings the charge paid for.
+ * Any amount not made through this app is shared out from the latest
+ * session back, so a full refund covers every session the charge paid for.
+ * Sessions whose whole price has been refunded are cancelled.
+ *
+ * @param {Object} charge - Stripe charge from a charge.refunded event
+ * @returns {Promise<Object>} - Number of bookings updated and cancelled
+ */
+export const applyChargeRefund = async (charge) => {
+  const bookings = await findPaymentBookings(charge.payment_intent)
+  const refundedAt = new Date()
+  let cancelled = 0
+
+  // Refunds this app made are already recorded on the bookings
+  const recordedCents = bookings.reduce((sum, booking) => sum + Math.round((booking.refundAmount || 0) * 100), 0)
+  let unrecordedCents = charge.amount_refunded - recordedCents
+
+  for (const booking of bookings) {
+    const priceCents = Math.round(Number(booking.ticketPrice) * 100)
+    const outstandingCents = Math.max(priceCents - Math.round((booking.refundAmount || 0) * 100), 0)
+    const appliedCents = Math.min(Math.max(unrecordedCents, 0), outstandingCents)
+
+    if (appliedCents > 0) {
+      booking.refundAmount = (Math.round((booking.refundAmount || 0) * 100) + appliedCents) / 100
+      booking.refundedAt = refundedAt
+      unrecordedCents -= appliedCents
+    }
+
+    if (booking.refundAmount <= 0) continue
+
+    booking.paymentStatus = getRefundedPaymentStatus(booking)
+    if (booking.paymentStatus === 'refunded') booking.isPaid = false
+
+    if (booking.paymentStatus === 'refunded' && booking.status !== 'cancelled') {
+      await cancelForPayment(booking, 'Payment refunded')
+      cancelled++
+    } else {
+      await booking.save()
+    }
+    await syncBookingEarnings(booking, { refundedAt })
+  }
+
+  return { bookings: bookings.length, cancelled }
+}
+
+/**
+ * Record Charge Dispute
+ *
+ * Flags the bookings paid with a disputed charge. The sessions themselves
+ * are left as they are - the trainer decides whether to go ahead.
+ *
+ * @param {Object} dispute - Stripe dispute from a charge.dispute.created event
+ * @returns {Promise<Object>} - Number of bookings flagged
+ */
+export const recordChargeDispute = async (dispute) => {
+  const bookings = await findPaymentBookings(dispute.payment_intent)
+
+  for (const booking of bookings) {
+    booking.paymentStatus = 'disputed'
+    booking.dispute = {
+      disputeId: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: dispute.amount / 100, // Convert from cents to dollars
+      openedAt: new Date(dispute.created * 1000)
+    }
+    await booking.save()
+  }
+
+  return { disputed: bookings.length }
+}
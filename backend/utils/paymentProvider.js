@@ -0,0 +1,73 @@
+/**
+ * Payment Provider
+ *
+ * Bookings, packs and refunds take money through a payment provider picked
+ * by environment variables, so nothing else needs to know which one:
+ * - PAYMENT_PROVIDER=stripe: Stripe Checkout (the default when
+ *   STRIPE_SECRET_KEY is set)
+ * - PAYMENT_PROVIDER=fake: a local gateway with its own pay page, for
+ *   running the whole booking flow offline (the default in development
+ *   without Stripe keys). Refused in production, where anyone could use
+ *   its pay page to book without paying.
+ *
+ * Every provider implements:
+ * - name
+ * - createCheckout({ item, currency, customerEmail, clientReferenceId,
+ *   metadata, successUrl, cancelUrl, expiresAt }) → { id, url }
+ *   where item is { name, description, images, unitAmount (cents), quantity }
+ * - verifyWebhook(rawBody, headers) → event, throwing if the signature is wrong
+ * - refund({ paymentIntentId, amount (cents, the rest of the payment if left out) }) → { id }
+ *
+ * Webhook events use Stripe's event and object shapes (checkout.session.*,
+ * charge.*), which the booking webhook already understands.
+ */
+
+import { createStripeProvider } from './stripeProvider.js'
+import { createFakeProvider } from './fakePaymentProvider.js'
+
+const providers = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+}
+
+let provider = null
+
+/**
+ * Get Payment Provider Name
+ *
+ * @returns {string} - Provider chosen by the environment
+ */
+export const getPaymentProviderName = () => {
+  if (process.env.PAYMENT_PROVIDER === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production')
+  }
+
+  if (process.env.PAYMENT_PROVIDER) return process.env.PAYMENT_PROVIDER
+
+  if (!process.env.STRIPE_SECRET_KEY && process.env.NODE_ENV !== 'production') {
+    return 'fake'
+  }
+
+  return 'stripe'
+}
+
+/**
+ * Get Payment Provider
+ *
+ * @returns {Object} - Payment provider for the current environment
+ */
+export const getPaymentProvider = () => {
+  if (provider) return provider
+
+  const name = getPaymentProviderName()
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider "${name}"`)
+  }
+
+  if (name === 'fake' && !process.env.PAYMENT_PROVIDER) {
+    console.warn('STRIPE_SECRET_KEY is not set - payments go through the fake provider')
+  }
+
+  provider = providers[name]()
+  return provider
+}
@@ -0,0 +1,154 @@
+/**
+ * PDF Utilities
+ *
+ * A small PDF writer for documents made of text and ruled lines, such as
+ * invoices. Uses the standard Helvetica fonts every PDF reader has built
+ * in, so nothing is embedded and the files stay a few kilobytes.
+ *
+ * Positions are in points (1/72 inch) from the top-left corner of an A4
+ * page. Text is limited to the Windows-1252 character set of the standard
+ * fonts; anything else is replaced with "?".
+ *
+ * Format reference: PDF 1.4 (ISO 32000-1 covers the same objects).
+ */
+
+export const PAGE_WIDTH = 595
+export const PAGE_HEIGHT = 842
+
+// Characters outside Latin-1 that Windows-1252 still has a code for
+const WIN_ANSI_EXTRAS = {
+  '–': '\x96', // en dash
+  '—': '\x97', // em dash
+  '‘': '\x91',
+  '’': '\x92',
+  '“': '\x93',
+  '”': '\x94',
+  '•': '\x95', // bullet
+  '€': '\x80', // euro
+  '\u202f': ' ', // narrow no-break space, used by toLocaleString in times
+  '\u00a0': ' ' // no-break space
+}
+
+// Helvetica widths (per 1000 units of font size) for the characters amounts
+// are made of; other characters use an average width
+const CHAR_WIDTHS = { ' ': 278, '.': 278, ',': 278, '-': 333, '(': 333, ')': 333, '%': 889 }
+const DEFAULT_CHAR_WIDTH = 556
+
+/**
+ * Encode Text
+ *
+ * @param {*} value - Text to show
+ * @returns {string} - Text as Windows-1252 bytes, escaped for a PDF string
+ */
+const encodeText = (value) => {
+  return Array.from(String(value ?? ''))
+    .map(char => WIN_ANSI_EXTRAS[char] ?? (char.charCodeAt(0) <= 0xff ? char : '?'))
+    .join('')
+    .replace(/[\\()]/g, char => `\\${char}`)
+    .replace(/[\r\n]+/g, ' ')
+}
+
+/**
+ * Text Width
+ *
+ * Exact for digits, currency and punctuation, approximate for letters -
+ * enough to right-align amounts.
+ *
+ * @param {string} value - Text to measure
+ * @param {number} size - Font size in points
+ * @returns {number} - Width in points
+ */
+export const textWidth = (value, size) => {
+  const units = Array.from(String(value)).reduce((sum, char) => sum + (CHAR_WIDTHS[char] || DEFAULT_CHAR_WIDTH), 0)
+  return units * size / 1000
+}
+
+/**
+ * Create PDF
+ *
+ * @returns {Object} - Document with addPage, text, line and toBuffer, starting on a blank page
+ */
+export const createPdf = () => {
+  const pages = []
+  let ops
+
+  const doc = {
+    /**
+     * Start a new page; later drawing goes on it
+     */
+    addPage: () => {
+      ops = []
+      pages.push(ops)
+      return doc
+    },
+
+    /**
+     * Draw text with its baseline at y
+     *
+     * @param {number} x - Left edge, or right edge when align is 'right'
+     * @param {number} y - Baseline, from the top of the page
+     * @param {string} value - Text to draw
+     * @param {Object} [options] - size (points), bold, align ('left' or 'right')
+     */
+    text: (x, y, value, { size = 10, bold = false, align = 'left' } = {}) => {
+      const left = align === 'right' ? x - textWidth(value, size) : x
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${PAGE_HEIGHT - y} Td (${encodeText(value)}) Tj ET`)
+      return doc
+    },
+
+    /**
+     * Draw a straight line
+     *
+     * @param {number} x1 - Start, from the left
+     * @param {number} y1 - Start, from the top
+     * @param {number} x2 - End, from the left
+     * @param {number} y2 - End, from the top
+     * @param {Object} [options] - width (points)
+     */
+    line: (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+      ops.push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`)
+      return doc
+    },
+
+    /**
+     * Write the finished document
+     *
+     * @returns {Buffer} - The PDF file
+     */
+    toBuffer: () => {
+      const pageIds = pages.map((_, index) => 5 + index * 2)
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+      ]
+
+      for (const [index, pageOps] of pages.entries()) {
+        const content = pageOps.join('\n')
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+          `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        )
+      }
+
+      // The cross-reference table needs the byte offset of every object
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+      const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(output, 'latin1')
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`
+        return offset
+      })
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1')
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+      return Buffer.from(output, 'latin1')
+    }
+  }
+
+  return doc.addPage()
+}
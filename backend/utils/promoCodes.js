@@ -0,0 +1,134 @@
+/**
+ * Promo Code Utilities
+ *
+ * Checks the code a client enters at checkout and works out its discount.
+ * A code's discount applies to each session in the checkout, so a weekly
+ * series is discounted every week. Uses are counted once per checkout
+ * when it is paid (or booked to pay at the session), so a code that
+ * reaches its limit while someone is in checkout still honours their
+ * payment.
+ */
+
+import PromoCode from '../models/PromoCodeSchema.js'
+import Booking from '../models/BookingSchema.js'
+
+// Card payments can't be smaller than this, so no discount goes below it
+export const MIN_CHARGE_CENTS = 50
+
+/**
+ * Normalise Code
+ *
+ * @param {string} code - Code as the client typed it
+ * @returns {string} - Upper case code without surrounding spaces
+ */
+export const normaliseCode = (code) => String(code || '').trim().toUpperCase()
+
+/**
+ * Describe Discount
+ *
+ * @param {Object} promoCode - Promo code
+ * @returns {string} - e.g. "50% off" or "$10.00 off"
+ */
+export const describeDiscount = (promoCode) => {
+  return promoCode.discountType === 'percent'
+    ? `${promoCode.amount}% off`
+    : `$${promoCode.amount.toFixed(2)} off`
+}
+
+/**
+ * Get Discount Cents
+ *
+ * @param {Object} promoCode - Promo code
+ * @param {number} priceCents - Price of one session in cents
+ * @returns {number} - Discount on that session in cents, never more than the price
+ */
+export const getDiscountCents = (promoCode, priceCents) => {
+  const discount = promoCode.discountType === 'percent'
+    ? Math.round(priceCents * promoCode.amount / 100)
+    : Math.round(promoCode.amount * 100)
+
+  return Math.min(discount, priceCents)
+}
+
+/**
+ * Validate Promo Code
+ *
+ * Finds the code and checks it can be used by this client for a session
+ * with this trainer.
+ *
+ * @param {Object} params
+ * @param {string} params.code - Code entered by the client
+ * @param {string} params.trainerId - Trainer being booked
+ * @param {string} params.userId - Client booking
+ * @param {number} params.priceCents - Price of one session in cents
+ * @returns {Promise<Object>} - { promoCode, discountCents } if it applies, otherwise { error }
+ */
+export const validatePromoCode = async ({ code, trainerId, userId, priceCents }) => {
+  const promoCode = await PromoCode.findOne({ code: normaliseCode(code) })
+
+  // Codes for another trainer are reported as unknown, like codes that don't exist
+  if (!promoCode || !promoCode.active || (promoCode.trainer && promoCode.trainer.toString() !== trainerId.toString())) {
+    return { error: 'This promo code is not valid' }
+  }
+
+  if (promoCode.expiresAt && promoCode.expiresAt <= new Date()) {
+    return { error: 'This promo code has expired' }
+  }
+
+  if (promoCode.maxUses && promoCode.usedCount >= promoCode.maxUses) {
+    return { error: 'This promo code has been used up' }
+  }
+
+  if (promoCode.maxUsesPerClient) {
+    // One booking per checkout: single sessions and the first week of a series
+    const uses = await Booking.countDocuments({
+      user: userId,
+      'discount.promoCode': promoCode._id,
+      seriesIndex: { $in: [null, 1] },
+      paymentStatus: { $ne: 'failed' }
+    })
+
+    if (uses >= promoCode.maxUsesPerClient) {
+      return { error: "You've already used this promo code" }
+    }
+  }
+
+  if (promoCode.firstBookingOnly) {
+    const hasBooked = await Booking.exists({
+      user: userId,
+      ...(promoCode.trainer ? { trainer: promoCode.trainer } : {}),
+      status: { $ne: 'cancelled' }
+    })
+
+    if (hasBooked) {
+      return { error: 'This promo code is only for your first booking' }
+    }
+  }
+
+  const discountCents = getDiscountCents(promoCode, priceCents)
+
+  if (priceCents - discountCents < MIN_CHARGE_CENTS) {
+    return { error: `Sessions must still cost at least $${(MIN_CHARGE_CENTS / 100).toFixed(2)} after the discount` }
+  }
+
+  return { promoCode, discountCents }
+}
+
+/**
+ * Record Promo Code Use
+ *
+ * @param {string} promoCodeId - Promo code used for a checkout
+ */
+export const recordPromoCodeUse = async (promoCodeId) => {
+  if (!promoCodeId) return
+  await PromoCode.updateOne({ _id: promoCodeId }, { $inc: { usedCount: 1 } })
+}
+
+/**
+ * Release Promo Code Use
+ *
+ * @param {string} promoCodeId - Promo code of a checkout whose payment failed
+ */
+export const releasePromoCodeUse = async (promoCodeId) => {
+  await PromoCode.updateOne({ _id: promoCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } })
+}
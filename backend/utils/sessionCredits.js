@@ -0,0 +1,154 @@
+/**
+ * Session Credit Utilities
+ *
+ * Helpers for prepaid session packs. Credits are always taken from the
+ * client's pack that expires soonest, and every change is written to the
+ * CreditTransaction ledger.
+ */
+
+import mongoose from 'mongoose'
+import SessionPack from '../models/SessionPackSchema.js'
+import CreditTransaction from '../models/CreditTransactionSchema.js'
+
+/**
+ * Get Credit Value
+ *
+ * @param {Document} pack - Session pack
+ * @returns {number} - Price of a single credit in dollars
+ */
+export const getCreditValue = (pack) => {
+  return Math.round((pack.price / pack.sessionsTotal) * 100) / 100
+}
+
+/**
+ * Get Credit Balance
+ *
+ * @param {string} userId - Client ID
+ * @param {string} trainerId - Trainer ID
+ * @returns {Promise<number>} - Unused, unexpired credits the client holds with the trainer
+ */
+export const getCreditBalance = async (userId, trainerId) => {
+  const [result] = await SessionPack.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        trainer: new mongoose.Types.ObjectId(trainerId),
+        status: 'active',
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    { $group: { _id: null, credits: { $sum: '$creditsRemaining' } } }
+  ])
+
+  return result?.credits || 0
+}
+
+/**
+ * Redeem Credit
+ *
+ * Takes one credit for a booking. The decrement is a single atomic update,
+ * so two bookings made at the same moment can't spend the same credit.
+ *
+ * @param {Object} params - Redemption details
+ * @param {string} params.userId - Client ID
+ * @param {string} params.trainerId - Trainer ID
+ * @param {string} params.bookingId - Booking the credit pays for
+ * @returns {Promise<Document|null>} - The pack the credit came from, or null if the client has none
+ */
+export const redeemCredit = async ({ userId, trainerId, bookingId }) => {
+  const pack = await SessionPack.findOneAndUpdate(
+    {
+      user: userId,
+      trainer: trainerId,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      creditsRemaining: { $gt: 0 }
+    },
+    { $inc: { creditsRemaining: -1 } },
+    { sort: { expiresAt: 1 }, new: true }
+  )
+
+  if (!pack) return null
+
+  await CreditTransaction.create({
+    user: userId,
+    trainer: trainerId,
+    sessionPack: pack._id,
+    type: 'redeem',
+    credits: -1,
+    booking: bookingId
+  })
+
+  return pack
+}
+
+/**
+ * Return Credit
+ *
+ * Gives the credit used for a booking back to its pack. Credits from packs
+ * that have since expired or been refunded are not returned.
+ *
+ * @param {Document} booking - Booking that was paid with a credit
+ * @param {string} note - Why the credit is being returned
+ * @returns {Promise<boolean>} - True if the credit was returned
+ */
+export const returnCredit = async (booking, note) => {
+  const pack = await SessionPack.findOneAndUpdate(
+    {
+      _id: booking.sessionPack,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$creditsRemaining', '$sessionsTotal'] }
+    },
+    { $inc: { creditsRemaining: 1 } },
+    { new: true }
+  )
+
+  if (!pack) return false
+
+  await CreditTransaction.create({
+    user: pack.user,
+    trainer: pack.trainer,
+    sessionPack: pack._id,
+    type: 'return',
+    credits: 1,
+    booking: booking._id,
+    note
+  })
+
+  return true
+}
+
+/**
+ * Write Off Pack Credits
+ *
+ * Closes a pack, zeroing its remaining credits and recording the loss in
+ * the ledger. Used when a pack expires or its unused credits are refunded.
+ *
+ * @param {Document} pack - Session pack to close
+ * @param {string} status - 'expired' or 'refunded'
+ * @param {string} note - Reason recorded in the ledger
+ * @returns {Promise<number>} - Number of credits written off, 0 if the pack was already closed
+ */
+export const writeOffPackCredits = async (pack, status, note) => {
+  // Only the request that actually closes the pack records the write-off
+  const before = await SessionPack.findOneAndUpdate(
+    { _id: pack._id, status: 'active' },
+    { status, creditsRemaining: 0 }
+  )
+
+  if (!before) return 0
+
+  if (before.creditsRemaining > 0) {
+    await CreditTransaction.create({
+      user: before.user,
+      trainer: before.trainer,
+      sessionPack: before._id,
+      type: status === 'refunded' ? 'refund' : 'expire',
+      credits: -before.creditsRemaining,
+      note
+    })
+  }
+
+  return before.creditsRemaining
+}
@@ -0,0 +1,60 @@
+/**
+ * Stripe Payment Provider
+ *
+ * Takes payments through Stripe Checkout. Needs STRIPE_SECRET_KEY, and
+ * STRIPE_WEBHOOK_SECRET to verify the events Stripe sends to the webhook.
+ * See paymentProvider.js for the interface every provider implements.
+ */
+
+import Stripe from 'stripe'
+
+/**
+ * Create Stripe Provider
+ *
+ * @returns {Object} - Payment provider backed by the Stripe API
+ */
+export const createStripeProvider = () => {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
+
+  return {
+    name: 'stripe',
+
+    createCheckout: async ({ item, currency, customerEmail, clientReferenceId, metadata, successUrl, cancelUrl, expiresAt }) => {
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'], // Accept card payments
+        mode: 'payment', // One-time payment (not subscription)
+        expires_at: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : undefined,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        customer_email: customerEmail,
+        client_reference_id: clientReferenceId,
+        metadata,
+        line_items: [
+          {
+            price_data: {
+              currency,
+              unit_amount: item.unitAmount,
+              product_data: {
+                name: item.name,
+                description: item.description,
+                images: item.images || []
+              }
+            },
+            quantity: item.quantity || 1
+          }
+        ]
+      })
+
+      return { id: session.id, url: session.url }
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      return stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET)
+    },
+
+    refund: async ({ paymentIntentId, amount }) => {
+      const refund = await stripe.refunds.create({ payment_intent: paymentIntentId, amount })
+      return { id: refund.id }
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Time Zone Utilities
+ *
+ * Trainer schedules are written as wall-clock times ("09:00 on Mondays") in
+ * the trainer's own time zone. These helpers turn a date and wall-clock time
+ * into the absolute instant it refers to, so bookings can store real
+ * startsAt/endsAt values that mean the same thing to a client in Perth and
+ * a trainer in Sydney, whatever time zone the server runs in.
+ *
+ * Uses the Intl API built into Node, so daylight saving rules come from the
+ * runtime's time zone database.
+ */
+
+// Used for trainers who haven't chosen a time zone yet (prices are in AUD)
+export const DEFAULT_TIME_ZONE = 'Australia/Sydney'
+
+/**
+ * Is Valid Time Zone
+ *
+ * @param {string} timeZone - IANA time zone name, e.g. "Australia/Perth"
+ * @returns {boolean} - True if the runtime recognises the zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Get Time Zone Offset
+ *
+ * How far the wall clock in a time zone is ahead of UTC at a given instant.
+ *
+ * @param {Date} date - Instant to check (offsets change with daylight saving)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  )
+
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+/**
+ * Zoned Time to UTC
+ *
+ * Finds the instant at which the wall clock in a time zone shows the given
+ * date and time.
+ *
+ * @param {string} dateKey - Calendar date in YYYY-MM-DD format
+ * @param {string} time - Wall-clock time in HH:MM format
+ * @param {string} timeZone - IANA time zone name (defaults to DEFAULT_TIME_ZONE)
+ * @returns {Date} - The matching instant
+ */
+export const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE
+  const [year, month, day] = dateKey.split('-').map(Number)
+  const [hours, minutes] = (time || '00:00').split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes)
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a daylight saving change
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), zone)
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), zone))
+}
@@ -0,0 +1,109 @@
+/**
+ * Waitlist Utilities
+ *
+ * Clients can queue for a slot that is already full. Whenever a place
+ * frees up, the client who has waited longest is offered it: the place is
+ * held for them for WAITLIST_OFFER_HOURS so nobody else can take it, and if
+ * they don't book in time the offer moves on to the next client in line.
+ */
+
+import WaitlistEntry from '../models/WaitlistEntrySchema.js'
+import { getBaseSlotKey, getSessionStart, isSlotFull, placeSlotHold } from './bookingSlots.js'
+
+// How long a client has to book a slot offered to them
+export const WAITLIST_OFFER_HOURS = 2
+
+/**
+ * Offer Next In Waitlist
+ *
+ * Offers each free place in a slot to the longest-waiting clients. Open
+ * offers and clients in checkout hold their place, so a full slot gets no
+ * new offers - the scheduled job tries again later in that case.
+ *
+ * @param {string} slotKey - Key of the freed slot (a seat key is accepted too)
+ * @returns {Promise<number>} - Number of offers made
+ */
+export const offerNextInWaitlist = async (slotKey) => {
+  if (!slotKey) return 0
+
+  const baseKey = getBaseSlotKey(slotKey)
+  let offered = 0
+
+  for (;;) {
+    const now = new Date()
+    const next = await WaitlistEntry.findOne({ slotKey: baseKey, status: 'waiting' }).sort({ createdAt: 1 })
+    if (!next) return offered
+
+    const sessionStart = getSessionStart(next)
+
+    // Too late for anyone to book it - close the waitlist for this slot
+    if (sessionStart <= now) {
+      await WaitlistEntry.updateMany({ slotKey: baseKey, status: 'waiting' }, { status: 'expired' })
+      return offered
+    }
+
+    if (await isSlotFull(next.trainer, next.bookingDate, next.timeSlot, next.user)) return offered
+
+    // The offer never outlasts the start of the session
+    const offerExpiresAt = new Date(Math.min(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000, sessionStart.getTime()))
+
+    // Claim the entry first so two callers can't offer the same place to different clients
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      { status: 'offered', offeredAt: now, offerExpiresAt },
+      { new: true }
+    )
+    if (!entry) continue
+
+    const hold = await placeSlotHold({
+      trainerId: entry.trainer,
+      userId: entry.user,
+      bookingDate: entry.bookingDate,
+      timeSlot: entry.timeSlot,
+      expiresAt: offerExpiresAt
+    })
+
+    // Another client took the place first - put the entry back in line
+    if (!hold) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { status: 'waiting', $unset: { offeredAt: 1, offerExpiresAt: 1 } }
+      )
+      return offered
+    }
+
+    offered++
+  }
+}
+
+/**
+ * Offer Freed Slot
+ *
+ * Called after a booking gives up its place (cancellation, decline or
+ * reschedule). Failures are logged rather than thrown so they never undo
+ * the change that freed the slot; the scheduled job retries the offer.
+ *
+ * @param {string} slotKey - Slot key the booking used to hold
+ */
+export const offerFreedSlot = async (slotKey) => {
+  try {
+    await offerNextInWaitlist(slotKey)
+  } catch (err) {
+    console.error(`Failed to offer slot ${slotKey} to the waitlist:`, err)
+  }
+}
+
+/**
+ * Mark Waitlist Booked
+ *
+ * Closes a client's waitlist entry once they have booked the slot.
+ *
+ * @param {string} userId - Client who booked
+ * @param {string} slotKey - Slot (or seat) key of the new booking
+ */
+export const markWaitlistBooked = async (userId, slotKey) => {
+  await WaitlistEntry.updateMany(
+    { user: userId, slotKey: getBaseSlotKey(slotKey), status: { $in: ['waiting', 'offered'] } },
+    { status: 'booked' }
+  )
+}
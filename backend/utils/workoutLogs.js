@@ -0,0 +1,67 @@
+/**
+ * Workout Log Utilities
+ *
+ * Checks the exercises a trainer logs for a session and prepares logs for
+ * clients. Trainer-private notes aren't selected by default (see
+ * WorkoutLogSchema.js); toClientLog strips them as well, so a log loaded
+ * for the trainer can't be passed on to a client with them.
+ */
+
+// Limits that keep one log a reasonable size
+const MAX_EXERCISES = 50
+const MAX_SETS = 30
+
+/**
+ * To Optional Number
+ *
+ * @param {*} value - Number from the form, possibly empty
+ * @returns {number|undefined|null} - The number, undefined if empty, or null if invalid
+ */
+const toOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : null
+}
+
+/**
+ * Normalise Exercises
+ *
+ * @param {Array} exercises - Exercises from the request body
+ * @returns {Object} - { exercises } with names trimmed and empty sets left out, or { error }
+ */
+export const normaliseExercises = (exercises = []) => {
+  if (!Array.isArray(exercises)) return { error: 'Exercises must be a list' }
+  if (exercises.length > MAX_EXERCISES) return { error: `A session can log up to ${MAX_EXERCISES} exercises` }
+
+  const result = []
+  for (const exercise of exercises) {
+    const name = String(exercise?.name || '').trim()
+    if (!name) return { error: 'Every exercise needs a name' }
+
+    const sets = Array.isArray(exercise.sets) ? exercise.sets : []
+    if (sets.length > MAX_SETS) return { error: `${name} has more than ${MAX_SETS} sets` }
+
+    const normalisedSets = []
+    for (const set of sets) {
+      const reps = toOptionalNumber(set?.reps)
+      const load = toOptionalNumber(set?.load)
+      if (reps === null || load === null) return { error: `Reps and loads of ${name} must be positive numbers` }
+      if (reps !== undefined || load !== undefined) normalisedSets.push({ reps, load })
+    }
+
+    result.push({ name, sets: normalisedSets, notes: String(exercise.notes || '').trim() || undefined })
+  }
+
+  return { exercises: result }
+}
+
+/**
+ * To Client Log
+ *
+ * @param {Document} log - Workout log
+ * @returns {Object} - The log without the trainer's private notes
+ */
+export const toClientLog = (log) => {
+  const { privateNotes, ...rest } = log.toObject()
+  return rest
+}
@@ -0,0 +1,65 @@
+/* eslint-disable react/prop-types */
+/**
+ * Attendance Stats Component
+ *
+ * Shows how reliably each client turns up: the sessions they completed,
+ * the ones they missed, how many they checked in to, and their attendance
+ * rate. Sessions that took place but haven't been marked completed or
+ * no-show yet are counted separately, so the trainer knows what's left to
+ * mark in the bookings table.
+ *
+ * PROPS:
+ * - stats: One entry per client ({user, completed, noShows, checkedIn, unmarked, attendanceRate, lastSession})
+ */
+
+import { formatDate } from '../../utils/formatDate'
+
+const AttendanceStats = ({ stats }) => {
+  return (
+    <div className="mt-10">
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-2">Client attendance</h3>
+
+      {!stats || stats.length === 0 ? (
+        <p className="text-[14px] text-textColor">No sessions have taken place yet.</p>
+      ) : (
+        <table className="w-full text-left text-sm text-gray-500">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3">Client</th>
+              <th scope="col" className="px-6 py-3">Completed</th>
+              <th scope="col" className="px-6 py-3">No-shows</th>
+              <th scope="col" className="px-6 py-3">Checked in</th>
+              <th scope="col" className="px-6 py-3">Attendance</th>
+              <th scope="col" className="px-6 py-3">Last session</th>
+            </tr>
+          </thead>
+
+          <tbody>
+            {stats.map(entry => (
+              <tr key={entry.user._id}>
+                <td className="px-6 py-4 text-gray-900">
+                  {entry.user.name || 'Unknown User'}
+                  <div className="text-xs text-gray-500">{entry.user.email}</div>
+                </td>
+                <td className="px-6 py-4">{entry.completed}</td>
+                <td className="px-6 py-4">
+                  <span className={entry.noShows > 0 ? 'text-red-600' : ''}>{entry.noShows}</span>
+                </td>
+                <td className="px-6 py-4">{entry.checkedIn}</td>
+                <td className="px-6 py-4 font-semibold">
+                  {entry.attendanceRate === null ? '-' : `${entry.attendanceRate}%`}
+                  {entry.unmarked > 0 && (
+                    <div className="text-xs font-normal text-yellow-600">{entry.unmarked} to mark</div>
+                  )}
+                </td>
+                <td className="px-6 py-4">{formatDate(entry.lastSession)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default AttendanceStats
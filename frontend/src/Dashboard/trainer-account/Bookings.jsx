@@ -1,18 +1,52 @@
+/* eslint-disable react/prop-types */
 /**
  * Bookings Component
  * 
  * This component displays a table of all bookings for a trainer.
- * It shows client information, session details, payment status, and booking dates.
+ * It shows client information, session details, payment status (paid, processing,
+ * failed, refunded, part refunded or disputed), and booking dates.
  * Used in the trainer dashboard to manage and view client bookings.
+ * Trainers can cancel upcoming sessions, which fully refunds the client,
+ * or move them to another slot on their schedule. Trainers in manual approval
+ * mode approve or decline pending bookings here, and bookings the client
+ * chose to pay at the session are marked paid (with how they were paid).
+ * Paid bookings have a PDF invoice to download. Once a session has started the
+ * trainer marks it completed or a no-show (which applies their no-show policy);
+ * sessions the client checked in to complete by themselves when they end.
+ * Confirmed and completed sessions have a workout log, where the trainer
+ * records the exercises and looks back at the client's earlier sessions.
  * 
  * Props:
  * - bookings: Array of booking objects with client and session information
+ * - onBookingsChange: Called after a booking was updated so the data can be re-fetched
+ * - timeZone: Trainer's time zone, which session times are shown in
  */
 
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
 import { formatDate } from '../../utils/formatDate' // Utility to format dates for display
 import convertTime from '../../utils/convertTime' // Utility to convert 24hr to 12hr time format
+import { getSessionStart } from '../../utils/getSessionStart' // Utility to work out when a session begins
+import { getPaymentStatus, PAYMENT_METHODS } from '../../utils/paymentStatus' // Utility to describe a booking's payment
+import { formatSessionDate, formatSessionTime, formatInstantTime, getSessionDay } from '../../utils/formatSessionTime' // Session times in a given time zone
+import { hasInvoice, downloadInvoice } from '../../utils/downloadInvoice' // Utility to download a paid booking's PDF invoice
+import RescheduleModal from '../../components/Reschedule/RescheduleModal'
+import WorkoutLogModal from './WorkoutLogModal'
+
+const Bookings = ({bookings, onBookingsChange, timeZone}) => {
+  // ID of the booking currently being updated, used to disable its buttons
+  const [updatingId, setUpdatingId] = useState(null)
+  // Booking shown in the reschedule dialog, null when the dialog is closed
+  const [reschedulingBooking, setReschedulingBooking] = useState(null)
+  // ID of the pay-at-session booking being marked paid, and how it was paid
+  const [markingPaidId, setMarkingPaidId] = useState(null)
+  const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS[0].value)
+  // ID of the booking whose invoice is downloading
+  const [downloadingId, setDownloadingId] = useState(null)
+  // Booking shown in the workout log dialog, null when the dialog is closed
+  const [loggingBooking, setLoggingBooking] = useState(null)
 
-const Bookings = ({bookings}) => {
   // Default avatar SVG for users without profile photos
   const defaultAvatar = "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAiIGhlaWdodD0iNDAiIHZpZXdCb3g9IjAgMCA0MCA0MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQwIiBoZWlnaHQ9IjQwIiByeD0iMjAiIGZpbGw9IiNFNUU3RUIiLz4KPHN2ZyB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAxNiAxNiIgZmlsbD0ibm9uZSIgeG1zbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIiB4PSIxMiIgeT0iMTAiPgo8cGF0aCBkPSJNOCAwQzUuNzkgMCA0IDEuNzkgNCA0UzUuNzkgOCA4IDhTMTIgNi4yMSAxMiA0UzEwLjIxIDAgOCAwWk04IDJDOS4xIDIgMTAgMi45IDEwIDRTOS4xIDYgOCA2UzYgNS4xIDYgNFM2LjkgMiA4IDJaIiBmaWxsPSIjOUI5QjlCIi8+CjxwYXRoIGQ9Ik04IDlDNS4yNCA5IDMgMTEuMjQgMyAxNEgxM0MxMyAxMS4yNCAxMC43NiA5IDggOVoiIGZpbGw9IiM5QjlCOUIiLz4KPC9zdmc+Cjwvc3ZnPgo=";
 
@@ -50,6 +84,107 @@ const Bookings = ({bookings}) => {
     }
   };
 
+  /**
+   * Run a booking action (cancel, approve, decline, mark-paid or attendance) after confirmation
+   * Cancelling or declining always refunds the client in full
+   */
+  const bookingActionHandler = async (booking, action, confirmMessage, body) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return
+
+    setUpdatingId(booking._id)
+
+    try {
+      const token = localStorage.getItem('token')
+
+      const res = await fetch(`${BASE_URL}bookings/${booking._id}/${action}`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body || {})
+      })
+
+      const result = await res.json()
+
+      if (!res.ok) {
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      onBookingsChange?.()
+    } catch (err) {
+      toast.error(err.message || `Failed to ${action} booking`)
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const cancelHandler = (booking) => bookingActionHandler(
+    booking,
+    'cancel',
+    `Cancel ${booking.user?.name || 'this client'}'s session? They will receive a full refund.`,
+    { reason: 'Cancelled by trainer' }
+  )
+
+  const approveHandler = (booking) => bookingActionHandler(booking, 'approve')
+
+  const declineHandler = (booking) => bookingActionHandler(
+    booking,
+    'decline',
+    `Decline ${booking.user?.name || 'this client'}'s booking? They will receive a full refund.`,
+    { reason: 'Declined by trainer' }
+  )
+
+  const completedHandler = (booking) => bookingActionHandler(booking, 'attendance', null, { attendance: 'completed' })
+
+  const noShowHandler = (booking) => bookingActionHandler(
+    booking,
+    'attendance',
+    `Mark ${booking.user?.name || 'this client'} as a no-show? Your no-show policy decides what they get back.`,
+    { attendance: 'no_show' }
+  )
+
+  /**
+   * Check whether a session has started without attendance being recorded
+   */
+  const needsAttendance = (booking) => {
+    return booking.status === 'approved' && getSessionStart(booking) <= new Date()
+  }
+
+  /**
+   * Record how the client paid for a pay-at-session booking
+   * Marking a pending booking paid also approves it
+   */
+  const markPaidHandler = async (booking) => {
+    await bookingActionHandler(booking, 'mark-paid', null, { paymentMethod })
+    setMarkingPaidId(null)
+  }
+
+  /**
+   * Download a paid booking's invoice
+   * The invoice is issued with the next invoice number the first time
+   */
+  const invoiceHandler = async (booking) => {
+    setDownloadingId(booking._id)
+
+    try {
+      await downloadInvoice(booking._id)
+    } catch (err) {
+      toast.error(err.message || 'Failed to download invoice')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  /**
+   * Check whether a booking can still be changed
+   * Cancelled bookings and sessions that have already started are read-only
+   */
+  const isActionable = (booking) => {
+    return booking.status !== 'cancelled' && getSessionStart(booking) > new Date()
+  }
+
   return (
     <div>
       {/* Bookings Table */}
@@ -64,6 +199,7 @@ const Bookings = ({bookings}) => {
             <th scope="col" className="px-6 py-3">Payment</th>
             <th scope="col" className="px-6 py-3">Price</th>
             <th scope="col" className="px-6 py-3">Booked on</th>
+            <th scope="col" className="px-6 py-3">Actions</th>
           </tr>
         </thead>
 
@@ -106,12 +242,18 @@ const Bookings = ({bookings}) => {
                 <div>
                   {/* Actual session date (when the training will occur) */}
                   <div className="font-semibold">
-                    {safeFormatDate(item.bookingDate)}
+                    {item.startsAt ? formatSessionDate(item, timeZone) : safeFormatDate(item.bookingDate)}
                   </div>
                   {/* Day of the week for the session */}
                   <div className="text-sm text-gray-500 capitalize">
-                    {item.timeSlot?.day || 'Not specified'}
+                    {getSessionDay(item, timeZone) || 'Not specified'}
                   </div>
+                  {/* Position within a weekly recurring booking */}
+                  {item.seriesId && (
+                    <div className="text-xs text-gray-500">
+                      Weekly {item.seriesIndex}/{item.seriesTotal}
+                    </div>
+                  )}
                 </div>
               </td>
               
@@ -120,8 +262,10 @@ const Bookings = ({bookings}) => {
                 {/* Check if time slot data exists */}
                 {item.timeSlot && item.timeSlot.startingTime && item.timeSlot.endingTime ? (
                   <div className="text-sm">
-                    {/* Display time range in 12hr format */}
-                    {safeConvertTime(item.timeSlot.startingTime)} - {safeConvertTime(item.timeSlot.endingTime)}
+                    {/* Display time range in 12hr format, in the trainer's time zone */}
+                    {item.startsAt
+                      ? formatSessionTime(item, timeZone)
+                      : `${safeConvertTime(item.timeSlot.startingTime)} - ${safeConvertTime(item.timeSlot.endingTime)}`}
                   </div>
                 ) : (
                   <div className="text-sm text-gray-400">Not specified</div>
@@ -130,28 +274,167 @@ const Bookings = ({bookings}) => {
               
               {/* Payment Status Column */}
               <td className="px-6 py-4">
-                {/* Show green dot and "Paid" for completed payments */}
-                {item.isPaid && (
-                  <div className="flex items-center">
-                    <div className="h-2.5 w-2.5 rounded-full bg-green-500 mr-2"></div>
-                    Paid
+                {/* Coloured dot and label for where the payment stands */}
+                <div className="flex items-center">
+                  <div className={`h-2.5 w-2.5 rounded-full mr-2 ${getPaymentStatus(item).dotColor}`}></div>
+                  {getPaymentStatus(item).label}
+                </div>
+                {/* Amount refunded so far */}
+                {item.refundAmount > 0 && (
+                  <div className="text-xs text-gray-500">
+                    ${Number(item.refundAmount).toFixed(2)} refunded
                   </div>
                 )}
-                {/* Show red dot and "Unpaid" for pending payments */}
-                {!item.isPaid && (
-                  <div className="flex items-center">
-                    <div className="h-2.5 w-2.5 rounded-full bg-red-500 mr-2"></div>
-                    Unpaid
+                {/* How an in-person payment was taken */}
+                {item.paymentMethod && (
+                  <div className="text-xs text-gray-500">
+                    {PAYMENT_METHODS.find(method => method.value === item.paymentMethod)?.label}
+                    {item.paidAt && `, ${safeFormatDate(item.paidAt)}`}
+                  </div>
+                )}
+                {/* Pay-at-session bookings are marked paid once the money is in (no-shows may owe nothing) */}
+                {item.paymentStatus === 'unpaid' && item.status !== 'cancelled' && Number(item.ticketPrice) > 0 && (
+                  markingPaidId === item._id ? (
+                    <div className="flex gap-1 mt-1">
+                      <select
+                        value={paymentMethod}
+                        onChange={e => setPaymentMethod(e.target.value)}
+                        className="px-1 py-0.5 border border-gray-300 rounded text-xs"
+                      >
+                        {PAYMENT_METHODS.map(method => (
+                          <option key={method.value} value={method.value}>{method.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => markPaidHandler(item)}
+                        disabled={updatingId === item._id}
+                        className="px-2 py-0.5 rounded text-xs text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                      <button
+                        onClick={() => setMarkingPaidId(null)}
+                        className="px-2 py-0.5 rounded text-xs text-gray-600 bg-gray-100"
+                      >
+                        Back
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setMarkingPaidId(item._id)}
+                      className="mt-1 text-xs text-primaryColor underline"
+                    >
+                      Mark as paid
+                    </button>
+                  )
+                )}
+                {/* Chargeback raised by the client's bank */}
+                {item.dispute?.disputeId && (
+                  <div className="text-xs text-orange-600">
+                    ${Number(item.dispute.amount).toFixed(2)} disputed{item.dispute.reason ? ` (${item.dispute.reason.replace(/_/g, ' ')})` : ''}
                   </div>
                 )}
               </td>
               
               {/* Price Column */}
-              <td className="px-6 py-4">${item.ticketPrice}</td>
+              <td className="px-6 py-4">
+                ${item.ticketPrice}
+                {/* Promo code the client used - the price is after the discount */}
+                {item.discount?.code && (
+                  <div className="text-xs text-gray-500">
+                    {item.discount.code} (-${Number(item.discount.amount).toFixed(2)})
+                  </div>
+                )}
+                {hasInvoice(item) && (
+                  <button
+                    onClick={() => invoiceHandler(item)}
+                    disabled={downloadingId === item._id}
+                    className="block text-xs text-primaryColor underline disabled:opacity-50"
+                  >
+                    {downloadingId === item._id ? 'Downloading...' : 'Invoice'}
+                  </button>
+                )}
+              </td>
               
               {/* Booking Creation Date Column */}
               {/* This shows when the booking was made, not when the session is scheduled */}
               <td className="px-6 py-4">{safeFormatDate(item.createdAt)}</td>
+
+              {/* Actions Column */}
+              {/* Pending bookings wait for approval, upcoming sessions can be changed, others show their status */}
+              <td className="px-6 py-4">
+                {item.status === 'pending' && isActionable(item) ? (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => approveHandler(item)}
+                      disabled={updatingId === item._id}
+                      className="px-3 py-1 rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => declineHandler(item)}
+                      disabled={updatingId === item._id}
+                      className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                ) : isActionable(item) ? (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setReschedulingBooking(item)}
+                      className="px-3 py-1 rounded-md text-white bg-primaryColor"
+                    >
+                      Reschedule
+                    </button>
+                    <button
+                      onClick={() => cancelHandler(item)}
+                      disabled={updatingId === item._id}
+                      className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {updatingId === item._id ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                  </div>
+                ) : needsAttendance(item) ? (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => completedHandler(item)}
+                      disabled={updatingId === item._id}
+                      className="px-3 py-1 rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Completed
+                    </button>
+                    {/* Clients who checked in were there */}
+                    {!item.checkedInAt && (
+                      <button
+                        onClick={() => noShowHandler(item)}
+                        disabled={updatingId === item._id}
+                        className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                      >
+                        No-show
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <span className="capitalize">{item.status.replace('_', '-')}</span>
+                )}
+                {/* When the client scanned the check-in code */}
+                {item.checkedInAt && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    Checked in {formatInstantTime(item.checkedInAt, timeZone)}
+                  </div>
+                )}
+                {/* What was done in the session, for confirmed and completed sessions */}
+                {(item.status === 'approved' || item.status === 'completed') && (
+                  <button
+                    onClick={() => setLoggingBooking(item)}
+                    className="block mt-1 text-xs text-primaryColor underline"
+                  >
+                    Workout log
+                  </button>
+                )}
+              </td>
             </tr>
           ))}
         </tbody>
@@ -164,6 +447,24 @@ const Bookings = ({bookings}) => {
           <p className="text-gray-500">No bookings found</p>
         </div>
       )}
+
+      {/* Reschedule Dialog */}
+      {reschedulingBooking && (
+        <RescheduleModal
+          booking={reschedulingBooking}
+          onClose={() => setReschedulingBooking(null)}
+          onRescheduled={onBookingsChange}
+        />
+      )}
+
+      {/* Workout Log Dialog */}
+      {loggingBooking && (
+        <WorkoutLogModal
+          booking={loggingBooking}
+          timeZone={timeZone}
+          onClose={() => setLoggingBooking(null)}
+        />
+      )}
     </div>
   )
 }
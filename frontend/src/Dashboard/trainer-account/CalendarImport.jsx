@@ -0,0 +1,213 @@
+/* eslint-disable react/prop-types */
+/**
+ * Calendar Import Component
+ *
+ * Lets the trainer block out commitments they keep in another calendar.
+ * They can register an ICS URL (re-synced automatically every hour) or
+ * upload an .ics file once. Every imported event blocks the slots it
+ * overlaps, and the upcoming blocked times are listed here.
+ *
+ * PROPS:
+ * - calendarImport: Current import settings ({source, url, fileName, lastSyncedAt, lastSyncError})
+ * - busyBlocks: Upcoming blocked times ({_id, summary, startsAt, endsAt, allDay})
+ * - timeZone: Trainer's time zone, used to show the blocked times
+ * - onImportChange: Called after an import, sync or removal so the data can be re-fetched
+ */
+
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import { formatInstantTime } from '../../utils/formatSessionTime'
+
+// Only the next few weeks are listed; later blocks still apply
+const MAX_LISTED_BLOCKS = 20
+
+/**
+ * Format a blocked time, e.g. "Mon 3 Mar, 9:00 AM - 10:30 AM"
+ *
+ * @param {Object} block - Busy block
+ * @param {string} timeZone - Time zone to show it in
+ * @returns {string} - Readable date and time range
+ */
+const formatBlock = (block, timeZone) => {
+  const formatDay = (instant) => new Date(instant).toLocaleDateString('en-AU', {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone
+  })
+
+  if (block.allDay) {
+    // All-day events end at midnight, so the last blocked day is the one before
+    const lastDay = new Date(new Date(block.endsAt).getTime() - 1)
+    const firstDay = formatDay(block.startsAt)
+    return firstDay === formatDay(lastDay) ? `${firstDay}, all day` : `${firstDay} - ${formatDay(lastDay)}, all day`
+  }
+
+  return `${formatDay(block.startsAt)}, ${formatInstantTime(block.startsAt, timeZone)} - ${formatInstantTime(block.endsAt, timeZone)}`
+}
+
+const CalendarImport = ({ calendarImport, busyBlocks, timeZone, onImportChange }) => {
+  const [url, setUrl] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  /**
+   * Send a calendar import request and report the outcome
+   *
+   * @param {string} path - Path below the calendar-import endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - Request body
+   * @returns {Promise<boolean>} - True if the request succeeded
+   */
+  const sendRequest = async (path, method, body) => {
+    setIsSaving(true)
+
+    try {
+      const token = localStorage.getItem('token')
+
+      const res = await fetch(`${BASE_URL}trainers/profile/me/calendar-import${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      })
+
+      const result = await res.json()
+
+      if (!res.ok) {
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      return true
+    } catch (err) {
+      toast.error(err.message || 'Calendar import failed')
+      return false
+    } finally {
+      setIsSaving(false)
+      // A failed sync is recorded on the trainer, so refresh either way
+      onImportChange?.()
+    }
+  }
+
+  const handleUrlImport = async (e) => {
+    e.preventDefault()
+    if (!url.trim()) return
+
+    if (await sendRequest('', 'put', { url })) setUrl('')
+  }
+
+  /**
+   * Read the chosen .ics file as text and import it
+   */
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => sendRequest('', 'put', { ics: reader.result, fileName: file.name })
+    reader.onerror = () => toast.error('Could not read the file')
+    reader.readAsText(file)
+
+    // Allow the same file to be picked again after it was edited
+    e.target.value = ''
+  }
+
+  const handleRemove = () => {
+    const confirmRemove = window.confirm('Remove the imported calendar? Its events will stop blocking your slots.')
+    if (confirmRemove) sendRequest('', 'delete')
+  }
+
+  const hasImport = Boolean(calendarImport?.source)
+  const listedBlocks = (busyBlocks || []).slice(0, MAX_LISTED_BLOCKS)
+
+  return (
+    <div className="mt-10">
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-2">Blocked Times</h3>
+      <p className="text-[14px] text-textColor mb-4">
+        Import a calendar you keep elsewhere and its events will block the slots they overlap.
+      </p>
+
+      {/* CURRENT IMPORT */}
+      {hasImport && (
+        <div className="p-3 mb-4 border border-gray-200 rounded-md text-[14px]">
+          <p className="text-headingColor font-semibold break-all">
+            {calendarImport.source === 'url' ? calendarImport.url : `Uploaded file: ${calendarImport.fileName || 'calendar.ics'}`}
+          </p>
+          {calendarImport.lastSyncedAt && (
+            <p className="text-gray-500 text-[13px]">
+              {calendarImport.source === 'url' ? 'Last synced' : 'Imported'} {new Date(calendarImport.lastSyncedAt).toLocaleString('en-AU')}
+              {calendarImport.source === 'url' && ' - syncs automatically every hour'}
+            </p>
+          )}
+          {calendarImport.lastSyncError && (
+            <p className="text-red-600 text-[13px]">Last sync failed: {calendarImport.lastSyncError}</p>
+          )}
+          <div className="flex gap-2 mt-2">
+            {calendarImport.source === 'url' && (
+              <button
+                type="button"
+                onClick={() => sendRequest('/sync', 'post')}
+                disabled={isSaving}
+                className="px-3 py-1 rounded-md text-white bg-primaryColor disabled:opacity-50"
+              >
+                Sync now
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={isSaving}
+              className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* NEW IMPORT - replaces the current one */}
+      <form onSubmit={handleUrlImport} className="flex gap-2">
+        <input
+          type="text"
+          value={url}
+          onChange={e => setUrl(e.target.value)}
+          placeholder="Calendar URL (https://... or webcal://...)"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-[14px] focus:outline-none focus:border-primaryColor"
+        />
+        <button
+          type="submit"
+          disabled={isSaving || !url.trim()}
+          className="px-4 py-2 rounded-md text-white bg-primaryColor disabled:opacity-50"
+        >
+          {isSaving ? 'Importing...' : 'Import URL'}
+        </button>
+      </form>
+      <label className="inline-block mt-2 text-[14px] text-primaryColor cursor-pointer">
+        or upload an .ics file
+        <input type="file" accept=".ics,text/calendar" onChange={handleFileUpload} disabled={isSaving} className="hidden" />
+      </label>
+
+      {/* UPCOMING BLOCKED TIMES */}
+      {listedBlocks.length > 0 && (
+        <ul className="mt-4 space-y-1">
+          {listedBlocks.map(block => (
+            <li key={block._id} className="flex justify-between gap-4 p-2 bg-gray-50 rounded text-[14px]">
+              <span className="text-headingColor">{formatBlock(block, timeZone)}</span>
+              <span className="text-gray-500 truncate">{block.summary || 'Busy'}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {hasImport && busyBlocks?.length > MAX_LISTED_BLOCKS && (
+        <p className="mt-1 text-[13px] text-gray-500">
+          and {busyBlocks.length - MAX_LISTED_BLOCKS} more
+        </p>
+      )}
+      {hasImport && listedBlocks.length === 0 && (
+        <p className="mt-4 text-[14px] text-gray-500">No upcoming events in the imported calendar.</p>
+      )}
+    </div>
+  )
+}
+
+export default CalendarImport
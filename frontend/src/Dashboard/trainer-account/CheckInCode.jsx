@@ -0,0 +1,116 @@
+/**
+ * Check-In Code Component
+ *
+ * Shows the QR code clients scan at the gym to check in to their session.
+ * The code opens a signed link only this trainer's code produces, so
+ * clients can only check in with the trainer they booked. Sessions clients
+ * check in to are marked completed automatically when they end.
+ *
+ * FEATURES:
+ * - Print the code to put up at the gym
+ * - Regenerate the code if a photo of it gets passed around (the old code stops working)
+ */
+
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import useFetchData from '../../hooks/useFetchData'
+
+const CheckInCode = () => {
+  const { data, loading, refetch } = useFetchData(`${BASE_URL}bookings/check-in/code`)
+  const [isRegenerating, setIsRegenerating] = useState(false)
+
+  const imageUrl = data?.svg ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(data.svg)}` : null
+
+  /**
+   * Print the code on its own page
+   */
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank')
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print the check-in code')
+      return
+    }
+
+    printWindow.document.write(`
+      <html>
+        <head><title>Check in</title></head>
+        <body style="font-family: sans-serif; text-align: center; padding-top: 40px;">
+          <h1>Scan to check in</h1>
+          <img src="${imageUrl}" style="width: 70%; max-width: 500px;" />
+          <p>Log in to your account when asked, then you're checked in for today's session.</p>
+        </body>
+      </html>
+    `)
+    printWindow.document.close()
+    printWindow.onload = () => printWindow.print()
+  }
+
+  /**
+   * Replace the code, e.g. after a photo of it was shared
+   */
+  const handleRegenerate = async () => {
+    const confirmRegenerate = window.confirm(
+      'Create a new check-in code? The current code, including printed copies, will stop working.'
+    )
+    if (!confirmRegenerate) return
+
+    setIsRegenerating(true)
+    try {
+      const token = localStorage.getItem('token')
+
+      const res = await fetch(`${BASE_URL}bookings/check-in/code/regenerate`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      const result = await res.json()
+
+      if (!res.ok) {
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      refetch()
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate check-in code')
+    } finally {
+      setIsRegenerating(false)
+    }
+  }
+
+  return (
+    <div>
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-2">Check-in code</h3>
+      <p className="text-[14px] text-textColor mb-4">
+        Put this code up where you train. Clients scan it with their phone to check in, from 30 minutes before their session until it ends.
+      </p>
+
+      {loading && <p className="text-[14px] text-textColor">Loading check-in code...</p>}
+
+      {imageUrl && (
+        <div className="flex flex-col sm:flex-row items-start gap-6">
+          <img src={imageUrl} alt="Check-in QR code" className="w-48 h-48 border border-gray-200 rounded-md" />
+
+          <div className="flex flex-col gap-3">
+            <button onClick={handlePrint} className="bg-primaryColor text-white py-2 px-4 rounded-md">
+              Print code
+            </button>
+            <button
+              onClick={handleRegenerate}
+              disabled={isRegenerating}
+              className="text-primaryColor underline text-[14px] disabled:opacity-50"
+            >
+              {isRegenerating ? 'Regenerating...' : 'Regenerate code'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CheckInCode
@@ -0,0 +1,122 @@
+/* eslint-disable react/prop-types */
+/**
+ * Classes Component
+ *
+ * Attendee lists for the trainer's group classes - time slots with a
+ * capacity above one. Every attendee has their own booking, so the
+ * bookings are grouped by date and starting time here.
+ *
+ * FEATURES:
+ * - One card per class date with places booked out of capacity
+ * - Attendee names, contact details and booking status
+ * - Upcoming classes first, past classes below
+ *
+ * PROPS:
+ * - bookings: Array of the trainer's bookings with populated client data
+ * - timeSlots: Trainer's weekly time slots, used to find each class's capacity
+ * - timeZone: Trainer's time zone, which class times are shown in
+ */
+
+import { formatSessionDate, formatSessionTime, getSessionDay } from '../../utils/formatSessionTime'
+import { getSessionStart } from '../../utils/getSessionStart'
+import { getPaymentStatus } from '../../utils/paymentStatus'
+
+const Classes = ({ bookings, timeSlots, timeZone }) => {
+  /**
+   * Find the capacity of the slot a booking belongs to
+   * Slots removed from the schedule since are treated as one-to-one
+   */
+  const getCapacity = (booking) => {
+    const slot = (timeSlots || []).find(item =>
+      item.day?.toLowerCase() === booking.timeSlot?.day?.toLowerCase() &&
+      item.startingTime === booking.timeSlot?.startingTime
+    )
+    return Math.max(parseInt(slot?.capacity) || 1, 1)
+  }
+
+  // Group active bookings into classes keyed by date and starting time
+  const classes = Object.values(
+    (bookings || [])
+      .filter(booking => booking.status !== 'cancelled' && getCapacity(booking) > 1)
+      .reduce((groups, booking) => {
+        const key = `${booking.bookingDate?.split('T')[0]} ${booking.timeSlot?.startingTime}`
+        groups[key] = groups[key] || {
+          key,
+          bookingDate: booking.bookingDate,
+          timeSlot: booking.timeSlot,
+          startsAt: booking.startsAt,
+          endsAt: booking.endsAt,
+          capacity: getCapacity(booking),
+          sessionStart: getSessionStart(booking),
+          attendees: []
+        }
+        groups[key].attendees.push(booking)
+        return groups
+      }, {})
+  )
+
+  const now = new Date()
+  const upcoming = classes.filter(item => item.sessionStart > now).sort((a, b) => a.sessionStart - b.sessionStart)
+  const past = classes.filter(item => item.sessionStart <= now).sort((a, b) => b.sessionStart - a.sessionStart)
+
+  const renderClass = (item) => (
+    <div key={item.key} className="p-4 border border-solid border-gray-200 rounded-md">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-[16px] leading-6 text-headingColor font-bold">
+            {formatSessionDate(item, timeZone)} <span className="capitalize font-normal">({getSessionDay(item, timeZone)})</span>
+          </p>
+          <p className="text-[14px] text-textColor">
+            {formatSessionTime(item, timeZone)}
+          </p>
+        </div>
+        <span className="px-3 py-1 rounded bg-indigo-100 text-primaryColor text-[13px] font-semibold">
+          {item.attendees.length} / {item.capacity} booked
+        </span>
+      </div>
+
+      {/* Attendee list */}
+      <ul className="mt-3 divide-y divide-gray-100">
+        {item.attendees.map(booking => (
+          <li key={booking._id} className="py-2 flex items-center justify-between text-[14px]">
+            <div>
+              <p className="text-headingColor font-semibold">{booking.user?.name || 'Unknown User'}</p>
+              <p className="text-gray-500">{booking.user?.email}</p>
+            </div>
+            <span className="capitalize text-gray-500">
+              {booking.status}{getPaymentStatus(booking).status === 'paid' ? '' : ` · ${getPaymentStatus(booking).label.toLowerCase()}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+
+  return (
+    <div>
+      {classes.length === 0 && (
+        <div className="text-center py-8">
+          <p className="text-gray-500">
+            No group class bookings yet. Set a capacity above 1 on a time slot in your profile to run group classes.
+          </p>
+        </div>
+      )}
+
+      {upcoming.length > 0 && (
+        <div className="space-y-4">
+          <h3 className="text-[18px] leading-7 text-headingColor font-bold">Upcoming classes</h3>
+          {upcoming.map(renderClass)}
+        </div>
+      )}
+
+      {past.length > 0 && (
+        <div className="space-y-4 mt-8">
+          <h3 className="text-[18px] leading-7 text-headingColor font-bold">Past classes</h3>
+          {past.map(renderClass)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Classes
@@ -2,11 +2,15 @@
  * Trainer Dashboard Component
  * 
  * This is the main dashboard page for trainers to manage their profile and view bookings.
- * It provides a tabbed interface with three main sections:
+ * It provides a tabbed interface with several sections:
  * 
  * FEATURES:
  * - Overview: Displays trainer profile summary with photo, certifications, and about section
- * - Bookings: Shows all client bookings and appointment management
+ * - Bookings: Shows all client bookings and appointment management, times blocked by an
+ *   imported calendar, session packs sold and promo codes
+ * - Classes: Attendee lists for group classes
+ * - Attendance: QR code clients scan to check in, and each client's attendance
+ * - Earnings: Monthly earnings after the platform's commission, with PDF statements
  * - Profile: Allows trainers to edit their profile information
  * 
  * LAYOUT:
@@ -30,6 +34,14 @@ import starIcon from "../../assets/images/Star.png";
 import TrainerAbout from "../../pages/Trainer/TrainerAbout";
 import Profile from "./Profile";
 import Bookings from "./Bookings";
+import SessionPacks from "./SessionPacks";
+import Classes from "./Classes";
+import CalendarImport from "./CalendarImport";
+import OutstandingBalances from "./OutstandingBalances";
+import PromoCodes from "./PromoCodes";
+import Earnings from "./Earnings";
+import CheckInCode from "./CheckInCode";
+import AttendanceStats from "./AttendanceStats";
 
 const Dashboard = () => {
   /**
@@ -42,8 +54,9 @@ const Dashboard = () => {
    * - data: Complete trainer profile including bookings, qualifications, experiences
    * - loading: Boolean indicating if API request is in progress
    * - error: Error message if request fails
+   * - refetch: Reloads the profile after bookings were changed
    */
-  const { data, loading, error } = useGetProfile(
+  const { data, loading, error, refetch } = useGetProfile(
     `${BASE_URL}trainers/profile/me`
   );
 
@@ -56,6 +69,7 @@ const Dashboard = () => {
    * TAB OPTIONS:
    * - 'overview': Profile summary and about information
    * - 'bookings': Client appointments and booking management
+   * - 'classes': Attendee lists for group classes
    * - 'profile': Editable profile settings
    */
   const [tab, setTab] = useState("overview");
@@ -156,9 +170,39 @@ const Dashboard = () => {
                 {/* BOOKINGS TAB CONTENT */}
                 {/* Shows trainer's appointment schedule and booking management */}
                 {tab === "bookings" && (
-                  <Bookings bookings={data?.bookings || []} />
+                  <>
+                    <Bookings bookings={data?.bookings || []} onBookingsChange={refetch} timeZone={data?.timeZone} />
+                    <OutstandingBalances balances={data?.outstandingBalances} />
+                    <CalendarImport
+                      calendarImport={data?.calendarImport}
+                      busyBlocks={data?.busyBlocks}
+                      timeZone={data?.timeZone}
+                      onImportChange={refetch}
+                    />
+                    <SessionPacks sessionPacks={data?.sessionPacks} onPacksChange={refetch} />
+                    <PromoCodes />
+                  </>
                 )}
                 
+                {/* CLASSES TAB CONTENT */}
+                {/* Attendee lists for time slots that take more than one client */}
+                {tab === "classes" && (
+                  <Classes bookings={data?.bookings || []} timeSlots={data?.timeSlots} timeZone={data?.timeZone} />
+                )}
+
+                {/* ATTENDANCE TAB CONTENT */}
+                {/* Check-in QR code and how reliably each client turns up */}
+                {tab === "attendance" && (
+                  <>
+                    <CheckInCode />
+                    <AttendanceStats stats={data?.attendanceStats} />
+                  </>
+                )}
+
+                {/* EARNINGS TAB CONTENT */}
+                {/* Monthly payout periods and their statements */}
+                {tab === "earnings" && <Earnings />}
+
                 {/* PROFILE TAB CONTENT */}
                 {/* Editable form for trainer to update their profile information */}
                 {tab === "profile" && <Profile trainerData={data}/>}
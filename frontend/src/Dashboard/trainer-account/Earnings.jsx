@@ -0,0 +1,109 @@
+/**
+ * Earnings Component
+ *
+ * Shows trainers what they've earned each month: the money taken for
+ * bookings and session packs, refunds given back to clients, the
+ * platform's commission and what's left for the trainer. Each month is a
+ * payout period with a downloadable PDF statement listing every sale and
+ * refund in it.
+ *
+ * FEATURES:
+ * - Monthly breakdown of gross, refunds, commission and net earnings
+ * - The commission rate the trainer currently pays
+ * - PDF statement per month
+ */
+
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import useFetchData from '../../hooks/useFetchData'
+import Loader from '../../components/Loader/Loader'
+import Error from '../../components/Error/Error'
+import { downloadStatement } from '../../utils/downloadStatement'
+
+/**
+ * Format a payout period, e.g. "2025-03" as "March 2025"
+ */
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number)
+  return new Date(year, month - 1).toLocaleDateString('en-AU', { month: 'long', year: 'numeric' })
+}
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`
+
+const Earnings = () => {
+  const { data, loading, error } = useFetchData(`${BASE_URL}earnings/me`)
+  // Period whose statement is downloading, used to disable its button
+  const [downloadingPeriod, setDownloadingPeriod] = useState(null)
+
+  const periods = data?.periods || []
+  const totalNet = periods.reduce((sum, period) => sum + period.net, 0)
+
+  const handleDownload = async (period) => {
+    setDownloadingPeriod(period)
+
+    try {
+      await downloadStatement(period)
+    } catch (err) {
+      toast.error(err.message || 'Failed to download statement')
+    } finally {
+      setDownloadingPeriod(null)
+    }
+  }
+
+  if (loading) return <Loader />
+  if (error) return <Error errMessage={error} />
+
+  return (
+    <div>
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-2">Earnings</h3>
+      <p className="text-[14px] text-textColor mb-4">
+        The platform keeps {data?.commissionPercent}% of each sale, and hands back its share when you refund a client.
+        {periods.length > 0 && ` You've earned ${formatMoney(totalNet)} in total.`}
+      </p>
+
+      {periods.length === 0 ? (
+        <p className="text-[14px] text-textColor">No earnings yet. Paid bookings and session packs will show up here.</p>
+      ) : (
+        <table className="w-full text-left text-sm text-gray-500">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3">Month</th>
+              <th scope="col" className="px-6 py-3">Sales</th>
+              <th scope="col" className="px-6 py-3">Refunds</th>
+              <th scope="col" className="px-6 py-3">Commission</th>
+              <th scope="col" className="px-6 py-3">Net</th>
+              <th scope="col" className="px-6 py-3">Statement</th>
+            </tr>
+          </thead>
+
+          <tbody>
+            {periods.map(period => (
+              <tr key={period.period}>
+                <td className="px-6 py-4 text-gray-900">{formatPeriod(period.period)}</td>
+                <td className="px-6 py-4">
+                  {formatMoney(period.gross)}
+                  <div className="text-xs text-gray-500">{period.sales} {period.sales === 1 ? 'sale' : 'sales'}</div>
+                </td>
+                <td className="px-6 py-4">{period.refunds > 0 ? formatMoney(-period.refunds) : '-'}</td>
+                <td className="px-6 py-4">{formatMoney(-period.commission)}</td>
+                <td className="px-6 py-4 font-semibold">{formatMoney(period.net)}</td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => handleDownload(period.period)}
+                    disabled={downloadingPeriod === period.period}
+                    className="text-primaryColor underline disabled:opacity-50"
+                  >
+                    {downloadingPeriod === period.period ? 'Downloading...' : 'PDF'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default Earnings
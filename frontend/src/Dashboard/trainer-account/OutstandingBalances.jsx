@@ -0,0 +1,67 @@
+/* eslint-disable react/prop-types */
+/**
+ * Outstanding Balances Component
+ *
+ * Lists what each client still owes for sessions they chose to pay at the
+ * session, so trainers who take cash or bank transfer can chase payment.
+ * Sessions that already took place are shown as overdue. Balances clear as
+ * the trainer marks the bookings paid in the bookings table.
+ *
+ * PROPS:
+ * - balances: One entry per client ({user, sessions, amountDue, overdueSessions, overdueAmount, oldestSession})
+ */
+
+import { formatDate } from '../../utils/formatDate'
+
+const OutstandingBalances = ({ balances }) => {
+  if (!balances || balances.length === 0) return null
+
+  const total = balances.reduce((sum, balance) => sum + balance.amountDue, 0)
+
+  return (
+    <div className="mt-10">
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-2">Outstanding Balances</h3>
+      <p className="text-[14px] text-textColor mb-4">
+        ${total.toFixed(2)} to collect from clients paying at the session.
+      </p>
+
+      <table className="w-full text-left text-sm text-gray-500">
+        <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+          <tr>
+            <th scope="col" className="px-6 py-3">Client</th>
+            <th scope="col" className="px-6 py-3">Unpaid sessions</th>
+            <th scope="col" className="px-6 py-3">Owed</th>
+            <th scope="col" className="px-6 py-3">Overdue</th>
+            <th scope="col" className="px-6 py-3">Since</th>
+          </tr>
+        </thead>
+
+        <tbody>
+          {balances.map(balance => (
+            <tr key={balance.user._id}>
+              <td className="px-6 py-4 text-gray-900">
+                {balance.user.name || 'Unknown User'}
+                <div className="text-xs text-gray-500">{balance.user.email}</div>
+              </td>
+              <td className="px-6 py-4">{balance.sessions}</td>
+              <td className="px-6 py-4 font-semibold">${balance.amountDue.toFixed(2)}</td>
+              {/* Sessions that already happened without being paid */}
+              <td className="px-6 py-4">
+                {balance.overdueSessions > 0 ? (
+                  <span className="text-red-600">
+                    ${balance.overdueAmount.toFixed(2)} ({balance.overdueSessions} {balance.overdueSessions === 1 ? 'session' : 'sessions'})
+                  </span>
+                ) : (
+                  '-'
+                )}
+              </td>
+              <td className="px-6 py-4">{balance.oldestSession ? formatDate(balance.oldestSession) : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default OutstandingBalances
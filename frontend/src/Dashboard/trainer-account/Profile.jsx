@@ -1,3 +1,4 @@
+/* eslint-disable react/prop-types */
 /**
  * Trainer Profile Edit Component
  * 
@@ -8,7 +9,15 @@
  * - Basic profile fields (name, email, phone, bio, gender, specialization, pricing)
  * - Dynamic qualification management (add/edit/delete certifications)
  * - Work experience tracking (add/edit/delete positions)
- * - Time slot scheduling (add/edit/delete availability)
+ * - Time slot scheduling (add/edit/delete availability), with a capacity for group classes
+ * - Availability windows split into sessions of a set length with a buffer between them
+ * - Availability exceptions (blackout dates and one-off extra slots)
+ * - Time zone the time slots are written in
+ * - Cancellation policy (free cancellation window and late refund percentage)
+ * - Manual booking approval mode with automatic expiry
+ * - Pay at session option for trainers who take cash or bank transfer
+ * - ABN and GST registration printed on clients' invoices
+ * - Prepaid session packages (sessions, price and validity)
  * - Photo upload with Cloudinary integration
  * - Form validation and API integration for profile updates
  * 
@@ -22,6 +31,12 @@ import uploadImageToCloudinary from "./../../utils/uploadCloudinary";
 import { BASE_URL, token } from './../../config';
 import { toast } from "react-toastify";
 
+// Zones offered for the schedule; browsers without Intl.supportedValuesOf get the Australian ones
+const TIME_ZONES = Intl.supportedValuesOf?.("timeZone") || [
+  "Australia/Adelaide", "Australia/Brisbane", "Australia/Darwin", "Australia/Hobart",
+  "Australia/Melbourne", "Australia/Perth", "Australia/Sydney",
+];
+
 const Profile = ({trainerData}) => {
   /**
    * Form State Management
@@ -41,6 +56,18 @@ const Profile = ({trainerData}) => {
     qualifications: [],  // Array of certification objects
     experiences: [],     // Array of work experience objects
     timeSlots: [],       // Array of availability time slots
+    availabilityWindows: [],    // Weekly windows the slots are generated from
+    availabilityExceptions: [], // Blackout dates and one-off extra slots
+    timeZone: "Australia/Sydney", // Time zone of the time slots
+    sessionPackages: [], // Prepaid bundles clients can buy
+    freeCancellationHours: 24,          // Full refund if cancelled at least this many hours ahead
+    lateCancellationRefundPercent: 50,  // Refund for later cancellations
+    noShowRefundPercent: 0,             // Refund for missed sessions (0 forfeits the payment)
+    requiresBookingApproval: false,     // New bookings wait for trainer approval
+    allowPayAtSession: false,           // Clients may book now and pay in person
+    abn: "",                            // Needed before clients' invoices can be issued
+    gstRegistered: false,               // Invoices are tax invoices with GST included
+    approvalExpiryHours: 48,            // Unanswered bookings are declined after this
     about:"",
     photo: null,
   });
@@ -68,6 +95,18 @@ const Profile = ({trainerData}) => {
       qualifications: trainerData?.qualifications,
       experiences: trainerData?.experiences,
       timeSlots: trainerData?.timeSlots,
+      availabilityWindows: trainerData?.availabilityWindows,
+      availabilityExceptions: trainerData?.availabilityExceptions,
+      timeZone: trainerData?.timeZone,
+      sessionPackages: trainerData?.sessionPackages,
+      freeCancellationHours: trainerData?.freeCancellationHours,
+      lateCancellationRefundPercent: trainerData?.lateCancellationRefundPercent,
+      noShowRefundPercent: trainerData?.noShowRefundPercent,
+      requiresBookingApproval: trainerData?.requiresBookingApproval,
+      allowPayAtSession: trainerData?.allowPayAtSession,
+      abn: trainerData?.abn || "",
+      gstRegistered: trainerData?.gstRegistered,
+      approvalExpiryHours: trainerData?.approvalExpiryHours,
       about: trainerData?.about,
       photo: trainerData?.photo,
     });
@@ -257,7 +296,7 @@ const Profile = ({trainerData}) => {
   const addTimeslot = (e) => {
     e.preventDefault();
     addItem("timeSlots", {
-      day: "", startingTime: "", endingTime: "",
+      day: "", startingTime: "", endingTime: "", capacity: 1,
     });
   }
 
@@ -276,6 +315,104 @@ const Profile = ({trainerData}) => {
     deleteItem("timeSlots", index);
   }
 
+  // ===========================================
+  // AVAILABILITY WINDOW MANAGEMENT FUNCTIONS
+  // ===========================================
+
+  /**
+   * Add New Availability Window Entry
+   * 
+   * Adds a blank window, e.g. Mondays 06:00-12:00 in 45-minute sessions
+   * with a 15-minute buffer. The bookable slots are generated on the server.
+   */
+  const addAvailabilityWindow = (e) => {
+    e.preventDefault();
+    addItem("availabilityWindows", {
+      day: "", startTime: "", endTime: "", sessionMinutes: 60, bufferMinutes: 0,
+    });
+  }
+
+  /**
+   * Handle availability window field changes using the reusable function.
+   */
+  const handleAvailabilityWindowChange = (event, index) => {
+    handleReusableInputChangeFunc("availabilityWindows", index, event);
+  }
+
+  /**
+   * Delete specific availability window entry.
+   * Sessions already booked in the window are not affected.
+   */
+  const deleteAvailabilityWindow = (e, index) => {
+    e.preventDefault();
+    deleteItem("availabilityWindows", index);
+  }
+
+  // ===========================================
+  // AVAILABILITY EXCEPTION MANAGEMENT FUNCTIONS
+  // ===========================================
+
+  /**
+   * Add New Availability Exception Entry
+   * 
+   * Adds a blank blackout date. Switching the type to "extra" turns it into
+   * a one-off slot on that date instead.
+   */
+  const addAvailabilityException = (e) => {
+    e.preventDefault();
+    addItem("availabilityExceptions", {
+      date: "", type: "blackout", startingTime: "", endingTime: "", reason: "",
+    });
+  }
+
+  /**
+   * Handle availability exception field changes using the reusable function.
+   */
+  const handleAvailabilityExceptionChange = (event, index) => {
+    handleReusableInputChangeFunc("availabilityExceptions", index, event);
+  }
+
+  /**
+   * Delete specific availability exception entry.
+   * Bookings already made on the date are not affected.
+   */
+  const deleteAvailabilityException = (e, index) => {
+    e.preventDefault();
+    deleteItem("availabilityExceptions", index);
+  }
+
+  // ===========================================
+  // SESSION PACKAGE MANAGEMENT FUNCTIONS
+  // ===========================================
+
+  /**
+   * Add New Session Package Entry
+   * 
+   * Adds a blank prepaid package, e.g. "10 sessions for the price of 9".
+   */
+  const addSessionPackage = (e) => {
+    e.preventDefault();
+    addItem("sessionPackages", {
+      name: "", sessions: 10, price: "", validityDays: 180,
+    });
+  }
+
+  /**
+   * Handle session package field changes using the reusable function.
+   */
+  const handleSessionPackageChange = (event, index) => {
+    handleReusableInputChangeFunc("sessionPackages", index, event);
+  }
+
+  /**
+   * Delete specific session package entry.
+   * Packs clients already bought keep working until they expire.
+   */
+  const deleteSessionPackage = (e, index) => {
+    e.preventDefault();
+    deleteItem("sessionPackages", index);
+  }
+
   return (
     <div>
       <h2 className="text-headingColor font-bold text-[24px] leading-9 mb-10">
@@ -391,6 +528,142 @@ const Profile = ({trainerData}) => {
           </div>
         </div>
 
+        {/* CANCELLATION POLICY SECTION */}
+        {/* Controls how much clients are refunded when they cancel or miss a session */}
+        <div className="mb-5">
+          <div className="grid grid-cols-2 gap-5 mb-[30px]">
+            <div>
+              <p className="form__label">Free cancellation (hours before session)</p>
+              <input
+                type="number"
+                min={0}
+                placeholder="24"
+                name="freeCancellationHours"
+                value={formData.freeCancellationHours}
+                className="form__input"
+                onChange={handleInputChange}
+              />
+            </div>
+            <div>
+              <p className="form__label">Late cancellation refund (%)</p>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                placeholder="50"
+                name="lateCancellationRefundPercent"
+                value={formData.lateCancellationRefundPercent}
+                className="form__input"
+                onChange={handleInputChange}
+              />
+            </div>
+            <div>
+              <p className="form__label">No-show refund (%)</p>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                placeholder="0"
+                name="noShowRefundPercent"
+                value={formData.noShowRefundPercent}
+                className="form__input"
+                onChange={handleInputChange}
+              />
+              <p className="text-[12px] text-textColor mt-1">
+                0 keeps the whole payment when a client misses a session. Clients paying at the session owe the rest as a no-show fee.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* BOOKING APPROVAL SECTION */}
+        {/* When enabled, paid bookings stay pending until the trainer approves them */}
+        <div className="mb-5">
+          <div className="grid grid-cols-2 gap-5 mb-[30px]">
+            <div>
+              <p className="form__label">Booking approval</p>
+              <label className="flex items-center gap-2 text-[16px] leading-7 text-headingColor py-3">
+                <input
+                  type="checkbox"
+                  name="requiresBookingApproval"
+                  checked={Boolean(formData.requiresBookingApproval)}
+                  onChange={e => setFormData({ ...formData, requiresBookingApproval: e.target.checked })}
+                />
+                Approve new bookings manually
+              </label>
+            </div>
+            <div>
+              <p className="form__label">Auto-decline after (hours)</p>
+              <input
+                type="number"
+                min={1}
+                placeholder="48"
+                name="approvalExpiryHours"
+                value={formData.approvalExpiryHours}
+                className="form__input"
+                onChange={handleInputChange}
+                disabled={!formData.requiresBookingApproval && !formData.allowPayAtSession}
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* PAY AT SESSION SECTION */}
+        {/* Clients may book without paying online; those bookings wait for approval like manual mode */}
+        <div className="mb-5">
+          <p className="form__label">Payment options</p>
+          <label className="flex items-center gap-2 text-[16px] leading-7 text-headingColor py-3">
+            <input
+              type="checkbox"
+              name="allowPayAtSession"
+              checked={Boolean(formData.allowPayAtSession)}
+              onChange={e => setFormData({ ...formData, allowPayAtSession: e.target.checked })}
+            />
+            Allow clients to pay at the session (cash or bank transfer)
+          </label>
+          {formData.allowPayAtSession && (
+            <p className="text-[14px] text-textColor">
+              These bookings arrive unpaid and pending - approve them, then mark them paid from your bookings once you have the money.
+            </p>
+          )}
+        </div>
+
+        {/* INVOICE DETAILS SECTION */}
+        {/* Printed on the invoices clients download for paid bookings */}
+        <div className="mb-5">
+          <div className="grid grid-cols-2 gap-5">
+            <div>
+              <p className="form__label">ABN</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="51 824 753 556"
+                name="abn"
+                value={formData.abn}
+                className="form__input"
+                onChange={handleInputChange}
+              />
+            </div>
+            <div>
+              <p className="form__label">GST</p>
+              <label className="flex items-center gap-2 text-[16px] leading-7 text-headingColor py-3">
+                <input
+                  type="checkbox"
+                  name="gstRegistered"
+                  checked={Boolean(formData.gstRegistered)}
+                  onChange={e => setFormData({ ...formData, gstRegistered: e.target.checked })}
+                />
+                Registered for GST (prices include GST)
+              </label>
+            </div>
+          </div>
+          {!formData.abn && (
+            <p className="text-[14px] text-textColor mt-2">
+              Add your ABN so clients can download invoices for their sessions.
+            </p>
+          )}
+        </div>
+
         {/* QUALIFICATIONS SECTION - Dynamic Array Management */}
         <div className="mb-5">
           <p className="form__label">Qualification*</p>
@@ -526,15 +799,33 @@ const Profile = ({trainerData}) => {
             Add Experience
           </button>
         
+        {/* TIME ZONE - the time slots below are wall-clock times in this zone */}
+        <div className="mb-5">
+          <p className="form__label">Time Zone*</p>
+          <select
+            name="timeZone"
+            value={formData.timeZone || "Australia/Sydney"}
+            className="form__input py-3.5"
+            onChange={handleInputChange}
+          >
+            {TIME_ZONES.map(zone => (
+              <option key={zone} value={zone}>{zone.replace(/_/g, " ")}</option>
+            ))}
+          </select>
+          <p className="text-[13px] text-gray-500 mt-1">
+            Clients in other time zones see your sessions in their own local time.
+          </p>
+        </div>
+
         {/* TIME SLOTS SECTION - Availability Scheduling */}
         <div className="mb-5">
-          <p className="form__label">Timeslots*</p>
+          <p className="form__label">Individual Timeslots</p>
           {/* Render each time slot entry */}
           {formData.timeSlots?.map((item, index) => (
             <div key={index}>
               <div>
-                {/* Four-column grid for day and time inputs */}
-                <div className="grid grid-cols-2 md:grid-cols-4 mb-[30px] gap-5">
+                {/* Six-column grid for day, time, price and capacity inputs */}
+                <div className="grid grid-cols-2 md:grid-cols-6 mb-[30px] gap-5">
                   
                   {/* Day Selection */}
                   <div>
@@ -580,6 +871,33 @@ const Profile = ({trainerData}) => {
                     />
                   </div>
 
+                  {/* Optional Slot Price - overrides the ticket price for this slot */}
+                  <div>
+                    <p className="form__label">Price</p>
+                    <input
+                      type="number"
+                      min={0}
+                      name="price"
+                      value={item.price || ""}
+                      placeholder={formData.ticketPrice}
+                      className="form__input"
+                      onChange={e => handleTimeslotChange(e, index)}
+                    />
+                  </div>
+
+                  {/* Capacity - more than 1 makes the slot a group class */}
+                  <div>
+                    <p className="form__label">Capacity</p>
+                    <input
+                      type="number"
+                      min={1}
+                      name="capacity"
+                      value={item.capacity || 1}
+                      className="form__input"
+                      onChange={e => handleTimeslotChange(e, index)}
+                    />
+                  </div>
+
                   {/* Delete Time Slot Button */}
                   <div className="flex items-center">
                     <button onClick={e => deleteTimeslot(e, index)} className="bg-red-600 p-2 rounded-full text-white text-[18px] cursor-pointer mt-6">
@@ -595,6 +913,272 @@ const Profile = ({trainerData}) => {
             Add TimeSlot
           </button>
         </div>
+
+        {/* AVAILABILITY WINDOWS SECTION - Generated Slots */}
+        <div className="mb-5">
+          <p className="form__label">Availability Windows</p>
+          <p className="text-[13px] text-gray-500 mb-3">
+            Instead of adding every slot, give a window and session length - e.g. Monday 06:00-12:00, 45-minute sessions, 15-minute buffer.
+          </p>
+          {/* Render each window entry */}
+          {formData.availabilityWindows?.map((item, index) => (
+            <div key={item._id || index}>
+              {/* Six-column grid for day, times, session length and buffer inputs */}
+              <div className="grid grid-cols-2 md:grid-cols-6 mb-[30px] gap-5">
+
+                {/* Day Selection */}
+                <div>
+                  <p className="form__label">Day*</p>
+                  <select
+                    name="day"
+                    value={item.day}
+                    className="form__input py-3.5"
+                    onChange={e => handleAvailabilityWindowChange(e, index)}
+                  >
+                    <option value="">Select</option>
+                    <option value="saturday">Saturday</option>
+                    <option value="sunday">Sunday</option>
+                    <option value="monday">Monday</option>
+                    <option value="tuesday">Tuesday</option>
+                    <option value="wednesday">Wednesday</option>
+                    <option value="thursday">Thursday</option>
+                    <option value="friday">Friday</option>
+                  </select>
+                </div>
+
+                {/* Window Start */}
+                <div>
+                  <p className="form__label">From*</p>
+                  <input
+                    type="time"
+                    name="startTime"
+                    value={item.startTime}
+                    className="form__input"
+                    onChange={e => handleAvailabilityWindowChange(e, index)}
+                  />
+                </div>
+
+                {/* Window End */}
+                <div>
+                  <p className="form__label">Until*</p>
+                  <input
+                    type="time"
+                    name="endTime"
+                    value={item.endTime}
+                    className="form__input"
+                    onChange={e => handleAvailabilityWindowChange(e, index)}
+                  />
+                </div>
+
+                {/* Session Length */}
+                <div>
+                  <p className="form__label">Session (min)*</p>
+                  <input
+                    type="number"
+                    min={5}
+                    step={5}
+                    name="sessionMinutes"
+                    value={item.sessionMinutes}
+                    className="form__input"
+                    onChange={e => handleAvailabilityWindowChange(e, index)}
+                  />
+                </div>
+
+                {/* Buffer between sessions */}
+                <div>
+                  <p className="form__label">Buffer (min)</p>
+                  <input
+                    type="number"
+                    min={0}
+                    step={5}
+                    name="bufferMinutes"
+                    value={item.bufferMinutes}
+                    className="form__input"
+                    onChange={e => handleAvailabilityWindowChange(e, index)}
+                  />
+                </div>
+
+                {/* Delete Window Button */}
+                <div className="flex items-center">
+                  <button onClick={e => deleteAvailabilityWindow(e, index)} className="bg-red-600 p-2 rounded-full text-white text-[18px] cursor-pointer mt-6">
+                    <AiOutlineDelete />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+          {/* Add New Window Button */}
+          <button onClick={addAvailabilityWindow} className="bg-[#000] py-2 px-5 rounded text-white h-fit cursor-pointer">
+            Add Window
+          </button>
+        </div>
+
+        {/* AVAILABILITY EXCEPTIONS SECTION - Date-Specific Changes */}
+        <div className="mb-5">
+          <p className="form__label">Blackout Dates & Extra Slots</p>
+          <p className="text-[13px] text-gray-500 mb-3">
+            Leave the times empty on a blackout to block the whole day.
+          </p>
+          {/* Render each exception entry */}
+          {formData.availabilityExceptions?.map((item, index) => (
+            <div key={item._id || index}>
+              {/* Six-column grid for date, type, times and reason inputs */}
+              <div className="grid grid-cols-2 md:grid-cols-6 mb-[30px] gap-5">
+
+                {/* Date */}
+                <div>
+                  <p className="form__label">Date*</p>
+                  <input
+                    type="date"
+                    name="date"
+                    value={item.date}
+                    className="form__input py-3.5"
+                    onChange={e => handleAvailabilityExceptionChange(e, index)}
+                  />
+                </div>
+
+                {/* Type - blackout removes availability, extra adds a slot */}
+                <div>
+                  <p className="form__label">Type*</p>
+                  <select
+                    name="type"
+                    value={item.type}
+                    className="form__input py-3.5"
+                    onChange={e => handleAvailabilityExceptionChange(e, index)}
+                  >
+                    <option value="blackout">Blackout</option>
+                    <option value="extra">Extra slot</option>
+                  </select>
+                </div>
+
+                {/* Starting Time */}
+                <div>
+                  <p className="form__label">Starting Time{item.type === "extra" && "*"}</p>
+                  <input
+                    type="time"
+                    name="startingTime"
+                    value={item.startingTime || ""}
+                    className="form__input"
+                    onChange={e => handleAvailabilityExceptionChange(e, index)}
+                  />
+                </div>
+
+                {/* Ending Time - only used by extra slots */}
+                <div>
+                  <p className="form__label">Ending Time{item.type === "extra" && "*"}</p>
+                  <input
+                    type="time"
+                    name="endingTime"
+                    value={item.endingTime || ""}
+                    disabled={item.type !== "extra"}
+                    className="form__input"
+                    onChange={e => handleAvailabilityExceptionChange(e, index)}
+                  />
+                </div>
+
+                {/* Reason - for the trainer's own reference */}
+                <div>
+                  <p className="form__label">Reason</p>
+                  <input
+                    type="text"
+                    name="reason"
+                    value={item.reason || ""}
+                    placeholder="Holiday"
+                    className="form__input"
+                    onChange={e => handleAvailabilityExceptionChange(e, index)}
+                  />
+                </div>
+
+                {/* Delete Exception Button */}
+                <div className="flex items-center">
+                  <button onClick={e => deleteAvailabilityException(e, index)} className="bg-red-600 p-2 rounded-full text-white text-[18px] cursor-pointer mt-6">
+                    <AiOutlineDelete />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+          {/* Add New Exception Button */}
+          <button onClick={addAvailabilityException} className="bg-[#000] py-2 px-5 rounded text-white h-fit cursor-pointer">
+            Add Exception
+          </button>
+        </div>
+
+        {/* SESSION PACKAGES SECTION - Prepaid Bundles */}
+        <div className="mb-5">
+          <p className="form__label">Session Packages</p>
+          {/* Render each package entry */}
+          {formData.sessionPackages?.map((item, index) => (
+            <div key={item._id || index}>
+              {/* Five-column grid for name, sessions, price and validity inputs */}
+              <div className="grid grid-cols-2 md:grid-cols-5 mb-[30px] gap-5">
+
+                {/* Package Name */}
+                <div>
+                  <p className="form__label">Name*</p>
+                  <input
+                    type="text"
+                    name="name"
+                    value={item.name}
+                    placeholder="10 for 9"
+                    className="form__input"
+                    onChange={e => handleSessionPackageChange(e, index)}
+                  />
+                </div>
+
+                {/* Number of Sessions */}
+                <div>
+                  <p className="form__label">Sessions*</p>
+                  <input
+                    type="number"
+                    min={1}
+                    name="sessions"
+                    value={item.sessions}
+                    className="form__input"
+                    onChange={e => handleSessionPackageChange(e, index)}
+                  />
+                </div>
+
+                {/* Package Price */}
+                <div>
+                  <p className="form__label">Price*</p>
+                  <input
+                    type="number"
+                    min={0}
+                    name="price"
+                    value={item.price}
+                    className="form__input"
+                    onChange={e => handleSessionPackageChange(e, index)}
+                  />
+                </div>
+
+                {/* Validity - unused credits expire after this many days */}
+                <div>
+                  <p className="form__label">Valid (days)*</p>
+                  <input
+                    type="number"
+                    min={1}
+                    name="validityDays"
+                    value={item.validityDays}
+                    className="form__input"
+                    onChange={e => handleSessionPackageChange(e, index)}
+                  />
+                </div>
+
+                {/* Delete Package Button */}
+                <div className="flex items-center">
+                  <button onClick={e => deleteSessionPackage(e, index)} className="bg-red-600 p-2 rounded-full text-white text-[18px] cursor-pointer mt-6">
+                    <AiOutlineDelete />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+          {/* Add New Package Button */}
+          <button onClick={addSessionPackage} className="bg-[#000] py-2 px-5 rounded text-white h-fit cursor-pointer">
+            Add Package
+          </button>
+        </div>
         </div>
 
         {/* ABOUT SECTION - Detailed Description */}
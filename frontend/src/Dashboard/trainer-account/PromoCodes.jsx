@@ -0,0 +1,208 @@
+/**
+ * Promo Codes Component
+ *
+ * Lets trainers create discount codes for their sessions and see how often
+ * each one has been used. Clients enter a code when booking and get the
+ * discount off every session in the checkout. Codes can be switched off
+ * and on again, but not edited once created.
+ *
+ * FEATURES:
+ * - Percentage or fixed dollar discounts
+ * - Optional expiry date, total use limit and per-client limit
+ * - First-booking-only codes for new clients
+ */
+
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import useFetchData from '../../hooks/useFetchData'
+import { formatDate } from '../../utils/formatDate'
+
+const emptyForm = {
+  code: '',
+  discountType: 'percent',
+  amount: '',
+  expiresAt: '',
+  maxUses: '',
+  maxUsesPerClient: '',
+  firstBookingOnly: false,
+}
+
+/**
+ * Describe a code's discount, e.g. "20% off" or "$15.00 off"
+ */
+const describeDiscount = (promoCode) => {
+  return promoCode.discountType === 'percent'
+    ? `${promoCode.amount}% off`
+    : `$${Number(promoCode.amount).toFixed(2)} off`
+}
+
+const PromoCodes = () => {
+  const { data: promoCodes, refetch } = useFetchData(`${BASE_URL}promo-codes`)
+  const [formData, setFormData] = useState(emptyForm)
+  const [isSaving, setIsSaving] = useState(false)
+  // ID of the code being switched on or off, used to disable its button
+  const [togglingId, setTogglingId] = useState(null)
+
+  const handleInputChange = e => {
+    const { name, value, type, checked } = e.target
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }))
+  }
+
+  /**
+   * Send a request to the promo code API and refresh the list on success
+   */
+  const sendRequest = async (url, method, body) => {
+    const token = localStorage.getItem('token')
+
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    })
+
+    const result = await res.json()
+
+    if (!res.ok) {
+      throw new Error(result.message)
+    }
+
+    toast.success(result.message)
+    refetch()
+  }
+
+  const createHandler = async e => {
+    e.preventDefault()
+    setIsSaving(true)
+
+    try {
+      await sendRequest(`${BASE_URL}promo-codes`, 'post', {
+        ...formData,
+        amount: Number(formData.amount),
+        // Expires at the end of the chosen day
+        expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : undefined,
+        maxUses: formData.maxUses ? Number(formData.maxUses) : undefined,
+        maxUsesPerClient: formData.maxUsesPerClient ? Number(formData.maxUsesPerClient) : undefined,
+      })
+      setFormData(emptyForm)
+    } catch (err) {
+      toast.error(err.message || 'Failed to create promo code')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const toggleHandler = async (promoCode) => {
+    setTogglingId(promoCode._id)
+
+    try {
+      await sendRequest(`${BASE_URL}promo-codes/${promoCode._id}`, 'put', { active: !promoCode.active })
+    } catch (err) {
+      toast.error(err.message || 'Failed to update promo code')
+    } finally {
+      setTogglingId(null)
+    }
+  }
+
+  return (
+    <div className="mt-10">
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-4">Promo Codes</h3>
+
+      {/* CREATE FORM */}
+      <form onSubmit={createHandler} className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        <input
+          type="text"
+          name="code"
+          value={formData.code}
+          onChange={e => setFormData(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+          placeholder="Code, e.g. FIRST20"
+          required
+          className="form__input py-2"
+        />
+        <select name="discountType" value={formData.discountType} onChange={handleInputChange} className="form__input py-2">
+          <option value="percent">% off</option>
+          <option value="fixed">$ off</option>
+        </select>
+        <input
+          type="number"
+          name="amount"
+          value={formData.amount}
+          onChange={handleInputChange}
+          placeholder={formData.discountType === 'percent' ? 'Percent off' : 'Dollars off'}
+          min="0.01"
+          max={formData.discountType === 'percent' ? 100 : undefined}
+          step="0.01"
+          required
+          className="form__input py-2"
+        />
+        <label className="flex flex-col text-xs text-gray-600">
+          Expires (optional)
+          <input type="date" name="expiresAt" value={formData.expiresAt} onChange={handleInputChange} className="form__input py-2" />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600">
+          Total uses (optional)
+          <input type="number" name="maxUses" value={formData.maxUses} onChange={handleInputChange} min="1" className="form__input py-2" />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600">
+          Uses per client (optional)
+          <input type="number" name="maxUsesPerClient" value={formData.maxUsesPerClient} onChange={handleInputChange} min="1" className="form__input py-2" />
+        </label>
+        <label className="flex items-center gap-2 col-span-2 text-headingColor">
+          <input type="checkbox" name="firstBookingOnly" checked={formData.firstBookingOnly} onChange={handleInputChange} />
+          New clients only (first booking with you)
+        </label>
+        <button type="submit" disabled={isSaving} className="px-3 py-2 rounded-md text-white bg-primaryColor disabled:opacity-50">
+          {isSaving ? 'Creating...' : 'Create code'}
+        </button>
+      </form>
+
+      {/* CODE LIST */}
+      {promoCodes?.length > 0 && (
+        <table className="w-full text-left text-sm text-gray-500 mt-6">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3">Code</th>
+              <th scope="col" className="px-6 py-3">Discount</th>
+              <th scope="col" className="px-6 py-3">Used</th>
+              <th scope="col" className="px-6 py-3">Expires</th>
+              <th scope="col" className="px-6 py-3">Status</th>
+            </tr>
+          </thead>
+
+          <tbody>
+            {promoCodes.map(promoCode => (
+              <tr key={promoCode._id}>
+                <td className="px-6 py-4 text-gray-900 font-semibold">
+                  {promoCode.code}
+                  {promoCode.firstBookingOnly && <div className="text-xs text-gray-500 font-normal">New clients only</div>}
+                </td>
+                <td className="px-6 py-4">{describeDiscount(promoCode)}</td>
+                <td className="px-6 py-4">
+                  {promoCode.usedCount}{promoCode.maxUses ? ` / ${promoCode.maxUses}` : ''}
+                  {promoCode.maxUsesPerClient && (
+                    <div className="text-xs text-gray-500">{promoCode.maxUsesPerClient} per client</div>
+                  )}
+                </td>
+                <td className="px-6 py-4">{promoCode.expiresAt ? formatDate(promoCode.expiresAt) : 'Never'}</td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => toggleHandler(promoCode)}
+                    disabled={togglingId === promoCode._id}
+                    className={`px-3 py-1 rounded-md text-white disabled:opacity-50 ${promoCode.active ? 'bg-gray-500 hover:bg-gray-600' : 'bg-green-600 hover:bg-green-700'}`}
+                  >
+                    {promoCode.active ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default PromoCodes
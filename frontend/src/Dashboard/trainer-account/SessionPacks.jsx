@@ -0,0 +1,121 @@
+/* eslint-disable react/prop-types */
+/**
+ * Session Packs Component
+ *
+ * Lists the prepaid session packs clients have bought from the trainer,
+ * with how many credits each client has left and when they expire.
+ * Trainers can refund the unused credits of an active pack.
+ *
+ * PROPS:
+ * - sessionPacks: Array of session pack objects with populated client data
+ * - onPacksChange: Called after a pack was refunded so the data can be re-fetched
+ */
+
+import { useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import { formatDate } from '../../utils/formatDate'
+
+// Tailwind classes for each pack status badge
+const statusStyles = {
+  active: 'bg-green-100 text-green-700',
+  expired: 'bg-gray-100 text-gray-600',
+  refunded: 'bg-red-100 text-red-700',
+}
+
+const SessionPacks = ({ sessionPacks, onPacksChange }) => {
+  // ID of the pack currently being refunded, used to disable its button
+  const [refundingId, setRefundingId] = useState(null)
+
+  /**
+   * Refund the unused credits of a pack after confirmation
+   * The client gets back the value of the credits they haven't used
+   */
+  const refundHandler = async (pack) => {
+    const confirmRefund = window.confirm(
+      `Refund ${pack.creditsRemaining} unused credits to ${pack.user?.name || 'this client'}? The pack can no longer be used afterwards.`
+    )
+
+    if (!confirmRefund) return
+
+    setRefundingId(pack._id)
+
+    try {
+      const token = localStorage.getItem('token')
+
+      const res = await fetch(`${BASE_URL}bookings/packages/${pack._id}/refund`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      const result = await res.json()
+
+      if (!res.ok) {
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      onPacksChange?.()
+    } catch (err) {
+      toast.error(err.message || 'Failed to refund session pack')
+    } finally {
+      setRefundingId(null)
+    }
+  }
+
+  if (!sessionPacks || sessionPacks.length === 0) return null
+
+  return (
+    <div className="mt-10">
+      <h3 className="text-[20px] leading-8 text-headingColor font-bold mb-4">Session Packs</h3>
+
+      <table className="w-full text-left text-sm text-gray-500">
+        <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+          <tr>
+            <th scope="col" className="px-6 py-3">Client</th>
+            <th scope="col" className="px-6 py-3">Package</th>
+            <th scope="col" className="px-6 py-3">Credits left</th>
+            <th scope="col" className="px-6 py-3">Expires</th>
+            <th scope="col" className="px-6 py-3">Status</th>
+          </tr>
+        </thead>
+
+        <tbody>
+          {sessionPacks.map(pack => (
+            <tr key={pack._id}>
+              <td className="px-6 py-4 text-gray-900">{pack.user?.name || 'Unknown User'}</td>
+              <td className="px-6 py-4">
+                {pack.name}
+                <div className="text-xs text-gray-500">${pack.price}</div>
+              </td>
+              <td className="px-6 py-4">{pack.creditsRemaining} / {pack.sessionsTotal}</td>
+              <td className="px-6 py-4">{formatDate(pack.expiresAt)}</td>
+
+              {/* Active packs with credits left can be refunded, others show their status */}
+              <td className="px-6 py-4">
+                {pack.status === 'active' && pack.creditsRemaining > 0 ? (
+                  <button
+                    onClick={() => refundHandler(pack)}
+                    disabled={refundingId === pack._id}
+                    className="px-3 py-1 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {refundingId === pack._id ? 'Refunding...' : 'Refund unused'}
+                  </button>
+                ) : (
+                  <span className={`px-3 py-1 rounded text-[12px] font-semibold capitalize ${statusStyles[pack.status] || ''}`}>
+                    {pack.status === 'active' ? 'Used up' : pack.status}
+                  </span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default SessionPacks
@@ -8,6 +8,7 @@
  * - Tab navigation with active state highlighting
  * - User logout functionality with context state management
  * - Account deletion with confirmation dialog and API integration
+ * - Private calendar feed link for the trainer's client sessions
  * - Responsive design (mobile menu icon for smaller screens)
  * 
  * PROPS:
@@ -21,6 +22,7 @@ import { authContext } from "../../context/AuthContext";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
 import { BASE_URL } from "../../config";
+import CalendarFeed from "../../components/CalendarFeed/CalendarFeed";
 
 const Tabs = ({ tab, setTab }) => {
   // Authentication context for user data and state management
@@ -125,6 +127,42 @@ const Tabs = ({ tab, setTab }) => {
         >
           Bookings
         </button>
+
+        {/* Classes Tab - Group class attendee lists */}
+        <button
+          onClick={() => setTab("classes")}
+          className={`${
+            tab === "classes"
+              ? "bg-indigo-100 text-primaryColor"
+              : "bg-transparent text-headingColor"
+          } w-full btn mt-0 rounded-md`}
+        >
+          Classes
+        </button>
+
+        {/* Attendance Tab - Check-in code and client attendance */}
+        <button
+          onClick={() => setTab("attendance")}
+          className={`${
+            tab === "attendance"
+              ? "bg-indigo-100 text-primaryColor"
+              : "bg-transparent text-headingColor"
+          } w-full btn mt-0 rounded-md`}
+        >
+          Attendance
+        </button>
+
+        {/* Earnings Tab - Monthly earnings and statements */}
+        <button
+          onClick={() => setTab("earnings")}
+          className={`${
+            tab === "earnings"
+              ? "bg-indigo-100 text-primaryColor"
+              : "bg-transparent text-headingColor"
+          } w-full btn mt-0 rounded-md`}
+        >
+          Earnings
+        </button>
         
         {/* Settings Tab - Account preferences */}
         <button
@@ -150,6 +188,11 @@ const Tabs = ({ tab, setTab }) => {
           Profile
         </button>
 
+        {/* CALENDAR FEED - client sessions in the trainer's own calendar app */}
+        <div className="w-full">
+          <CalendarFeed />
+        </div>
+
         {/* ACCOUNT ACTIONS SECTION */}
         {/* Separated from navigation tabs with top margin */}
         <div className="mt-[100px] w-full">
@@ -0,0 +1,264 @@
+/* eslint-disable react/prop-types */
+/**
+ * Workout Log Modal Component
+ *
+ * Dialog where the trainer records what they did with a client in a
+ * session: the exercises with each set's reps and load, notes the client
+ * sees in their workout history, and private notes only the trainer sees.
+ * The client's earlier sessions with the trainer are listed underneath,
+ * so the log doubles as the place to prepare the next session.
+ *
+ * PROPS:
+ * - booking: Booking being logged (with populated user)
+ * - timeZone: Trainer's time zone, which session times are shown in
+ * - onClose: Called when the dialog is dismissed
+ */
+
+import { useEffect, useState } from 'react'
+import { toast } from 'react-toastify'
+import { BASE_URL } from '../../config'
+import useFetchData from '../../hooks/useFetchData'
+import Loader from '../../components/Loader/Loader'
+import WorkoutLogDetails from '../../components/WorkoutLog/WorkoutLogDetails'
+import { formatSessionDate, formatSessionTime } from '../../utils/formatSessionTime'
+
+// A new exercise starts with one empty set
+const emptyExercise = () => ({ name: '', notes: '', sets: [{ reps: '', load: '' }] })
+
+const WorkoutLogModal = ({ booking, timeZone, onClose }) => {
+  const { data: log, loading: logLoading, error: logError } = useFetchData(
+    `${BASE_URL}workout-logs/bookings/${booking._id}`
+  )
+  const { data: history, loading: historyLoading } = useFetchData(
+    `${BASE_URL}workout-logs/clients/${booking.user?._id}`
+  )
+
+  const [exercises, setExercises] = useState([])
+  const [notes, setNotes] = useState('')
+  const [privateNotes, setPrivateNotes] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Fill the form with the saved log once it has loaded
+  useEffect(() => {
+    setExercises(log?.exercises?.map(exercise => ({
+      name: exercise.name,
+      notes: exercise.notes || '',
+      sets: exercise.sets.map(set => ({ reps: set.reps ?? '', load: set.load ?? '' }))
+    })) || [])
+    setNotes(log?.notes || '')
+    setPrivateNotes(log?.privateNotes || '')
+  }, [log])
+
+  // Earlier sessions with this client, without the one being logged
+  const previousLogs = (history || []).filter(entry => entry.booking !== booking._id)
+
+  const updateExercise = (index, changes) => {
+    setExercises(current => current.map((exercise, i) => (i === index ? { ...exercise, ...changes } : exercise)))
+  }
+
+  const updateSet = (exerciseIndex, setIndex, changes) => {
+    const sets = exercises[exerciseIndex].sets.map((set, i) => (i === setIndex ? { ...set, ...changes } : set))
+    updateExercise(exerciseIndex, { sets })
+  }
+
+  // A new set copies the last one, as sets are usually repeated
+  const addSet = (exerciseIndex) => {
+    const sets = exercises[exerciseIndex].sets
+    updateExercise(exerciseIndex, { sets: [...sets, { ...(sets[sets.length - 1] || { reps: '', load: '' }) }] })
+  }
+
+  const removeSet = (exerciseIndex, setIndex) => {
+    updateExercise(exerciseIndex, { sets: exercises[exerciseIndex].sets.filter((_, i) => i !== setIndex) })
+  }
+
+  const removeExercise = (index) => {
+    setExercises(current => current.filter((_, i) => i !== index))
+  }
+
+  /**
+   * Save the log, replacing any earlier version
+   */
+  const submitHandler = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+
+    try {
+      const token = localStorage.getItem('token')
+
+      const res = await fetch(`${BASE_URL}workout-logs/bookings/${booking._id}`, {
+        method: 'put',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ exercises, notes, privateNotes })
+      })
+
+      const result = await res.json()
+
+      if (!res.ok) {
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      onClose()
+    } catch (err) {
+      toast.error(err.message || 'Failed to save workout log')
+      setIsSaving(false)
+    }
+  }
+
+  const inputClass = 'px-2 py-1 border border-solid border-gray-300 rounded text-[14px] focus:outline-none focus:border-primaryColor'
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-5">
+      <div className="w-full max-w-[640px] max-h-[90vh] overflow-y-auto bg-white rounded-md p-5">
+        <div className="flex items-center justify-between">
+          <h3 className="text-[20px] leading-8 text-headingColor font-bold">Workout Log</h3>
+          <button onClick={onClose} className="text-[22px] text-textColor" aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <p className="mt-2 text-[14px] text-textColor">
+          {booking.user?.name || 'Client'}: {formatSessionDate(booking, timeZone)}, {formatSessionTime(booking, timeZone)}
+        </p>
+
+        {logLoading && !logError && <Loader />}
+        {logError && !logLoading && <p className="mt-4 text-[14px] text-red-600">{logError}</p>}
+
+        {!logLoading && !logError && (
+          <form onSubmit={submitHandler} className="mt-4">
+            {exercises.map((exercise, exerciseIndex) => (
+              <div key={exerciseIndex} className="mb-4 p-3 border border-solid border-gray-200 rounded-md">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={exercise.name}
+                    onChange={e => updateExercise(exerciseIndex, { name: e.target.value })}
+                    placeholder="Exercise, e.g. Back squat"
+                    className={`${inputClass} flex-1`}
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeExercise(exerciseIndex)}
+                    className="px-2 text-[14px] text-red-600"
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                {exercise.sets.map((set, setIndex) => (
+                  <div key={setIndex} className="flex items-center gap-2 mt-2 text-[14px] text-textColor">
+                    <span className="w-12">Set {setIndex + 1}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={set.reps}
+                      onChange={e => updateSet(exerciseIndex, setIndex, { reps: e.target.value })}
+                      placeholder="Reps"
+                      className={`${inputClass} w-20`}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={set.load}
+                      onChange={e => updateSet(exerciseIndex, setIndex, { load: e.target.value })}
+                      placeholder="kg"
+                      className={`${inputClass} w-20`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeSet(exerciseIndex, setIndex)}
+                      className="text-[18px] text-gray-400"
+                      aria-label="Remove set"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                ))}
+
+                <button
+                  type="button"
+                  onClick={() => addSet(exerciseIndex)}
+                  className="mt-2 text-[13px] text-primaryColor underline"
+                >
+                  Add set
+                </button>
+
+                <input
+                  type="text"
+                  value={exercise.notes}
+                  onChange={e => updateExercise(exerciseIndex, { notes: e.target.value })}
+                  placeholder="Notes on this exercise (optional)"
+                  className={`${inputClass} w-full mt-2`}
+                />
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => setExercises(current => [...current, emptyExercise()])}
+              className="px-3 py-1 rounded-md border border-solid border-primaryColor text-primaryColor text-[14px]"
+            >
+              Add exercise
+            </button>
+
+            <label className="block mt-4 text-[14px] text-headingColor font-semibold">
+              Session notes
+              <span className="font-normal text-gray-500"> (the client sees these)</span>
+            </label>
+            <textarea
+              rows={3}
+              value={notes}
+              onChange={e => setNotes(e.target.value)}
+              className={`${inputClass} w-full mt-1`}
+            />
+
+            <label className="block mt-3 text-[14px] text-headingColor font-semibold">
+              Private notes
+              <span className="font-normal text-gray-500"> (only you see these)</span>
+            </label>
+            <textarea
+              rows={3}
+              value={privateNotes}
+              onChange={e => setPrivateNotes(e.target.value)}
+              className={`${inputClass} w-full mt-1`}
+            />
+
+            <div className="mt-5 flex gap-3">
+              <button type="button" onClick={onClose} className="flex-1 py-2 rounded-md border border-solid border-gray-300 text-headingColor">
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex-1 py-2 rounded-md bg-primaryColor text-white disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save log'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Earlier sessions, to see what the client did last time */}
+        <h4 className="mt-8 text-[16px] leading-7 text-headingColor font-bold">Previous sessions</h4>
+        {historyLoading ? (
+          <Loader />
+        ) : previousLogs.length === 0 ? (
+          <p className="text-[14px] text-textColor">No earlier sessions logged with this client.</p>
+        ) : (
+          <div className="mt-2 space-y-3">
+            {previousLogs.map(entry => (
+              <WorkoutLogDetails key={entry._id} log={entry} timeZone={timeZone} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default WorkoutLogModal
@@ -0,0 +1,271 @@
+/* eslint-disable react/prop-types */
+/**
+ * Booking Card Component
+ *
+ * Displays a single training session booked by the client, including the
+ * trainer, session date and time, price and booking status.
+ *
+ * FEATURES:
+ * - Trainer summary with link to their profile
+ * - Session date and time in the client's own time zone
+ * - Status badge (pending, approved, cancelled, completed, no-show)
+ * - When the client checked in, and what a missed session cost them
+ * - Refund details for cancelled bookings
+ * - Amount to pay at the session for bookings not paid online
+ * - Promo code discount taken off the price
+ * - Invoice download for paid bookings
+ * - Cancel button for upcoming sessions, refunded per the trainer's policy
+ * - Reschedule button that opens the slot picker for the same trainer
+ * - Previous times of rescheduled sessions
+ * - Position within a weekly series and a button to cancel the rest of it
+ *
+ * PROPS:
+ * - booking: Booking object with populated trainer data
+ * - onChange: Called after the booking was updated so the list can refresh
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import { formatSessionDate, formatSessionStart, formatSessionTime, formatInstantTime, getSessionDay } from '../../utils/formatSessionTime';
+import { getSessionStart } from '../../utils/getSessionStart';
+import { hasInvoice, downloadInvoice } from '../../utils/downloadInvoice';
+import RescheduleModal from '../../components/Reschedule/RescheduleModal';
+
+// Tailwind classes for each booking status badge
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-green-100 text-green-700',
+  cancelled: 'bg-red-100 text-red-700',
+  completed: 'bg-blue-100 text-blue-700',
+  no_show: 'bg-gray-200 text-gray-700',
+};
+
+const BookingCard = ({ booking, onChange }) => {
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [showReschedule, setShowReschedule] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const { trainer, status, ticketPrice, refundAmount, rescheduleHistory } = booking;
+
+  // Only sessions that haven't started yet can be changed
+  const isUpcoming = getSessionStart(booking) > new Date();
+  const canCancel = status !== 'cancelled' && isUpcoming;
+
+  /**
+   * Invoice Download Handler
+   */
+  const invoiceHandler = async () => {
+    setIsDownloading(true);
+
+    try {
+      await downloadInvoice(booking._id);
+    } catch (err) {
+      toast.error(err.message || 'Failed to download invoice');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  /**
+   * Cancel Booking Handler
+   *
+   * Confirms with the client, then asks the backend to cancel the booking,
+   * or every upcoming session of its weekly series. The backend works out
+   * the refund from the trainer's cancellation policy.
+   *
+   * @param {boolean} wholeSeries - Cancel all remaining sessions in the series
+   */
+  const cancelHandler = async (wholeSeries = false) => {
+    const confirmCancel = window.confirm(
+      wholeSeries
+        ? 'Are you sure you want to cancel all remaining sessions in this series? Late cancellations may only be partially refunded.'
+        : 'Are you sure you want to cancel this session? Late cancellations may only be partially refunded.'
+    );
+
+    if (!confirmCancel) return;
+
+    setIsCancelling(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const url = wholeSeries
+        ? `${BASE_URL}bookings/series/${booking.seriesId}/cancel`
+        : `${BASE_URL}bookings/${booking._id}/cancel`;
+
+      const res = await fetch(url, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason: 'Cancelled by client' })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to cancel booking');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border border-solid border-gray-200 rounded-md">
+      {/* TRAINER SUMMARY */}
+      <div className="flex items-center gap-3">
+        <img
+          src={trainer?.photo}
+          className="w-14 h-14 rounded-full object-cover"
+          alt={trainer?.name || 'Trainer'}
+        />
+        <div>
+          <Link
+            to={`/trainers/${trainer?._id}`}
+            className="text-[16px] leading-6 text-headingColor font-bold hover:text-primaryColor"
+          >
+            {trainer?.name || 'Trainer no longer available'}
+          </Link>
+          <p className="text-[14px] text-textColor capitalize">{trainer?.specialization}</p>
+        </div>
+      </div>
+
+      {/* SESSION DETAILS */}
+      <div className="mt-4 text-[14px] leading-6 text-textColor">
+        <p>
+          <span className="font-semibold text-headingColor">Date: </span>
+          {formatSessionDate(booking)} <span className="capitalize">({getSessionDay(booking)})</span>
+        </p>
+        <p>
+          <span className="font-semibold text-headingColor">Time: </span>
+          {formatSessionTime(booking)}
+        </p>
+        <p>
+          <span className="font-semibold text-headingColor">Price: </span>
+          {booking.sessionPack ? 'Paid with a session credit' : `$${ticketPrice}`}
+          {booking.discount?.code && (
+            <span className="text-gray-500"> ({booking.discount.code}, ${Number(booking.discount.amount).toFixed(2)} off)</span>
+          )}
+        </p>
+        {booking.seriesId && (
+          <p>
+            <span className="font-semibold text-headingColor">Weekly series: </span>
+            Session {booking.seriesIndex} of {booking.seriesTotal}
+          </p>
+        )}
+      </div>
+
+      {/* STATUS AND ACTIONS */}
+      <div className="mt-4 flex items-center justify-between">
+        <span className={`px-3 py-1 rounded text-[12px] font-semibold capitalize ${statusStyles[status] || ''}`}>
+          {status.replace('_', '-')}
+        </span>
+
+        <div className="flex gap-2">
+          {/* Invoice for the client's records or health fund claim */}
+          {hasInvoice(booking) && (
+            <button
+              onClick={invoiceHandler}
+              disabled={isDownloading}
+              className="px-4 py-1 rounded-md text-[14px] text-primaryColor border border-solid border-primaryColor disabled:opacity-50"
+            >
+              {isDownloading ? 'Downloading...' : 'Invoice'}
+            </button>
+          )}
+          {canCancel && (
+            <>
+              <button
+                onClick={() => setShowReschedule(true)}
+                className="px-4 py-1 rounded-md text-[14px] text-white bg-primaryColor"
+              >
+                Reschedule
+              </button>
+              <button
+                onClick={() => cancelHandler()}
+                disabled={isCancelling}
+                className="px-4 py-1 rounded-md text-[14px] text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                {isCancelling ? 'Cancelling...' : 'Cancel'}
+              </button>
+              {booking.seriesId && (
+                <button
+                  onClick={() => cancelHandler(true)}
+                  disabled={isCancelling}
+                  className="px-4 py-1 rounded-md text-[14px] text-red-600 border border-solid border-red-600 disabled:opacity-50"
+                >
+                  Cancel series
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Previous times of a rescheduled session */}
+      {rescheduleHistory?.length > 0 && (
+        <p className="mt-2 text-[13px] text-gray-500">
+          Rescheduled from {rescheduleHistory.map(entry =>
+            `${formatSessionDate(entry)} ${formatSessionStart(entry)}`
+          ).join(', ')}
+        </p>
+      )}
+
+      {/* Trainer in manual approval mode hasn't responded yet */}
+      {status === 'pending' && (
+        <p className="mt-2 text-[13px] text-gray-500">
+          {booking.paymentStatus === 'unpaid'
+            ? 'Waiting for the trainer to confirm this booking.'
+            : 'Waiting for the trainer to approve this booking. You will be refunded in full if it is declined.'}
+        </p>
+      )}
+
+      {/* Booked to pay the trainer in person */}
+      {!['cancelled', 'no_show'].includes(status) && booking.paymentStatus === 'unpaid' && (
+        <p className="mt-2 text-[13px] text-gray-500">Pay ${ticketPrice} at the session</p>
+      )}
+
+      {/* Scanned the trainer's check-in code */}
+      {booking.checkedInAt && (
+        <p className="mt-2 text-[13px] text-gray-500">Checked in at {formatInstantTime(booking.checkedInAt)}</p>
+      )}
+
+      {/* Missed session, charged by the trainer's no-show policy */}
+      {status === 'no_show' && (
+        <p className="mt-2 text-[13px] text-gray-500">
+          You missed this session.
+          {booking.paymentStatus === 'unpaid' && Number(ticketPrice) > 0 && ` A $${ticketPrice} no-show fee is owed to the trainer.`}
+          {refundAmount > 0 && ` Refunded $${Number(refundAmount).toFixed(2)} under the trainer's no-show policy.`}
+          {booking.creditReturned && ' Your session credit has been returned.'}
+        </p>
+      )}
+
+      {/* Cancellation reason and refund information for cancelled sessions */}
+      {status === 'cancelled' && booking.cancellationReason && (
+        <p className="mt-2 text-[13px] text-gray-500">{booking.cancellationReason}</p>
+      )}
+      {status === 'cancelled' && refundAmount > 0 && (
+        <p className="mt-2 text-[13px] text-gray-500">Refunded ${Number(refundAmount).toFixed(2)}</p>
+      )}
+      {status === 'cancelled' && booking.creditReturned && (
+        <p className="mt-2 text-[13px] text-gray-500">Session credit returned</p>
+      )}
+
+      {showReschedule && (
+        <RescheduleModal
+          booking={booking}
+          onClose={() => setShowReschedule(false)}
+          onRescheduled={onChange}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BookingCard;
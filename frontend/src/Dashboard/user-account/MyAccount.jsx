@@ -2,11 +2,14 @@
  * User Account Dashboard Component
  * 
  * This is the main dashboard page for clients/users to manage their account and view bookings.
- * It provides a tabbed interface with two main sections:
+ * It provides a tabbed interface with three main sections:
  * 
  * FEATURES:
  * - My Bookings: View all training session bookings
+ * - Workout History: What trainers logged of each session (exercises, sets, notes)
  * - Profile Settings: Edit personal account information
+ * - Session credits: Remaining prepaid credits per trainer
+ * - Calendar feed: Private link to subscribe to sessions from a calendar app
  * - Account management: Logout and delete account functionality
  * - Responsive layout with sidebar navigation
  * 
@@ -25,7 +28,9 @@ import { useContext, useState } from "react";
 import { authContext } from "../../context/AuthContext";
 import userImg from "../../assets/images/trainer-img01.png";
 import MyBookings from "./MyBookings";
+import WorkoutHistory from "./WorkoutHistory";
 import Profile from "./Profile";
+import CalendarFeed from "../../components/CalendarFeed/CalendarFeed";
 import useGetProfile from "../../hooks/useFetchData";
 import { BASE_URL } from "../../config";
 import Loading from "../../components/Loader/Loader";
@@ -53,6 +58,13 @@ const MyAccount = () => {
    * The '/profile/me' endpoint returns current user's data based on JWT token.
    */
   const {data:userData, loading, error} = useGetProfile(`${BASE_URL}users/profile/me`);
+
+  /**
+   * Fetch Session Credits
+   * 
+   * Remaining prepaid credits from session packages, grouped by trainer.
+   */
+  const {data:creditData} = useGetProfile(`${BASE_URL}users/credits/me`);
   
   /**
    * Handle User Logout
@@ -155,6 +167,33 @@ const MyAccount = () => {
                 </p>
               </div>
 
+              {/* SESSION CREDITS SECTION */}
+              {/* Only shown once the client has bought a session package */}
+              {creditData?.packs?.length > 0 && (
+                <div className="mt-8">
+                  <h4 className="text-[16px] leading-7 text-headingColor font-bold">Session credits</h4>
+                  {creditData.balances.length === 0 && (
+                    <p className="text-textColor text-[14px] mt-1">No credits left</p>
+                  )}
+                  {creditData.balances.map(balance => (
+                    <div key={balance.trainer._id} className="flex items-center justify-between mt-2 text-[14px]">
+                      <span className="text-textColor">{balance.trainer.name}</span>
+                      <span className="text-headingColor font-semibold">
+                        {balance.credits} {balance.credits === 1 ? 'credit' : 'credits'}
+                      </span>
+                    </div>
+                  ))}
+                  {creditData.balances.length > 0 && (
+                    <p className="text-[12px] text-gray-500 mt-2">
+                      Unused credits expire at the end of each pack&apos;s validity period.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* CALENDAR FEED SECTION */}
+              <CalendarFeed />
+
               {/* ACCOUNT ACTIONS SECTION */}
               <div className="mt-[50px] md:mt-[100px]">
                 
@@ -189,6 +228,17 @@ const MyAccount = () => {
                   My Bookings
                 </button>
 
+                {/* Workout History Tab */}
+                <button
+                  onClick={() => setTab("workouts")}
+                  className={`${
+                    tab === "workouts" ? "bg-primaryColor text-white font-normal" : ""
+                  } p-2 mr-5 px-5 rounded-md text-headingColor font-semibold text-[16px] 
+                  leading-7 border border-solid border-primaryColor`}
+                >
+                  Workout History
+                </button>
+
                 {/* Profile Settings Tab */}
                 <button
                   onClick={() => setTab("settings")}
@@ -205,6 +255,9 @@ const MyAccount = () => {
               
               {/* Bookings Tab Content */}
               {tab === "bookings" && <MyBookings />}
+
+              {/* Workout History Tab Content */}
+              {tab === "workouts" && <WorkoutHistory />}
               
               {/* Profile Settings Tab Content */}
               {tab === "settings" && <Profile user={userData} />}
@@ -2,27 +2,28 @@
  * User Bookings Component
  * 
  * This component displays all training session bookings made by the current user.
- * It fetches booking data and renders trainer cards for each booked session.
+ * It fetches booking data and renders a booking card for each booked session.
  * 
  * FEATURES:
  * - Fetches user's booking history from API
- * - Displays trainer cards for each booking
+ * - Displays session date, time, price and status for each booking
+ * - Lets the user cancel upcoming sessions and download invoices for paid ones
+ * - Shows waitlisted sessions and open waitlist offers above the bookings
  * - Handles loading and error states
  * - Shows empty state when no bookings exist
  * - Responsive grid layout for booking cards
  * 
  * DATA FLOW:
  * - Uses custom hook to fetch booking data
- * - Renders TrainerCard components for each booking
+ * - Renders BookingCard components for each booking
+ * - Re-fetches the list after a booking is changed
  * - Shows appropriate messages for different states
- * 
- * NOTE: Currently reuses TrainerCard component, but bookings might need
- * additional information like booking date, status, etc.
  */
 
 import useFetchData from "../../hooks/useFetchData";
 import { BASE_URL } from "../../config";
-import TrainerCard from "../../components/Trainers/TrainerCard";
+import BookingCard from "./BookingCard";
+import Waitlist from "./Waitlist";
 import Loading from "../../components/Loader/Loader";
 import Error from "../../components/Error/Error";
 
@@ -31,21 +32,26 @@ const MyBookings = () => {
    * Fetch User Bookings Data
    * 
    * Uses custom hook to fetch all bookings made by the authenticated user.
-   * The endpoint returns trainer data for each booking.
+   * The endpoint returns booking documents with trainer details populated.
    * 
    * RETURNS:
-   * - data: Array of trainer objects from user's bookings
+   * - data: Array of booking objects from user's bookings
    * - loading: Boolean indicating if request is in progress
    * - error: Error message if request fails
+   * - refetch: Reloads the bookings after one was changed
    */
   const {
     data: bookings,
     loading,
     error,
+    refetch,
   } = useFetchData(`${BASE_URL}users/bookings/my-bookings`);
 
   return (
     <div>
+      {/* WAITLIST - sessions the user is queueing for */}
+      <Waitlist onChange={refetch} />
+
       {/* LOADING STATE */}
       {/* Shows spinner while fetching booking data */}
       {loading && !error && <Loading />}
@@ -57,15 +63,15 @@ const MyBookings = () => {
       {/* SUCCESS STATE WITH BOOKINGS */}
       {/* Renders booking cards when data is successfully loaded */}
       {!loading && !error && (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mt-5">
           {/* 
             RESPONSIVE GRID LAYOUT:
             - Mobile: Single column layout
             - Desktop: 2-column grid for better space utilization
-            - Each booking shows as a trainer card
+            - Each booking shows as a booking card
           */}
-          {bookings.map(trainer => (
-            <TrainerCard trainer={trainer} key={trainer._id} />
+          {bookings.map(booking => (
+            <BookingCard booking={booking} onChange={refetch} key={booking._id} />
           ))}
         </div>
       )}
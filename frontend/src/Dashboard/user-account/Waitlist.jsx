@@ -0,0 +1,162 @@
+/* eslint-disable react/prop-types */
+/**
+ * Waitlist Component
+ *
+ * Shows the sessions the client is waiting for. When a slot frees up the
+ * client at the front of the line gets a time-limited offer, which they
+ * can take up here before it passes to the next person.
+ *
+ * FEATURES:
+ * - Place in line for each waiting session
+ * - Open offers with their deadline and a Book now button
+ * - Leave the waitlist (an open offer moves on straight away)
+ *
+ * PROPS:
+ * - onChange: Called after a session was booked so the bookings list can refresh
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import useFetchData from '../../hooks/useFetchData';
+import { formatSessionDate, formatSessionStart } from '../../utils/formatSessionTime';
+
+const Waitlist = ({ onChange }) => {
+  const { data: entries, loading, error, refetch } = useFetchData(`${BASE_URL}waitlist/me`);
+  // ID of the entry currently being booked or left, used to disable its buttons
+  const [updatingId, setUpdatingId] = useState(null);
+
+  /**
+   * Book Offered Session
+   *
+   * Starts the normal booking flow for the offered slot. The slot is held
+   * for the client, so nobody else can book it while the offer is open.
+   */
+  const bookHandler = async (entry) => {
+    setUpdatingId(entry._id);
+
+    try {
+      const token = localStorage.getItem('token');
+
+      const res = await fetch(`${BASE_URL}bookings/checkout-session/${entry.trainer?._id}`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          timeSlot: entry.timeSlot,
+          bookingDate: entry.bookingDate.split('T')[0]
+        })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      if (result.session?.url) {
+        window.location.href = result.session.url;
+        return;
+      }
+
+      // Booked with session credits - no payment needed
+      toast.success(result.message);
+      refetch();
+      onChange?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to book session');
+    }
+
+    setUpdatingId(null);
+  };
+
+  /**
+   * Leave Waitlist Handler
+   */
+  const leaveHandler = async (entry) => {
+    if (!window.confirm('Leave the waitlist for this session?')) return;
+
+    setUpdatingId(entry._id);
+
+    try {
+      const token = localStorage.getItem('token');
+
+      const res = await fetch(`${BASE_URL}waitlist/${entry._id}/leave`, {
+        method: 'post',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      refetch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to leave waitlist');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Nothing to show until the client joins a waitlist
+  if (loading || error || !entries?.length) return null;
+
+  return (
+    <div className="mt-5">
+      <h3 className="text-[18px] leading-7 text-headingColor font-bold">Waitlist</h3>
+
+      <div className="mt-3 space-y-3">
+        {entries.map(entry => (
+          <div
+            key={entry._id}
+            className={`p-4 border border-solid rounded-md ${
+              entry.status === 'offered' ? 'border-green-300 bg-green-50' : 'border-gray-200'
+            }`}
+          >
+            <div className="flex items-center justify-between gap-3">
+              <div className="text-[14px] leading-6 text-textColor">
+                <p className="text-headingColor font-semibold">{entry.trainer?.name}</p>
+                <p>
+                  {formatSessionDate(entry)}, {formatSessionStart(entry)}
+                </p>
+                {entry.status === 'offered' ? (
+                  <p className="text-green-700 font-medium">
+                    This slot is yours if you book by {new Date(entry.offerExpiresAt).toLocaleString()}
+                  </p>
+                ) : (
+                  <p className="text-gray-500">Number {entry.position} in line</p>
+                )}
+              </div>
+
+              <div className="flex gap-2">
+                {entry.status === 'offered' && (
+                  <button
+                    onClick={() => bookHandler(entry)}
+                    disabled={updatingId === entry._id}
+                    className="px-4 py-1 rounded-md text-[14px] text-white bg-primaryColor disabled:opacity-50"
+                  >
+                    Book now
+                  </button>
+                )}
+                <button
+                  onClick={() => leaveHandler(entry)}
+                  disabled={updatingId === entry._id}
+                  className="px-4 py-1 rounded-md text-[14px] text-red-600 border border-solid border-red-600 disabled:opacity-50"
+                >
+                  Leave
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Waitlist;
@@ -0,0 +1,40 @@
+/**
+ * Workout History Component
+ *
+ * Lists the workout logs trainers have kept of the client's sessions,
+ * latest session first: the exercises, sets, reps and loads, and the
+ * trainer's notes. Notes a trainer marked private are never sent here.
+ */
+
+import { BASE_URL } from '../../config';
+import useFetchData from '../../hooks/useFetchData';
+import Loader from '../../components/Loader/Loader';
+import Error from '../../components/Error/Error';
+import WorkoutLogDetails from '../../components/WorkoutLog/WorkoutLogDetails';
+
+const WorkoutHistory = () => {
+  const { data: logs, loading, error } = useFetchData(`${BASE_URL}workout-logs/me`);
+
+  return (
+    <div className="mt-5">
+      {loading && !error && <Loader />}
+      {error && !loading && <Error errMessage={error} />}
+
+      {!loading && !error && logs.length === 0 && (
+        <h2 className="mt-5 text-center leading-7 text-[20px] font-semibold text-primaryColor">
+          Your trainers haven&apos;t logged any sessions yet.
+        </h2>
+      )}
+
+      {!loading && !error && logs.length > 0 && (
+        <div className="space-y-4">
+          {logs.map(log => (
+            <WorkoutLogDetails key={log._id} log={log} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkoutHistory;
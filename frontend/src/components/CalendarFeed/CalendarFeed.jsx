@@ -0,0 +1,118 @@
+/**
+ * Calendar Feed Component
+ *
+ * Shows the logged-in user's private calendar (.ics) link so they can
+ * subscribe to their sessions from Google Calendar, Apple Calendar or
+ * Outlook. Used on both the client account page and the trainer dashboard;
+ * the backend decides which sessions the feed contains.
+ *
+ * FEATURES:
+ * - Copy the feed URL to the clipboard
+ * - Regenerate the link if it was shared by mistake (the old link stops working)
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import useFetchData from '../../hooks/useFetchData';
+
+const CalendarFeed = () => {
+  const { data, loading, refetch } = useFetchData(`${BASE_URL}calendar/me`);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+
+  /**
+   * Copy Feed URL
+   *
+   * Copies the link so it can be pasted into a calendar app's
+   * "subscribe from URL" option.
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(data.url);
+      toast.success('Calendar link copied');
+    } catch {
+      toast.error('Could not copy the link, please copy it manually');
+    }
+  };
+
+  /**
+   * Regenerate Feed URL
+   *
+   * Replaces the secret token in the link. Calendars subscribed to the old
+   * link stop receiving updates and need the new one.
+   */
+  const handleRegenerate = async () => {
+    const confirmRegenerate = window.confirm(
+      'Create a new calendar link? Calendars using the current link will stop updating.'
+    );
+    if (!confirmRegenerate) return;
+
+    setIsRegenerating(true);
+    try {
+      const token = localStorage.getItem('token');
+
+      const res = await fetch(`${BASE_URL}calendar/me/regenerate`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      refetch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate calendar link');
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      <h4 className="text-[16px] leading-7 text-headingColor font-bold">Calendar feed</h4>
+      <p className="text-[13px] text-textColor mt-1">
+        Subscribe to this link in your calendar app to see your sessions there. Keep it private.
+      </p>
+
+      {loading && <p className="text-[13px] text-gray-500 mt-2">Loading link...</p>}
+
+      {!loading && data?.url && (
+        <>
+          <input
+            type="text"
+            readOnly
+            value={data.url}
+            onFocus={e => e.target.select()}
+            className="w-full mt-2 px-2 py-1 border border-gray-300 rounded-md text-[12px] text-textColor"
+          />
+          <div className="flex gap-2 mt-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="flex-1 py-1 rounded-md text-white bg-primaryColor text-[14px]"
+            >
+              Copy link
+            </button>
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              disabled={isRegenerating}
+              className="flex-1 py-1 rounded-md border border-primaryColor text-primaryColor text-[14px] disabled:opacity-50"
+            >
+              {isRegenerating ? 'Regenerating...' : 'New link'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeed;
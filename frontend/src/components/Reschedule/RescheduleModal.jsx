@@ -0,0 +1,150 @@
+/* eslint-disable react/prop-types */
+/**
+ * Reschedule Modal Component
+ *
+ * Dialog for moving an existing booking to another date and time slot.
+ * Used by both clients (My Bookings) and trainers (dashboard Bookings table).
+ *
+ * FEATURES:
+ * - Loads the trainer's open slots from the availability endpoint
+ * - Reuses the SlotPicker date/slot selection from the booking side panel
+ * - Redirects to Stripe when the new slot costs more than was paid
+ *
+ * PROPS:
+ * - booking: Booking being rescheduled (with populated trainer)
+ * - onClose: Called when the dialog is dismissed
+ * - onRescheduled: Called after the booking was moved
+ */
+
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import useFetchData from '../../hooks/useFetchData';
+import SlotPicker from '../SlotPicker/SlotPicker';
+import Loader from '../Loader/Loader';
+import Error from '../Error/Error';
+import { formatSessionDate, formatSessionTime } from '../../utils/formatSessionTime';
+import { getAvailabilityUrl } from '../../utils/getAvailabilityUrl';
+
+const RescheduleModal = ({ booking, onClose, onRescheduled }) => {
+  const [selectedDate, setSelectedDate] = useState('');
+  const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const trainerId = booking.trainer?._id || booking.trainer;
+
+  // Trainer's public profile (price, time zone, days off) and their open slots
+  const { data: trainer, loading: trainerLoading, error: trainerError } = useFetchData(
+    `${BASE_URL}trainers/${trainerId}`
+  );
+  const { data: availability, loading: availabilityLoading, error: availabilityError } = useFetchData(
+    getAvailabilityUrl(trainerId)
+  );
+  const loading = trainerLoading || availabilityLoading;
+  const error = trainerError || availabilityError;
+
+  const handleDateChange = (date) => {
+    setSelectedDate(date);
+    setSelectedTimeSlot(null);
+  };
+
+  /**
+   * Submit Reschedule Request
+   *
+   * Asks the backend to move the booking. If the new slot costs more, the
+   * backend returns a Stripe checkout session for the difference instead.
+   */
+  const submitHandler = async () => {
+    if (!selectedDate || !selectedTimeSlot) {
+      toast.error('Please select a new date and time slot');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const token = localStorage.getItem('token');
+
+      const res = await fetch(`${BASE_URL}bookings/${booking._id}/reschedule`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          bookingDate: selectedDate,
+          timeSlot: selectedTimeSlot
+        })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      // Pay the price difference before the booking is moved
+      if (result.session?.url) {
+        toast.info(result.message);
+        window.location.href = result.session.url;
+        return;
+      }
+
+      toast.success(result.message);
+      onRescheduled?.();
+      onClose();
+    } catch (err) {
+      toast.error(err.message || 'Failed to reschedule booking');
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-5">
+      <div className="w-full max-w-[480px] max-h-[90vh] overflow-y-auto bg-white rounded-md p-5">
+        <div className="flex items-center justify-between">
+          <h3 className="text-[20px] leading-8 text-headingColor font-bold">Reschedule Session</h3>
+          <button onClick={onClose} className="text-[22px] text-textColor" aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        {/* Current booking time for reference */}
+        <p className="mt-2 text-[14px] text-textColor">
+          Currently: {formatSessionDate(booking)}, {formatSessionTime(booking)}
+        </p>
+
+        {loading && !error && <Loader />}
+        {error && !loading && <Error errMessage={error} />}
+
+        {!loading && !error && (
+          <SlotPicker
+            availability={availability}
+            availabilityExceptions={trainer?.availabilityExceptions}
+            timeZone={trainer?.timeZone}
+            ticketPrice={trainer?.ticketPrice}
+            selectedDate={selectedDate}
+            selectedTimeSlot={selectedTimeSlot}
+            onDateChange={handleDateChange}
+            onTimeSlotChange={setSelectedTimeSlot}
+          />
+        )}
+
+        <div className="mt-6 flex gap-3">
+          <button onClick={onClose} className="flex-1 py-2 rounded-md border border-solid border-gray-300 text-headingColor">
+            Keep current time
+          </button>
+          <button
+            onClick={submitHandler}
+            disabled={isSaving || !selectedDate || !selectedTimeSlot}
+            className="flex-1 py-2 rounded-md bg-primaryColor text-white disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Reschedule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleModal;
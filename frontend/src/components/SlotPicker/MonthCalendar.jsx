@@ -0,0 +1,132 @@
+/* eslint-disable react/prop-types */
+/**
+ * Month Calendar Component
+ *
+ * Month grid used by the SlotPicker to choose a session date. Only days
+ * with something bookable can be clicked; every other day is greyed out,
+ * so clients never pick a date the trainer isn't available on.
+ *
+ * FEATURES:
+ * - Weeks start on Monday
+ * - Previous/next month buttons, limited to the bookable range
+ * - Highlights the selected date
+ *
+ * PROPS:
+ * - availableDates: Dates that can be picked (YYYY-MM-DD strings)
+ * - selectedDate: Currently selected date (YYYY-MM-DD)
+ * - minDate: First date that can be shown (YYYY-MM-DD)
+ * - maxDate: Last date that can be shown (YYYY-MM-DD)
+ * - onSelect: Called with the picked date (YYYY-MM-DD)
+ */
+
+import { useState } from 'react';
+import { AiOutlineLeft, AiOutlineRight } from 'react-icons/ai';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Calendar arithmetic is done on UTC dates so date keys never shift with the viewer's offset
+const toKey = (date) => date.toISOString().split('T')[0];
+const toMonthStart = (dateKey) => new Date(`${dateKey.slice(0, 7)}-01T00:00:00Z`);
+
+const MonthCalendar = ({ availableDates, selectedDate, minDate, maxDate, onSelect }) => {
+  // Open on the selected date's month, otherwise the first month with a bookable day
+  const [month, setMonth] = useState(() =>
+    toMonthStart(selectedDate || availableDates?.[0] || minDate)
+  );
+
+  const available = new Set(availableDates || []);
+
+  /**
+   * Build the Days Shown for the Month
+   *
+   * Pads the first week with blanks so each date sits under its weekday.
+   *
+   * @returns {Array} - Date keys for the month, with null for blank cells
+   */
+  const getDays = () => {
+    const leadingBlanks = (month.getUTCDay() + 6) % 7; // Monday = 0
+    const days = Array(leadingBlanks).fill(null);
+
+    const date = new Date(month);
+    while (date.getUTCMonth() === month.getUTCMonth()) {
+      days.push(toKey(date));
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return days;
+  };
+
+  const changeMonth = (offset) => {
+    const next = new Date(month);
+    next.setUTCMonth(next.getUTCMonth() + offset);
+    setMonth(next);
+  };
+
+  const monthKey = toKey(month).slice(0, 7);
+  const canGoBack = !minDate || monthKey > minDate.slice(0, 7);
+  const canGoForward = !maxDate || monthKey < maxDate.slice(0, 7);
+
+  return (
+    <div className="mt-2 border border-gray-300 rounded-md p-3">
+      {/* MONTH NAVIGATION */}
+      <div className="flex items-center justify-between mb-2">
+        <button
+          type="button"
+          onClick={() => changeMonth(-1)}
+          disabled={!canGoBack}
+          className="p-1 rounded text-headingColor disabled:opacity-30"
+          aria-label="Previous month"
+        >
+          <AiOutlineLeft />
+        </button>
+        <p className="text-[15px] font-semibold text-headingColor">
+          {month.toLocaleDateString('en-AU', { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+        </p>
+        <button
+          type="button"
+          onClick={() => changeMonth(1)}
+          disabled={!canGoForward}
+          className="p-1 rounded text-headingColor disabled:opacity-30"
+          aria-label="Next month"
+        >
+          <AiOutlineRight />
+        </button>
+      </div>
+
+      {/* WEEKDAY HEADINGS */}
+      <div className="grid grid-cols-7 gap-1 text-center text-[12px] text-gray-500 mb-1">
+        {WEEKDAYS.map(day => <span key={day}>{day}</span>)}
+      </div>
+
+      {/* DAYS - unavailable days are greyed out and can't be picked */}
+      <div className="grid grid-cols-7 gap-1">
+        {getDays().map((day, index) => {
+          if (!day) return <span key={`blank-${index}`} />;
+
+          const isAvailable = available.has(day);
+          const isSelected = day === selectedDate;
+
+          return (
+            <button
+              key={day}
+              type="button"
+              disabled={!isAvailable}
+              onClick={() => onSelect(day)}
+              className={`h-9 rounded text-[14px] transition-colors ${
+                isSelected
+                  ? 'bg-primaryColor text-white font-semibold'
+                  : isAvailable
+                    ? 'text-headingColor font-medium hover:bg-blue-50'
+                    : 'text-gray-300 cursor-not-allowed'
+              }`}
+            >
+              {Number(day.slice(8))}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MonthCalendar;
@@ -0,0 +1,264 @@
+/* eslint-disable react/prop-types */
+/**
+ * Slot Picker Component
+ *
+ * Date and time slot selection for a trainer's schedule. Shared by the
+ * booking side panel and the reschedule dialog so both apply the same rules.
+ * The bookable slots come from the trainer's public availability endpoint,
+ * which generates them from the trainer's weekly slots and availability
+ * windows and applies blackouts, extra slots and existing bookings.
+ *
+ * FEATURES:
+ * - Lists the weekdays the trainer is available on, plus upcoming days off and extra dates
+ * - Month calendar where only dates with an open slot can be picked
+ * - Time slot list for the selected date, showing only slots that can be bought
+ * - Optionally lists the date's taken slots separately so clients can waitlist them
+ * - Shows a slot's own price when it differs from the standard price
+ * - Shows places left in group classes
+ * - Slot times are the trainer's; clients in another time zone also see their local time
+ *
+ * PROPS:
+ * - availability: Slots per date from the availability endpoint
+ *   ([{date, slots: [{day, startingTime, endingTime, price?, startsAt, endsAt, capacity, status, spotsLeft}]}])
+ * - showTakenSlots: List held and booked slots (selectable, e.g. to join the waitlist)
+ * - availabilityExceptions: Optional date-specific blackouts and extra slots ({date, type, startingTime?, endingTime?})
+ * - timeZone: Trainer's time zone, which the slot times are written in
+ * - ticketPrice: Trainer's standard session price
+ * - selectedDate: Currently selected date (YYYY-MM-DD)
+ * - selectedTimeSlot: Currently selected time slot object
+ * - onDateChange: Called with the new date; the slot selection should be reset
+ * - onTimeSlotChange: Called with the chosen time slot
+ */
+
+import convertTime from '../../utils/convertTime';
+import { formatSessionTime, getLocalDateKey, getLocalTimeZone } from '../../utils/formatSessionTime';
+import MonthCalendar from './MonthCalendar';
+
+const SlotPicker = ({ availability, availabilityExceptions, timeZone, showTakenSlots, ticketPrice, selectedDate, selectedTimeSlot, onDateChange, onTimeSlotChange }) => {
+  /**
+   * Get Slots for a Date
+   *
+   * @param {string} dateString - Date in YYYY-MM-DD format
+   * @returns {Array} - Slots on the date, whatever their status (empty if none)
+   */
+  const getSlotsForDate = (dateString) => {
+    return (availability || []).find(day => day.date === dateString)?.slots || [];
+  };
+
+  // Held slots may free up again, but right now only open ones can be bought
+  const isOpen = (slot) => slot.status === 'open';
+
+  /**
+   * Extract Available Days from Trainer's Schedule
+   *
+   * Works out which days of the week the trainer has slots on from the
+   * dates listed by the availability endpoint.
+   *
+   * @returns {Array} - Array of available day names (lowercase)
+   */
+  const getAvailableDays = () => {
+    const weekOrder = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const days = new Set((availability || []).flatMap(day => day.slots.map(slot => slot.day?.toLowerCase())));
+
+    return weekOrder.filter(day => days.has(day));
+  };
+
+
+  /**
+   * Safe Time Conversion Utility
+   *
+   * Converts time format with error handling to prevent app crashes
+   * from malformed time data.
+   *
+   * @param {string} time - Time string to convert
+   * @returns {string} - Formatted time or fallback message
+   */
+  const safeConvertTime = (time) => {
+    if (!time || time === '') return 'Not set';
+    try {
+      return convertTime(time);
+    } catch (error) {
+      return 'Invalid time';
+    }
+  };
+
+  /**
+   * Describe Places Left
+   *
+   * @param {Object} slot - Time slot on the selected date
+   * @returns {string} - Label such as "3 spots left", or '' for a free one-to-one slot
+   */
+  const getSpotsLabel = (slot) => {
+    // One-to-one slots are simply free, group classes show how many places remain
+    if (!slot.capacity || slot.capacity === 1) return '';
+    return `${slot.spotsLeft} ${slot.spotsLeft === 1 ? 'spot' : 'spots'} left`;
+  };
+
+  // Slots are matched by starting time, which stays the same when availability is re-fetched
+  const isSelected = (slot) => selectedTimeSlot?.startingTime === slot.startingTime;
+
+  // Local calendar date - toISOString would give tomorrow's date late in the evening east of UTC
+  const today = getLocalDateKey();
+  const lastDate = availability?.[availability.length - 1]?.date;
+
+  // Clients in another time zone see each slot in their own local time as well
+  const isOtherTimeZone = Boolean(timeZone) && timeZone !== getLocalTimeZone();
+
+  // Upcoming days off and one-off extra dates, listed under the weekdays
+  const upcomingExceptions = (availabilityExceptions || []).filter(exception => exception.date >= today);
+  const daysOff = [...new Set(upcomingExceptions
+    .filter(exception => exception.type === 'blackout' && !exception.startingTime)
+    .map(exception => exception.date))].sort();
+  const extraDates = [...new Set(upcomingExceptions
+    .filter(exception => exception.type === 'extra')
+    .map(exception => exception.date))].sort();
+
+  // Dates with at least one slot that can be bought
+  const availableDates = (availability || [])
+    .filter(day => day.slots.some(isOpen))
+    .map(day => day.date);
+
+  const hasNoTimeSlots = availableDates.length === 0;
+  const visibleSlots = selectedDate ? getSlotsForDate(selectedDate).filter(isOpen) : [];
+  const takenSlots = selectedDate && showTakenSlots ? getSlotsForDate(selectedDate).filter(slot => !isOpen(slot)) : [];
+
+  return (
+    <div>
+      {/* DATE SELECTION SECTION */}
+      <div className="mt-[30px]">
+        <p className="text__para mt-0 font-semibold text-headingColor">Select Date:</p>
+
+        {/* Display available days to guide user selection */}
+        {getAvailableDays().length > 0 && (
+          <div className="mt-1 mb-2">
+            <p className="text-xs text-gray-600">
+              Available on: {getAvailableDays().map(day =>
+                day.charAt(0).toUpperCase() + day.slice(1)
+              ).join(', ')}
+            </p>
+          </div>
+        )}
+
+        {/* Date-specific changes to the weekly schedule */}
+        {extraDates.length > 0 && (
+          <p className="text-xs text-green-700">Extra sessions on: {extraDates.join(', ')}</p>
+        )}
+        {daysOff.length > 0 && (
+          <p className="text-xs text-red-600">Not available on: {daysOff.join(', ')}</p>
+        )}
+
+        {/* Slot times are the trainer's wall-clock times */}
+        {isOtherTimeZone && (
+          <p className="text-xs text-gray-600">Times are in the trainer&apos;s time zone ({timeZone})</p>
+        )}
+
+        {/* Calendar - only dates with an open slot can be picked */}
+        {!hasNoTimeSlots && (
+          <MonthCalendar
+            availableDates={availableDates}
+            selectedDate={selectedDate}
+            minDate={today}
+            maxDate={lastDate} // Availability is only listed a few months ahead
+            onSelect={onDateChange}
+          />
+        )}
+
+        {/* Warning message for trainers with no open slots */}
+        {hasNoTimeSlots && (
+          <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded-md">
+            <p className="text-yellow-700 text-xs">
+              ⚠️ No available dates - trainer has no open time slots
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* TIME SLOT SELECTION SECTION */}
+      <div className="mt-[30px]">
+        <p className="text__para mt-0 font-semibold text-headingColor">Available Time Slots:</p>
+        {!selectedDate && !hasNoTimeSlots && (
+          <p className="mt-2 text-[13px] text-gray-500">Select a date to see its time slots.</p>
+        )}
+        <div className="mt-3 space-y-2">
+          {visibleSlots.map(item => (
+            <div
+              key={item.startingTime}
+              className={`p-3 border rounded-md cursor-pointer transition-colors ${
+                isSelected(item)
+                  ? 'border-primaryColor bg-blue-50'  // Highlight selected slot
+                  : 'border-gray-300 hover:border-gray-400'  // Default styling
+              }`}
+              onClick={() => onTimeSlotChange(item)}
+            >
+              <div className="flex items-center justify-between">
+                {/* Display day and time information */}
+                <div className="flex flex-col">
+                  <p className="text-[15px] leading-6 text-textColor font-semibold">
+                    {item.day ? item.day.charAt(0).toUpperCase() + item.day.slice(1) : 'Not set'}
+                  </p>
+                  <p className="text-[13px] leading-5 text-gray-500">
+                    {safeConvertTime(item.startingTime)} - {safeConvertTime(item.endingTime)}
+                  </p>
+                  {/* Same slot in the client's own time zone */}
+                  {isOtherTimeZone && item.startsAt && (
+                    <p className="text-[12px] leading-5 text-gray-500">
+                      Your time: {formatSessionTime(item)}
+                    </p>
+                  )}
+                  {/* Places left on the selected date */}
+                  {getSpotsLabel(item) && (
+                    <p className="text-[12px] leading-5 font-medium text-green-600">
+                      {getSpotsLabel(item)}
+                    </p>
+                  )}
+                </div>
+                {/* Slot-specific price, shown only when it differs from the standard price */}
+                {Number(item.price) > 0 && Number(item.price) !== Number(ticketPrice) && (
+                  <span className="text-[14px] text-headingColor font-semibold">${item.price}</span>
+                )}
+              </div>
+              {/* Selection indicator */}
+              {isSelected(item) && (
+                <div className="mt-1">
+                  <span className="text-primaryColor text-sm font-medium">✓ Selected</span>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Taken slots on the selected date - can be picked to join the waitlist */}
+        {takenSlots.length > 0 && (
+          <div className="mt-3">
+            <p className="text-[13px] text-gray-500">Fully booked at:</p>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {takenSlots.map(item => (
+                <button
+                  key={item.startingTime}
+                  type="button"
+                  onClick={() => onTimeSlotChange(item)}
+                  className={`px-2 py-1 rounded border text-[12px] ${
+                    isSelected(item) ? 'border-primaryColor text-primaryColor' : 'border-gray-300 text-gray-500'
+                  }`}
+                >
+                  {safeConvertTime(item.startingTime)} {item.status === 'held' ? '(being booked)' : ''}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* No time slots available warning */}
+        {hasNoTimeSlots && (
+          <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+            <p className="text-yellow-700 text-sm font-medium">
+              ⚠️ No time slots available for booking
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SlotPicker;
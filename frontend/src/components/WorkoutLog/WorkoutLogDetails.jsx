@@ -0,0 +1,74 @@
+/* eslint-disable react/prop-types */
+/**
+ * Workout Log Details Component
+ *
+ * Shows what was done in one session: each exercise with its sets (reps
+ * and load) and the trainer's notes. Used in the client's workout history
+ * and in the trainer's log editor to look back at earlier sessions.
+ * Private notes are only in logs loaded by the trainer, so they only
+ * ever show up on the trainer's side.
+ *
+ * PROPS:
+ * - log: Workout log ({sessionStart, exercises, notes, privateNotes?, trainer?})
+ * - timeZone: Time zone the session time is shown in (defaults to the viewer's)
+ */
+
+import { formatDate } from '../../utils/formatDate';
+import { formatInstantTime } from '../../utils/formatSessionTime';
+
+/**
+ * Describe one set, e.g. "8 reps @ 60 kg"
+ */
+const formatSet = (set) => {
+  const reps = set.reps !== undefined && set.reps !== null ? `${set.reps} reps` : '';
+  const load = set.load ? `${set.load} kg` : '';
+  return reps && load ? `${reps} @ ${load}` : reps || load;
+};
+
+const WorkoutLogDetails = ({ log, timeZone }) => {
+  return (
+    <div className="p-4 border border-solid border-gray-200 rounded-md">
+      <div className="flex items-center justify-between gap-3">
+        <h4 className="text-[16px] leading-7 text-headingColor font-bold">
+          {log.sessionStart
+            ? `${formatDate(log.sessionStart)}, ${formatInstantTime(log.sessionStart, timeZone)}`
+            : formatDate(log.createdAt)}
+        </h4>
+        {log.trainer?.name && (
+          <span className="text-[14px] text-textColor">with {log.trainer.name}</span>
+        )}
+      </div>
+
+      {log.exercises?.length > 0 ? (
+        <ul className="mt-2 space-y-2">
+          {log.exercises.map((exercise, index) => (
+            <li key={index} className="text-[14px]">
+              <span className="text-headingColor font-semibold">{exercise.name}</span>
+              {exercise.sets?.length > 0 && (
+                <span className="text-textColor">: {exercise.sets.map(formatSet).join(', ')}</span>
+              )}
+              {exercise.notes && (
+                <div className="text-[12px] text-gray-500">{exercise.notes}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2 text-[14px] text-textColor">No exercises logged.</p>
+      )}
+
+      {log.notes && (
+        <p className="mt-3 text-[14px] text-textColor whitespace-pre-line">{log.notes}</p>
+      )}
+
+      {/* Only present in logs loaded by the trainer */}
+      {log.privateNotes && (
+        <p className="mt-3 p-2 rounded bg-yellow-50 text-[13px] text-yellow-800 whitespace-pre-line">
+          <span className="font-semibold">Private: </span>{log.privateNotes}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WorkoutLogDetails;
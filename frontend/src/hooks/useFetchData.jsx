@@ -5,12 +5,13 @@
  * - API data fetching with loading states
  * - Error handling and user feedback
  * - Automatic re-fetching when URL changes
+ * - Manual re-fetching after the data has been changed (e.g. a booking cancelled)
  * - Authentication token management
  * 
  * Used throughout the app for consistent data fetching patterns.
  * 
  * @param {string} url - The API endpoint to fetch data from
- * @returns {Object} - Contains data, loading state, and error state
+ * @returns {Object} - Contains data, loading state, error state and a refetch function
  */
 
 import { useEffect, useState } from 'react'
@@ -20,11 +21,13 @@ const useFetchData = (url) => {
   const [data, setData] = useState([])      // Fetched data
   const [loading, setLoading] = useState(false)  // Loading indicator
   const [error, setError] = useState(null)       // Error state
+  const [reloadCount, setReloadCount] = useState(0) // Bumped to force a re-fetch
 
   useEffect(() => {
     // Function to fetch data from API
     const fetchData = async () => {
       setLoading(true)  // Show loading spinner
+      setError(null)    // Clear any error from a previous fetch
       
       try {
         // Get token from localStorage dynamically instead of importing from config
@@ -57,13 +60,17 @@ const useFetchData = (url) => {
 
     // Trigger data fetch when component mounts or URL changes
     fetchData()
-  }, [url])  // Re-run effect when URL changes
+  }, [url, reloadCount])  // Re-run effect when URL changes or a refetch is requested
+
+  // Fetch the same URL again, e.g. after the data was updated on the server
+  const refetch = () => setReloadCount(count => count + 1)
 
   // Return data and states for component consumption
   return {
     data,
     loading,
     error,
+    refetch,
   }
 }
 
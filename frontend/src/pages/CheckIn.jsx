@@ -0,0 +1,83 @@
+/**
+ * Check-In Page
+ *
+ * Opened by scanning a trainer's check-in QR code at the gym. The link
+ * carries the trainer and a signature proving it came from their current
+ * code; the page checks the logged-in client in to their session with
+ * that trainer. Clients who aren't logged in are sent to log in first and
+ * brought back here.
+ *
+ * URL: /check-in/:trainerId?sig=<signature>
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { BASE_URL } from '../config';
+import Loader from '../components/Loader/Loader';
+
+const CheckIn = () => {
+  const { trainerId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('checking'); // checking, done or failed
+  const [message, setMessage] = useState('');
+  // Development mode runs effects twice - only check in once
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+
+    const checkIn = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const res = await fetch(`${BASE_URL}bookings/check-in`, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ trainerId, sig: searchParams.get('sig') })
+        });
+
+        const result = await res.json();
+        setStatus(res.ok ? 'done' : 'failed');
+        setMessage(result.message);
+      } catch (err) {
+        setStatus('failed');
+        setMessage('Could not reach the server. Please try scanning the code again.');
+      }
+    };
+
+    checkIn();
+  }, [trainerId, searchParams]);
+
+  return (
+    <div className="bg-gray-100 h-screen">
+      <div className="bg-white p-6 md:mx-auto text-center">
+        {status === 'checking' ? (
+          <div className="py-10">
+            <Loader />
+          </div>
+        ) : (
+          <>
+            <h3 className={`md:text-2xl text-base font-semibold my-6 ${status === 'done' ? 'text-green-600' : 'text-red-600'}`}>
+              {status === 'done' ? 'Checked in!' : "Couldn't check you in"}
+            </h3>
+            <p className="text-gray-600 my-2">{message}</p>
+          </>
+        )}
+
+        <div className="py-10 text-center">
+          <Link
+            to="/users/profile/me"
+            className="px-12 bg-buttonBgColor text-white font-semibold py-3"
+          >
+            My Bookings
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
@@ -18,7 +18,7 @@
  * 2. Form submits to backend authentication endpoint
  * 3. Backend validates credentials and returns user data + JWT token
  * 4. Context state updates with user information
- * 5. User redirected to home page
+ * 5. User redirected to home page, or back to the protected page that sent them to log in
  * 
  * SECURITY:
  * - Password field properly masked
@@ -27,7 +27,7 @@
  */
 
 import React, { useState, useContext } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { BASE_URL } from '../config';
 import { toast } from 'react-toastify';
 import { authContext } from '../context/AuthContext.jsx';
@@ -50,6 +50,9 @@ const Login = () => {
   
   // Navigation hook for post-login redirection
   const navigate = useNavigate();
+  // Protected pages pass the page to return to, e.g. a check-in link opened by a QR code
+  const location = useLocation();
+  const from = location.state?.from;
   
   // Authentication context for global state management
   const { dispatch } = useContext(authContext);
@@ -128,7 +131,7 @@ const Login = () => {
         // Success flow: stop loading, show success message, redirect
         setLoading(false);
         toast.success(result.message);
-        navigate('/home');
+        navigate(from ? `${from.pathname}${from.search}` : '/home');
   
       } catch (err) {
         // Error handling: show error message and stop loading
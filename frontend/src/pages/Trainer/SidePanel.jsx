@@ -1,19 +1,30 @@
+/* eslint-disable react/prop-types */
 /**
  * Trainer Booking Side Panel Component
  * 
  * This component handles the complete booking flow for personal training sessions:
  * 
  * FEATURES:
- * - Date selection with trainer availability validation
- * - Time slot selection based on trainer's schedule
+ * - Date and time slot selection via the shared SlotPicker, from the trainer's open slots
  * - Booking summary with selected details
  * - Integration with Stripe for payment processing
+ * - Slot is held on the server while the client completes payment
+ * - Optional weekly repeat to book the same slot for several weeks in one checkout
+ * - Prepaid session packages to buy, and booking with credits instead of paying
+ * - Paying at the session instead of online, for trainers who allow it
+ * - Promo codes, checked before checkout and taken off each session's price
+ * - Waitlist option when the selected slot is already taken
+ * - Places left in group classes on the selected date
+ * - Session time in the client's own time zone when it differs from the trainer's
  * - User authentication and authorization checks
  * 
  * PROPS:
  * - trainerId: Unique identifier for the trainer being booked
  * - ticketPrice: Cost per training session
- * - timeSlots: Array of available time slots with days and times
+ * - availabilityExceptions: Trainer's blackout dates and one-off extra slots
+ * - timeZone: Trainer's time zone, which the time slots are written in
+ * - sessionPackages: Prepaid bundles the trainer sells ({_id, name, sessions, price, validityDays})
+ * - allowPayAtSession: Whether clients may book now and pay the trainer in person
  * 
  * BUSINESS LOGIC:
  * - Only allows booking on days when trainer is available
@@ -22,14 +33,18 @@
  * - Validates date and time slot selection before payment
  */
 
-import React, { useContext, useState } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import convertTime from '../../utils/convertTime';
 import { BASE_URL } from './../../config';
 import { toast } from 'react-toastify';
 import { authContext } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import SlotPicker from '../../components/SlotPicker/SlotPicker';
+import useFetchData from '../../hooks/useFetchData';
+import { getAvailabilityUrl } from '../../utils/getAvailabilityUrl';
+import { formatSessionDate, formatSessionTime, getLocalTimeZone } from '../../utils/formatSessionTime';
 
-const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
+const SidePanel = ({trainerId, ticketPrice, availabilityExceptions, timeZone, sessionPackages, allowPayAtSession}) => {
   // Authentication context for user state and permissions
   const { role, user, token } = useContext(authContext);
   const navigate = useNavigate();
@@ -38,99 +53,133 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
   const [isBooking, setIsBooking] = useState(false);           // Booking process state
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null); // Selected time slot
   const [selectedDate, setSelectedDate] = useState('');           // Selected booking date
+  const [weeks, setWeeks] = useState(1);                          // Number of weekly sessions to book
+  const [credits, setCredits] = useState(0);                      // Client's session credits with this trainer
+  const [slotUnavailable, setSlotUnavailable] = useState(false);  // Selected slot turned out to be taken
+  const [payAtSession, setPayAtSession] = useState(false);        // Pay the trainer in person instead of online
+  const [promoInput, setPromoInput] = useState('');               // Promo code as typed
+  const [promo, setPromo] = useState(null);                       // Applied code ({code, description, discount, price})
+  const [isCheckingPromo, setIsCheckingPromo] = useState(false);  // Promo code check in progress
 
   /**
-   * Extract Available Days from Trainer's Schedule
+   * Load Session Credit Balance
    * 
-   * Processes the trainer's time slots to determine which days
-   * of the week they are available for bookings.
+   * Logged-in clients who bought a session package with this trainer can
+   * book with their credits instead of paying through Stripe.
+   */
+  useEffect(() => {
+    if (!token || role !== 'client') return;
+
+    const fetchCredits = async () => {
+      try {
+        const res = await fetch(`${BASE_URL}users/credits/me`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        const result = await res.json();
+
+        if (!res.ok) throw new Error(result.message);
+
+        const balance = result.data.balances.find(item => item.trainer._id === trainerId);
+        setCredits(balance?.credits || 0);
+      } catch (err) {
+        // Without a balance the client simply pays through Stripe
+        setCredits(0);
+      }
+    };
+
+    fetchCredits();
+  }, [token, role, trainerId]);
+
+  /**
+   * Load Open Slots
    * 
-   * @returns {Array} - Array of available day names (lowercase)
+   * The trainer's bookable slots for the next few months, generated on the
+   * server from their schedule with existing bookings taken off. Group
+   * classes show how many spots remain; full slots are marked so clients
+   * can join the waitlist instead.
    */
-  const getAvailableDays = () => {
-    if (!timeSlots || timeSlots.length === 0) return [];
-    
-    // Extract day names from time slots and filter out empty values
-    return timeSlots.map(slot => slot.day?.toLowerCase()).filter(Boolean);
-  };
+  const {
+    data: availability,
+    loading: availabilityLoading,
+    refetch: refetchAvailability,
+  } = useFetchData(getAvailabilityUrl(trainerId));
 
   /**
-   * Date Availability Checker
+   * Date Change Handler
    * 
-   * Determines if a specific date is available for booking
-   * by checking if it falls on one of the trainer's available days.
+   * Stores the date picked in the slot picker and resets the time slot
+   * selection to avoid keeping a slot from a different weekday.
    * 
-   * @param {string} dateString - Date in YYYY-MM-DD format
-   * @returns {boolean} - True if date is available for booking
+   * @param {string} date - Selected date in YYYY-MM-DD format
    */
-  const isDateAvailable = (dateString) => {
-    const availableDays = getAvailableDays();
-    if (availableDays.length === 0) return false;
-    
-    // Convert date to day name and check availability
-    const date = new Date(dateString);
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    
-    return availableDays.includes(dayName);
+  const handleDateChange = (date) => {
+    setSelectedDate(date);
+    setSelectedTimeSlot(null);
+    setSlotUnavailable(false);
+    setPromo(null);
   };
 
   /**
-   * Generate Available Dates for Next 3 Months
-   * 
-   * Creates a list of all available booking dates by:
-   * 1. Getting trainer's available days
-   * 2. Iterating through next 3 months
-   * 3. Including only dates that match available days
+   * Time Slot Change Handler
    * 
-   * @returns {Array} - Array of available dates in YYYY-MM-DD format
+   * @param {Object} slot - Time slot chosen in the slot picker
    */
-  const getAvailableDates = () => {
-    const availableDays = getAvailableDays();
-    if (availableDays.length === 0) return [];
-
-    const dates = [];
-    const today = new Date();
-    const threeMonthsFromNow = new Date();
-    threeMonthsFromNow.setMonth(today.getMonth() + 3);
-
-    // Start checking from tomorrow
-    const currentDate = new Date(today);
-    currentDate.setDate(currentDate.getDate() + 1);
-
-    // Iterate through dates and add available ones
-    while (currentDate <= threeMonthsFromNow) {
-      const dayName = currentDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-      
-      if (availableDays.includes(dayName)) {
-        dates.push(new Date(currentDate).toISOString().split('T')[0]);
-      }
-      
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    return dates;
+  const handleTimeSlotChange = (slot) => {
+    setSelectedTimeSlot(slot);
+    // A held or booked slot can't be paid for, but its waitlist can be joined
+    setSlotUnavailable(slot.status !== 'open');
+    // Slots can have their own price, so the code is checked again
+    setPromo(null);
   };
 
   /**
-   * Date Change Handler with Validation
-   * 
-   * Handles date selection and validates availability:
-   * - Checks if selected date is available for the trainer
-   * - Resets time slot selection when date changes
-   * - Shows error message for unavailable dates
+   * Apply Promo Code Handler
    * 
-   * @param {Event} e - Date input change event
+   * Checks the code for the selected slot and shows the discounted price.
+   * The server checks it again when the booking is made.
    */
-  const handleDateChange = (e) => {
-    const selectedDateValue = e.target.value;
-    
-    if (isDateAvailable(selectedDateValue)) {
-      setSelectedDate(selectedDateValue);
-      // Reset time slot when date changes to avoid conflicts
-      setSelectedTimeSlot(null);
-    } else {
-      toast.error('This date is not available. Please select a date when the trainer is available.');
-      e.target.value = '';
+  const applyPromoHandler = async () => {
+    if (!token) {
+      toast.info('Please login to use a promo code');
+      navigate('/login');
+      return;
+    }
+
+    if (!selectedTimeSlot || !selectedDate) {
+      toast.error('Please select a time slot first');
+      return;
+    }
+
+    setIsCheckingPromo(true);
+
+    try {
+      const res = await fetch(`${BASE_URL}promo-codes/validate`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          code: promoInput,
+          trainerId,
+          timeSlot: selectedTimeSlot,
+          bookingDate: selectedDate
+        })
+      })
+
+      const data = await res.json()
+
+      if (!res.ok) {
+        throw new Error(data.message)
+      }
+
+      setPromo(data.data)
+      toast.success(data.message)
+    } catch (err) {
+      setPromo(null)
+      toast.error(err.message)
+    } finally {
+      setIsCheckingPromo(false);
     }
   };
 
@@ -188,17 +237,120 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
         },
         body: JSON.stringify({
           timeSlot: selectedTimeSlot,
-          bookingDate: selectedDate
+          bookingDate: selectedDate,
+          recurrence: weeks > 1 ? { weeks } : undefined,
+          payAtSession: payAtSession || undefined,
+          // Credits cover whole sessions, so codes only apply to paid bookings
+          promoCode: promo && !payWithCredits ? promo.code : undefined
         })
       })
 
       const data = await res.json()
 
+      // Slot already booked or in someone else's checkout - offer the waitlist
+      if (res.status === 409 && weeks === 1) {
+        setSlotUnavailable(true)
+      }
+
+      // Someone else got there first - show the latest places left
+      if (res.status === 409) {
+        refetchAvailability()
+      }
+
       if (!res.ok) {
         throw new Error(data.message + ' Please try again')
       }
 
       // Redirect to Stripe checkout page
+      if (data.session?.url) {
+        window.location.href = data.session.url
+        return
+      }
+
+      // Booked with session credits, or to pay at the session - nothing to pay now
+      toast.success(data.message)
+      navigate('/users/profile/me')
+    } catch (err) {
+      toast.error(err.message)
+      setIsBooking(false);
+    }
+  }
+
+  /**
+   * Join Waitlist Handler
+   * 
+   * Queues the client for the selected slot. If it frees up they get a
+   * time-limited offer to book it, shown in their account.
+   */
+  const waitlistHandler = async () => {
+    setIsBooking(true);
+
+    try {
+      const res = await fetch(`${BASE_URL}waitlist/${trainerId}`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          timeSlot: selectedTimeSlot,
+          bookingDate: selectedDate
+        })
+      })
+
+      const data = await res.json()
+
+      if (!res.ok) {
+        throw new Error(data.message)
+      }
+
+      toast.success(data.message)
+      setSlotUnavailable(false)
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setIsBooking(false);
+    }
+  }
+
+  /**
+   * Package Purchase Handler
+   * 
+   * Starts a Stripe checkout for a prepaid session package. The credits
+   * are added to the client's balance once payment succeeds.
+   * 
+   * @param {Object} sessionPackage - Package chosen by the client
+   */
+  const packageHandler = async (sessionPackage) => {
+    if (!token) {
+      toast.info('Please login to buy a session package');
+      navigate('/login');
+      return;
+    }
+
+    if (role !== 'client') {
+      toast.error('Only clients can buy session packages');
+      return;
+    }
+
+    setIsBooking(true);
+
+    try {
+      const res = await fetch(`${BASE_URL}bookings/packages/${trainerId}/checkout`, {
+        method: 'post',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ packageId: sessionPackage._id })
+      })
+
+      const data = await res.json()
+
+      if (!res.ok) {
+        throw new Error(data.message + ' Please try again')
+      }
+
       if (data.session?.url) {
         window.location.href = data.session.url
       }
@@ -227,13 +379,18 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
   };
 
   // Component state calculations for UI logic
+  // Choosing to pay in person takes precedence over the client's credits
+  const payWithCredits = credits >= weeks && !payAtSession;
+  const fullPrice = Number(selectedTimeSlot?.price) > 0 ? Number(selectedTimeSlot.price) : Number(ticketPrice);
+  const sessionPrice = promo && !payWithCredits ? promo.price : fullPrice;
   const isTrainer = role === 'trainer';
   const isSameTrainer = user?._id === trainerId;
-  const hasNoTimeSlots = !timeSlots || timeSlots.length === 0;
-  const availableDates = getAvailableDates();
+  // Nothing open in the coming months (weekly slots, windows or extra dates)
+  const hasNoTimeSlots = !availabilityLoading && (!availability || availability.length === 0);
   
   // Determine if booking button should be disabled
-  const shouldDisableButton = isTrainer || isSameTrainer || hasNoTimeSlots || isBooking || !selectedTimeSlot || !selectedDate;
+  const isSlotFull = Boolean(selectedTimeSlot) && selectedTimeSlot.status !== 'open';
+  const shouldDisableButton = isTrainer || isSameTrainer || hasNoTimeSlots || isBooking || !selectedTimeSlot || !selectedDate || isSlotFull;
 
   /**
    * Get Appropriate Disable Message
@@ -248,11 +405,10 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
     if (isSameTrainer) return "You cannot book your own session";
     if (hasNoTimeSlots) return "No available time slots";
     if (!selectedTimeSlot || !selectedDate) return "Please select time slot and date";
+    if (isSlotFull) return "This slot is fully booked";
     return "";
   };
 
-  const today = new Date().toISOString().split('T')[0];
-
   return (
     <div className="shadow-panelShadow p-3 lg:p-5 rounded-md">
       {/* PRICE DISPLAY SECTION */}
@@ -263,83 +419,33 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
         </span>
       </div>
 
-      {/* DATE SELECTION SECTION */}
-      <div className="mt-[30px]">
-        <p className="text__para mt-0 font-semibold text-headingColor">Select Date:</p>
-        
-        {/* Display available days to guide user selection */}
-        {getAvailableDays().length > 0 && (
-          <div className="mt-1 mb-2">
-            <p className="text-xs text-gray-600">
-              Available on: {getAvailableDays().map(day => 
-                day.charAt(0).toUpperCase() + day.slice(1)
-              ).join(', ')}
-            </p>
-          </div>
-        )}
-
-        {/* Date input with availability validation */}
-        <input
-          type="date"
-          value={selectedDate}
-          min={today}  // Prevent past date selection
-          onChange={handleDateChange}
-          className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:border-primaryColor"
-        />
-
-        {/* Warning message for trainers with no time slots */}
-        {availableDates.length === 0 && hasNoTimeSlots && (
-          <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded-md">
-            <p className="text-yellow-700 text-xs">
-              ⚠️ No available dates - trainer has no time slots configured
-            </p>
-          </div>
-        )}
-      </div>
+      {/* DATE AND TIME SLOT SELECTION */}
+      <SlotPicker
+        availabilityExceptions={availabilityExceptions}
+        availability={availability}
+        timeZone={timeZone}
+        showTakenSlots
+        ticketPrice={ticketPrice}
+        selectedDate={selectedDate}
+        selectedTimeSlot={selectedTimeSlot}
+        onDateChange={handleDateChange}
+        onTimeSlotChange={handleTimeSlotChange}
+      />
 
-      {/* TIME SLOT SELECTION SECTION */}
+      {/* WEEKLY REPEAT SECTION */}
+      {/* Books the same slot on the same weekday for consecutive weeks */}
       <div className="mt-[30px]">
-        <p className="text__para mt-0 font-semibold text-headingColor">Available Time Slots:</p>
-        <div className="mt-3 space-y-2">
-          {timeSlots?.map((item, index) => (
-            <div 
-              key={index} 
-              className={`p-3 border rounded-md cursor-pointer transition-colors ${
-                selectedTimeSlot === item 
-                  ? 'border-primaryColor bg-blue-50'  // Highlight selected slot
-                  : 'border-gray-300 hover:border-gray-400'  // Default styling
-              }`}
-              onClick={() => setSelectedTimeSlot(item)}
-            >
-              <div className="flex items-center justify-between">
-                {/* Display day and time information */}
-                <div className="flex flex-col">
-                  <p className="text-[15px] leading-6 text-textColor font-semibold">
-                    {item.day ? item.day.charAt(0).toUpperCase() + item.day.slice(1) : 'Not set'}
-                  </p>
-                  <p className="text-[13px] leading-5 text-gray-500">
-                    {safeConvertTime(item.startingTime)} - {safeConvertTime(item.endingTime)}
-                  </p>
-                </div>
-              </div>
-              {/* Selection indicator */}
-              {selectedTimeSlot === item && (
-                <div className="mt-1">
-                  <span className="text-primaryColor text-sm font-medium">✓ Selected</span>
-                </div>
-              )}
-            </div>
+        <p className="text__para mt-0 font-semibold text-headingColor">Repeat:</p>
+        <select
+          value={weeks}
+          onChange={e => setWeeks(Number(e.target.value))}
+          className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:border-primaryColor"
+        >
+          <option value={1}>Just this session</option>
+          {Array.from({ length: 11 }, (_, i) => i + 2).map(count => (
+            <option key={count} value={count}>Weekly for {count} weeks</option>
           ))}
-        </div>
-        
-        {/* No time slots available warning */}
-        {hasNoTimeSlots && (
-          <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
-            <p className="text-yellow-700 text-sm font-medium">
-              ⚠️ No time slots available for booking
-            </p>
-          </div>
-        )}
+        </select>
       </div>
 
       {/* BOOKING SUMMARY SECTION */}
@@ -351,12 +457,87 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
               weekday: 'long', 
               year: 'numeric', 
               month: 'long', 
-              day: 'numeric' 
+              day: 'numeric',
+              timeZone: 'UTC' // selectedDate is a calendar day, not a moment
             })}
           </p>
           <p className="text-sm text-green-600">
             Time: {safeConvertTime(selectedTimeSlot.startingTime)} - {safeConvertTime(selectedTimeSlot.endingTime)}
+            {timeZone && ` (${timeZone})`}
           </p>
+          {/* The same session in the client's own time zone */}
+          {selectedTimeSlot?.startsAt && timeZone && timeZone !== getLocalTimeZone() && (
+            <p className="text-sm text-green-600">
+              Your time: {formatSessionDate(selectedTimeSlot)}, {formatSessionTime(selectedTimeSlot)}
+            </p>
+          )}
+          {payAtSession ? (
+            <p className="text-sm text-green-600">
+              Pay ${sessionPrice} at {weeks > 1 ? `each of the ${weeks} sessions` : 'the session'}. The trainer confirms your booking.
+            </p>
+          ) : payWithCredits ? (
+            <p className="text-sm text-green-600">
+              Paid with {weeks} session {weeks > 1 ? 'credits' : 'credit'} ({credits - weeks} left after booking)
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-green-600">
+                Price: {promo && <span className="line-through mr-1">${fullPrice}</span>}${sessionPrice}
+                {weeks > 1 && ` × ${weeks} weeks = $${(sessionPrice * weeks).toFixed(2)}`}
+              </p>
+              {promo && (
+                <p className="text-sm text-green-600">
+                  {promo.code}: {promo.description}{weeks > 1 && ' each session'}
+                </p>
+              )}
+              <p className="text-xs text-green-600 mt-1">
+                {weeks > 1 ? 'These slots' : 'This slot'} will be held for you for 30 minutes while you complete payment.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* PAYMENT OPTION SECTION */}
+      {/* Trainers who take cash or bank transfer let clients skip online payment */}
+      {allowPayAtSession && (
+        <label className="flex items-center gap-2 mt-4 text-sm text-headingColor">
+          <input
+            type="checkbox"
+            checked={payAtSession}
+            onChange={e => setPayAtSession(e.target.checked)}
+          />
+          Pay at the session instead of online
+        </label>
+      )}
+
+      {/* PROMO CODE SECTION */}
+      {/* Not offered when booking with credits, which already cover the session */}
+      {!isTrainer && !payWithCredits && (
+        <div className="mt-4">
+          <p className="text__para mt-0 font-semibold text-headingColor">Promo code:</p>
+          <div className="flex gap-2 mt-2">
+            <input
+              type="text"
+              value={promoInput}
+              onChange={e => {
+                setPromoInput(e.target.value.toUpperCase());
+                setPromo(null);
+              }}
+              placeholder="Enter code"
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:border-primaryColor"
+            />
+            <button
+              onClick={applyPromoHandler}
+              disabled={!promoInput.trim() || isCheckingPromo || isBooking}
+              className="px-3 py-2 rounded-md text-white bg-primaryColor disabled:opacity-50"
+            >
+              {isCheckingPromo ? 'Checking...' : 'Apply'}
+            </button>
+          </div>
+          {promo && (
+            <p className="text-xs text-green-600 mt-1">{promo.code} applied - {promo.description}</p>
+          )}
         </div>
       )}
 
@@ -375,9 +556,56 @@ const SidePanel = ({trainerId, ticketPrice, timeSlots}) => {
         </div>
       ) : (
         <button onClick={bookingHandler} className="btn px-2 w-full rounded-md mt-4">
-          {isBooking ? 'Processing...' : 'Book Session'}
+          {isBooking ? 'Processing...' : payWithCredits ? 'Book with Credits' : payAtSession ? 'Request Booking' : 'Book Session'}
         </button>
       )}
+
+      {/* WAITLIST SECTION */}
+      {/* Shown after a booking attempt found the selected slot taken */}
+      {slotUnavailable && (
+        <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-yellow-700 text-sm">
+            This slot is taken. Join the waitlist and you will get a chance to book it if it frees up.
+          </p>
+          <button
+            onClick={waitlistHandler}
+            disabled={isBooking}
+            className="mt-2 w-full py-2 rounded-md text-white bg-primaryColor disabled:opacity-50"
+          >
+            Join Waitlist
+          </button>
+        </div>
+      )}
+
+      {/* SESSION PACKAGES SECTION */}
+      {/* Prepaid bundles - credits are redeemed one per session without paying again */}
+      {sessionPackages?.length > 0 && !isTrainer && (
+        <div className="mt-[30px]">
+          <p className="text__para mt-0 font-semibold text-headingColor">Session Packages:</p>
+          {credits > 0 && (
+            <p className="text-xs text-gray-600 mt-1">You have {credits} session {credits === 1 ? 'credit' : 'credits'} with this trainer</p>
+          )}
+          <div className="mt-3 space-y-2">
+            {sessionPackages.map(item => (
+              <div key={item._id} className="p-3 border border-gray-300 rounded-md flex items-center justify-between">
+                <div>
+                  <p className="text-[15px] leading-6 text-textColor font-semibold">{item.name}</p>
+                  <p className="text-[13px] leading-5 text-gray-500">
+                    {item.sessions} sessions · valid {item.validityDays} days
+                  </p>
+                </div>
+                <button
+                  onClick={() => packageHandler(item)}
+                  disabled={isBooking}
+                  className="px-3 py-1 rounded-md text-white bg-primaryColor disabled:opacity-50"
+                >
+                  ${item.price}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
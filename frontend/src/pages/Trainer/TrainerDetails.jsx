@@ -70,7 +70,10 @@ const TrainerDetails = () => {
     name,
     qualifications,
     experiences,
-    timeSlots,
+    availabilityExceptions,
+    timeZone,
+    sessionPackages,
+    allowPayAtSession,
     reviews,
     bio,
     about,
@@ -229,7 +232,10 @@ const TrainerDetails = () => {
               <SidePanel 
                 trainerId={trainer._id}
                 ticketPrice={ticketPrice}
-                timeSlots={timeSlots}
+                availabilityExceptions={availabilityExceptions}
+                timeZone={timeZone}
+                sessionPackages={sessionPackages}
+                allowPayAtSession={allowPayAtSession}
               />
             </div>
           </div>
@@ -1,13 +1,14 @@
 /* eslint-disable react/prop-types */
 import { useContext } from "react";
-import { Navigate } from "react-router-dom";
+import { Navigate, useLocation } from "react-router-dom";
 import { authContext } from "../context/AuthContext";
 
 /**
  * ProtectedRoute Component
  * This component ensures that only authenticated users with the correct roles
  * can access certain routes. If the user is not authorized, they will be redirected
- * to the login page.
+ * to the login page, which brings them back here after they log in (e.g. to
+ * the check-in page a QR code opened).
  *
  * @param {Object} props - Component props
  * @param {ReactNode} props.children - The protected content to render if authorized
@@ -16,6 +17,7 @@ import { authContext } from "../context/AuthContext";
 const ProtectedRoutes = ({ children, allowedRoles }) => {
   // Get authentication data (token & role) from the AuthContext
   const { token, role } = useContext(authContext);
+  const location = useLocation();
 
   // Check if the user's role is allowed
   const isAllowed = allowedRoles.includes(role);
@@ -24,7 +26,7 @@ const ProtectedRoutes = ({ children, allowedRoles }) => {
   // - If the user has a token and their role is allowed, render the children (protected content)
   // - Otherwise, redirect to the login page
   const accessibleRoute =
-    token && isAllowed ? children : <Navigate to="/login" replace={true} />;
+    token && isAllowed ? children : <Navigate to="/login" replace={true} state={{ from: location }} />;
 
   console.log("Token:", token);
 console.log("Role:", role);
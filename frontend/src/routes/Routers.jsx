@@ -12,6 +12,7 @@ import Dashboard from '../Dashboard/trainer-account/Dashboard'
 import {Routes, Route} from 'react-router-dom'
 import ProtectedRoutes from './ProtectedRoutes.jsx'
 import CheckoutSuccess from '../pages/Trainer/CheckoutSuccess.jsx'
+import CheckIn from '../pages/CheckIn.jsx'
 
 const Routers = () => {
   return (
@@ -25,6 +26,7 @@ const Routers = () => {
       <Route path="/contact" element={<Contact/>} />
       <Route path="/services" element={<Services/>} />
       <Route path="/checkout-success" element={<CheckoutSuccess/>} />
+      <Route path="/check-in/:trainerId" element={<ProtectedRoutes allowedRoles={['client']}><CheckIn/></ProtectedRoutes>} />
       <Route path="/users/profile/me" element={<ProtectedRoutes allowedRoles={['client']}> <MyAccount/> </ProtectedRoutes>} />
       <Route path="/trainers/profile/me" element={ <ProtectedRoutes allowedRoles={['trainer']}><Dashboard/></ProtectedRoutes>} />
     </Routes>
@@ -0,0 +1,53 @@
+/**
+ * Invoice Download Utility
+ *
+ * Downloads the PDF invoice of a paid booking. The server issues the
+ * invoice (and its number) the first time it is downloaded.
+ */
+
+import { BASE_URL } from '../config';
+import { getPaymentStatus } from './paymentStatus';
+
+// Payment states in which the client has paid (matches the backend's list)
+const INVOICEABLE_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+/**
+ * Whether a booking has an invoice to download
+ *
+ * @param {Object} booking - Booking with payment fields
+ * @returns {boolean} - True for bookings paid in money (not with a session credit)
+ */
+export const hasInvoice = (booking) => {
+  return !booking.sessionPack && INVOICEABLE_STATUSES.includes(getPaymentStatus(booking).status);
+}
+
+/**
+ * Download a booking's invoice
+ *
+ * @param {string} bookingId - Booking to download the invoice of
+ * @throws {Error} - With the server's message if there's no invoice yet
+ */
+export const downloadInvoice = async (bookingId) => {
+  const token = localStorage.getItem('token');
+
+  const res = await fetch(`${BASE_URL}bookings/${bookingId}/invoice`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const result = await res.json();
+    throw new Error(result.message);
+  }
+
+  // Named after the invoice number, e.g. INV-000042.pdf
+  const fileName = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'invoice.pdf';
+  const url = URL.createObjectURL(await res.blob());
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,36 @@
+/**
+ * Earnings Statement Download Utility
+ *
+ * Downloads a trainer's PDF earnings statement for one month.
+ */
+
+import { BASE_URL } from '../config';
+
+/**
+ * Download an earnings statement
+ *
+ * @param {string} period - Payout period, e.g. "2025-03"
+ * @throws {Error} - With the server's message if the statement can't be created
+ */
+export const downloadStatement = async (period) => {
+  const token = localStorage.getItem('token');
+
+  const res = await fetch(`${BASE_URL}earnings/me/statements/${period}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const result = await res.json();
+    throw new Error(result.message);
+  }
+
+  const url = URL.createObjectURL(await res.blob());
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `earnings-${period}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
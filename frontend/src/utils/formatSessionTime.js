@@ -0,0 +1,113 @@
+/**
+ * Session Time Formatting Utility
+ *
+ * Bookings store the absolute moment a session starts and ends (startsAt,
+ * endsAt). These helpers show those moments in the viewer's own time zone,
+ * so a client in Perth and a trainer in Sydney each see the session at their
+ * local time. Bookings made before startsAt existed fall back to the
+ * trainer's wall-clock date and slot times.
+ *
+ * EXAMPLES:
+ * - formatSessionTime(booking) -> "9:00 AM - 10:00 AM AWST"
+ * - formatSessionDate(booking) -> "20 Oct 2026"
+ */
+
+import convertTime from './convertTime';
+import { formatDate } from './formatDate';
+
+/**
+ * Get the viewer's IANA time zone, e.g. "Australia/Perth"
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Get a calendar date as YYYY-MM-DD in the viewer's local time zone
+ * (toISOString would give the UTC date, which is a day off near midnight)
+ *
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {string} - Local date in YYYY-MM-DD format
+ */
+export const getLocalDateKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Format an instant as a time of day, e.g. "9:00 AM"
+ *
+ * @param {Date|string} instant - Moment to format
+ * @param {string} timeZone - Time zone to show it in (defaults to the viewer's)
+ * @returns {string} - Formatted time
+ */
+export const formatInstantTime = (instant, timeZone) => {
+  return new Date(instant).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+/**
+ * Short name of a time zone at a given moment, e.g. "AEDT"
+ *
+ * @param {Date|string} instant - Moment (the name changes with daylight saving)
+ * @param {string} timeZone - Time zone (defaults to the viewer's)
+ * @returns {string} - Abbreviated time zone name
+ */
+export const getTimeZoneName = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-AU', { timeZoneName: 'short', timeZone }).formatToParts(new Date(instant));
+  return parts.find(part => part.type === 'timeZoneName')?.value || '';
+}
+
+/**
+ * Format a session's time range
+ *
+ * @param {Object} session - Booking (or anything with startsAt/endsAt and timeSlot)
+ * @param {string} timeZone - Time zone to show it in (defaults to the viewer's)
+ * @returns {string} - e.g. "9:00 AM - 10:00 AM AEDT"
+ */
+export const formatSessionTime = (session, timeZone) => {
+  if (!session?.startsAt) {
+    return `${convertTime(session?.timeSlot?.startingTime)} - ${convertTime(session?.timeSlot?.endingTime)}`;
+  }
+
+  const start = formatInstantTime(session.startsAt, timeZone);
+  const end = session.endsAt ? ` - ${formatInstantTime(session.endsAt, timeZone)}` : '';
+  return `${start}${end} ${getTimeZoneName(session.startsAt, timeZone)}`;
+}
+
+/**
+ * Format just the time a session starts
+ *
+ * @param {Object} session - Booking (or anything with startsAt and timeSlot)
+ * @param {string} timeZone - Time zone to show it in (defaults to the viewer's)
+ * @returns {string} - e.g. "9:00 AM AEDT"
+ */
+export const formatSessionStart = (session, timeZone) => {
+  if (!session?.startsAt) return convertTime(session?.timeSlot?.startingTime);
+
+  return `${formatInstantTime(session.startsAt, timeZone)} ${getTimeZoneName(session.startsAt, timeZone)}`;
+}
+
+/**
+ * Format the date a session falls on
+ *
+ * @param {Object} session - Booking (or anything with startsAt and bookingDate)
+ * @param {string} timeZone - Time zone to show it in (defaults to the viewer's)
+ * @returns {string} - e.g. "20 Oct 2026"
+ */
+export const formatSessionDate = (session, timeZone) => {
+  if (!session?.startsAt) return formatDate(session?.bookingDate);
+
+  return formatDate(session.startsAt, { day: 'numeric', month: 'short', year: 'numeric', timeZone });
+}
+
+/**
+ * Weekday a session falls on, e.g. "monday"
+ *
+ * @param {Object} session - Booking (or anything with startsAt and timeSlot)
+ * @param {string} timeZone - Time zone to show it in (defaults to the viewer's)
+ * @returns {string} - Lowercase weekday name
+ */
+export const getSessionDay = (session, timeZone) => {
+  if (!session?.startsAt) return session?.timeSlot?.day;
+
+  return new Date(session.startsAt).toLocaleDateString('en-US', { weekday: 'long', timeZone }).toLowerCase();
+}
@@ -0,0 +1,23 @@
+/**
+ * Availability URL Utility
+ *
+ * Builds the request for a trainer's slots from today until a few
+ * months ahead, in the range the booking side panel and the reschedule
+ * dialog offer.
+ *
+ * @param {string} trainerId - Trainer to look up
+ * @returns {string} - Availability endpoint URL with from/to dates
+ */
+
+import { BASE_URL } from '../config';
+import { getLocalDateKey } from './formatSessionTime';
+
+// How far ahead clients can book
+export const BOOKING_WINDOW_DAYS = 90;
+
+export const getAvailabilityUrl = (trainerId) => {
+  const lastDate = new Date();
+  lastDate.setDate(lastDate.getDate() + BOOKING_WINDOW_DAYS);
+
+  return `${BASE_URL}trainers/${trainerId}/availability?from=${getLocalDateKey()}&to=${getLocalDateKey(lastDate)}`;
+}
@@ -0,0 +1,21 @@
+/**
+ * Session Start Utility
+ * 
+ * Returns the moment a booking's session begins. Used to decide whether a
+ * booking is still upcoming (and can therefore be cancelled or changed).
+ * 
+ * Bookings store the absolute start as startsAt. Older bookings without it
+ * fall back to combining the booking date with the slot starting time.
+ * 
+ * @param {Object} booking - Booking with startsAt, or bookingDate and timeSlot fields
+ * @returns {Date} - Start of the session
+ */
+
+export const getSessionStart = (booking) => {
+  if (booking.startsAt) return new Date(booking.startsAt);
+
+  // Booking dates are stored as midnight UTC, so take the calendar day from the ISO string
+  const day = new Date(booking.bookingDate).toISOString().split('T')[0];
+
+  return new Date(`${day}T${booking.timeSlot?.startingTime || '00:00'}:00`);
+}
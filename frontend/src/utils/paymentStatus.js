@@ -0,0 +1,43 @@
+/**
+ * Payment Status Utility
+ *
+ * Describes where a booking's payment stands: paid, unpaid (to be paid at
+ * the session), still clearing (delayed payment methods such as bank
+ * debits), failed, refunded in full or in part, or disputed by the
+ * client's bank.
+ *
+ * Bookings made before payment statuses were recorded fall back to isPaid
+ * and refundAmount.
+ *
+ * @param {Object} booking - Booking with paymentStatus, isPaid and refundAmount fields
+ * @returns {Object} - { status, label, dotColor } for display
+ */
+
+// Ways a trainer can record an in-person payment (matches the backend's list)
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank_transfer', label: 'Bank transfer' },
+  { value: 'card', label: 'Card' },
+  { value: 'other', label: 'Other' }
+];
+
+const PAYMENT_STATUSES = {
+  paid: { label: 'Paid', dotColor: 'bg-green-500' },
+  processing: { label: 'Processing', dotColor: 'bg-yellow-400' },
+  failed: { label: 'Failed', dotColor: 'bg-red-500' },
+  refunded: { label: 'Refunded', dotColor: 'bg-gray-400' },
+  partially_refunded: { label: 'Part refunded', dotColor: 'bg-blue-400' },
+  disputed: { label: 'Disputed', dotColor: 'bg-orange-500' },
+  unpaid: { label: 'Unpaid', dotColor: 'bg-red-500' }
+};
+
+export const getPaymentStatus = (booking) => {
+  let status = booking.paymentStatus;
+
+  if (!status) {
+    if (booking.refundAmount > 0) status = booking.isPaid ? 'partially_refunded' : 'refunded';
+    else status = booking.isPaid ? 'paid' : 'unpaid';
+  }
+
+  return { status, ...(PAYMENT_STATUSES[status] || PAYMENT_STATUSES.unpaid) };
+}